@@ -0,0 +1,439 @@
+'use strict';
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { from: copyFrom } = require('pg-copy-streams');
+const db = require('./services/db');
+const { ADMIN_ROLE, MANAGER_ROLE } = require('./services/authService');
+const { addDays, toDateString, isValidDateString } = require('./services/timeWindows');
+
+const DEFAULT_OPTIONS = {
+  users: 50,
+  groups: 5,
+  startDate: '2021-01-01',
+  endDate: '2023-12-31',
+  salesPerDay: 1.5,
+  seasonality: 0.25,
+  skillSpread: 0.5,
+  seed: 1,
+  replace: false
+};
+
+// Command line flags and the options they set
+const FLAGS = {
+  '--users': 'users',
+  '--groups': 'groups',
+  '--start': 'startDate',
+  '--end': 'endDate',
+  '--sales-per-day': 'salesPerDay',
+  '--seasonality': 'seasonality',
+  '--skill-spread': 'skillSpread',
+  '--seed': 'seed'
+};
+
+const REGIONS = ['Northeast', 'Southeast', 'Midwest', 'Southwest', 'West Coast', 'Mountain', 'Digital', 'Enterprise'];
+const FIRST_NAMES = [
+  'Alice', 'Bob', 'Carmen', 'David', 'Elena', 'Farid', 'Grace', 'Hiro', 'Ines', 'Jamal', 'Kim', 'Luis',
+  'Maya', 'Noah', 'Olga', 'Priya', 'Quinn', 'Rosa', 'Sam', 'Tariq', 'Uma', 'Victor', 'Wen', 'Yara', 'Zoe'
+];
+const LAST_NAMES = [
+  'Adams', 'Baker', 'Chen', 'Diaz', 'Evans', 'Fischer', 'Garcia', 'Haddad', 'Ito', 'Jones', 'Kowalski', 'Lopez',
+  'Moreau', 'Nguyen', 'Okafor', 'Patel', 'Rossi', 'Silva', 'Tanaka', 'Walsh'
+];
+const SELLING_ROLES = ['Call Center Agent', 'Retail Agent'];
+
+// The first users each manage a group and sell in it. Every ADMIN_EVERY-th other user is an admin, who doesn't sell.
+const ADMIN_EVERY = 20;
+// Shares of agents hired after the start date, leaving before the end date, and in a second group
+const HIRED_LATER_SHARE = 0.3;
+const LEAVING_SHARE = 0.1;
+const SECOND_GROUP_SHARE = 0.2;
+
+// Typical sale in cents, with the spread of individual sales around an agent's typical sale
+const TYPICAL_AMOUNT = 12000;
+const AMOUNT_SPREAD = 0.5;
+const MIN_AMOUNT = 100;
+const MAX_AMOUNT = 100000;
+
+// Sales volume by day of week, Sunday first
+const WEEKDAY_FACTORS = [0.3, 1, 1, 1, 1, 1, 0.6];
+// Day of the year sales peak on with seasonality (mid-December)
+const PEAK_DAY_OF_YEAR = 350;
+
+// Rows sent to Postgres per COPY chunk
+const COPY_BATCH_SIZE = 1000;
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), so a seed always gives the same dataset
+ * @param {number} seed - Integer seed
+ * @returns {Object} { next, normal, poisson, pick }
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    // Uniform in [0, 1)
+    next,
+
+    // Standard normal (Box-Muller)
+    normal() {
+      return Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next());
+    },
+
+    // Poisson-distributed count with the given mean (Knuth, or the normal approximation for large means)
+    poisson(mean) {
+      if (mean > 30) {
+        return Math.max(0, Math.round(mean + Math.sqrt(mean) * this.normal()));
+      }
+      const limit = Math.exp(-mean);
+      let count = 0;
+      for (let p = next(); p > limit; p *= next()) {
+        count++;
+      }
+      return count;
+    },
+
+    pick(values) {
+      return values[Math.floor(next() * values.length)];
+    }
+  };
+}
+
+/**
+ * Counts the days of the generated date range
+ * @param {Object} options - Generator options
+ * @returns {number} Days from startDate to endDate, both included
+ */
+function dayCount({ startDate, endDate }) {
+  return Math.round((new Date(`${endDate}T00:00:00.000Z`) - new Date(`${startDate}T00:00:00.000Z`)) / 86400000) + 1;
+}
+
+/**
+ * Gives how busy a day is relative to an average weekday
+ * @param {Date} date - Day
+ * @param {number} seasonality - Amplitude of the yearly cycle, from 0 (flat) to 1
+ * @returns {number} Factor applied to the expected number of sales
+ */
+function demandFactor(date, seasonality) {
+  const dayOfYear = (date - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000;
+  const season = 1 + seasonality * Math.cos((2 * Math.PI * (dayOfYear - PEAK_DAY_OF_YEAR)) / 365.25);
+  return season * WEEKDAY_FACTORS[date.getUTCDay()];
+}
+
+/**
+ * Generates users, groups and memberships. Sales are generated separately (see generateSales)
+ * since they are too many to hold in memory.
+ * @param {Object} options - Generator options (see DEFAULT_OPTIONS)
+ * @param {Object} random - Generator from createRandom
+ * @param {Object} offsets - Highest existing IDs, generated IDs start after them
+ * @param {number} offsets.userId - Highest user ID
+ * @param {number} offsets.groupId - Highest group ID
+ * @returns {Object} { users, groups, memberships }
+ */
+function generateOrganization(options, random, { userId = 0, groupId = 0 } = {}) {
+  const start = new Date(`${options.startDate}T00:00:00.000Z`);
+  const days = dayCount(options);
+
+  const groups = [];
+  for (let i = 0; i < options.groups; i++) {
+    const region = REGIONS[i % REGIONS.length];
+    const round = Math.floor(i / REGIONS.length);
+    const name = `${region} Sales Team${round > 0 ? ` ${round + 1}` : ''}`;
+    groups.push({ id: groupId + i + 1, name, active: true });
+  }
+
+  const users = [];
+  const memberships = [];
+  for (let i = 0; i < options.users; i++) {
+    const id = userId + i + 1;
+    // Managers stay in their group for the whole range, so they always see its sales
+    const managed = i < groups.length ? groups[i] : null;
+    const isAdmin = !managed && (i + 1) % ADMIN_EVERY === 0;
+    const hiredOn = !managed && random.next() < HIRED_LATER_SHARE ? Math.floor(random.next() * days) : 0;
+    const leftOn = !managed && random.next() < LEAVING_SHARE
+      ? hiredOn + Math.floor(random.next() * (days - hiredOn))
+      : null;
+
+    const name = `${random.pick(FIRST_NAMES)} ${random.pick(LAST_NAMES)}`;
+    let role = MANAGER_ROLE;
+    if (!managed) {
+      role = isAdmin ? ADMIN_ROLE : random.pick(SELLING_ROLES);
+    }
+
+    users.push({
+      id,
+      name,
+      role,
+      active: leftOn === null,
+      // Median 1; a spread of 0.5 puts the best agents at about three times the volume of the weakest
+      skill: Math.exp(options.skillSpread * random.normal()),
+      sells: !isAdmin,
+      firstDay: hiredOn,
+      lastDay: leftOn === null ? days - 1 : leftOn
+    });
+
+    // A user who leaves stops being a member the day after their last day
+    const leftGroupsOn = leftOn === null ? null : toDateString(addDays(start, leftOn + 1));
+    const primary = managed || random.pick(groups);
+    memberships.push({
+      userId: id,
+      groupId: primary.id,
+      effectiveFrom: null,
+      effectiveTo: leftGroupsOn,
+      isPrimary: true
+    });
+    if (!managed && groups.length > 1 && random.next() < SECOND_GROUP_SHARE) {
+      const second = random.pick(groups.filter(group => group !== primary));
+      const joinedOn = Math.floor(random.next() * days);
+      // Nobody joins a group after leaving
+      if (leftOn === null || joinedOn <= leftOn) {
+        memberships.push({
+          userId: id,
+          groupId: second.id,
+          effectiveFrom: toDateString(addDays(start, joinedOn)),
+          effectiveTo: leftGroupsOn,
+          isPrimary: false
+        });
+      }
+    }
+  }
+
+  return { users, groups, memberships };
+}
+
+/**
+ * Generates sales day by day. An agent's expected number of sales per day scales with their skill
+ * and the day's demand; their sales are also slightly larger than average when they are skilled.
+ * @param {Array} users - Users from generateOrganization
+ * @param {Object} options - Generator options (see DEFAULT_OPTIONS)
+ * @param {Object} random - Generator from createRandom
+ * @returns {Iterator<Object>} { userId, amount, date } in date order
+ */
+function* generateSales(users, options, random) {
+  const start = new Date(`${options.startDate}T00:00:00.000Z`);
+  const days = dayCount(options);
+  const sellers = users.filter(user => user.sells);
+
+  for (let day = 0; day < days; day++) {
+    const date = addDays(start, day);
+    const dateString = toDateString(date);
+    const demand = demandFactor(date, options.seasonality);
+
+    for (const user of sellers) {
+      if (day < user.firstDay || day > user.lastDay) {
+        continue;
+      }
+      const count = random.poisson(options.salesPerDay * user.skill * demand);
+      const typicalAmount = Math.log(TYPICAL_AMOUNT * user.skill ** 0.3);
+      for (let i = 0; i < count; i++) {
+        const amount = Math.round(Math.exp(typicalAmount + AMOUNT_SPREAD * random.normal()));
+        yield { userId: user.id, amount: Math.min(MAX_AMOUNT, Math.max(MIN_AMOUNT, amount)), date: dateString };
+      }
+    }
+  }
+}
+
+/**
+ * Formats a value for COPY's text format
+ * @param {*} value - Value, null or undefined for NULL
+ * @returns {string} Escaped value
+ */
+function copyValue(value) {
+  if (value === null || value === undefined) {
+    return '\\N';
+  }
+  return String(value).replace(/[\\\t\n\r]/g, char => ({ '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r' })[char]);
+}
+
+/**
+ * Turns rows into COPY text, a batch of lines at a time
+ * @param {Iterable<Array>} rows - Rows as arrays of column values
+ * @returns {Iterator<string>} Chunks of tab-separated lines
+ */
+function* copyChunks(rows) {
+  let lines = [];
+  for (const values of rows) {
+    lines.push(`${values.map(copyValue).join('\t')}\n`);
+    if (lines.length === COPY_BATCH_SIZE) {
+      yield lines.join('');
+      lines = [];
+    }
+  }
+  if (lines.length > 0) {
+    yield lines.join('');
+  }
+}
+
+/**
+ * Bulk-loads rows with COPY FROM STDIN
+ * @param {Object} client - Connection
+ * @param {string} target - Table and columns, e.g. sales (user_id, amount, date)
+ * @param {Iterable<Array>} rows - Rows as arrays of column values
+ * @returns {Promise<number>} Number of rows loaded
+ */
+async function copyRows(client, target, rows) {
+  let count = 0;
+  const counted = (function* () {
+    for (const values of rows) {
+      count++;
+      yield values;
+    }
+  })();
+
+  const copy = client.query(copyFrom(`COPY ${target} FROM STDIN`));
+  await pipeline(Readable.from(copyChunks(counted)), copy);
+  return count;
+}
+
+/**
+ * Generates a synthetic dataset and loads it in one transaction. The triggers on sales refresh the rollups of
+ * the loaded days.
+ * Generated users and groups get IDs after the existing ones, unless replace empties every table first.
+ * @param {Object} options - Generator options (see DEFAULT_OPTIONS)
+ * @returns {Promise<Object>} Numbers of users, groups, memberships and sales loaded
+ */
+async function loadDataset(options) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const random = createRandom(settings.seed);
+
+  const client = await db.connect();
+  let loaded;
+  try {
+    await client.query('BEGIN');
+    // Bulk loads run longer than API queries
+    await client.query('SET LOCAL statement_timeout = 0');
+    if (settings.replace) {
+      // TRUNCATE fires no triggers, so sales are deleted: their rollups are refreshed and their days announced
+      // as changed, and servers drop the results they cached for them
+      await client.query('DELETE FROM sales');
+      await client.query('TRUNCATE users, groups, user_groups, sales, quotas, sales_daily_rollups RESTART IDENTITY');
+    }
+    // Keeps the API from creating users or groups with the IDs about to be loaded
+    await client.query('LOCK TABLE users, groups IN SHARE ROW EXCLUSIVE MODE');
+    const result = await client.query(`
+      SELECT (SELECT COALESCE(MAX(id), 0) FROM users) as user_id, (SELECT COALESCE(MAX(id), 0) FROM groups) as group_id
+    `);
+    const offsets = { userId: Number(result.rows[0].user_id), groupId: Number(result.rows[0].group_id) };
+
+    const { users, groups, memberships } = generateOrganization(settings, random, offsets);
+
+    loaded = {
+      users: await copyRows(client, 'users (id, name, role, active)',
+        users.map(u => [u.id, u.name, u.role, u.active])),
+      groups: await copyRows(client, 'groups (id, name, active)',
+        groups.map(g => [g.id, g.name, g.active])),
+      memberships: await copyRows(client, 'user_groups (user_id, group_id, effective_from, effective_to, is_primary)',
+        memberships.map(m => [m.userId, m.groupId, m.effectiveFrom, m.effectiveTo, m.isPrimary])),
+      sales: await copyRows(client, 'sales (user_id, amount, date)',
+        (function* () {
+          for (const sale of generateSales(users, settings, random)) {
+            yield [sale.userId, sale.amount, sale.date];
+          }
+        })())
+    };
+
+    await client.query(`
+      SELECT setval(pg_get_serial_sequence('users', 'id'), GREATEST((SELECT MAX(id) FROM users), 1));
+      SELECT setval(pg_get_serial_sequence('groups', 'id'), GREATEST((SELECT MAX(id) FROM groups), 1));
+    `);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return loaded;
+}
+
+/**
+ * Reads generator options from command line arguments such as --users 200 or --users=200
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} Generator options, defaults included
+ */
+function parseArgs(args) {
+  const options = { ...DEFAULT_OPTIONS };
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split('=');
+    if (flag === '--replace') {
+      options.replace = true;
+      continue;
+    }
+    if (!FLAGS[flag]) {
+      throw new Error(`Unknown option: ${flag}. Must be one of: ${[...Object.keys(FLAGS), '--replace'].join(', ')}`);
+    }
+    const value = inlineValue === undefined ? args[++i] : inlineValue;
+    if (value === undefined) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+    const option = FLAGS[flag];
+    options[option] = option === 'startDate' || option === 'endDate' ? value : Number(value);
+  }
+
+  const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+  const isNumber = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+  if (!isInteger(options.users, 1, 100000)) {
+    throw new Error('Invalid users. Must be an integer between 1 and 100000');
+  }
+  if (!isInteger(options.groups, 1, 1000)) {
+    throw new Error('Invalid groups. Must be an integer between 1 and 1000');
+  }
+  if (!isValidDateString(options.startDate) || !isValidDateString(options.endDate)) {
+    throw new Error('Invalid date range. Start and end must be dates in YYYY-MM-DD format');
+  }
+  if (options.startDate > options.endDate) {
+    throw new Error('Invalid date range. Start must not be after end');
+  }
+  if (!isNumber(options.salesPerDay, 0, 100) || options.salesPerDay === 0) {
+    throw new Error('Invalid sales-per-day. Must be a number above 0 and up to 100');
+  }
+  if (!isNumber(options.seasonality, 0, 1)) {
+    throw new Error('Invalid seasonality. Must be a number between 0 and 1');
+  }
+  if (!isNumber(options.skillSpread, 0, 2)) {
+    throw new Error('Invalid skill-spread. Must be a number between 0 and 2');
+  }
+  if (!Number.isInteger(options.seed)) {
+    throw new Error('Invalid seed. Must be an integer');
+  }
+
+  return options;
+}
+
+if (require.main === module) {
+  (async () => {
+    const options = parseArgs(process.argv.slice(2));
+    const startedAt = Date.now();
+    const loaded = await loadDataset(options);
+    console.log(`Loaded ${loaded.users} users, ${loaded.groups} groups, ${loaded.memberships} memberships and `
+      + `${loaded.sales} sales in ${((Date.now() - startedAt) / 1000).toFixed(1)}s.`);
+  })()
+    .catch(error => {
+      console.error('Error generating data:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  createRandom,
+  demandFactor,
+  generateOrganization,
+  generateSales,
+  copyValue,
+  copyRows,
+  loadDataset,
+  parseArgs
+};
@@ -0,0 +1,216 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./services/db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Migration files are named <version>_<name>.js, e.g. 001_create_tables.js
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+// Advisory lock held while migrating, so servers starting side by side don't run the same migration twice
+const LOCK_ID = 727001;
+
+const createMigrationsTableQuery = `
+    CREATE TABLE IF NOT EXISTS "schema_migrations" (
+      "version" INTEGER PRIMARY KEY,
+      "name" VARCHAR(100) NOT NULL,
+      "applied_at" TIMESTAMPTZ NOT NULL DEFAULT now()
+    );`;
+
+/**
+ * Reads the migrations of a directory
+ * @param {string} directory - Directory holding <version>_<name>.js files (default: migrations/)
+ * @returns {Array<Object>} { version, name, up(client), down(client) }, by ascending version
+ */
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(directory)
+    .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const { up, down } = require(path.join(directory, file));
+      return { version: Number(match[1]), name: match[2], up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version: ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+/**
+ * Runs work on a connection holding the migration lock, creating the migrations table if needed
+ * @param {Function} work - Async function receiving the connection
+ * @returns {Promise<*>} Result of work
+ */
+async function withMigrationLock(work) {
+  const client = await db.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    await client.query(createMigrationsTableQuery);
+    return await work(client);
+  } finally {
+    try {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+      client.release();
+    } catch (error) {
+      // Discarding the connection ends its session, which releases the lock as well
+      client.release(error);
+    }
+  }
+}
+
+/**
+ * Gives when each applied migration ran
+ * @param {Object} client - Connection
+ * @returns {Promise<Map>} Applied versions mapped to when they were applied
+ */
+async function appliedMigrations(client) {
+  const result = await client.query('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [Number(row.version), row.applied_at]));
+}
+
+/**
+ * Applies or reverts one migration and records it, in a single transaction
+ * @param {Object} client - Connection
+ * @param {Object} migration - Migration
+ * @param {string} direction - up or down
+ */
+async function runMigration(client, migration, direction) {
+  const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+  await client.query('BEGIN');
+  try {
+    await migration[direction](client);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [
+        migration.version,
+        migration.name
+      ]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${label} failed (${direction}): ${error.message}`, { cause: error });
+  }
+
+  console.log(`${direction === 'up' ? 'Applied' : 'Reverted'} migration ${label}.`);
+}
+
+/**
+ * Applies pending migrations in version order
+ * @param {Object} options - Migration options
+ * @param {number} options.target - Last version to apply (default: all)
+ * @param {Array<Object>} options.migrations - Migrations (default: loaded from migrations/)
+ * @returns {Promise<Array<Object>>} Applied migrations as { version, name }
+ */
+async function migrate({ target = Infinity, migrations = loadMigrations() } = {}) {
+  return withMigrationLock(async (client) => {
+    const applied = await appliedMigrations(client);
+    const pending = migrations.filter(m => !applied.has(m.version) && m.version <= target);
+
+    for (const migration of pending) {
+      await runMigration(client, migration, 'up');
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/**
+ * Reverts the most recently applied migrations, newest first
+ * @param {Object} options - Rollback options
+ * @param {number} options.steps - Number of migrations to revert (default: 1)
+ * @param {Array<Object>} options.migrations - Migrations (default: loaded from migrations/)
+ * @returns {Promise<Array<Object>>} Reverted migrations as { version, name }
+ */
+async function rollback({ steps = 1, migrations = loadMigrations() } = {}) {
+  return withMigrationLock(async (client) => {
+    const applied = await appliedMigrations(client);
+    const versions = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+
+    const reverting = versions.map(version => {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) {
+        throw new Error(`Cannot revert migration ${version}: its file is missing`);
+      }
+      return migration;
+    });
+
+    for (const migration of reverting) {
+      await runMigration(client, migration, 'down');
+    }
+
+    return reverting.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/**
+ * Lists migrations and whether they were applied
+ * @param {Object} options - Status options
+ * @param {Array<Object>} options.migrations - Migrations (default: loaded from migrations/)
+ * @returns {Promise<Array<Object>>} { version, name, appliedAt } with appliedAt null when pending
+ */
+async function status({ migrations = loadMigrations() } = {}) {
+  return withMigrationLock(async (client) => {
+    const applied = await appliedMigrations(client);
+    return migrations.map(({ version, name }) => ({ version, name, appliedAt: applied.get(version) || null }));
+  });
+}
+
+/**
+ * Runs a command line: up [version], down [steps] or status
+ * @param {Array<string>} args - Command line arguments
+ */
+async function main(args) {
+  const [command = 'up', value] = args;
+  const number = value === undefined ? undefined : Number(value);
+  if (number !== undefined && !(Number.isInteger(number) && number > 0)) {
+    throw new Error(`Invalid ${command === 'down' ? 'steps' : 'version'}: ${value}. Must be a positive integer`);
+  }
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrate({ target: number });
+      console.log(applied.length === 0 ? 'Database is up to date.' : `Applied ${applied.length} migration(s).`);
+      break;
+    }
+    case 'down': {
+      const reverted = await rollback({ steps: number });
+      console.log(`Reverted ${reverted.length} migration(s).`);
+      break;
+    }
+    case 'status':
+      for (const { version, name, appliedAt } of await status()) {
+        const state = appliedAt ? `applied ${new Date(appliedAt).toISOString()}` : 'pending';
+        console.log(`${String(version).padStart(3, '0')}_${name}: ${state}`);
+      }
+      break;
+    default:
+      throw new Error(`Unknown command: ${command}. Must be one of: up, down, status`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .catch(error => {
+      console.error('Error running migrations:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
+
+module.exports = {
+  loadMigrations,
+  migrate,
+  rollback,
+  status,
+  main
+};
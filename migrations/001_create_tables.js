@@ -0,0 +1,39 @@
+'use strict';
+
+// The tables of the first release, as the former seeder created them. IF NOT EXISTS lets databases
+// set up by that seeder adopt the migrations.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "users" (
+        "id" SERIAL,
+        "name" VARCHAR(50) NOT NULL,
+        "role" VARCHAR(50) NOT NULL,
+        PRIMARY KEY ("id")
+      );
+      CREATE TABLE IF NOT EXISTS "groups" (
+        "id" SERIAL,
+        "name" VARCHAR(50) NOT NULL,
+        PRIMARY KEY ("id")
+      );
+      CREATE TABLE IF NOT EXISTS "user_groups" (
+        "user_id" SERIAL,
+        "group_id" SERIAL,
+        FOREIGN KEY(user_id) REFERENCES users(id),
+        FOREIGN KEY(group_id) REFERENCES groups(id)
+      );
+      CREATE TABLE IF NOT EXISTS "sales" (
+        "id" SERIAL,
+        "user_id" SERIAL,
+        "amount" INTEGER,
+        "date" DATE,
+        FOREIGN KEY(user_id) REFERENCES users(id),
+        PRIMARY KEY ("id")
+      );
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE "sales", "user_groups", "groups", "users";');
+  }
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SEED_FILES = ['seedUsers.sql', 'seedGroups.sql', 'seedUserGroups.sql', 'seedSales.sql'];
+
+// Loads the sample users, groups, memberships and sales into an empty database
+module.exports = {
+  async up(client) {
+    const result = await client.query('SELECT EXISTS (SELECT 1 FROM users) as seeded');
+    if (!result.rows[0].seeded) {
+      for (const file of SEED_FILES) {
+        await client.query(fs.readFileSync(path.join(__dirname, '..', file)).toString());
+      }
+    }
+
+    // The seed files insert explicit IDs, which leaves the SERIAL sequences behind the data.
+    // Move them past the highest ID so rows created through the API get fresh IDs.
+    await client.query(`
+      SELECT setval(pg_get_serial_sequence('users', 'id'), GREATEST((SELECT MAX(id) FROM users), 1));
+      SELECT setval(pg_get_serial_sequence('groups', 'id'), GREATEST((SELECT MAX(id) FROM groups), 1));
+      SELECT setval(pg_get_serial_sequence('sales', 'id'), GREATEST((SELECT MAX(id) FROM sales), 1));
+    `);
+  },
+
+  // Removes every row, including the ones created through the API since
+  async down(client) {
+    await client.query('TRUNCATE "sales", "user_groups", "groups", "users" RESTART IDENTITY;');
+  }
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+// Users and groups can be deactivated. A membership lasts from effective_from (inclusive) until
+// effective_to (exclusive); NULL leaves that end open. is_primary picks the group a sale counts
+// towards with attribution=primary.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "active" BOOLEAN NOT NULL DEFAULT true;
+      ALTER TABLE "groups" ADD COLUMN IF NOT EXISTS "active" BOOLEAN NOT NULL DEFAULT true;
+      ALTER TABLE "user_groups" ADD COLUMN IF NOT EXISTS "id" SERIAL PRIMARY KEY;
+      ALTER TABLE "user_groups" ADD COLUMN IF NOT EXISTS "effective_from" DATE;
+      ALTER TABLE "user_groups" ADD COLUMN IF NOT EXISTS "effective_to" DATE;
+      ALTER TABLE "user_groups" ADD COLUMN IF NOT EXISTS "is_primary" BOOLEAN NOT NULL DEFAULT false;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE "user_groups" DROP COLUMN "is_primary", DROP COLUMN "effective_to", DROP COLUMN "effective_from",
+        DROP COLUMN "id";
+      ALTER TABLE "groups" DROP COLUMN "active";
+      ALTER TABLE "users" DROP COLUMN "active";
+    `);
+  }
+};
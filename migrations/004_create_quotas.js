@@ -0,0 +1,24 @@
+'use strict';
+
+// Revenue or sale count targets; entity_id references users or groups depending on entity_type
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "quotas" (
+        "id" SERIAL,
+        "entity_type" VARCHAR(10) NOT NULL CHECK ("entity_type" IN ('user', 'group')),
+        "entity_id" INTEGER NOT NULL,
+        "metric" VARCHAR(20) NOT NULL CHECK ("metric" IN ('totalRevenue', 'saleCount')),
+        "period" VARCHAR(10) NOT NULL CHECK ("period" IN ('month', 'quarter')),
+        "period_start" DATE NOT NULL,
+        "target" BIGINT NOT NULL CHECK ("target" > 0),
+        PRIMARY KEY ("id"),
+        UNIQUE ("entity_type", "entity_id", "metric", "period", "period_start")
+      );
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE "quotas";');
+  }
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+// The first release declared foreign key columns as SERIAL, which gave them sequences handing out
+// made-up user and group IDs when a value was left out. They become plain required integers, and
+// every sale needs a positive amount and a date, as the sales API already requires.
+const SERIAL_FOREIGN_KEYS = [
+  { table: 'user_groups', column: 'user_id' },
+  { table: 'user_groups', column: 'group_id' },
+  { table: 'sales', column: 'user_id' }
+];
+
+module.exports = {
+  async up(client) {
+    for (const { table, column } of SERIAL_FOREIGN_KEYS) {
+      await client.query(`
+        ALTER TABLE "${table}" ALTER COLUMN "${column}" DROP DEFAULT, ALTER COLUMN "${column}" SET NOT NULL;
+        DROP SEQUENCE IF EXISTS "${table}_${column}_seq";
+      `);
+    }
+    await client.query(`
+      ALTER TABLE "sales"
+        ALTER COLUMN "amount" SET NOT NULL,
+        ALTER COLUMN "date" SET NOT NULL,
+        ADD CONSTRAINT "sales_amount_positive" CHECK ("amount" > 0);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE "sales"
+        DROP CONSTRAINT "sales_amount_positive",
+        ALTER COLUMN "date" DROP NOT NULL,
+        ALTER COLUMN "amount" DROP NOT NULL;
+    `);
+    for (const { table, column } of SERIAL_FOREIGN_KEYS) {
+      const sequence = `${table}_${column}_seq`;
+      await client.query(`
+        CREATE SEQUENCE "${sequence}" OWNED BY "${table}"."${column}";
+        ALTER TABLE "${table}" ALTER COLUMN "${column}" SET DEFAULT nextval('"${sequence}"');
+      `);
+    }
+  }
+};
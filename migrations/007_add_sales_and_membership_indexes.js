@@ -0,0 +1,23 @@
+'use strict';
+
+// Sales are filtered by date range and joined on user, memberships are looked up from both sides
+const INDEXES = [
+  { name: 'sales_date_idx', table: 'sales', columns: '"date"' },
+  { name: 'sales_user_id_date_idx', table: 'sales', columns: '"user_id", "date"' },
+  { name: 'user_groups_user_id_idx', table: 'user_groups', columns: '"user_id"' },
+  { name: 'user_groups_group_id_idx', table: 'user_groups', columns: '"group_id"' }
+];
+
+module.exports = {
+  async up(client) {
+    for (const { name, table, columns } of INDEXES) {
+      await client.query(`CREATE INDEX IF NOT EXISTS "${name}" ON "${table}" (${columns});`);
+    }
+  },
+
+  async down(client) {
+    for (const { name } of INDEXES) {
+      await client.query(`DROP INDEX IF EXISTS "${name}";`);
+    }
+  }
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+// Users and days whose sales changed, read by the live sales stream (see services/salesChangeFeed.js).
+// Changes are logged as the daily rollups change rather than the sales: the sales API refreshes rollups
+// right after writing sales, so once a change is announced, timeseries read from either table include it.
+// Each statement logs the rows it changed and notifies listeners when its transaction commits.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS "sales_changes" (
+        "id" BIGSERIAL PRIMARY KEY,
+        "transaction_id" BIGINT NOT NULL DEFAULT txid_current(),
+        "user_id" INTEGER NOT NULL,
+        "date" DATE NOT NULL,
+        "changed_at" TIMESTAMPTZ NOT NULL DEFAULT now()
+      );
+      CREATE INDEX IF NOT EXISTS "sales_changes_transaction_id_idx" ON "sales_changes" ("transaction_id");
+      CREATE INDEX IF NOT EXISTS "sales_changes_changed_at_idx" ON "sales_changes" ("changed_at");
+
+      CREATE OR REPLACE FUNCTION log_sales_changes() RETURNS trigger AS $$
+      BEGIN
+        IF TG_OP = 'INSERT' THEN
+          INSERT INTO sales_changes (user_id, date) SELECT DISTINCT user_id, date FROM new_rows;
+        ELSIF TG_OP = 'UPDATE' THEN
+          -- Rebuilding the rollups rewrites every day; only days whose totals differ count
+          INSERT INTO sales_changes (user_id, date)
+          SELECT DISTINCT user_id, date FROM (
+            (SELECT * FROM new_rows EXCEPT SELECT * FROM old_rows)
+            UNION ALL
+            (SELECT * FROM old_rows EXCEPT SELECT * FROM new_rows)
+          ) changed;
+        ELSE
+          INSERT INTO sales_changes (user_id, date) SELECT DISTINCT user_id, date FROM old_rows;
+        END IF;
+
+        IF FOUND THEN
+          PERFORM pg_notify('sales_changes', '');
+        END IF;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      CREATE TRIGGER "sales_daily_rollups_insert_changes" AFTER INSERT ON "sales_daily_rollups"
+        REFERENCING NEW TABLE AS new_rows
+        FOR EACH STATEMENT EXECUTE FUNCTION log_sales_changes();
+      CREATE TRIGGER "sales_daily_rollups_update_changes" AFTER UPDATE ON "sales_daily_rollups"
+        REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+        FOR EACH STATEMENT EXECUTE FUNCTION log_sales_changes();
+      CREATE TRIGGER "sales_daily_rollups_delete_changes" AFTER DELETE ON "sales_daily_rollups"
+        REFERENCING OLD TABLE AS old_rows
+        FOR EACH STATEMENT EXECUTE FUNCTION log_sales_changes();
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TRIGGER IF EXISTS "sales_daily_rollups_insert_changes" ON "sales_daily_rollups";
+      DROP TRIGGER IF EXISTS "sales_daily_rollups_update_changes" ON "sales_daily_rollups";
+      DROP TRIGGER IF EXISTS "sales_daily_rollups_delete_changes" ON "sales_daily_rollups";
+      DROP FUNCTION IF EXISTS log_sales_changes();
+      DROP TABLE "sales_changes";
+    `);
+  }
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+// Keeps the daily rollups up to date from a trigger on sales, so every write - through the API or plain SQL -
+// refreshes the rollups of its users and days in the same statement, and a failed refresh rolls the write back.
+// Writes to the same user and day take turns, so each recomputes the day from the sales the other committed.
+// Advisory locks on (user, day) would fill the lock table on bulk loads, so statements changing more than
+// MAX_LOCKED_DAYS user-days lock out every other write instead, through a lock the others share.
+const MAX_LOCKED_DAYS = 100;
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE OR REPLACE FUNCTION refresh_sales_rollups() RETURNS trigger AS $$
+      DECLARE
+        changed_user_ids INTEGER[];
+        changed_dates DATE[];
+      BEGIN
+        IF TG_OP = 'INSERT' THEN
+          SELECT array_agg(user_id ORDER BY user_id, date), array_agg(date ORDER BY user_id, date)
+          INTO changed_user_ids, changed_dates
+          FROM (SELECT DISTINCT user_id, date FROM new_rows) k;
+        ELSIF TG_OP = 'UPDATE' THEN
+          SELECT array_agg(user_id ORDER BY user_id, date), array_agg(date ORDER BY user_id, date)
+          INTO changed_user_ids, changed_dates
+          FROM (SELECT user_id, date FROM new_rows UNION SELECT user_id, date FROM old_rows) k;
+        ELSE
+          SELECT array_agg(user_id ORDER BY user_id, date), array_agg(date ORDER BY user_id, date)
+          INTO changed_user_ids, changed_dates
+          FROM (SELECT DISTINCT user_id, date FROM old_rows) k;
+        END IF;
+
+        IF changed_user_ids IS NULL THEN
+          RETURN NULL;
+        END IF;
+
+        -- User IDs start at 1, so (0, 0) is free for the lock every write takes. Locks are taken in order, so
+        -- writes to several of the same days can't deadlock.
+        IF array_length(changed_user_ids, 1) > ${MAX_LOCKED_DAYS} THEN
+          PERFORM pg_advisory_xact_lock(0, 0);
+        ELSE
+          PERFORM pg_advisory_xact_lock_shared(0, 0);
+          PERFORM pg_advisory_xact_lock(k.user_id, k.date - DATE '2000-01-01')
+          FROM UNNEST(changed_user_ids, changed_dates) AS k(user_id, date);
+        END IF;
+
+        WITH keys AS (
+          SELECT * FROM UNNEST(changed_user_ids, changed_dates) AS k(user_id, date)
+        ),
+        totals AS (
+          SELECT
+            s.user_id,
+            s.date,
+            COUNT(*) as sale_count,
+            SUM(s.amount) as total_amount,
+            MIN(s.amount) as min_amount,
+            MAX(s.amount) as max_amount,
+            SUM(s.amount::numeric * s.amount) as sum_of_squares
+          FROM sales s
+          JOIN keys k ON s.user_id = k.user_id AND s.date = k.date
+          GROUP BY s.user_id, s.date
+        ),
+        refreshed AS (
+          INSERT INTO sales_daily_rollups (user_id, date, sale_count, total_amount, min_amount, max_amount, sum_of_squares)
+          SELECT * FROM totals
+          ON CONFLICT (user_id, date) DO UPDATE SET
+            sale_count = EXCLUDED.sale_count,
+            total_amount = EXCLUDED.total_amount,
+            min_amount = EXCLUDED.min_amount,
+            max_amount = EXCLUDED.max_amount,
+            sum_of_squares = EXCLUDED.sum_of_squares
+        )
+        DELETE FROM sales_daily_rollups r
+        USING keys k
+        WHERE r.user_id = k.user_id AND r.date = k.date
+          AND NOT EXISTS (SELECT 1 FROM totals t WHERE t.user_id = r.user_id AND t.date = r.date);
+
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      CREATE TRIGGER "sales_insert_rollups" AFTER INSERT ON "sales"
+        REFERENCING NEW TABLE AS new_rows
+        FOR EACH STATEMENT EXECUTE FUNCTION refresh_sales_rollups();
+      CREATE TRIGGER "sales_update_rollups" AFTER UPDATE ON "sales"
+        REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+        FOR EACH STATEMENT EXECUTE FUNCTION refresh_sales_rollups();
+      CREATE TRIGGER "sales_delete_rollups" AFTER DELETE ON "sales"
+        REFERENCING OLD TABLE AS old_rows
+        FOR EACH STATEMENT EXECUTE FUNCTION refresh_sales_rollups();
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TRIGGER IF EXISTS "sales_insert_rollups" ON "sales";
+      DROP TRIGGER IF EXISTS "sales_update_rollups" ON "sales";
+      DROP TRIGGER IF EXISTS "sales_delete_rollups" ON "sales";
+      DROP FUNCTION IF EXISTS refresh_sales_rollups();
+    `);
+  }
+};
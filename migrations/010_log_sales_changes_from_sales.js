@@ -0,0 +1,43 @@
+'use strict';
+
+// Logs changes to the live sales stream from the sales themselves instead of the daily rollups, so sales
+// written with plain SQL reach the stream too. The rollups of a statement's users and days are refreshed by the
+// same statement (see 009_maintain_sales_rollups.js), so once a change is announced, timeseries read from either
+// table include it. Rebuilding the rollups no longer logs changes.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      DROP TRIGGER IF EXISTS "sales_daily_rollups_insert_changes" ON "sales_daily_rollups";
+      DROP TRIGGER IF EXISTS "sales_daily_rollups_update_changes" ON "sales_daily_rollups";
+      DROP TRIGGER IF EXISTS "sales_daily_rollups_delete_changes" ON "sales_daily_rollups";
+
+      CREATE TRIGGER "sales_insert_changes" AFTER INSERT ON "sales"
+        REFERENCING NEW TABLE AS new_rows
+        FOR EACH STATEMENT EXECUTE FUNCTION log_sales_changes();
+      CREATE TRIGGER "sales_update_changes" AFTER UPDATE ON "sales"
+        REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+        FOR EACH STATEMENT EXECUTE FUNCTION log_sales_changes();
+      CREATE TRIGGER "sales_delete_changes" AFTER DELETE ON "sales"
+        REFERENCING OLD TABLE AS old_rows
+        FOR EACH STATEMENT EXECUTE FUNCTION log_sales_changes();
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TRIGGER IF EXISTS "sales_insert_changes" ON "sales";
+      DROP TRIGGER IF EXISTS "sales_update_changes" ON "sales";
+      DROP TRIGGER IF EXISTS "sales_delete_changes" ON "sales";
+
+      CREATE TRIGGER "sales_daily_rollups_insert_changes" AFTER INSERT ON "sales_daily_rollups"
+        REFERENCING NEW TABLE AS new_rows
+        FOR EACH STATEMENT EXECUTE FUNCTION log_sales_changes();
+      CREATE TRIGGER "sales_daily_rollups_update_changes" AFTER UPDATE ON "sales_daily_rollups"
+        REFERENCING OLD TABLE AS old_rows NEW TABLE AS new_rows
+        FOR EACH STATEMENT EXECUTE FUNCTION log_sales_changes();
+      CREATE TRIGGER "sales_daily_rollups_delete_changes" AFTER DELETE ON "sales_daily_rollups"
+        REFERENCING OLD TABLE AS old_rows
+        FOR EACH STATEMENT EXECUTE FUNCTION log_sales_changes();
+    `);
+  }
+};
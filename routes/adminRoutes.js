@@ -0,0 +1,25 @@
+'use strict';
+
+const express = require('express');
+const rollupService = require('../services/rollupService');
+const { sendError } = require('./helpers');
+const { requireAdmin } = require('./auth');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * POST /api/admin/rollups/rebuild
+ * Recomputes every daily sales rollup from the sales table, e.g. after sales were loaded
+ * directly into the database. Rollups written by the sales API are kept up to date already.
+ */
+router.post('/rollups/rebuild', async (req, res) => {
+  try {
+    res.json(await rollupService.rebuildRollups());
+  } catch (error) {
+    sendError(res, error, 'rebuilding sales rollups');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+'use strict';
+
+const authService = require('../services/authService');
+const { ForbiddenError } = require('../services/errors');
+const { sendError } = require('./helpers');
+
+/**
+ * Identifies the caller from a bearer token or an API key and stores it as req.principal.
+ * Requests without valid credentials are answered with a 401.
+ */
+async function authenticate(req, res, next) {
+  try {
+    req.principal = await authService.authenticate({
+      authorization: req.get('Authorization'),
+      apiKey: req.get('X-API-Key')
+    });
+  } catch (error) {
+    return sendError(res, error, 'authenticating request');
+  }
+  next();
+}
+
+/**
+ * Lets only admins and service clients through, e.g. to routes changing data
+ */
+function requireAdmin(req, res, next) {
+  if (!req.principal.admin) {
+    return sendError(res, new ForbiddenError('Forbidden. Requires the Admin role or an API key'));
+  }
+  next();
+}
+
+module.exports = {
+  authenticate,
+  requireAdmin
+};
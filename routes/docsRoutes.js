@@ -0,0 +1,55 @@
+'use strict';
+
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const openapi = require('./openapi');
+
+const router = express.Router();
+
+// The document only changes with the code, so it's built once
+const document = openapi.buildDocument();
+
+/**
+ * Gives the explorer page, loading Swagger UI from this server rather than a CDN
+ * @param {string} baseUrl - Path the router is mounted on
+ * @returns {string} HTML page
+ */
+function explorerPage(baseUrl) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${document.info.title}</title>
+  <link rel="stylesheet" href="${baseUrl}/docs/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${baseUrl}/docs/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '${baseUrl}/openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * GET /api/openapi.json
+ * Returns the OpenAPI document describing every route
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(document);
+});
+
+/**
+ * GET /api/docs
+ * Returns a page for exploring and trying out the API. Use Authorize to send a bearer token or an API key.
+ */
+router.get('/docs', (req, res) => {
+  res.type('html').send(explorerPage(req.baseUrl));
+});
+
+// Swagger UI scripts and styles the page loads
+router.use('/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
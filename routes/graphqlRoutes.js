@@ -0,0 +1,152 @@
+'use strict';
+
+const express = require('express');
+const { parse, validate, execute, getOperationAST, specifiedRules, GraphQLError, Kind } = require('graphql');
+const { schema, createLoaders } = require('./graphqlSchema');
+const { describeError } = require('./helpers');
+
+const router = express.Router();
+
+router.use(express.json());
+
+// Deepest nesting of fields a query may have. Users and groups nest inside each other without end,
+// and every level multiplies the size of the response.
+const MAX_QUERY_DEPTH = 8;
+
+/**
+ * Measures how deeply fields are nested in a selection, following fragments
+ * @param {Object} selectionSet - Selection set node
+ * @param {Object} context - Validation context, to look fragments up
+ * @param {Set<string>} visited - Fragments already followed; cycles are reported by another rule
+ * @returns {number} Depth of the deepest field
+ */
+function selectionDepth(selectionSet, context, visited) {
+  let depth = 0;
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === Kind.FIELD) {
+      const nested = selection.selectionSet ? selectionDepth(selection.selectionSet, context, visited) : 0;
+      depth = Math.max(depth, 1 + nested);
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      depth = Math.max(depth, selectionDepth(selection.selectionSet, context, visited));
+    } else {
+      const fragment = context.getFragment(selection.name.value);
+      if (fragment && !visited.has(fragment.name.value)) {
+        const followed = new Set([...visited, fragment.name.value]);
+        depth = Math.max(depth, selectionDepth(fragment.selectionSet, context, followed));
+      }
+    }
+  }
+  return depth;
+}
+
+/**
+ * Validation rule rejecting operations nested deeper than MAX_QUERY_DEPTH
+ * @param {Object} context - Validation context
+ * @returns {Object} AST visitor
+ */
+function depthLimitRule(context) {
+  return {
+    OperationDefinition(node) {
+      if (selectionDepth(node.selectionSet, context, new Set()) > MAX_QUERY_DEPTH) {
+        context.reportError(new GraphQLError(`Fields must not be nested more than ${MAX_QUERY_DEPTH} deep`, {
+          nodes: node
+        }));
+      }
+    }
+  };
+}
+
+/**
+ * Formats an error for the errors list of a GraphQL response. Errors thrown by services keep the code
+ * and details REST responses give them (see describeError) in extensions; errors in the query itself are
+ * invalid_request.
+ * @param {Error} error - GraphQL error, or an error thrown while handling the request
+ * @returns {Object} { message, locations, path, extensions: { code, details } }
+ */
+function formatError(error) {
+  const cause = error instanceof GraphQLError ? error.originalError : error;
+  const { locations, path } = error;
+
+  if (cause === undefined || cause instanceof GraphQLError) {
+    return { message: error.message, locations, path, extensions: { code: 'invalid_request', details: [] } };
+  }
+
+  const { code, message, details } = describeError(cause, 'running GraphQL query');
+  return { message, locations, path, extensions: { code, details } };
+}
+
+/**
+ * Answers a request that can't be run
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {Array<Error>} errors - What is wrong with the request
+ */
+function sendErrors(res, status, errors) {
+  res.status(status).json({ errors: errors.map(formatError) });
+}
+
+/**
+ * POST /graphql
+ * Runs a GraphQL query over users, groups and their sales (see graphqlSchema.js)
+ *
+ * Body: { query, variables, operationName }
+ *
+ * Queries that don't parse or validate get a 400. Errors while resolving fields are listed next to the data
+ * that could be resolved, with a 200.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { query, variables, operationName } = req.body || {};
+    if (typeof query !== 'string') {
+      return sendErrors(res, 400, [new GraphQLError('Body must have a query string')]);
+    }
+    if (variables != null && (typeof variables !== 'object' || Array.isArray(variables))) {
+      return sendErrors(res, 400, [new GraphQLError('Variables must be an object')]);
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      return sendErrors(res, 400, [error]);
+    }
+
+    const validationErrors = validate(schema, document, [...specifiedRules, depthLimitRule]);
+    if (validationErrors.length > 0) {
+      return sendErrors(res, 400, validationErrors);
+    }
+    // The schema has no mutations or subscriptions
+    const operation = getOperationAST(document, operationName);
+    if (operation && operation.operation !== 'query') {
+      return sendErrors(res, 400, [new GraphQLError(`Only queries are supported, not ${operation.operation}s`)]);
+    }
+
+    const result = await execute({
+      schema,
+      document,
+      variableValues: variables,
+      operationName,
+      contextValue: { loaders: createLoaders(req.principal.scope) }
+    });
+
+    // Without data, the variables or the operation name didn't fit the query
+    res.status(result.data === undefined ? 400 : 200).json({
+      data: result.data,
+      errors: result.errors && result.errors.map(formatError)
+    });
+  } catch (error) {
+    sendErrors(res, 500, [error]);
+  }
+});
+
+/**
+ * Answers malformed JSON bodies with a 400 in the shape of GraphQL errors
+ */
+router.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return sendErrors(res, 400, [new GraphQLError('Invalid JSON body')]);
+  }
+  next(error);
+});
+
+module.exports = router;
@@ -0,0 +1,255 @@
+'use strict';
+
+const DataLoader = require('dataloader');
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLEnumType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLInt,
+  GraphQLFloat,
+  GraphQLString,
+  GraphQLBoolean
+} = require('graphql');
+const salesService = require('../services/salesService');
+const usersService = require('../services/usersService');
+const groupsService = require('../services/groupsService');
+const { NotFoundError } = require('../services/errors');
+const validation = require('./validation');
+const { VALID_GRANULARITIES, GRAPHQL_TIMESERIES_ARGS } = require('./querySchemas');
+
+// Field identifying the user or group of a timeseries row, which is also the option filtering rows to some of them
+const SERIES_ID_FIELDS = {
+  user: 'userId',
+  group: 'groupId'
+};
+
+/**
+ * Matches the items a batch query returned to the keys they were loaded for
+ * @param {Array<number>} ids - Keys, in the order the loader asked for them
+ * @param {Array<Object>} items - Items loaded for every key
+ * @param {Function} idOf - Gives the key an item belongs to
+ * @param {Function} valueOf - Gives what an item contributes to its key's list (default: the item)
+ * @returns {Array<Array>} List of values for each key, in key order
+ */
+function byId(ids, items, idOf, valueOf = item => item) {
+  const values = new Map(ids.map(id => [id, []]));
+  for (const item of items) {
+    values.get(idOf(item)).push(valueOf(item));
+  }
+  return ids.map(id => values.get(id));
+}
+
+/**
+ * Fetches the timeseries of several users or groups with one query
+ * @param {string} entity - user or group
+ * @param {Array<number>} ids - User or group IDs
+ * @param {Object} options - Validated timeseries arguments ({ granularity, startDate, endDate })
+ * @param {Object} scope - Sales the caller may see (see scope.js); undefined for every sale
+ * @returns {Promise<Array<Array<Object>>>} Formatted data objects of each ID, most recent window first
+ */
+async function loadTimeSeries(entity, ids, { granularity, startDate, endDate }, scope) {
+  const field = SERIES_ID_FIELDS[entity];
+  const rows = await salesService.getTimeSeriesSales({
+    granularity,
+    startDate,
+    endDate,
+    groupBy: entity,
+    [field]: ids.join(','),
+    scope
+  });
+  return byId(ids, salesService.formatTimeSeriesData(rows, entity), item => item[field]);
+}
+
+/**
+ * Creates the loaders a GraphQL request resolves nested fields with. Each collects the lookups of a field
+ * across every user or group in the response into one query, and caches the results for the request.
+ * @param {Object} scope - Sales the caller may see (see scope.js); undefined for every sale
+ * @returns {Object} Loaders ({ currentGroups, currentMembers, timeseries })
+ */
+function createLoaders(scope) {
+  // Timeseries with different arguments are separate queries
+  const seriesLoaders = new Map();
+
+  return {
+    currentGroups: new DataLoader(async userIds => {
+      const memberships = await usersService.listCurrentGroups(userIds);
+      return byId(userIds, memberships, membership => membership.userId, membership => membership.group);
+    }),
+    currentMembers: new DataLoader(async groupIds => {
+      const memberships = await groupsService.listCurrentMembers(groupIds);
+      return byId(groupIds, memberships, membership => membership.groupId, membership => membership.user);
+    }),
+    timeseries(entity, options) {
+      const key = JSON.stringify([entity, options.granularity, options.startDate, options.endDate]);
+      if (!seriesLoaders.has(key)) {
+        seriesLoaders.set(key, new DataLoader(ids => loadTimeSeries(entity, ids, options, scope)));
+      }
+      return seriesLoaders.get(key);
+    }
+  };
+}
+
+/**
+ * Resolves a record, or null when it doesn't exist
+ * @param {Promise<Object>} lookup - Lookup of the record
+ * @returns {Promise<Object|null>} The record
+ */
+async function orNull(lookup) {
+  try {
+    return await lookup;
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+const required = type => new GraphQLNonNull(type);
+const listOf = type => required(new GraphQLList(required(type)));
+
+const GranularityType = new GraphQLEnumType({
+  name: 'Granularity',
+  description: 'Size of the time windows',
+  values: Object.fromEntries(VALID_GRANULARITIES.map(granularity => [granularity, { value: granularity }]))
+});
+
+const SalesMetricsType = new GraphQLObjectType({
+  name: 'SalesMetrics',
+  fields: {
+    saleCount: { type: required(GraphQLFloat), description: 'Number of sales' },
+    totalRevenue: { type: required(GraphQLFloat), description: 'Sum of the sale amounts' },
+    avgRevenue: { type: required(GraphQLFloat), description: 'Average sale amount' },
+    minSale: { type: required(GraphQLInt), description: 'Smallest sale amount' },
+    maxSale: { type: required(GraphQLInt), description: 'Largest sale amount' }
+  }
+});
+
+const SalesWindowType = new GraphQLObjectType({
+  name: 'SalesWindow',
+  fields: {
+    timeWindow: { type: required(GraphQLString), description: 'Instant the window starts, in UTC' },
+    windowStart: { type: required(GraphQLString), description: 'First day of the window (YYYY-MM-DD)' },
+    windowEnd: { type: required(GraphQLString), description: 'Last day of the window (YYYY-MM-DD)' },
+    metrics: { type: required(SalesMetricsType) }
+  }
+});
+
+const SalesSeriesType = new GraphQLObjectType({
+  name: 'SalesSeries',
+  description: 'Sales per time window, like GET /api/sales/timeseries',
+  fields: {
+    granularity: { type: required(GranularityType) },
+    startDate: { type: GraphQLString, description: GRAPHQL_TIMESERIES_ARGS.startDate.description },
+    endDate: { type: GraphQLString, description: GRAPHQL_TIMESERIES_ARGS.endDate.description },
+    windows: { type: listOf(SalesWindowType), description: 'Windows with sales, most recent first' }
+  }
+});
+
+/**
+ * Defines the timeseries field of users or groups. Its arguments are checked like the query parameters
+ * of GET /api/sales/timeseries, and only the sales the caller may see are counted.
+ * @param {string} entity - user or group
+ * @param {string} description - Which sales the series counts
+ * @returns {Object} Field config
+ */
+function timeseriesField(entity, description) {
+  const { granularity, startDate, endDate } = GRAPHQL_TIMESERIES_ARGS;
+  return {
+    type: required(SalesSeriesType),
+    description,
+    args: {
+      granularity: {
+        type: GranularityType,
+        defaultValue: granularity.defaultValue,
+        description: granularity.description
+      },
+      startDate: { type: GraphQLString, description: `${startDate.description} (YYYY-MM-DD)` },
+      endDate: { type: GraphQLString, description: `${endDate.description} (YYYY-MM-DD)` }
+    },
+    resolve: async (parent, args, { loaders }) => {
+      // Explicit nulls count as absent
+      const present = Object.fromEntries(Object.entries(args).filter(([, value]) => value !== null));
+      const options = validation.validateQuery(present, GRAPHQL_TIMESERIES_ARGS);
+      const windows = await loaders.timeseries(entity, options).load(parent.id);
+      return { ...options, windows };
+    }
+  };
+}
+
+const UserType = new GraphQLObjectType({
+  name: 'User',
+  fields: () => ({
+    id: { type: required(GraphQLInt) },
+    name: { type: required(GraphQLString) },
+    role: { type: required(GraphQLString) },
+    active: { type: required(GraphQLBoolean), description: 'False once the user is deactivated' },
+    groups: {
+      type: listOf(GroupType),
+      description: 'Groups the user is a member of today',
+      resolve: (user, args, { loaders }) => loaders.currentGroups.load(user.id)
+    },
+    timeseries: timeseriesField('user', "The user's sales")
+  })
+});
+
+const GroupType = new GraphQLObjectType({
+  name: 'Group',
+  fields: () => ({
+    id: { type: required(GraphQLInt) },
+    name: { type: required(GraphQLString) },
+    active: { type: required(GraphQLBoolean), description: 'False once the group is deactivated' },
+    members: {
+      type: listOf(UserType),
+      description: 'Users who are members of the group today',
+      resolve: (group, args, { loaders }) => loaders.currentMembers.load(group.id)
+    },
+    timeseries: timeseriesField('group', "Sales of the group's members made while they were members")
+  })
+});
+
+const QueryType = new GraphQLObjectType({
+  name: 'Query',
+  fields: {
+    users: {
+      type: listOf(UserType),
+      description: 'Users ordered by ID',
+      args: {
+        role: { type: GraphQLString, description: 'Only users with this role' },
+        includeInactive: { type: GraphQLBoolean, defaultValue: false, description: 'Include deactivated users' }
+      },
+      resolve: (root, { role, includeInactive }) => (
+        usersService.listUsers({ role: role || undefined, includeInactive: includeInactive === true })
+      )
+    },
+    user: {
+      type: UserType,
+      description: 'A user, or null when there is none with the ID',
+      args: { id: { type: required(GraphQLInt) } },
+      resolve: (root, { id }) => orNull(usersService.getUser(id))
+    },
+    groups: {
+      type: listOf(GroupType),
+      description: 'Groups ordered by ID',
+      args: {
+        includeInactive: { type: GraphQLBoolean, defaultValue: false, description: 'Include deactivated groups' }
+      },
+      resolve: (root, { includeInactive }) => groupsService.listGroups({ includeInactive: includeInactive === true })
+    },
+    group: {
+      type: GroupType,
+      description: 'A group, or null when there is none with the ID',
+      args: { id: { type: required(GraphQLInt) } },
+      resolve: (root, { id }) => orNull(groupsService.getGroup(id))
+    }
+  }
+});
+
+const schema = new GraphQLSchema({ query: QueryType });
+
+module.exports = {
+  schema,
+  createLoaders
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+const express = require('express');
+const groupsService = require('../services/groupsService');
+const { sendError, parseIdParam, jsonErrorHandler } = require('./helpers');
+const { requireAdmin } = require('./auth');
+const validation = require('./validation');
+const { GROUPS_QUERY, GROUP_MEMBERS_QUERY, REMOVE_MEMBER_QUERY } = require('./querySchemas');
+
+const router = express.Router();
+
+router.use(express.json());
+
+/**
+ * GET /api/groups
+ * Lists groups
+ *
+ * Query Parameters:
+ * - includeInactive: true|false - include deactivated groups (default: false)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const groups = await groupsService.listGroups(validation.validateQuery(req.query, GROUPS_QUERY));
+    res.json({ count: groups.length, data: groups });
+  } catch (error) {
+    sendError(res, error, 'listing groups');
+  }
+});
+
+/**
+ * POST /api/groups
+ * Creates a group
+ *
+ * Body: { name, active? }
+ */
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    res.status(201).json(await groupsService.createGroup(req.body));
+  } catch (error) {
+    sendError(res, error, 'creating group');
+  }
+});
+
+/**
+ * GET /api/groups/:id
+ * Returns a single group
+ */
+router.get('/:id(\\d+)', async (req, res) => {
+  try {
+    res.json(await groupsService.getGroup(parseIdParam(req, 'id', 'Group')));
+  } catch (error) {
+    sendError(res, error, 'fetching group');
+  }
+});
+
+/**
+ * PATCH /api/groups/:id
+ * Changes some fields of a group
+ *
+ * Body: any of { name, active }
+ */
+router.patch('/:id(\\d+)', requireAdmin, async (req, res) => {
+  try {
+    res.json(await groupsService.updateGroup(parseIdParam(req, 'id', 'Group'), req.body));
+  } catch (error) {
+    sendError(res, error, 'updating group');
+  }
+});
+
+/**
+ * DELETE /api/groups/:id
+ * Deactivates a group; its membership history is kept
+ */
+router.delete('/:id(\\d+)', requireAdmin, async (req, res) => {
+  try {
+    res.json(await groupsService.deactivateGroup(parseIdParam(req, 'id', 'Group')));
+  } catch (error) {
+    sendError(res, error, 'deactivating group');
+  }
+});
+
+/**
+ * GET /api/groups/:id/members
+ * Lists the members of a group
+ *
+ * Query Parameters:
+ * - date: YYYY-MM-DD - list the members on this date (default: today)
+ * - includeHistory: true|false - list every past and future membership instead (default: false)
+ */
+router.get('/:id(\\d+)/members', async (req, res) => {
+  try {
+    const groupId = parseIdParam(req, 'id', 'Group');
+    const members = await groupsService.listMembers(groupId, validation.validateQuery(req.query, GROUP_MEMBERS_QUERY));
+    res.json({ count: members.length, data: members });
+  } catch (error) {
+    sendError(res, error, 'listing group members');
+  }
+});
+
+/**
+ * POST /api/groups/:id/members
+ * Adds a user to a group
+ *
+ * Body: { userId, effectiveFrom?, primary? } - effectiveFrom defaults to today
+ */
+router.post('/:id(\\d+)/members', requireAdmin, async (req, res) => {
+  try {
+    res.status(201).json(await groupsService.addMember(parseIdParam(req, 'id', 'Group'), req.body));
+  } catch (error) {
+    sendError(res, error, 'adding group member');
+  }
+});
+
+/**
+ * DELETE /api/groups/:id/members/:userId
+ * Ends a user's current membership of a group
+ *
+ * Query Parameters:
+ * - effectiveTo: YYYY-MM-DD - first day the user is no longer a member (default: today)
+ */
+router.delete('/:id(\\d+)/members/:userId(\\d+)', requireAdmin, async (req, res) => {
+  try {
+    const groupId = parseIdParam(req, 'id', 'Group');
+    const userId = parseIdParam(req, 'userId', 'User');
+    const { effectiveTo } = validation.validateQuery(req.query, REMOVE_MEMBER_QUERY);
+    res.json(await groupsService.removeMember(groupId, userId, { effectiveTo }));
+  } catch (error) {
+    sendError(res, error, 'removing group member');
+  }
+});
+
+router.use(jsonErrorHandler);
+
+module.exports = router;
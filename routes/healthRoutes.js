@@ -0,0 +1,40 @@
+'use strict';
+
+const express = require('express');
+const db = require('../services/db');
+
+const router = express.Router();
+
+/**
+ * GET /health/live
+ * Liveness probe: the process is up and serving requests. It doesn't touch the database, so an
+ * unavailable database doesn't get the server restarted.
+ */
+function live(req, res) {
+  res.json({ status: 'ok' });
+}
+
+router.get('/', live);
+router.get('/live', live);
+
+/**
+ * GET /health/ready
+ * Readiness probe: the server can take traffic. Answers 503 while Postgres doesn't respond or
+ * while the server is shutting down, so load balancers stop sending requests.
+ */
+router.get('/ready', async (req, res) => {
+  if (req.app.locals.shuttingDown) {
+    return res.status(503).json({ status: 'shutting down' });
+  }
+
+  try {
+    const { latencyMs, pool } = await db.ping();
+    res.json({ status: 'ready', database: { status: 'up', latencyMs, pool } });
+  } catch (error) {
+    // The probe is unauthenticated, so the driver's error, which can name hosts and users, only goes to the log
+    console.error('Error probing the database:', error);
+    res.status(503).json({ status: 'unavailable', database: { status: 'down', message: 'database unavailable' } });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+'use strict';
+
+const crypto = require('crypto');
+const { ValidationError, NotFoundError, AuthenticationError, ForbiddenError } = require('../services/errors');
+const { MAX_ID } = require('./validation');
+
+// Errors answered with their own status, code and message; anything else is a 500
+const CLIENT_ERRORS = [ValidationError, NotFoundError, AuthenticationError, ForbiddenError];
+
+/**
+ * Describes how an error thrown by a service is answered: client errors with their own status, code and message,
+ * anything else as a 500. Unexpected errors are logged and described without their message, which may reveal
+ * internals.
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} context - What was being done, for the server log
+ * @returns {Object} { status, code, message, details }, where details lists field-level problems
+ */
+function describeError(error, context) {
+  if (CLIENT_ERRORS.some(type => error instanceof type)) {
+    return { status: error.status, code: error.code, message: error.message, details: error.details || [] };
+  }
+
+  console.error(`Error ${context}:`, error);
+  return { status: 500, code: 'internal_error', message: 'Internal server error', details: [] };
+}
+
+/**
+ * Sends the response for an error thrown by a service. Every error response has the same shape:
+ * { error: { code, message, details } } (see describeError).
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} context - What was being done, for the server log
+ */
+function sendError(res, error, context) {
+  const { status, code, message, details } = describeError(error, context);
+  if (error instanceof AuthenticationError) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+  res.status(status).json({ error: { code, message, details } });
+}
+
+/**
+ * Parses a numeric route parameter, which the route pattern limits to digits
+ * @param {Object} req - Express request
+ * @param {string} name - Route parameter name
+ * @param {string} label - Record type for the not-found message (e.g. Sale)
+ * @returns {number} Record ID
+ */
+function parseIdParam(req, name, label) {
+  const id = Number(req.params[name]);
+  if (id < 1 || id > MAX_ID) {
+    throw new NotFoundError(`${label} ${req.params[name]} not found`);
+  }
+  return id;
+}
+
+/**
+ * Sends a JSON body with an ETag, or 304 Not Modified when the client's If-None-Match already has it.
+ * Clients revalidate on every request, so they never show results older than the server's.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} body - Response body
+ */
+function sendWithETag(req, res, body) {
+  const json = JSON.stringify(body);
+  const etag = `"${crypto.createHash('sha1').update(json).digest('base64')}"`;
+
+  res.set({ 'Cache-Control': 'private, no-cache', ETag: etag });
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.type('json').send(json);
+}
+
+/**
+ * Answers malformed JSON bodies with a 400 instead of a 500
+ */
+function jsonErrorHandler(error, req, res, next) {
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, new ValidationError('Invalid JSON body'));
+  }
+  next(error);
+}
+
+/**
+ * Answers requests no route matched with a 404 in the same shape as other errors
+ */
+function routeNotFoundHandler(req, res) {
+  sendError(res, new NotFoundError(`No route for ${req.method} ${req.baseUrl}${req.path}`));
+}
+
+module.exports = {
+  describeError,
+  sendError,
+  parseIdParam,
+  sendWithETag,
+  jsonErrorHandler,
+  routeNotFoundHandler
+};
@@ -0,0 +1,812 @@
+'use strict';
+
+const { version } = require('../package.json');
+const { MAX_ID } = require('./validation');
+const querySchemas = require('./querySchemas');
+const exportService = require('../services/exportService');
+const { MAX_AMOUNT, MAX_BATCH_SIZE } = require('../services/salesRecordsService');
+const { MAX_TEXT_LENGTH } = require('../services/usersService');
+const { MAX_NAME_LENGTH } = require('../services/groupsService');
+const { MAX_TARGET } = require('../services/quotasService');
+const { VALID_ENTITY_TYPES, VALID_QUOTA_METRICS, VALID_QUOTA_PERIODS } = require('../services/options');
+
+const ERROR_CODES = ['invalid_request', 'unauthenticated', 'forbidden', 'not_found', 'internal_error'];
+
+/**
+ * Points at a schema in the document's components
+ * @param {string} name - Schema name
+ * @returns {Object} JSON schema reference
+ */
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Describes an object whose properties are all listed, so responses with undocumented fields don't validate
+ * @param {Object} properties - Property schemas by name
+ * @param {Array<string>} required - Properties every object has (default: all of them)
+ * @returns {Object} JSON schema
+ */
+function object(properties, required = Object.keys(properties)) {
+  return { type: 'object', required, properties, additionalProperties: false };
+}
+
+/**
+ * Describes a request body changing some of a record's fields
+ * @param {Object} properties - Schemas of the fields that can change
+ * @returns {Object} JSON schema requiring at least one of them
+ */
+function changes(properties) {
+  return { ...object(properties, []), minProperties: 1 };
+}
+
+const nullable = type => ({ type: [type, 'null'] });
+const date = { type: 'string', format: 'date' };
+const nullableDate = { type: ['string', 'null'], format: 'date' };
+const instant = { type: 'string', format: 'date-time' };
+const id = { type: 'integer', minimum: 1, maximum: MAX_ID };
+const text = maxLength => ({ type: 'string', minLength: 1, maxLength });
+
+// Fields of the request bodies creating and changing records
+const SALE_FIELDS = { userId: id, amount: { type: 'integer', minimum: 1, maximum: MAX_AMOUNT }, date };
+const USER_FIELDS = { name: text(MAX_TEXT_LENGTH), role: text(MAX_TEXT_LENGTH), active: { type: 'boolean' } };
+const GROUP_FIELDS = { name: text(MAX_NAME_LENGTH), active: { type: 'boolean' } };
+const QUOTA_FIELDS = {
+  entityType: { type: 'string', enum: VALID_ENTITY_TYPES },
+  entityId: id,
+  metric: { type: 'string', enum: VALID_QUOTA_METRICS },
+  period: { type: 'string', enum: VALID_QUOTA_PERIODS },
+  periodStart: { ...date, description: 'First day of the month or quarter' },
+  target: { type: 'integer', minimum: 1, maximum: MAX_TARGET }
+};
+
+/**
+ * Turns a query parameter schema (see validation.js) into OpenAPI parameters. Lists are sent comma-separated.
+ * @param {Object} schema - Parameter definitions by name
+ * @returns {Array<Object>} OpenAPI parameter objects
+ */
+function queryParameters(schema) {
+  return Object.entries(schema).map(([name, definition]) => {
+    const parameterSchema = { ...definition.schema };
+    // Defaults depending on other parameters are explained in the description instead
+    if (definition.defaultValue !== undefined && typeof definition.defaultValue !== 'function') {
+      parameterSchema.default = definition.defaultValue;
+    }
+
+    return {
+      name,
+      in: 'query',
+      ...(definition.description ? { description: definition.description } : {}),
+      schema: parameterSchema,
+      ...(parameterSchema.type === 'array' ? { style: 'form', explode: false } : {})
+    };
+  });
+}
+
+/**
+ * Describes an ID in the path
+ * @param {string} name - Path parameter name
+ * @param {string} description - What the ID identifies
+ * @returns {Object} OpenAPI parameter object
+ */
+function pathId(name, description) {
+  return { name, in: 'path', required: true, description, schema: id };
+}
+
+/**
+ * Describes a JSON response
+ * @param {string} description - Response description
+ * @param {Object} schema - JSON schema of the body
+ * @returns {Object} OpenAPI response object
+ */
+function json(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Describes a JSON request body
+ * @param {Object} schema - JSON schema of the body
+ * @returns {Object} OpenAPI request body object
+ */
+function jsonBody(schema) {
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+/**
+ * Describes an API operation. Every one can fail authentication or with an internal error, and
+ * admin-only ones are forbidden to other callers. Operations answering internal errors in a shape of
+ * their own list their 500 in responses.
+ * @param {Object} options - Operation fields
+ * @param {string} options.summary - One-line summary
+ * @param {string} options.tag - Tag grouping the operation
+ * @param {Array<Object>} options.parameters - OpenAPI parameters
+ * @param {Object} options.requestBody - OpenAPI request body
+ * @param {Object} options.responses - Responses by status
+ * @param {boolean} options.admin - Only admins and API keys may call it
+ * @returns {Object} OpenAPI operation object
+ */
+function operation({ summary, tag, parameters, requestBody, responses, admin = false }) {
+  return {
+    summary,
+    tags: [tag],
+    ...(parameters && parameters.length > 0 ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    responses: {
+      ...responses,
+      401: { $ref: '#/components/responses/Unauthenticated' },
+      ...(admin ? { 403: { $ref: '#/components/responses/Forbidden' } } : {}),
+      500: responses[500] || { $ref: '#/components/responses/InternalError' }
+    }
+  };
+}
+
+const invalidRequest = { $ref: '#/components/responses/InvalidRequest' };
+const notFound = { $ref: '#/components/responses/NotFound' };
+
+// Fields of each groupBy dimension (see dimensions.js) in timeseries rows, anomalies and forecasts
+const DIMENSION_FIELDS = {
+  userId: id,
+  userName: { type: 'string' },
+  userRole: { type: 'string' },
+  groupId: id,
+  groupName: { type: 'string' },
+  role: { type: 'string' },
+  dayOfWeek: { type: 'integer', minimum: 1, maximum: 7, description: 'ISO day of the week, 1 (Monday) to 7 (Sunday)' }
+};
+
+/**
+ * Builds the component schemas of the response bodies
+ * @returns {Object} Schemas by name
+ */
+function componentSchemas() {
+  const userFields = { userId: id, userName: { type: 'string' }, userRole: { type: 'string' } };
+  const groupFields = { groupId: id, groupName: { type: 'string' } };
+  // Counts are fractional with split attribution, and sale sizes are null for windows without sales
+  const counted = { type: 'number', minimum: 0 };
+  const saleSize = nullable('number');
+  const accumulated = object({ saleCount: counted, totalRevenue: counted });
+  const compared = object({ saleCount: counted, totalRevenue: counted, avgRevenue: counted });
+  const delta = object({ change: { type: 'number' }, percentChange: nullable('number') });
+  const filters = object({
+    startDate: nullableDate,
+    endDate: nullableDate,
+    userId: nullable('string'),
+    groupId: nullable('string')
+  });
+  const projection = object({ value: { type: 'number' }, lower: { type: 'number' }, upper: { type: 'number' } });
+  const backtest = {
+    oneOf: [
+      object({
+        windows: { type: 'integer' },
+        mae: { type: 'number' },
+        rmse: { type: 'number' },
+        mape: nullable('number')
+      }),
+      { type: 'null' }
+    ]
+  };
+  const attainmentFigures = {
+    status: { type: 'string', enum: ['upcoming', 'inProgress', 'complete'] },
+    target: { type: 'integer' },
+    actual: counted,
+    attainment: { type: 'number' },
+    projected: nullable('number'),
+    projectedAttainment: nullable('number')
+  };
+
+  return {
+    Error: object({
+      error: object({
+        code: { type: 'string', enum: ERROR_CODES },
+        message: { type: 'string' },
+        details: {
+          type: 'array',
+          items: object({
+            field: nullable('string'),
+            message: { type: 'string' },
+            index: { type: 'integer', description: 'Position of the sale in a batch' }
+          }, ['field', 'message'])
+        }
+      })
+    }),
+    Health: object({
+      status: { type: 'string', enum: ['ok', 'ready', 'unavailable', 'shutting down'] },
+      database: object({
+        status: { type: 'string', enum: ['up', 'down'] },
+        latencyMs: { type: 'number' },
+        pool: object({ total: { type: 'integer' }, idle: { type: 'integer' }, waiting: { type: 'integer' } }),
+        message: { type: 'string' }
+      }, ['status'])
+    }, ['status']),
+    Metrics: object({
+      saleCount: counted,
+      totalRevenue: counted,
+      avgRevenue: counted,
+      minSale: saleSize,
+      maxSale: saleSize,
+      medianSale: saleSize,
+      p25Sale: saleSize,
+      p75Sale: saleSize,
+      p90Sale: saleSize,
+      stddevSale: saleSize,
+      histogram: {
+        type: 'array',
+        description: 'Sale counts per bucket; each bucket includes from and excludes to, and the last is open-ended',
+        items: object({ from: { type: 'integer' }, to: nullable('integer'), count: counted })
+      }
+    }, []),
+    Comparison: object({
+      timeWindow: instant,
+      hasSales: { type: 'boolean' },
+      metrics: compared,
+      deltas: object({ saleCount: delta, totalRevenue: delta, avgRevenue: delta })
+    }),
+    Rolling: object({ windows: { type: 'integer' }, sum: accumulated, average: accumulated }),
+    Cumulative: object({ monthToDate: accumulated, yearToDate: accumulated }),
+    QuotaAttainment: object({ quotaId: id, ...attainmentFigures }),
+    TimeSeriesRow: object({
+      timeWindow: instant,
+      windowStart: date,
+      windowEnd: date,
+      ...DIMENSION_FIELDS,
+      metrics: ref('Metrics'),
+      comparison: ref('Comparison'),
+      rolling: ref('Rolling'),
+      cumulative: ref('Cumulative'),
+      attainment: object({ totalRevenue: ref('QuotaAttainment'), saleCount: ref('QuotaAttainment') }, [])
+    }, ['timeWindow', 'windowStart', 'windowEnd', 'metrics']),
+    TimeSeries: object({
+      granularity: { type: 'string' },
+      calendar: object({
+        timezone: { type: 'string' },
+        weekStart: { type: 'integer' },
+        fiscalYearStart: { type: 'integer' }
+      }),
+      groupBy: { type: 'string' },
+      attribution: { type: 'string', description: 'Only when grouping by group' },
+      filters,
+      data: { type: 'array', items: ref('TimeSeriesRow') },
+      nextCursor: nullable('string')
+    }, ['granularity', 'calendar', 'groupBy', 'filters', 'data', 'nextCursor']),
+    Leaderboard: object({
+      metric: { type: 'string' },
+      groupBy: { type: 'string' },
+      granularity: { type: 'string' },
+      calendar: object({ weekStart: { type: 'integer' }, fiscalYearStart: { type: 'integer' } }),
+      limit: { type: 'integer' },
+      filters,
+      leaderboard: {
+        type: 'array',
+        items: object({
+          rank: { type: 'integer' },
+          percentileRank: { type: 'number' },
+          ...userFields,
+          ...groupFields,
+          metrics: compared
+        }, ['rank', 'percentileRank', 'metrics'])
+      },
+      windows: {
+        type: 'array',
+        items: object({
+          timeWindow: instant,
+          rankings: {
+            type: 'array',
+            items: object({
+              rank: { type: 'integer' },
+              previousRank: nullable('integer'),
+              rankChange: nullable('integer'),
+              percentileRank: { type: 'number' },
+              ...userFields,
+              ...groupFields,
+              value: { type: 'number' }
+            }, ['rank', 'previousRank', 'rankChange', 'percentileRank', 'value'])
+          }
+        })
+      }
+    }),
+    Anomalies: object({
+      metric: { type: 'string' },
+      method: { type: 'string' },
+      threshold: { type: 'number' },
+      lookback: { type: 'integer' },
+      granularity: { type: 'string' },
+      groupBy: { type: 'string' },
+      attribution: { type: 'string' },
+      filters,
+      count: { type: 'integer' },
+      data: {
+        type: 'array',
+        items: object({
+          timeWindow: instant,
+          ...DIMENSION_FIELDS,
+          expected: { type: 'number' },
+          actual: { type: 'number' },
+          score: { type: 'number' },
+          direction: { type: 'string', enum: ['spike', 'drop'] }
+        }, ['timeWindow', 'expected', 'actual', 'score', 'direction'])
+      }
+    }, ['metric', 'method', 'threshold', 'lookback', 'granularity', 'groupBy', 'filters', 'count', 'data']),
+    Forecast: object({
+      method: { type: 'string' },
+      horizon: { type: 'integer' },
+      confidence: { type: 'integer' },
+      granularity: { type: 'string' },
+      groupBy: { type: 'string' },
+      attribution: { type: 'string' },
+      filters,
+      data: {
+        type: 'array',
+        items: object({
+          ...DIMENSION_FIELDS,
+          historyWindows: { type: 'integer' },
+          forecast: {
+            type: 'array',
+            items: object({ timeWindow: instant, totalRevenue: projection, saleCount: projection })
+          },
+          backtest: object({ totalRevenue: backtest, saleCount: backtest })
+        }, ['historyWindows', 'forecast', 'backtest'])
+      }
+    }, ['method', 'horizon', 'confidence', 'granularity', 'groupBy', 'filters', 'data']),
+    Attainment: object({
+      groupBy: { type: 'string' },
+      asOf: date,
+      filters: object({
+        metric: nullable('string'),
+        period: nullable('string'),
+        startDate: nullableDate,
+        endDate: nullableDate,
+        userId: nullable('string'),
+        groupId: nullable('string')
+      }),
+      count: { type: 'integer' },
+      data: {
+        type: 'array',
+        items: object({
+          quotaId: id,
+          ...userFields,
+          ...groupFields,
+          metric: { type: 'string' },
+          period: { type: 'string' },
+          periodStart: date,
+          periodEnd: date,
+          ...attainmentFigures
+        }, ['quotaId', 'metric', 'period', 'periodStart', 'periodEnd', ...Object.keys(attainmentFigures)])
+      }
+    }),
+    Sale: object({ id, ...SALE_FIELDS }),
+    SaleInput: object(SALE_FIELDS),
+    SaleChanges: changes(SALE_FIELDS),
+    User: object({ id, ...USER_FIELDS }),
+    UserInput: object(USER_FIELDS, ['name', 'role']),
+    UserChanges: changes(USER_FIELDS),
+    Group: object({ id, ...GROUP_FIELDS }),
+    GroupInput: object(GROUP_FIELDS, ['name']),
+    GroupChanges: changes(GROUP_FIELDS),
+    Membership: object({
+      ...userFields,
+      ...groupFields,
+      effectiveFrom: date,
+      effectiveTo: { ...nullableDate, description: 'First day the user is no longer a member' },
+      primary: { type: 'boolean' }
+    }, ['effectiveFrom', 'effectiveTo', 'primary']),
+    Quota: object({ id, ...QUOTA_FIELDS }),
+    QuotaInput: object(QUOTA_FIELDS),
+    RollupRebuild: object({
+      refreshed: { type: 'integer' },
+      removed: { type: 'integer' },
+      durationMs: { type: 'integer' }
+    }),
+    GraphQLRequest: object({
+      query: {
+        type: 'string',
+        examples: ['{ groups { name timeseries(granularity: quarter) { windows { windowStart } } } }']
+      },
+      variables: nullable('object'),
+      operationName: nullable('string')
+    }, ['query']),
+    GraphQLResponse: object({
+      data: { ...nullable('object'), description: 'Absent when the query could not run' },
+      errors: {
+        type: 'array',
+        items: object({
+          message: { type: 'string' },
+          locations: { type: 'array', items: object({ line: { type: 'integer' }, column: { type: 'integer' } }) },
+          path: { type: 'array', items: { anyOf: [{ type: 'string' }, { type: 'integer' }] } },
+          extensions: object({
+            code: { type: 'string', enum: ERROR_CODES },
+            details: { $ref: '#/components/schemas/Error/properties/error/properties/details' }
+          })
+        }, ['message', 'extensions'])
+      }
+    }, [])
+  };
+}
+
+/**
+ * Describes a list response of { count, data }
+ * @param {string} name - Schema of the items
+ * @returns {Object} JSON schema
+ */
+function list(name) {
+  return object({ count: { type: 'integer' }, data: { type: 'array', items: ref(name) } });
+}
+
+/**
+ * Builds the paths of the document
+ * @returns {Object} OpenAPI path items by path
+ */
+function paths() {
+  const health = json('Status of the server', ref('Health'));
+  const unavailable = json('The database is down or the server is shutting down', ref('Health'));
+  const probe = summary => ({ get: { summary, tags: ['health'], security: [], responses: { 200: health } } });
+  const exportContent = {};
+  for (const [format, type] of Object.entries(exportService.EXPORT_FORMATS)) {
+    if (format !== 'json') {
+      exportContent[type] = { schema: { type: 'string' } };
+    }
+  }
+
+  const saleId = pathId('id', 'Sale ID');
+  const userId = pathId('id', 'User ID');
+  const groupId = pathId('id', 'Group ID');
+  const quotaId = pathId('id', 'Quota ID');
+  const saleInput = ref('SaleInput');
+
+  return {
+    '/health': probe('Liveness probe'),
+    '/health/live': probe('Liveness probe; does not touch the database'),
+    '/health/ready': {
+      get: {
+        summary: 'Readiness probe',
+        tags: ['health'],
+        security: [],
+        responses: { 200: health, 503: unavailable }
+      }
+    },
+    '/api/openapi.json': {
+      get: {
+        summary: 'This document',
+        tags: ['docs'],
+        security: [],
+        responses: { 200: json('OpenAPI document', { type: 'object' }) }
+      }
+    },
+    '/api/docs': {
+      get: {
+        summary: 'Interactive explorer of this document',
+        tags: ['docs'],
+        security: [],
+        responses: { 200: { description: 'Explorer page', content: { 'text/html': { schema: { type: 'string' } } } } }
+      }
+    },
+    '/api/sales/timeseries': {
+      get: operation({
+        summary: 'Sales aggregated by time window and dimension',
+        tag: 'sales',
+        parameters: queryParameters(querySchemas.TIME_SERIES_QUERY),
+        responses: {
+          200: {
+            description: 'Time series, or a CSV or NDJSON download of its data objects',
+            headers: {
+              ETag: { schema: { type: 'string' } },
+              'X-Next-Cursor': { description: 'nextCursor of CSV and NDJSON pages', schema: { type: 'string' } }
+            },
+            content: { 'application/json': { schema: ref('TimeSeries') }, ...exportContent }
+          },
+          304: { description: 'Not modified since the response whose ETag was sent in If-None-Match' },
+          400: invalidRequest
+        }
+      })
+    },
+    '/api/sales/stream': {
+      get: operation({
+        summary: 'Server-Sent Events with the timeseries, then the windows whose results change',
+        tag: 'sales',
+        parameters: [
+          ...queryParameters(querySchemas.STREAM_QUERY),
+          {
+            name: 'Last-Event-ID',
+            in: 'header',
+            description: 'ID of the last event received, to resume with the windows changed since',
+            schema: { type: 'string', pattern: '^\\d+$' }
+          }
+        ],
+        responses: {
+          200: {
+            description: 'snapshot events carry a TimeSeries without nextCursor; window events carry ' +
+              '{ windowStart, windowEnd, data } with every row of a window',
+            content: { 'text/event-stream': { schema: { type: 'string' } } }
+          },
+          400: invalidRequest
+        }
+      })
+    },
+    '/api/sales/leaderboard': {
+      get: operation({
+        summary: 'Users or groups ranked by a metric, overall and per window',
+        tag: 'sales',
+        parameters: queryParameters(querySchemas.LEADERBOARD_QUERY),
+        responses: { 200: json('Leaderboard', ref('Leaderboard')), 400: invalidRequest }
+      })
+    },
+    '/api/sales/anomalies': {
+      get: operation({
+        summary: 'Windows whose sales spike or drop compared with the preceding windows',
+        tag: 'sales',
+        parameters: queryParameters(querySchemas.ANOMALIES_QUERY),
+        responses: { 200: json('Anomalies, newest first', ref('Anomalies')), 400: invalidRequest }
+      })
+    },
+    '/api/sales/forecast': {
+      get: operation({
+        summary: 'Projected revenue and sale counts for the windows after the range',
+        tag: 'sales',
+        parameters: queryParameters(querySchemas.FORECAST_QUERY),
+        responses: { 200: json('Forecasts', ref('Forecast')), 400: invalidRequest }
+      })
+    },
+    '/api/sales/attainment': {
+      get: operation({
+        summary: 'Quotas measured against the sales so far',
+        tag: 'sales',
+        parameters: queryParameters(querySchemas.ATTAINMENT_QUERY),
+        responses: { 200: json('Attainment, most recent period first', ref('Attainment')), 400: invalidRequest }
+      })
+    },
+    '/api/sales': {
+      post: operation({
+        summary: 'Record a sale, or an all-or-nothing batch of sales',
+        tag: 'sales',
+        admin: true,
+        requestBody: jsonBody({
+          oneOf: [saleInput, { type: 'array', items: saleInput, minItems: 1, maxItems: MAX_BATCH_SIZE }]
+        }),
+        responses: {
+          201: json('The sale, or the batch in input order', { oneOf: [ref('Sale'), list('Sale')] }),
+          400: invalidRequest
+        }
+      })
+    },
+    '/api/sales/{id}': {
+      get: operation({
+        summary: 'A single sale',
+        tag: 'sales',
+        parameters: [saleId],
+        responses: { 200: json('Sale', ref('Sale')), 404: notFound }
+      }),
+      patch: operation({
+        summary: 'Change a sale',
+        tag: 'sales',
+        admin: true,
+        parameters: [saleId],
+        requestBody: jsonBody(ref('SaleChanges')),
+        responses: { 200: json('Updated sale', ref('Sale')), 400: invalidRequest, 404: notFound }
+      }),
+      delete: operation({
+        summary: 'Delete a sale',
+        tag: 'sales',
+        admin: true,
+        parameters: [saleId],
+        responses: { 204: { description: 'Deleted' }, 404: notFound }
+      })
+    },
+    '/api/users': {
+      get: operation({
+        summary: 'List users',
+        tag: 'users',
+        parameters: queryParameters(querySchemas.USERS_QUERY),
+        responses: { 200: json('Users ordered by ID', list('User')), 400: invalidRequest }
+      }),
+      post: operation({
+        summary: 'Create a user',
+        tag: 'users',
+        admin: true,
+        requestBody: jsonBody(ref('UserInput')),
+        responses: { 201: json('Created user', ref('User')), 400: invalidRequest }
+      })
+    },
+    '/api/users/{id}': {
+      get: operation({
+        summary: 'A single user',
+        tag: 'users',
+        parameters: [userId],
+        responses: { 200: json('User', ref('User')), 404: notFound }
+      }),
+      patch: operation({
+        summary: 'Change a user',
+        tag: 'users',
+        admin: true,
+        parameters: [userId],
+        requestBody: jsonBody(ref('UserChanges')),
+        responses: { 200: json('Updated user', ref('User')), 400: invalidRequest, 404: notFound }
+      }),
+      delete: operation({
+        summary: 'Deactivate a user',
+        tag: 'users',
+        admin: true,
+        parameters: [userId],
+        responses: { 200: json('Deactivated user', ref('User')), 404: notFound }
+      })
+    },
+    '/api/users/{id}/groups': {
+      get: operation({
+        summary: 'Group memberships of a user, most recent first',
+        tag: 'users',
+        parameters: [userId],
+        responses: { 200: json('Memberships', list('Membership')), 404: notFound }
+      })
+    },
+    '/api/groups': {
+      get: operation({
+        summary: 'List groups',
+        tag: 'groups',
+        parameters: queryParameters(querySchemas.GROUPS_QUERY),
+        responses: { 200: json('Groups ordered by ID', list('Group')), 400: invalidRequest }
+      }),
+      post: operation({
+        summary: 'Create a group',
+        tag: 'groups',
+        admin: true,
+        requestBody: jsonBody(ref('GroupInput')),
+        responses: { 201: json('Created group', ref('Group')), 400: invalidRequest }
+      })
+    },
+    '/api/groups/{id}': {
+      get: operation({
+        summary: 'A single group',
+        tag: 'groups',
+        parameters: [groupId],
+        responses: { 200: json('Group', ref('Group')), 404: notFound }
+      }),
+      patch: operation({
+        summary: 'Change a group',
+        tag: 'groups',
+        admin: true,
+        parameters: [groupId],
+        requestBody: jsonBody(ref('GroupChanges')),
+        responses: { 200: json('Updated group', ref('Group')), 400: invalidRequest, 404: notFound }
+      }),
+      delete: operation({
+        summary: 'Deactivate a group',
+        tag: 'groups',
+        admin: true,
+        parameters: [groupId],
+        responses: { 200: json('Deactivated group', ref('Group')), 404: notFound }
+      })
+    },
+    '/api/groups/{id}/members': {
+      get: operation({
+        summary: 'Members of a group on a date, or every membership',
+        tag: 'groups',
+        parameters: [groupId, ...queryParameters(querySchemas.GROUP_MEMBERS_QUERY)],
+        responses: { 200: json('Memberships', list('Membership')), 400: invalidRequest, 404: notFound }
+      }),
+      post: operation({
+        summary: 'Add a member to a group',
+        tag: 'groups',
+        admin: true,
+        parameters: [groupId],
+        requestBody: jsonBody(object({
+          userId: id,
+          effectiveFrom: { ...date, description: 'First day of the membership (default: today)' },
+          primary: { type: 'boolean', description: 'Whether sales count towards this group with attribution=primary' }
+        }, ['userId'])),
+        responses: { 201: json('Membership', ref('Membership')), 400: invalidRequest, 404: notFound }
+      })
+    },
+    '/api/groups/{id}/members/{userId}': {
+      delete: operation({
+        summary: "End a user's current membership of a group",
+        tag: 'groups',
+        admin: true,
+        parameters: [groupId, pathId('userId', 'User ID'), ...queryParameters(querySchemas.REMOVE_MEMBER_QUERY)],
+        responses: { 200: json('Ended membership', ref('Membership')), 400: invalidRequest, 404: notFound }
+      })
+    },
+    '/api/quotas': {
+      get: operation({
+        summary: 'List quotas, most recent period first',
+        tag: 'quotas',
+        parameters: queryParameters(querySchemas.QUOTAS_QUERY),
+        responses: { 200: json('Quotas', list('Quota')), 400: invalidRequest }
+      }),
+      post: operation({
+        summary: 'Set the target of a user or group for a month or quarter',
+        tag: 'quotas',
+        admin: true,
+        requestBody: jsonBody(ref('QuotaInput')),
+        responses: {
+          200: json('The target of an existing quota was replaced', ref('Quota')),
+          201: json('Created quota', ref('Quota')),
+          400: invalidRequest
+        }
+      })
+    },
+    '/api/quotas/{id}': {
+      get: operation({
+        summary: 'A single quota',
+        tag: 'quotas',
+        parameters: [quotaId],
+        responses: { 200: json('Quota', ref('Quota')), 404: notFound }
+      }),
+      delete: operation({
+        summary: 'Delete a quota',
+        tag: 'quotas',
+        admin: true,
+        parameters: [quotaId],
+        responses: { 204: { description: 'Deleted' }, 404: notFound }
+      })
+    },
+    '/api/admin/rollups/rebuild': {
+      post: operation({
+        summary: 'Recompute every daily sales rollup from the sales table',
+        tag: 'admin',
+        admin: true,
+        responses: { 200: json('Numbers of days refreshed and removed', ref('RollupRebuild')) }
+      })
+    },
+    '/graphql': {
+      post: operation({
+        summary: 'Query users, groups and their sales series with GraphQL; introspect the schema for its types',
+        tag: 'graphql',
+        requestBody: jsonBody(ref('GraphQLRequest')),
+        responses: {
+          200: json('Data, with the errors of fields that could not be resolved', ref('GraphQLResponse')),
+          400: json("A query that doesn't parse, validate or fit its variables", ref('GraphQLResponse')),
+          500: json('Unexpected error', ref('GraphQLResponse'))
+        }
+      })
+    }
+  };
+}
+
+/**
+ * Builds the OpenAPI document of the API. Query parameters come from the schemas the routes validate with.
+ * @returns {Object} OpenAPI 3.1 document
+ */
+function buildDocument() {
+  const errorResponse = description => json(description, ref('Error'));
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Sales API',
+      version,
+      description: 'Sales timeseries, rankings, anomalies, forecasts and quota attainment, and the records behind them.'
+    },
+    servers: [{ url: '/' }],
+    security: [{ bearerToken: [] }, { apiKey: [] }],
+    tags: ['sales', 'users', 'groups', 'quotas', 'admin', 'graphql', 'health', 'docs'].map(name => ({ name })),
+    paths: paths(),
+    components: {
+      securitySchemes: {
+        bearerToken: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: "HS256 token signed with AUTH_TOKEN_SECRET; sales are limited to the user's scope"
+        },
+        apiKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Key from API_KEYS, for service clients'
+        }
+      },
+      responses: {
+        InvalidRequest: errorResponse('Invalid parameters or body'),
+        Unauthenticated: errorResponse('Missing or invalid credentials'),
+        Forbidden: errorResponse('Requires the Admin role or an API key'),
+        NotFound: errorResponse('Not found'),
+        InternalError: errorResponse('Unexpected error')
+      },
+      schemas: componentSchemas()
+    }
+  };
+}
+
+module.exports = {
+  DIMENSION_FIELDS,
+  queryParameters,
+  buildDocument
+};
@@ -0,0 +1,291 @@
+'use strict';
+
+const validation = require('./validation');
+const dimensions = require('../services/dimensions');
+const pagination = require('../services/pagination');
+const { toDateString } = require('../services/timeWindows');
+const {
+  VALID_GRANULARITIES,
+  VALID_ATTRIBUTIONS,
+  VALID_COMPARE,
+  MAX_ROLLING_WINDOWS,
+  DEFAULT_METRICS,
+  DISTRIBUTION_METRICS,
+  VALID_METRICS,
+  MAX_HISTOGRAM_BUCKETS,
+  VALID_RANK_METRICS,
+  VALID_ANOMALY_METRICS,
+  DEFAULT_ANOMALY_THRESHOLDS,
+  VALID_ANOMALY_METHODS,
+  MIN_ANOMALY_LOOKBACK,
+  MAX_ANOMALY_LOOKBACK,
+  VALID_FORECAST_METHODS,
+  VALID_CONFIDENCE_LEVELS,
+  MAX_FORECAST_HORIZON,
+  VALID_ENTITY_TYPES,
+  VALID_QUOTA_METRICS,
+  VALID_QUOTA_PERIODS
+} = require('../services/options');
+
+// Query parameter schemas of every route (see validation.js). The routes check requests against them and
+// openapi.js documents them, so the API document lists the same parameters and values the routes accept.
+
+// Route-specific options; those the services check too come from services/options.js
+const VALID_RANK_GROUP_BY = ['user', 'group'];
+const MAX_LEADERBOARD_LIMIT = 100;
+const MAX_PAGE_SIZE = 1000;
+const VALID_FORMATS = ['json', 'csv', 'ndjson'];
+
+// Date range and entity filters every report takes
+const FILTER_PARAMS = {
+  startDate: validation.date({ description: 'First day of sales included' }),
+  endDate: validation.date({
+    check: validation.notBefore('startDate'),
+    description: 'Last day of sales included'
+  }),
+  userId: validation.idList({ description: 'Only sales by these users' }),
+  groupId: validation.idList({ description: 'Only sales by members of these groups' })
+};
+
+// Windows and grouping of the timeseries, and of the anomalies and forecasts computed from it
+const SERIES_PARAMS = {
+  granularity: validation.oneOf(VALID_GRANULARITIES, { default: 'month', description: 'Size of the time windows' }),
+  groupBy: validation.param(
+    raw => (dimensions.parseGroupBy(raw) ? raw : undefined),
+    `Must be none or a comma-separated list of: ${dimensions.DIMENSION_NAMES.join(', ')}`,
+    {
+      default: 'user',
+      description: `Comma-separated dimensions - ${dimensions.DIMENSION_NAMES.join(', ')} - ` +
+        'or none for company-wide totals',
+      schema: { type: 'string', examples: ['group,role'] }
+    }
+  ),
+  attribution: validation.oneOf(VALID_ATTRIBUTIONS, {
+    default: 'full',
+    description: 'How sales of users in several groups count when grouping by group'
+  }),
+  ...FILTER_PARAMS
+};
+
+const TIME_SERIES_QUERY = {
+  ...SERIES_PARAMS,
+  timezone: validation.timeZone({ default: 'UTC', description: 'IANA time zone timeWindow values are expressed in' }),
+  weekStart: validation.integer({
+    min: 1,
+    max: 7,
+    default: 1,
+    message: 'Must be an integer between 1 (Monday) and 7 (Sunday)',
+    description: 'ISO day weeks start on, 1 (Monday) to 7 (Sunday)'
+  }),
+  fiscalYearStart: validation.integer({
+    min: 1,
+    max: 12,
+    default: 1,
+    description: 'Month quarters and years start from'
+  }),
+  fillGaps: validation.boolean({ description: 'Include zero-valued rows for windows without sales' }),
+  compare: validation.oneOf(VALID_COMPARE, {
+    description: "Attach the previous window's, or the same window last year's, metrics and deltas"
+  }),
+  rolling: validation.integer({
+    min: 1,
+    max: MAX_ROLLING_WINDOWS,
+    description: 'Number of windows for moving sums and averages'
+  }),
+  cumulative: validation.boolean({ description: 'Attach month-to-date and year-to-date running totals' }),
+  // Quotas belong to a single user or group and a whole period. Quota quarters start in January, April, July and
+  // October, so quarterly windows only line up with them when the fiscal year starts in one of those months.
+  attainment: validation.boolean({
+    requires: ['groupBy', 'granularity', 'fiscalYearStart'],
+    check: (value, { groupBy, granularity, fiscalYearStart }) => {
+      if (!value) {
+        return null;
+      }
+      if (!VALID_RANK_GROUP_BY.includes(groupBy) || !VALID_QUOTA_PERIODS.includes(granularity)) {
+        return 'Requires groupBy=user or groupBy=group with granularity=month or quarter';
+      }
+      if (granularity === 'quarter' && (fiscalYearStart - 1) % 3 !== 0) {
+        return 'Requires fiscalYearStart=1, 4, 7 or 10 with granularity=quarter, so windows match quota quarters';
+      }
+      return null;
+    },
+    description: 'Attach quota attainment per window; needs groupBy=user or group and monthly or quarterly windows'
+  }),
+  metrics: validation.listOf(VALID_METRICS, {
+    description: `Metrics to return (default: ${DEFAULT_METRICS.join(', ')})`
+  }),
+  histogramBuckets: validation.param(raw => {
+    const bounds = raw.split(',').map(bound => (bound.trim() === '' ? NaN : Number(bound)));
+    const ascending = bounds.every((bound, i) => Number.isInteger(bound) && (i === 0 || bound > bounds[i - 1]));
+    return ascending && bounds.length <= MAX_HISTOGRAM_BUCKETS ? bounds : undefined;
+  }, `Must be 1 to ${MAX_HISTOGRAM_BUCKETS} ascending comma-separated integers`, {
+    description: 'Ascending lower bounds of the histogram buckets',
+    schema: { type: 'array', items: { type: 'integer' }, minItems: 1, maxItems: MAX_HISTOGRAM_BUCKETS }
+  }),
+  sort: validation.param(
+    (raw, { groupBy }) => (pagination.parseSort(raw, groupBy) ? raw : undefined),
+    ({ groupBy }) => `Fields must be any of: ${pagination.sortableFields(groupBy).join(', ')} ` +
+      'with an optional :asc or :desc',
+    {
+      requires: ['groupBy', 'metrics'],
+      // Distribution metrics are only computed when selected
+      check: (value, { groupBy, metrics = DEFAULT_METRICS }) => {
+        const unselected = pagination.parseSort(value, groupBy)
+          .map(({ field }) => field)
+          .filter(field => DISTRIBUTION_METRICS.includes(field) && !metrics.includes(field));
+        return unselected.length > 0 ? `${unselected.join(', ')} must also be selected in metrics` : null;
+      },
+      description: `Comma-separated field:asc|desc pairs (default: ${pagination.DEFAULT_SORT})`,
+      schema: { type: 'string', examples: ['timeWindow:asc'] }
+    }
+  ),
+  limit: validation.integer({ min: 1, max: MAX_PAGE_SIZE, description: 'Rows per page (default: all rows)' }),
+  // A cursor is only valid with the sort and grouping it was issued for
+  cursor: validation.param(
+    raw => (pagination.decodeCursor(raw) ? raw : undefined),
+    'Must be the nextCursor of a previous response',
+    {
+      requires: ['sort', 'groupBy'],
+      check: (value, { sort = pagination.DEFAULT_SORT, groupBy }) => {
+        const mismatch = pagination.cursorMismatch(pagination.decodeCursor(value), sort, groupBy);
+        return mismatch ? `Must be used with the same ${mismatch} as the response it came from` : null;
+      },
+      description: 'nextCursor of the previous page'
+    }
+  ),
+  format: validation.oneOf(VALID_FORMATS, {
+    description: 'Response format (default: from the Accept header, else json)'
+  })
+};
+
+// Parameters of the live timeseries stream: those of the timeseries that choose its windows and rows
+const STREAM_QUERY = {
+  ...SERIES_PARAMS,
+  timezone: TIME_SERIES_QUERY.timezone,
+  weekStart: TIME_SERIES_QUERY.weekStart,
+  fiscalYearStart: TIME_SERIES_QUERY.fiscalYearStart,
+  metrics: TIME_SERIES_QUERY.metrics,
+  histogramBuckets: TIME_SERIES_QUERY.histogramBuckets
+};
+
+const LEADERBOARD_QUERY = {
+  metric: validation.oneOf(VALID_RANK_METRICS, { default: 'totalRevenue', description: 'Metric to rank by' }),
+  groupBy: validation.oneOf(VALID_RANK_GROUP_BY, { default: 'user', description: 'Whether to rank users or groups' }),
+  granularity: validation.oneOf(VALID_GRANULARITIES, {
+    default: 'month',
+    description: 'Size of the windows ranked individually'
+  }),
+  weekStart: TIME_SERIES_QUERY.weekStart,
+  fiscalYearStart: TIME_SERIES_QUERY.fiscalYearStart,
+  ...FILTER_PARAMS,
+  limit: validation.integer({
+    min: 1,
+    max: MAX_LEADERBOARD_LIMIT,
+    default: 10,
+    description: 'Number of top entries overall and per window'
+  })
+};
+
+const ANOMALIES_QUERY = {
+  metric: validation.oneOf(VALID_ANOMALY_METRICS, { default: 'totalRevenue', description: 'Metric to score' }),
+  method: validation.oneOf(VALID_ANOMALY_METHODS, {
+    default: 'zscore',
+    description: 'Score against the mean and standard deviation, or the median and median absolute deviation'
+  }),
+  threshold: validation.positiveNumber({
+    requires: ['method'],
+    default: ({ method }) => DEFAULT_ANOMALY_THRESHOLDS[method],
+    description: 'Smallest absolute score that is flagged (default: 3 for zscore, 3.5 for mad)'
+  }),
+  lookback: validation.integer({
+    min: MIN_ANOMALY_LOOKBACK,
+    max: MAX_ANOMALY_LOOKBACK,
+    default: 8,
+    description: 'Number of preceding windows in the baseline'
+  }),
+  ...SERIES_PARAMS
+};
+
+const FORECAST_QUERY = {
+  method: validation.oneOf(VALID_FORECAST_METHODS, {
+    default: 'holt',
+    description: "Holt's linear exponential smoothing or a least squares trend line"
+  }),
+  horizon: validation.integer({
+    min: 1,
+    max: MAX_FORECAST_HORIZON,
+    default: 3,
+    description: 'Number of windows to project'
+  }),
+  confidence: validation.oneOf(VALID_CONFIDENCE_LEVELS, {
+    default: 95,
+    description: 'Confidence level of the intervals, in percent'
+  }),
+  ...SERIES_PARAMS
+};
+
+const ATTAINMENT_QUERY = {
+  groupBy: validation.oneOf(VALID_RANK_GROUP_BY, { default: 'user', description: 'Whose quotas to measure' }),
+  metric: validation.oneOf(VALID_QUOTA_METRICS, { description: 'Only quotas on this metric' }),
+  period: validation.oneOf(VALID_QUOTA_PERIODS, { description: 'Only quotas for this period length' }),
+  ...FILTER_PARAMS,
+  startDate: validation.date({ description: 'Only periods ending on or after this date' }),
+  endDate: validation.date({
+    check: validation.notBefore('startDate'),
+    description: 'Only periods starting on or before this date'
+  }),
+  asOf: validation.date({
+    default: () => toDateString(new Date()),
+    description: 'Date to measure on (default: today)'
+  })
+};
+
+// Arguments of the timeseries fields of GraphQL users and groups (see graphqlSchema.js)
+const GRAPHQL_TIMESERIES_ARGS = {
+  granularity: SERIES_PARAMS.granularity,
+  startDate: FILTER_PARAMS.startDate,
+  endDate: FILTER_PARAMS.endDate
+};
+
+const USERS_QUERY = {
+  role: validation.text({ description: 'Only users with this role' }),
+  includeInactive: validation.boolean({ description: 'Include deactivated users' })
+};
+
+const GROUPS_QUERY = {
+  includeInactive: validation.boolean({ description: 'Include deactivated groups' })
+};
+
+const GROUP_MEMBERS_QUERY = {
+  date: validation.date({ description: 'Date the members are listed on (default: today)' }),
+  includeHistory: validation.boolean({ description: 'List every past and future membership instead' })
+};
+
+const REMOVE_MEMBER_QUERY = {
+  effectiveTo: validation.date({ description: 'First day the user is no longer a member (default: today)' })
+};
+
+const QUOTAS_QUERY = {
+  entityType: validation.oneOf(VALID_ENTITY_TYPES, { description: 'Only quotas of users or of groups' }),
+  entityId: validation.integer({ description: 'Only quotas of this user or group' }),
+  metric: validation.oneOf(VALID_QUOTA_METRICS, { description: 'Only quotas on this metric' }),
+  period: validation.oneOf(VALID_QUOTA_PERIODS, { description: 'Only quotas for this period length' })
+};
+
+module.exports = {
+  VALID_GRANULARITIES,
+  DEFAULT_METRICS,
+  VALID_FORMATS,
+  TIME_SERIES_QUERY,
+  STREAM_QUERY,
+  LEADERBOARD_QUERY,
+  ANOMALIES_QUERY,
+  FORECAST_QUERY,
+  ATTAINMENT_QUERY,
+  GRAPHQL_TIMESERIES_ARGS,
+  USERS_QUERY,
+  GROUPS_QUERY,
+  GROUP_MEMBERS_QUERY,
+  REMOVE_MEMBER_QUERY,
+  QUOTAS_QUERY
+};
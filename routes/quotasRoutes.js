@@ -0,0 +1,77 @@
+'use strict';
+
+const express = require('express');
+const quotasService = require('../services/quotasService');
+const { sendError, parseIdParam, jsonErrorHandler } = require('./helpers');
+const { requireAdmin } = require('./auth');
+const validation = require('./validation');
+const { QUOTAS_QUERY } = require('./querySchemas');
+
+const router = express.Router();
+
+router.use(express.json());
+
+/**
+ * GET /api/quotas
+ * Lists quotas, most recent period first
+ *
+ * Query Parameters:
+ * - entityType: user|group
+ * - entityId: user or group ID
+ * - metric: totalRevenue|saleCount
+ * - period: month|quarter
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { entityType, entityId, metric, period } = validation.validateQuery(req.query, QUOTAS_QUERY);
+    const quotas = await quotasService.listQuotas({ entityType, entityId, metric, period });
+    res.json({ count: quotas.length, data: quotas });
+  } catch (error) {
+    sendError(res, error, 'listing quotas');
+  }
+});
+
+/**
+ * POST /api/quotas
+ * Sets a revenue or sale count target for a user or group for a month or quarter.
+ * Returns 201 for a new quota, or 200 when the target of an existing one was replaced.
+ *
+ * Body: { entityType, entityId, metric, period, periodStart, target }
+ */
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { quota, created } = await quotasService.setQuota(req.body);
+    res.status(created ? 201 : 200).json(quota);
+  } catch (error) {
+    sendError(res, error, 'setting quota');
+  }
+});
+
+/**
+ * GET /api/quotas/:id
+ * Returns a single quota
+ */
+router.get('/:id(\\d+)', async (req, res) => {
+  try {
+    res.json(await quotasService.getQuota(parseIdParam(req, 'id', 'Quota')));
+  } catch (error) {
+    sendError(res, error, 'fetching quota');
+  }
+});
+
+/**
+ * DELETE /api/quotas/:id
+ * Deletes a quota
+ */
+router.delete('/:id(\\d+)', requireAdmin, async (req, res) => {
+  try {
+    await quotasService.deleteQuota(parseIdParam(req, 'id', 'Quota'));
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'deleting quota');
+  }
+});
+
+router.use(jsonErrorHandler);
+
+module.exports = router;
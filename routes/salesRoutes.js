@@ -1,82 +1,641 @@
 'use strict';
 
 const express = require('express');
+const { Readable, pipeline } = require('stream');
 const salesService = require('../services/salesService');
+const leaderboardService = require('../services/leaderboardService');
+const anomalyService = require('../services/anomalyService');
+const forecastService = require('../services/forecastService');
+const pagination = require('../services/pagination');
+const exportService = require('../services/exportService');
+const salesRecordsService = require('../services/salesRecordsService');
+const dimensions = require('../services/dimensions');
+const quotasService = require('../services/quotasService');
+const salesStreamService = require('../services/salesStreamService');
+const { ValidationError } = require('../services/errors');
+const { sendError, parseIdParam, sendWithETag, jsonErrorHandler } = require('./helpers');
+const validation = require('./validation');
+const {
+  DEFAULT_METRICS,
+  VALID_FORMATS,
+  TIME_SERIES_QUERY,
+  STREAM_QUERY,
+  LEADERBOARD_QUERY,
+  ANOMALIES_QUERY,
+  FORECAST_QUERY,
+  ATTAINMENT_QUERY
+} = require('./querySchemas');
+const { requireAdmin } = require('./auth');
+
+// Comment lines sent on idle streams, so proxies don't time them out
+const STREAM_HEARTBEAT_MS = Number(process.env.SALES_STREAM_HEARTBEAT_MS || 15000);
+
+// How long EventSource clients wait before reconnecting to a stream that ended
+const STREAM_RETRY_MS = 3000;
 
 const router = express.Router();
 
-// Valid options for query parameters
-const VALID_GRANULARITIES = ['day', 'week', 'month'];
-const VALID_GROUP_BY = ['user', 'group'];
+router.use(express.json());
+
+/**
+ * Streams formatted data objects to the client as a CSV or NDJSON download
+ * @param {Object} res - Express response
+ * @param {Array<stream.Stream>} streams - Object-mode streams producing formatted data objects
+ * @param {Object} options - Export options
+ * @param {string} options.format - csv or ndjson
+ * @param {string} options.filename - Download filename
+ * @param {Array<string>} options.fallbackColumns - CSV header used when there are no rows
+ */
+function sendExport(res, streams, { format, filename, fallbackColumns }) {
+  res.attachment(filename);
+  res.type(exportService.EXPORT_FORMATS[format]);
+
+  const serializer = exportService.createSerializer(format, fallbackColumns);
+  let aborted = false;
+  pipeline(...streams, serializer, error => {
+    if (!error || aborted) {
+      return;
+    }
+    // Once rows have been sent the status can't change, so cut the download short instead
+    if (res.headersSent) {
+      console.error('Error exporting sales timeseries:', error);
+      res.destroy(error);
+      return;
+    }
+    res.removeHeader('Content-Disposition');
+    res.type('json');
+    sendError(res, error, 'exporting sales timeseries');
+  });
+  serializer.pipe(res);
+
+  // A client hanging up only unpipes the response, so tear down the pipeline too; destroying its source
+  // releases the database connection the rows are read on
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      aborted = true;
+      serializer.destroy();
+    }
+  });
+}
 
 /**
  * GET /api/sales/timeseries
  * Returns time series sales data aggregated by time windows
  *
  * Query Parameters:
- * - granularity: day|week|month (default: month)
- * - groupBy: user|group (default: user)
+ * - granularity: day|week|month|quarter|year (default: month)
+ * - timezone: IANA time zone timeWindow values are expressed in (default: UTC)
+ * - weekStart: ISO day weeks start on, 1 (Monday) to 7 (Sunday) (default: 1)
+ * - fiscalYearStart: month quarters and years start from, 1 to 12 (default: 1)
+ * - groupBy: comma-separated dimensions - user, group, role, dayOfWeek - or none for company-wide totals (default: user)
+ * - attribution: full|split|primary - how sales of users in several groups count (only when grouping by group, default: full)
  * - startDate: YYYY-MM-DD format
  * - endDate: YYYY-MM-DD format
- * - userId: comma-separated user IDs (only with groupBy=user)
- * - groupId: comma-separated group IDs (only with groupBy=group)
+ * - userId: comma-separated user IDs whose sales are counted
+ * - groupId: comma-separated group IDs whose members' sales are counted
+ * - fillGaps: true|false - include zero-valued rows for windows without sales (default: false)
+ * - compare: previous|yoy - attach the previous window's (or same window last year's) metrics and deltas
+ * - rolling: number of windows for moving sums/averages (1-365)
+ * - cumulative: true|false - attach month-to-date and year-to-date running totals (default: false)
+ * - attainment: true|false - attach quota attainment per window (groupBy=user or group with monthly or quarterly
+ *   windows, default: false)
+ * - metrics: comma-separated metrics to return (default: saleCount,totalRevenue,avgRevenue,minSale,maxSale)
+ * - histogramBuckets: comma-separated ascending lower bounds of the histogram buckets
+ * - sort: comma-separated field:asc|desc pairs (default: timeWindow:desc,totalRevenue:desc)
+ * - limit: maximum number of rows per page (1-1000, default: all rows)
+ * - cursor: nextCursor from the previous page
+ * - format: json|csv|ndjson (default: from the Accept header, else json)
+ *
+ * JSON responses carry an ETag; a request whose If-None-Match matches it gets 304 Not Modified.
  */
 router.get('/timeseries', async (req, res) => {
   try {
     const {
-      granularity = 'month',
+      granularity,
+      timezone,
+      weekStart,
+      fiscalYearStart,
       startDate,
       endDate,
-      groupBy = 'user',
+      groupBy,
+      attribution,
       userId,
-      groupId
-    } = req.query;
+      groupId,
+      fillGaps,
+      compare,
+      rolling,
+      cumulative,
+      attainment,
+      metrics,
+      histogramBuckets,
+      sort,
+      limit,
+      cursor,
+      format
+    } = validation.validateQuery(req.query, TIME_SERIES_QUERY);
+    const dimensionNames = dimensions.parseGroupBy(groupBy);
+
+    // Without a format, negotiate it from the Accept header
+    const accepted = req.accepts(Object.values(exportService.EXPORT_FORMATS));
+    const responseFormat = format ||
+      VALID_FORMATS.find(name => exportService.EXPORT_FORMATS[name] === accepted) ||
+      'json';
+
+    const queryOptions = {
+      granularity,
+      weekStart,
+      fiscalYearStart,
+      startDate,
+      endDate,
+      groupBy,
+      attribution,
+      userId,
+      groupId,
+      scope: req.principal.scope,
+      fillGaps,
+      metrics,
+      histogramBuckets
+    };
+
+    const exportOptions = {
+      format: responseFormat,
+      filename: exportService.exportFilename(queryOptions, responseFormat),
+      fallbackColumns: exportService.timeSeriesColumns(groupBy, metrics || DEFAULT_METRICS)
+    };
+
+    // Exports stream straight from Postgres unless an option needs every row in memory
+    const needsAllRows = fillGaps || rolling || cumulative || compare || attainment || sort || limit || cursor;
+    if (responseFormat !== 'json' && !needsAllRows) {
+      return sendExport(res, [
+        salesService.streamTimeSeriesSales(queryOptions),
+        exportService.createRowFormatter(groupBy, metrics, timezone)
+      ], exportOptions);
+    }
 
-    // Validate granularity
-    if (!VALID_GRANULARITIES.includes(granularity)) {
-      return res.status(400).json({
-        error: `Invalid granularity. Must be one of: ${VALID_GRANULARITIES.join(', ')}`
+    // Fetch data from service
+    const rows = await salesService.getTimeSeriesSales(queryOptions);
+    let data = salesService.formatTimeSeriesData(rows, groupBy);
+
+    if (rolling || cumulative) {
+      const rollingOptions = { rolling, cumulative };
+      const historyRows = await salesService.getLookbackSales({ ...queryOptions, ...rollingOptions });
+      data = salesService.applyRollingMetrics(
+        data,
+        salesService.formatTimeSeriesData(historyRows, groupBy),
+        { granularity, groupBy, fiscalYearStart, ...rollingOptions }
+      );
+    }
+
+    if (compare) {
+      const comparisonRows = await salesService.getComparisonSales({ ...queryOptions, compare });
+      data = salesService.applyComparison(
+        data,
+        salesService.formatTimeSeriesData(comparisonRows, groupBy),
+        { granularity, groupBy, compare }
+      );
+    }
+
+    if (attainment) {
+      const attainments = await quotasService.getAttainment({
+        groupBy,
+        period: granularity,
+        startDate,
+        endDate,
+        userId,
+        groupId,
+        scope: req.principal.scope
       });
+      data = quotasService.applyAttainment(data, attainments, { groupBy });
+    }
+
+    let nextCursor = null;
+    if (sort || limit || cursor) {
+      ({ data, nextCursor } = pagination.paginate(data, { groupBy, sort, limit, cursor }));
+    }
+
+    if (metrics) {
+      data = salesService.selectMetrics(data, metrics);
     }
 
-    // Validate groupBy
-    if (!VALID_GROUP_BY.includes(groupBy)) {
-      return res.status(400).json({
-        error: `Invalid groupBy. Must be one of: ${VALID_GROUP_BY.join(', ')}`
+    data = salesService.localizeTimeWindows(data, timezone);
+
+    if (responseFormat !== 'json') {
+      if (nextCursor) {
+        res.set('X-Next-Cursor', nextCursor);
+      }
+      return sendExport(res, [Readable.from(data)], exportOptions);
+    }
+
+    // Format and send response
+    const response = {
+      granularity,
+      calendar: {
+        timezone,
+        weekStart,
+        fiscalYearStart
+      },
+      groupBy,
+      ...(dimensionNames.includes('group') ? { attribution } : {}),
+      filters: {
+        startDate: startDate || null,
+        endDate: endDate || null,
+        userId: userId || null,
+        groupId: groupId || null
+      },
+      data,
+      nextCursor
+    };
+
+    sendWithETag(req, res, response);
+  } catch (error) {
+    sendError(res, error, 'fetching sales timeseries');
+  }
+});
+
+/**
+ * GET /api/sales/stream
+ * Streams a timeseries as Server-Sent Events: a snapshot of the whole timeseries, then the rows of every window
+ * whose results changed. A client reconnecting with Last-Event-ID gets the windows changed since that event,
+ * or a new snapshot when the changes are no longer kept.
+ *
+ * Query Parameters:
+ * - granularity, timezone, weekStart, fiscalYearStart, groupBy, attribution, startDate, endDate, userId, groupId,
+ *   metrics, histogramBuckets: as for /timeseries
+ *
+ * Events:
+ * - snapshot: the /timeseries response, without pagination
+ * - window: { windowStart, windowEnd, data } - every row of a window, replacing the rows sent for it before
+ */
+router.get('/stream', async (req, res) => {
+  let stream = null;
+  let heartbeat = null;
+
+  const write = frame => {
+    if (!res.headersSent) {
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Nginx would otherwise buffer the events
+        'X-Accel-Buffering': 'no'
       });
+      res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
     }
+    res.write(frame);
+  };
 
-    // Fetch data from service
-    const rows = await salesService.getTimeSeriesSales({
+  const finish = () => {
+    clearInterval(heartbeat);
+    if (stream) {
+      stream.close();
+    }
+  };
+
+  try {
+    const options = validation.validateQuery(req.query, STREAM_QUERY);
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId !== undefined && !/^\d+$/.test(lastEventId)) {
+      throw new ValidationError('Invalid Last-Event-ID. Must be the id of an event from this stream', [
+        { field: 'Last-Event-ID', message: 'Must be the id of an event from this stream' }
+      ]);
+    }
+
+    stream = await salesStreamService.openStream({ ...options, scope: req.principal.scope }, {
+      lastEventId,
+      onEvent: ({ id, event, data }) => write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+      onEnd: () => {
+        finish();
+        res.end();
+      }
+    });
+  } catch (error) {
+    return sendError(res, error, 'streaming sales timeseries');
+  }
+
+  // The client went away while the stream was opening
+  if (req.socket.destroyed || res.writableEnded) {
+    return finish();
+  }
+  write(': connected\n\n');
+  heartbeat = setInterval(() => write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+  res.on('close', finish);
+});
+
+/**
+ * GET /api/sales/leaderboard
+ * Ranks users or groups by a metric over a date range and within each time window
+ *
+ * Query Parameters:
+ * - metric: totalRevenue|avgRevenue|saleCount (default: totalRevenue)
+ * - groupBy: user|group (default: user)
+ * - granularity: day|week|month|quarter|year - size of the windows ranked individually (default: month)
+ * - weekStart: ISO day weeks start on, 1 (Monday) to 7 (Sunday) (default: 1)
+ * - fiscalYearStart: month quarters and years start from, 1 to 12 (default: 1)
+ * - startDate: YYYY-MM-DD format
+ * - endDate: YYYY-MM-DD format
+ * - userId: comma-separated user IDs whose sales are counted
+ * - groupId: comma-separated group IDs whose members' sales are counted
+ * - limit: number of top entries overall and per window (1-100, default: 10)
+ */
+router.get('/leaderboard', async (req, res) => {
+  try {
+    const {
+      metric,
+      groupBy,
+      granularity,
+      weekStart,
+      fiscalYearStart,
+      startDate,
+      endDate,
+      userId,
+      groupId,
+      limit
+    } = validation.validateQuery(req.query, LEADERBOARD_QUERY);
+
+    const { leaderboard, windows } = await leaderboardService.getLeaderboard({
+      metric,
+      groupBy,
       granularity,
+      weekStart,
+      fiscalYearStart,
       startDate,
       endDate,
+      userId,
+      groupId,
+      scope: req.principal.scope,
+      limit
+    });
+
+    res.json({
+      metric,
+      groupBy,
+      granularity,
+      calendar: {
+        weekStart,
+        fiscalYearStart
+      },
+      limit,
+      filters: {
+        startDate: startDate || null,
+        endDate: endDate || null,
+        userId: userId || null,
+        groupId: groupId || null
+      },
+      leaderboard,
+      windows
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching sales leaderboard');
+  }
+});
+
+/**
+ * GET /api/sales/anomalies
+ * Flags windows whose sales deviate from the same user's, group's, ... preceding windows
+ *
+ * Query Parameters:
+ * - metric: totalRevenue|saleCount (default: totalRevenue)
+ * - method: zscore|mad - score against the mean and standard deviation, or the median and
+ *   median absolute deviation (default: zscore)
+ * - threshold: smallest absolute score that is flagged (default: 3 for zscore, 3.5 for mad)
+ * - lookback: number of preceding windows in the baseline (3-365, default: 8)
+ * - granularity, groupBy, attribution, startDate, endDate, userId, groupId: as for /timeseries
+ */
+router.get('/anomalies', async (req, res) => {
+  try {
+    const {
+      metric,
+      method,
+      threshold,
+      lookback,
+      granularity,
       groupBy,
+      attribution,
+      startDate,
+      endDate,
       userId,
       groupId
+    } = validation.validateQuery(req.query, ANOMALIES_QUERY);
+    const dimensionNames = dimensions.parseGroupBy(groupBy);
+
+    const anomalies = await anomalyService.getAnomalies({
+      metric,
+      method,
+      threshold,
+      lookback,
+      granularity,
+      groupBy,
+      attribution,
+      startDate,
+      endDate,
+      userId,
+      groupId,
+      scope: req.principal.scope
     });
 
-    // Format and send response
-    const response = {
+    res.json({
+      metric,
+      method,
+      threshold,
+      lookback,
       granularity,
       groupBy,
+      ...(dimensionNames.includes('group') ? { attribution } : {}),
       filters: {
         startDate: startDate || null,
         endDate: endDate || null,
         userId: userId || null,
         groupId: groupId || null
       },
-      data: salesService.formatTimeSeriesData(rows, groupBy)
-    };
+      count: anomalies.length,
+      data: anomalies
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching sales anomalies');
+  }
+});
 
-    res.json(response);
+/**
+ * GET /api/sales/forecast
+ * Projects totalRevenue and saleCount for the windows after the requested range
+ *
+ * Query Parameters:
+ * - method: holt|linear - Holt's linear exponential smoothing or a least squares trend (default: holt)
+ * - horizon: number of windows to project (1-52, default: 3)
+ * - confidence: 80|90|95 - confidence level of the intervals (default: 95)
+ * - granularity, groupBy, attribution, startDate, endDate, userId, groupId: as for /timeseries
+ */
+router.get('/forecast', async (req, res) => {
+  try {
+    const {
+      method,
+      horizon,
+      confidence,
+      granularity,
+      groupBy,
+      attribution,
+      startDate,
+      endDate,
+      userId,
+      groupId
+    } = validation.validateQuery(req.query, FORECAST_QUERY);
+    const dimensionNames = dimensions.parseGroupBy(groupBy);
+
+    const forecasts = await forecastService.getForecast({
+      method,
+      horizon,
+      confidence,
+      granularity,
+      groupBy,
+      attribution,
+      startDate,
+      endDate,
+      userId,
+      groupId,
+      scope: req.principal.scope
+    });
+
+    res.json({
+      method,
+      horizon,
+      confidence,
+      granularity,
+      groupBy,
+      ...(dimensionNames.includes('group') ? { attribution } : {}),
+      filters: {
+        startDate: startDate || null,
+        endDate: endDate || null,
+        userId: userId || null,
+        groupId: groupId || null
+      },
+      data: forecasts
+    });
   } catch (error) {
-    console.error('Error fetching sales timeseries:', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: error.message
+    sendError(res, error, 'fetching sales forecast');
+  }
+});
+
+/**
+ * GET /api/sales/attainment
+ * Measures users' or groups' quotas against their sales so far
+ *
+ * Query Parameters:
+ * - groupBy: user|group (default: user)
+ * - metric: totalRevenue|saleCount - only quotas on this metric
+ * - period: month|quarter - only quotas for this period length
+ * - startDate: YYYY-MM-DD - only periods ending on or after this date
+ * - endDate: YYYY-MM-DD - only periods starting on or before this date
+ * - userId: comma-separated user IDs (only with groupBy=user)
+ * - groupId: comma-separated group IDs (only with groupBy=group)
+ * - asOf: YYYY-MM-DD - date to measure on (default: today)
+ */
+router.get('/attainment', async (req, res) => {
+  try {
+    const {
+      groupBy,
+      metric,
+      period,
+      startDate,
+      endDate,
+      userId,
+      groupId,
+      asOf
+    } = validation.validateQuery(req.query, ATTAINMENT_QUERY);
+
+    const data = await quotasService.getAttainment({
+      groupBy,
+      metric,
+      period,
+      startDate,
+      endDate,
+      userId,
+      groupId,
+      scope: req.principal.scope,
+      asOf
+    });
+
+    res.json({
+      groupBy,
+      asOf,
+      filters: {
+        metric: metric || null,
+        period: period || null,
+        startDate: startDate || null,
+        endDate: endDate || null,
+        userId: userId || null,
+        groupId: groupId || null
+      },
+      count: data.length,
+      data
     });
+  } catch (error) {
+    sendError(res, error, 'fetching sales attainment');
+  }
+});
+
+/**
+ * POST /api/sales
+ * Records a sale, or a batch of sales when the body is an array. A batch is stored
+ * all-or-nothing: if any sale is invalid, none are recorded.
+ *
+ * Body: { userId, amount, date } or an array of them (up to 1000)
+ * - userId: ID of an existing user
+ * - amount: positive integer
+ * - date: YYYY-MM-DD format
+ */
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    if (Array.isArray(req.body)) {
+      const sales = await salesRecordsService.createSales(req.body);
+      return res.status(201).json({ count: sales.length, data: sales });
+    }
+
+    const [sale] = await salesRecordsService.createSales([req.body]);
+    res.status(201).json(sale);
+  } catch (error) {
+    sendError(res, error, 'creating sales');
+  }
+});
+
+/**
+ * GET /api/sales/:id
+ * Returns a single sale, if the caller may see it
+ */
+router.get('/:id(\\d+)', async (req, res) => {
+  try {
+    res.json(await salesRecordsService.getSale(parseIdParam(req, 'id', 'Sale'), req.principal.scope));
+  } catch (error) {
+    sendError(res, error, 'fetching sale');
+  }
+});
+
+/**
+ * PATCH /api/sales/:id
+ * Changes some fields of a sale
+ *
+ * Body: any of { userId, amount, date }
+ */
+router.patch('/:id(\\d+)', requireAdmin, async (req, res) => {
+  try {
+    res.json(await salesRecordsService.updateSale(parseIdParam(req, 'id', 'Sale'), req.body));
+  } catch (error) {
+    sendError(res, error, 'updating sale');
+  }
+});
+
+/**
+ * DELETE /api/sales/:id
+ * Deletes a sale
+ */
+router.delete('/:id(\\d+)', requireAdmin, async (req, res) => {
+  try {
+    await salesRecordsService.deleteSale(parseIdParam(req, 'id', 'Sale'));
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'deleting sale');
   }
 });
 
+router.use(jsonErrorHandler);
+
 module.exports = router;
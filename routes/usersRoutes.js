@@ -0,0 +1,98 @@
+'use strict';
+
+const express = require('express');
+const usersService = require('../services/usersService');
+const { sendError, parseIdParam, jsonErrorHandler } = require('./helpers');
+const { requireAdmin } = require('./auth');
+const validation = require('./validation');
+const { USERS_QUERY } = require('./querySchemas');
+
+const router = express.Router();
+
+router.use(express.json());
+
+/**
+ * GET /api/users
+ * Lists users
+ *
+ * Query Parameters:
+ * - role: only users with this role
+ * - includeInactive: true|false - include deactivated users (default: false)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const users = await usersService.listUsers(validation.validateQuery(req.query, USERS_QUERY));
+    res.json({ count: users.length, data: users });
+  } catch (error) {
+    sendError(res, error, 'listing users');
+  }
+});
+
+/**
+ * POST /api/users
+ * Creates a user
+ *
+ * Body: { name, role, active? }
+ */
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    res.status(201).json(await usersService.createUser(req.body));
+  } catch (error) {
+    sendError(res, error, 'creating user');
+  }
+});
+
+/**
+ * GET /api/users/:id
+ * Returns a single user
+ */
+router.get('/:id(\\d+)', async (req, res) => {
+  try {
+    res.json(await usersService.getUser(parseIdParam(req, 'id', 'User')));
+  } catch (error) {
+    sendError(res, error, 'fetching user');
+  }
+});
+
+/**
+ * PATCH /api/users/:id
+ * Changes some fields of a user
+ *
+ * Body: any of { name, role, active }
+ */
+router.patch('/:id(\\d+)', requireAdmin, async (req, res) => {
+  try {
+    res.json(await usersService.updateUser(parseIdParam(req, 'id', 'User'), req.body));
+  } catch (error) {
+    sendError(res, error, 'updating user');
+  }
+});
+
+/**
+ * DELETE /api/users/:id
+ * Deactivates a user; their sales and membership history are kept
+ */
+router.delete('/:id(\\d+)', requireAdmin, async (req, res) => {
+  try {
+    res.json(await usersService.deactivateUser(parseIdParam(req, 'id', 'User')));
+  } catch (error) {
+    sendError(res, error, 'deactivating user');
+  }
+});
+
+/**
+ * GET /api/users/:id/groups
+ * Lists every group membership of a user, most recent first
+ */
+router.get('/:id(\\d+)/groups', async (req, res) => {
+  try {
+    const memberships = await usersService.getUserMemberships(parseIdParam(req, 'id', 'User'));
+    res.json({ count: memberships.length, data: memberships });
+  } catch (error) {
+    sendError(res, error, 'fetching user memberships');
+  }
+});
+
+router.use(jsonErrorHandler);
+
+module.exports = router;
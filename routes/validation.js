@@ -0,0 +1,232 @@
+'use strict';
+
+const { ValidationError } = require('../services/errors');
+const { isValidDateString, isValidTimeZone } = require('../services/timeWindows');
+
+// Largest value of an INTEGER id column
+const MAX_ID = 2147483647;
+
+/**
+ * Defines a query parameter of a schema
+ * @param {Function} parse - Turns the raw string into its value given the parameters before it, or returns
+ *   undefined when it is invalid
+ * @param {string|Function} message - What a valid value looks like, or a function of the parameters before it giving it
+ * @param {Object} options - Parameter options
+ * @param {*} options.default - Value when the parameter is absent, or a function of the parameters before it giving it
+ * @param {Function} options.check - Checks the parsed value against the parameters before it; returns a message
+ *   when they don't fit together, null otherwise
+ * @param {Array<string>} options.requires - Parameters this one depends on; it is only checked once they are valid
+ * @param {string} options.description - What the parameter does, for the API document (see openapi.js)
+ * @param {Object} options.schema - JSON schema of valid values, for the API document (default: any string)
+ * @returns {Object} Parameter definition
+ */
+function param(parse, message, {
+  default: defaultValue,
+  check,
+  requires = [],
+  description,
+  schema = { type: 'string' }
+} = {}) {
+  return { parse, message, defaultValue, check, requires, description, schema };
+}
+
+/**
+ * Defines a parameter taking one of a list of values
+ * @param {Array<string|number>} values - Valid values; numbers are parsed
+ * @param {Object} options - Parameter options (see param)
+ * @returns {Object} Parameter definition
+ */
+function oneOf(values, options) {
+  const type = values.every(value => typeof value === 'number') ? 'integer' : 'string';
+  return param(raw => values.find(value => String(value) === raw), `Must be one of: ${values.join(', ')}`, {
+    schema: { type, enum: values },
+    ...options
+  });
+}
+
+/**
+ * Defines a comma-separated list parameter whose items come from a list of values
+ * @param {Array<string>} values - Valid items
+ * @param {Object} options - Parameter options (see param)
+ * @returns {Object} Parameter definition, parsing to an array
+ */
+function listOf(values, options) {
+  return param(raw => {
+    const items = raw.split(',').map(item => item.trim());
+    return items.every(item => values.includes(item)) ? items : undefined;
+  }, `Must be any of: ${values.join(', ')}`, {
+    schema: { type: 'array', items: { type: 'string', enum: values } },
+    ...options
+  });
+}
+
+/**
+ * Defines an integer parameter
+ * @param {Object} options - Parameter options (see param)
+ * @param {number} options.min - Smallest valid value (default: 1)
+ * @param {number} options.max - Largest valid value (default: the largest ID)
+ * @param {string} options.message - Description of valid values (default: the range)
+ * @returns {Object} Parameter definition, parsing to a number
+ */
+function integer({ min = 1, max = MAX_ID, message, ...options } = {}) {
+  const range = min === 1 && max === MAX_ID
+    ? 'Must be a positive integer'
+    : `Must be an integer between ${min} and ${max}`;
+  return param(raw => {
+    const value = Number(raw);
+    return /^-?\d+$/.test(raw) && value >= min && value <= max ? value : undefined;
+  }, message || range, { schema: { type: 'integer', minimum: min, maximum: max }, ...options });
+}
+
+/**
+ * Defines a parameter taking a number greater than zero
+ * @param {Object} options - Parameter options (see param)
+ * @returns {Object} Parameter definition, parsing to a number
+ */
+function positiveNumber(options) {
+  return param(raw => {
+    const value = Number(raw);
+    return raw.trim() !== '' && Number.isFinite(value) && value > 0 ? value : undefined;
+  }, 'Must be a positive number', { schema: { type: 'number', exclusiveMinimum: 0 }, ...options });
+}
+
+/**
+ * Defines a true|false parameter
+ * @param {Object} options - Parameter options (see param); default: false
+ * @returns {Object} Parameter definition, parsing to a boolean
+ */
+function boolean(options) {
+  return param(raw => (raw === 'true' || raw === 'false' ? raw === 'true' : undefined), 'Must be true or false', {
+    default: false,
+    schema: { type: 'boolean' },
+    ...options
+  });
+}
+
+/**
+ * Defines a calendar date parameter in YYYY-MM-DD format
+ * @param {Object} options - Parameter options (see param)
+ * @returns {Object} Parameter definition
+ */
+function date(options) {
+  return param(raw => (isValidDateString(raw) ? raw : undefined), 'Must be a valid date in YYYY-MM-DD format', {
+    schema: { type: 'string', format: 'date' },
+    ...options
+  });
+}
+
+/**
+ * Gives a date parameter check ensuring it isn't before another date parameter
+ * @param {string} name - Parameter holding the earliest valid date
+ * @returns {Function} Check (see param)
+ */
+function notBefore(name) {
+  return (value, values) => (values[name] !== undefined && value < values[name] ? `Must not be before ${name}` : null);
+}
+
+/**
+ * Defines a parameter listing comma-separated IDs. The value stays a string, as the services take it.
+ * @param {Object} options - Parameter options (see param)
+ * @returns {Object} Parameter definition
+ */
+function idList(options) {
+  return param(raw => {
+    const ids = raw.split(',').map(id => id.trim());
+    return ids.every(id => /^\d+$/.test(id) && Number(id) >= 1 && Number(id) <= MAX_ID) ? raw : undefined;
+  }, 'Must be comma-separated positive integers', {
+    schema: { type: 'array', items: { type: 'integer', minimum: 1, maximum: MAX_ID } },
+    ...options
+  });
+}
+
+/**
+ * Defines a parameter taking an IANA time zone name
+ * @param {Object} options - Parameter options (see param)
+ * @returns {Object} Parameter definition
+ */
+function timeZone(options) {
+  const message = 'Must be an IANA time zone name such as America/New_York';
+  return param(raw => (isValidTimeZone(raw) ? raw : undefined), message, {
+    schema: { type: 'string', examples: ['America/New_York'] },
+    ...options
+  });
+}
+
+/**
+ * Defines a parameter taking any non-empty text
+ * @param {Object} options - Parameter options (see param)
+ * @returns {Object} Parameter definition
+ */
+function text(options) {
+  return param(raw => (raw === '' ? undefined : raw), 'Must not be empty', {
+    schema: { type: 'string', minLength: 1 },
+    ...options
+  });
+}
+
+/**
+ * Checks query parameters against a schema and parses them. Every invalid parameter is reported,
+ * not just the first; parameters not in the schema are ignored.
+ * @param {Object} query - Express req.query
+ * @param {Object} schema - Parameter definitions by name, in the order they are checked
+ * @returns {Object} Parsed values by name, with defaults for absent parameters
+ */
+function validateQuery(query, schema) {
+  const values = {};
+  const invalid = new Set();
+  const details = [];
+
+  for (const [name, definition] of Object.entries(schema)) {
+    if (definition.requires.some(dependency => invalid.has(dependency))) {
+      invalid.add(name);
+      continue;
+    }
+
+    const raw = query[name];
+    if (raw === undefined) {
+      const { defaultValue } = definition;
+      values[name] = typeof defaultValue === 'function' ? defaultValue(values) : defaultValue;
+      continue;
+    }
+
+    // Repeated parameters (?a=1&a=2) arrive as arrays and nested ones (?a[b]=1) as objects
+    const value = typeof raw === 'string' ? definition.parse(raw, values) : undefined;
+    let message = null;
+    if (value === undefined) {
+      message = typeof definition.message === 'function' ? definition.message(values) : definition.message;
+    } else if (definition.check) {
+      message = definition.check(value, values);
+    }
+
+    if (message) {
+      invalid.add(name);
+      details.push({ field: name, message });
+    } else {
+      values[name] = value;
+    }
+  }
+
+  if (details.length === 1) {
+    throw new ValidationError(`Invalid ${details[0].field}. ${details[0].message}`, details);
+  }
+  if (details.length > 1) {
+    throw new ValidationError(`Invalid query parameters: ${details.map(({ field }) => field).join(', ')}`, details);
+  }
+  return values;
+}
+
+module.exports = {
+  MAX_ID,
+  param,
+  oneOf,
+  listOf,
+  integer,
+  positiveNumber,
+  boolean,
+  date,
+  notBefore,
+  idList,
+  timeZone,
+  text,
+  validateQuery
+};
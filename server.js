@@ -1,30 +1,112 @@
 'use strict';
 
 const express = require('express');
-const seeder = require('./seed');
+const migrations = require('./migrate');
+const db = require('./services/db');
+const queryCache = require('./services/queryCache');
+const salesChangeFeed = require('./services/salesChangeFeed');
+const healthRoutes = require('./routes/healthRoutes');
+const docsRoutes = require('./routes/docsRoutes');
+const { authenticate } = require('./routes/auth');
+const { routeNotFoundHandler } = require('./routes/helpers');
 const salesRoutes = require('./routes/salesRoutes');
+const usersRoutes = require('./routes/usersRoutes');
+const groupsRoutes = require('./routes/groupsRoutes');
+const quotasRoutes = require('./routes/quotasRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const graphqlRoutes = require('./routes/graphqlRoutes');
 
 // Constants
 const PORT = 3000;
 const HOST = '0.0.0.0';
 
+// Longest time in-flight requests get to finish on shutdown before the process exits anyway
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS || 10000);
+
+/**
+ * Stops taking new connections, ends live sales streams, lets in-flight requests finish and closes the database pool
+ * @param {Object} app - Express app
+ * @param {http.Server} server - Server the app listens on
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+function shutdown(app, server, signal) {
+  if (app.locals.shuttingDown) {
+    return;
+  }
+  app.locals.shuttingDown = true;
+  console.log(`Received ${signal}, shutting down`);
+
+  const forceExit = setTimeout(() => {
+    console.error('In-flight requests did not finish in time, exiting');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  forceExit.unref();
+
+  // Live sales streams never finish by themselves
+  salesChangeFeed.close();
+  server.close(async () => {
+    try {
+      await db.close();
+      process.exit(0);
+    } catch (error) {
+      console.error('Error closing the database pool:', error);
+      process.exit(1);
+    }
+  });
+  // Keep-alive connections without a request in flight would otherwise hold the server open
+  if (typeof server.closeIdleConnections === 'function') {
+    server.closeIdleConnections();
+  }
+}
+
 async function start() {
-  // Seed the database
-  await seeder.seedDatabase();
+  // Bring the schema up to date, unless migrations are run separately
+  if (process.env.MIGRATE_ON_START !== 'off') {
+    await migrations.migrate();
+  }
+
+  // Drop cached results when sales change outside this server too, not only while a live stream is open
+  if (queryCache.isEnabled()) {
+    salesChangeFeed.keepCacheCurrent();
+  }
 
   // App
   const app = express();
 
-  // Health check
-  app.get('/health', (req, res) => {
-    res.send('Hello World');
-  });
+  // Liveness and readiness probes
+  app.use('/health', healthRoutes);
+
+  // OpenAPI document and explorer, readable without credentials
+  app.use('/api', docsRoutes);
+
+  // Every other API route needs a bearer token or an API key; health probes don't
+  app.use('/api', authenticate);
 
   // Sales API routes
   app.use('/api/sales', salesRoutes);
 
-  app.listen(PORT, HOST);
+  // Users and groups API routes
+  app.use('/api/users', usersRoutes);
+  app.use('/api/groups', groupsRoutes);
+
+  // Quotas API routes
+  app.use('/api/quotas', quotasRoutes);
+
+  // Maintenance API routes
+  app.use('/api/admin', adminRoutes);
+
+  // Unknown API paths get a JSON 404 like every other error
+  app.use('/api', routeNotFoundHandler);
+
+  // GraphQL over users, groups and their sales, with the same credentials as the API
+  app.use('/graphql', authenticate, graphqlRoutes);
+
+  const server = app.listen(PORT, HOST);
   console.log(`Server is running on http://${HOST}:${PORT}`);
+
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => shutdown(app, server, signal));
+  }
 }
 
 start();
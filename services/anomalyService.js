@@ -0,0 +1,192 @@
+'use strict';
+
+const salesService = require('./salesService');
+const dimensions = require('./dimensions');
+const { truncateToWindow, addWindows, toDateString } = require('./timeWindows');
+const { ValidationError } = require('./errors');
+const {
+  VALID_ANOMALY_METRICS,
+  DEFAULT_ANOMALY_THRESHOLDS,
+  VALID_ANOMALY_METHODS,
+  MIN_ANOMALY_LOOKBACK,
+  MAX_ANOMALY_LOOKBACK
+} = require('./options');
+
+const DEFAULT_LOOKBACK = 8;
+
+// Scales the median absolute deviation to a standard deviation for normally distributed data
+const MAD_SCALE = 0.6745;
+
+/**
+ * Gives the median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Scores a value against a baseline of earlier values
+ * @param {number} value - Value to score
+ * @param {Array<number>} baseline - Earlier values
+ * @param {string} method - zscore (mean and standard deviation) or mad (median and median absolute deviation)
+ * @returns {Object|null} { expected, score }, or null when the baseline doesn't vary and can't be scored
+ */
+function scoreValue(value, baseline, method) {
+  if (method === 'mad') {
+    const expected = median(baseline);
+    const deviation = median(baseline.map(v => Math.abs(v - expected)));
+    return deviation === 0 ? null : { expected, score: (MAD_SCALE * (value - expected)) / deviation };
+  }
+
+  const expected = baseline.reduce((sum, v) => sum + v, 0) / baseline.length;
+  const variance = baseline.reduce((sum, v) => sum + (v - expected) ** 2, 0) / baseline.length;
+  return variance === 0 ? null : { expected, score: (value - expected) / Math.sqrt(variance) };
+}
+
+/**
+ * Flags windows whose metric deviates from the entity's preceding windows
+ * @param {Array} data - Output of formatTimeSeriesData, including empty windows
+ * @param {Object} options - Detection options
+ * @param {string} options.groupBy - Comma-separated dimensions, or none
+ * @param {string} options.metric - Metric to score (totalRevenue or saleCount)
+ * @param {string} options.method - zscore or mad
+ * @param {number} options.threshold - Smallest absolute score that is flagged
+ * @param {number} options.lookback - Number of preceding windows in the baseline
+ * @param {Date|string} options.from - Only flag windows starting on or after this date
+ * @returns {Array} Flagged windows, newest first and most anomalous first within a window
+ */
+function findAnomalies(data, { groupBy, metric, method, threshold, lookback, from }) {
+  const series = new Map();
+  for (const item of data) {
+    const key = dimensions.entityKey(item, groupBy);
+    if (!series.has(key)) {
+      series.set(key, []);
+    }
+    series.get(key).push(item);
+  }
+
+  const entityFields = dimensions.dimensionColumns(groupBy).map(({ field }) => field);
+  const anomalies = [];
+
+  for (const items of series.values()) {
+    items.sort((a, b) => new Date(a.timeWindow) - new Date(b.timeWindow));
+
+    // Windows without a full baseline before them are not scored
+    for (let i = lookback; i < items.length; i++) {
+      const item = items[i];
+      if (from && new Date(item.timeWindow) < new Date(from)) {
+        continue;
+      }
+
+      const actual = item.metrics[metric];
+      const baseline = items.slice(i - lookback, i).map(earlier => earlier.metrics[metric]);
+      const scored = scoreValue(actual, baseline, method);
+      if (!scored || Math.abs(scored.score) < threshold) {
+        continue;
+      }
+
+      const entity = {};
+      for (const field of entityFields) {
+        entity[field] = item[field];
+      }
+      anomalies.push({
+        timeWindow: item.timeWindow,
+        ...entity,
+        expected: Math.round(scored.expected * 100) / 100,
+        actual,
+        score: Math.round(scored.score * 100) / 100,
+        direction: scored.score > 0 ? 'spike' : 'drop'
+      });
+    }
+  }
+
+  return anomalies.sort((a, b) =>
+    new Date(b.timeWindow) - new Date(a.timeWindow) || Math.abs(b.score) - Math.abs(a.score)
+  );
+}
+
+/**
+ * Finds windows whose sales deviate from a rolling baseline of the same entity's earlier windows.
+ * Windows without sales count as zero, so a sudden stop shows up as a drop.
+ * @param {Object} options - Detection options
+ * @param {string} options.metric - Metric to score (totalRevenue or saleCount, default: totalRevenue)
+ * @param {string} options.method - zscore or mad (default: zscore)
+ * @param {number} options.threshold - Smallest absolute score that is flagged (default: 3 for zscore, 3.5 for mad)
+ * @param {number} options.lookback - Number of preceding windows in the baseline (default: 8)
+ * @param {string} options.granularity - Time window granularity (day, week, month, quarter, year)
+ * @param {string} options.groupBy - Comma-separated dimensions (user, group, role, dayOfWeek), or none
+ * @param {string} options.attribution - How sales of users in several groups are counted (full, split, primary)
+ * @param {string} options.startDate - Only flag windows from this date (YYYY-MM-DD); earlier sales form the baseline
+ * @param {string} options.endDate - End date filter (YYYY-MM-DD)
+ * @param {string} options.userId - Comma-separated user IDs to filter
+ * @param {string} options.groupId - Comma-separated group IDs to filter
+ * @param {Object} options.scope - Sales the caller may see (see scope.js); undefined for every sale
+ * @returns {Promise<Array>} Flagged windows with expected value, actual value, score and direction
+ */
+async function getAnomalies(options) {
+  const {
+    metric = 'totalRevenue',
+    method = 'zscore',
+    lookback = DEFAULT_LOOKBACK,
+    granularity = 'month',
+    groupBy = 'user',
+    attribution,
+    startDate,
+    endDate,
+    userId,
+    groupId,
+    scope
+  } = options;
+  const threshold = options.threshold === undefined ? DEFAULT_ANOMALY_THRESHOLDS[method] : options.threshold;
+
+  if (!VALID_ANOMALY_METRICS.includes(metric)) {
+    throw new ValidationError(`Invalid metric: ${metric}. Must be one of: ${VALID_ANOMALY_METRICS.join(', ')}`);
+  }
+  if (!VALID_ANOMALY_METHODS.includes(method)) {
+    throw new ValidationError(`Invalid method: ${method}. Must be one of: ${VALID_ANOMALY_METHODS.join(', ')}`);
+  }
+  if (typeof threshold !== 'number' || !(threshold > 0)) {
+    throw new ValidationError(`Invalid threshold: ${threshold}. Must be a positive number`);
+  }
+  if (!Number.isInteger(lookback) || lookback < MIN_ANOMALY_LOOKBACK || lookback > MAX_ANOMALY_LOOKBACK) {
+    throw new ValidationError(
+      `Invalid lookback: ${lookback}. Must be an integer between ${MIN_ANOMALY_LOOKBACK} and ${MAX_ANOMALY_LOOKBACK}`
+    );
+  }
+
+  // Start the query early enough that the first requested window has a full baseline
+  const queryStart = startDate
+    ? toDateString(addWindows(truncateToWindow(startDate, granularity), granularity, -lookback))
+    : undefined;
+
+  const rows = await salesService.getTimeSeriesSales({
+    granularity,
+    startDate: queryStart,
+    endDate,
+    groupBy,
+    attribution,
+    userId,
+    groupId,
+    scope,
+    fillGaps: true
+  });
+
+  return findAnomalies(salesService.formatTimeSeriesData(rows, groupBy), {
+    groupBy,
+    metric,
+    method,
+    threshold,
+    lookback,
+    from: startDate && truncateToWindow(startDate, granularity)
+  });
+}
+
+module.exports = {
+  scoreValue,
+  findAnomalies,
+  getAnomalies
+};
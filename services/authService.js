@@ -0,0 +1,190 @@
+'use strict';
+
+const crypto = require('crypto');
+const { getClient } = require('./db');
+const { AuthenticationError } = require('./errors');
+
+// users.role values with wider access than their own sales
+const ADMIN_ROLE = 'Admin';
+const MANAGER_ROLE = 'Manager';
+
+const DEFAULT_TOKEN_TTL_SECONDS = 3600;
+
+const base64url = value => Buffer.from(value).toString('base64url');
+
+/**
+ * Compares two strings in constant time, so response timing doesn't reveal how much of a secret matched
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} Whether they are equal
+ */
+function safeEqual(a, b) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Gives the secret bearer tokens are signed with
+ * @returns {string} AUTH_TOKEN_SECRET
+ */
+function tokenSecret() {
+  const secret = process.env.AUTH_TOKEN_SECRET;
+  if (!secret) {
+    throw new AuthenticationError('Bearer tokens are not accepted: AUTH_TOKEN_SECRET is not set');
+  }
+  return secret;
+}
+
+/**
+ * Signs a bearer token (a JWT signed with HS256) for a user
+ * @param {number} userId - ID of the user the token stands for
+ * @param {Object} options - Token options
+ * @param {number} options.expiresInSeconds - Lifetime of the token (default: 3600)
+ * @returns {string} Token
+ */
+function signToken(userId, { expiresInSeconds = DEFAULT_TOKEN_TTL_SECONDS } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ sub: String(userId), iat: now, exp: now + expiresInSeconds }));
+  const signature = crypto.createHmac('sha256', tokenSecret()).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Checks a bearer token's signature and lifetime
+ * @param {string} token - Token from the Authorization header
+ * @returns {number} ID of the user the token stands for
+ */
+function verifyToken(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AuthenticationError('Invalid token');
+  }
+  const [header, payload, signature] = parts;
+
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') {
+      throw new AuthenticationError('Invalid token. Must be signed with HS256');
+    }
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    throw error instanceof AuthenticationError ? error : new AuthenticationError('Invalid token');
+  }
+
+  const expected = crypto.createHmac('sha256', tokenSecret()).update(`${header}.${payload}`).digest('base64url');
+  if (!safeEqual(signature, expected)) {
+    throw new AuthenticationError('Invalid token signature');
+  }
+
+  const now = Date.now() / 1000;
+  if (typeof claims.exp !== 'number' || claims.exp <= now) {
+    throw new AuthenticationError('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf > now) {
+    throw new AuthenticationError('Token not valid yet');
+  }
+
+  const userId = Number(claims.sub);
+  if (!Number.isInteger(userId) || userId < 1) {
+    throw new AuthenticationError('Invalid token subject');
+  }
+  return userId;
+}
+
+/**
+ * Finds the service client an API key belongs to. Keys are configured as API_KEYS=name:key,name:key.
+ * @param {string} key - Key from the X-API-Key header
+ * @returns {string|null} Client name, or null when the key is unknown
+ */
+function findApiKey(key) {
+  const configured = (process.env.API_KEYS || '').split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return { name: entry.slice(0, separator), key: entry.slice(separator + 1) };
+    })
+    .filter(entry => entry.name && entry.key);
+
+  // Every configured key is compared, so timing doesn't tell which one came close
+  let match = null;
+  for (const entry of configured) {
+    if (safeEqual(key, entry.key)) {
+      match = entry.name;
+    }
+  }
+  return match;
+}
+
+/**
+ * Loads a user's role and current groups and derives what they may access. Admins see everything,
+ * managers their own sales and those of their groups' members, everyone else only their own sales.
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Principal: { type: 'user', userId, role, admin, scope }
+ */
+async function loadUserPrincipal(userId) {
+  const client = getClient();
+  const result = await client.query(`
+    SELECT
+      u.id,
+      u.role,
+      u.active,
+      ARRAY(
+        SELECT ug.group_id FROM user_groups ug
+        WHERE ug.user_id = u.id
+        AND (ug.effective_from IS NULL OR ug.effective_from <= CURRENT_DATE)
+        AND (ug.effective_to IS NULL OR ug.effective_to > CURRENT_DATE)
+        ORDER BY ug.group_id
+      ) as group_ids
+    FROM users u
+    WHERE u.id = $1
+  `, [userId]);
+
+  const user = result.rows[0];
+  if (!user || !user.active) {
+    throw new AuthenticationError('Token user does not exist or is deactivated');
+  }
+
+  const admin = user.role === ADMIN_ROLE;
+  return {
+    type: 'user',
+    userId: user.id,
+    role: user.role,
+    admin,
+    scope: admin ? undefined : { userId: user.id, groupIds: user.role === MANAGER_ROLE ? user.group_ids : [] }
+  };
+}
+
+/**
+ * Identifies the caller of a request from its credentials
+ * @param {Object} credentials - Request credentials
+ * @param {string} credentials.authorization - Authorization header (Bearer <token>)
+ * @param {string} credentials.apiKey - X-API-Key header
+ * @returns {Promise<Object>} Principal with admin (may write) and scope (sales it may see; undefined for all)
+ */
+async function authenticate({ authorization, apiKey }) {
+  if (apiKey) {
+    const name = findApiKey(apiKey);
+    if (!name) {
+      throw new AuthenticationError('Invalid API key');
+    }
+    // Service clients act for the whole company
+    return { type: 'apiKey', name, admin: true, scope: undefined };
+  }
+
+  const [scheme, token] = (authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    throw new AuthenticationError('Authentication required. Send a bearer token or an X-API-Key header');
+  }
+  return loadUserPrincipal(verifyToken(token));
+}
+
+module.exports = {
+  ADMIN_ROLE,
+  MANAGER_ROLE,
+  signToken,
+  verifyToken,
+  findApiKey,
+  authenticate
+};
@@ -1,24 +1,156 @@
 'use strict';
 
-const { Client } = require('pg');
+const { Pool } = require('pg');
 
-// Create a singleton database client
-let client = null;
+// Errors after which a query can safely run again: the statement never reached Postgres,
+// or Postgres rolled it back and asks for a retry
+const TRANSIENT_ERROR_CODES = [
+  'ECONNREFUSED', // the server is starting or restarting
+  '57P03', // cannot_connect_now
+  '53300', // too_many_connections
+  '40001', // serialization_failure
+  '40P01' // deadlock_detected
+];
 
-function getClient() {
-  if (!client) {
-    client = new Client({
+const MAX_ATTEMPTS = Number(process.env.DB_QUERY_ATTEMPTS || 3);
+const RETRY_DELAY_MS = 100;
+
+// Create a shared connection pool on first use
+let pool = null;
+
+function getPool() {
+  if (!pool) {
+    pool = new Pool({
       host: process.env.DB_HOST || 'db',
       port: process.env.DB_PORT || '5432',
       user: process.env.DB_USER || 'user',
       password: process.env.DB_PASSWORD || 'pass',
-      database: process.env.DB_NAME || 'actifai'
+      database: process.env.DB_NAME || 'actifai',
+      max: Number(process.env.DB_POOL_SIZE || 10),
+      connectionTimeoutMillis: Number(process.env.DB_CONNECTION_TIMEOUT_MS || 5000),
+      idleTimeoutMillis: 30000,
+      statement_timeout: Number(process.env.DB_STATEMENT_TIMEOUT_MS || 30000)
     });
-    client.connect();
+    // A connection dropped while idle is replaced by the pool; it must not crash the process
+    pool.on('error', error => {
+      console.error('Error on idle database connection:', error);
+    });
+  }
+  return pool;
+}
+
+/**
+ * Tells whether a failed query can be retried
+ * @param {Error} error - Error thrown by pg
+ * @returns {boolean} True when the statement did not take effect
+ */
+function isTransientError(error) {
+  return TRANSIENT_ERROR_CODES.includes(error.code) || /timeout exceeded when trying to connect/.test(error.message);
+}
+
+/**
+ * Runs a statement on a pooled connection, retrying transient failures with exponential backoff
+ * @param {string} text - SQL
+ * @param {Array} params - Statement parameters
+ * @returns {Promise<Object>} pg result
+ */
+async function query(text, params) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await getPool().query(text, params);
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS || !isTransientError(error)) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * 2 ** (attempt - 1)));
+    }
+  }
+}
+
+/**
+ * Runs a streaming query such as a pg-query-stream on a connection of its own. The connection
+ * goes back to the pool once the stream closes, whether it was read to the end or destroyed.
+ * @param {stream.Readable} submittable - Query stream
+ * @returns {stream.Readable} The same stream
+ */
+function stream(submittable) {
+  let streamError;
+  let closed = false;
+  let release = null;
+  submittable.once('error', error => {
+    streamError = error;
+  });
+  // Listening before a connection is checked out catches streams destroyed while waiting for one
+  submittable.once('close', () => {
+    closed = true;
+    if (release) {
+      release();
+    }
+  });
+
+  getPool().connect().then(client => {
+    if (closed) {
+      client.release();
+      return;
+    }
+    // A connection whose stream failed is discarded rather than reused
+    release = () => client.release(streamError);
+    client.query(submittable);
+  }, error => {
+    submittable.destroy(error);
+  });
+
+  return submittable;
+}
+
+/**
+ * Checks out a connection for statements that must run on the same one, such as a transaction.
+ * Hand it back with release() when done.
+ * @returns {Promise<Object>} pg client
+ */
+function connect() {
+  return getPool().connect();
+}
+
+/**
+ * Gives the data-access layer the services query through
+ * @returns {Object} { query, stream }
+ */
+function getClient() {
+  return { query, stream };
+}
+
+/**
+ * Checks that Postgres answers, without retrying
+ * @returns {Promise<Object>} { latencyMs, pool: { total, idle, waiting } }
+ */
+async function ping() {
+  const startedAt = Date.now();
+  const db = getPool();
+  await db.query('SELECT 1');
+
+  return {
+    latencyMs: Date.now() - startedAt,
+    pool: { total: db.totalCount, idle: db.idleCount, waiting: db.waitingCount }
+  };
+}
+
+/**
+ * Closes every pooled connection once the queries running on them finish
+ */
+async function close() {
+  if (pool) {
+    const closing = pool;
+    pool = null;
+    await closing.end();
   }
-  return client;
 }
 
 module.exports = {
-  getClient
+  getClient,
+  query,
+  stream,
+  connect,
+  ping,
+  close
 };
@@ -0,0 +1,128 @@
+'use strict';
+
+const { ValidationError } = require('./errors');
+
+// Dimensions a timeseries can be grouped by. Each column is selected as `sql as column` and returned
+// in the formatted data as `field`; the first column identifies the dimension's value.
+// tables lists the joins the columns need besides sales.
+const DIMENSIONS = {
+  user: {
+    tables: ['users'],
+    columns: [
+      { sql: 'u.id', column: 'user_id', field: 'userId' },
+      { sql: 'u.name', column: 'user_name', field: 'userName' },
+      { sql: 'u.role', column: 'user_role', field: 'userRole' }
+    ]
+  },
+  group: {
+    tables: ['users', 'groups'],
+    columns: [
+      { sql: 'g.id', column: 'group_id', field: 'groupId' },
+      { sql: 'g.name', column: 'group_name', field: 'groupName' }
+    ]
+  },
+  role: {
+    tables: ['users'],
+    columns: [
+      { sql: 'u.role', column: 'role', field: 'role' }
+    ]
+  },
+  // ISO day of the week: 1 is Monday, 7 is Sunday
+  dayOfWeek: {
+    tables: [],
+    columns: [
+      { sql: 'EXTRACT(ISODOW FROM s.date)::int', column: 'day_of_week', field: 'dayOfWeek' }
+    ]
+  }
+};
+
+const DIMENSION_NAMES = Object.keys(DIMENSIONS);
+
+/**
+ * Parses a groupBy parameter such as "group,role"
+ * @param {string} groupBy - none, or comma-separated dimension names
+ * @returns {Array<string>|null} Dimension names (empty for none), or null if the parameter is invalid
+ */
+function parseGroupBy(groupBy = 'user') {
+  if (groupBy === 'none') {
+    return [];
+  }
+
+  const names = groupBy.split(',').map(name => name.trim());
+  const valid = names.every((name, i) => DIMENSIONS[name] && names.indexOf(name) === i);
+  return valid ? names : null;
+}
+
+/**
+ * Parses a groupBy parameter, throwing when it is invalid
+ * @param {string} groupBy - none, or comma-separated dimension names
+ * @returns {Array<string>} Dimension names
+ */
+function dimensionsOf(groupBy) {
+  const names = parseGroupBy(groupBy);
+  if (!names) {
+    throw new ValidationError(
+      `Invalid groupBy: ${groupBy}. Must be none or a comma-separated list of: ${DIMENSION_NAMES.join(', ')}`
+    );
+  }
+  return names;
+}
+
+/**
+ * Lists the columns selected for a grouping, in response order
+ * @param {string} groupBy - none, or comma-separated dimension names
+ * @returns {Array<Object>} Columns ({ sql, column, field })
+ */
+function dimensionColumns(groupBy) {
+  return dimensionsOf(groupBy).flatMap(name => DIMENSIONS[name].columns);
+}
+
+/**
+ * Lists the fields identifying the entity of a formatted data object (userId, groupId, role, ...)
+ * @param {string} groupBy - none, or comma-separated dimension names
+ * @returns {Array<string>} One field per dimension
+ */
+function keyFields(groupBy) {
+  return dimensionsOf(groupBy).map(name => DIMENSIONS[name].columns[0].field);
+}
+
+/**
+ * Identifies the entity a formatted data object belongs to
+ * @param {Object} item - Formatted data object
+ * @param {string} groupBy - none, or comma-separated dimension names
+ * @returns {string} Entity key; the same for every item with groupBy=none
+ */
+function entityKey(item, groupBy) {
+  return JSON.stringify(keyFields(groupBy).map(field => item[field]));
+}
+
+/**
+ * Identifies the entity a database row belongs to
+ * @param {Object} row - Database row
+ * @param {string} groupBy - none, or comma-separated dimension names
+ * @returns {string} Entity key
+ */
+function rowEntityKey(row, groupBy) {
+  return JSON.stringify(dimensionsOf(groupBy).map(name => row[DIMENSIONS[name].columns[0].column]));
+}
+
+/**
+ * Checks whether a grouping needs a join
+ * @param {string} groupBy - none, or comma-separated dimension names
+ * @param {string} table - users or groups
+ * @returns {boolean} Whether any dimension needs the table
+ */
+function needsTable(groupBy, table) {
+  return dimensionsOf(groupBy).some(name => DIMENSIONS[name].tables.includes(table));
+}
+
+module.exports = {
+  DIMENSION_NAMES,
+  parseGroupBy,
+  dimensionsOf,
+  dimensionColumns,
+  keyFields,
+  entityKey,
+  rowEntityKey,
+  needsTable
+};
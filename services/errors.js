@@ -0,0 +1,72 @@
+'use strict';
+
+// Every error class carries the HTTP status and the machine-readable code routes answer it with
+
+/**
+ * Thrown when client input fails validation. Routes answer it with a 400.
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} message - Summary of what is wrong
+   * @param {Array<Object>} details - Field-level problems ({ field, message, index? })
+   */
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.status = 400;
+    this.code = 'invalid_request';
+    this.details = details;
+  }
+}
+
+/**
+ * Thrown when a requested record does not exist. Routes answer it with a 404.
+ */
+class NotFoundError extends Error {
+  /**
+   * @param {string} message - Which record was not found
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+    this.status = 404;
+    this.code = 'not_found';
+  }
+}
+
+/**
+ * Thrown when a request carries no valid credentials. Routes answer it with a 401.
+ */
+class AuthenticationError extends Error {
+  /**
+   * @param {string} message - Why the credentials were rejected
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.status = 401;
+    this.code = 'unauthenticated';
+  }
+}
+
+/**
+ * Thrown when the caller may not do what they asked. Routes answer it with a 403.
+ */
+class ForbiddenError extends Error {
+  /**
+   * @param {string} message - What the caller is missing
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ForbiddenError';
+    this.status = 403;
+    this.code = 'forbidden';
+  }
+}
+
+module.exports = {
+  ValidationError,
+  NotFoundError,
+  AuthenticationError,
+  ForbiddenError
+};
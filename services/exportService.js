@@ -0,0 +1,176 @@
+'use strict';
+
+const { Transform } = require('stream');
+const salesService = require('./salesService');
+const dimensions = require('./dimensions');
+
+// Content types of the supported export formats
+const EXPORT_FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
+// Excel only detects UTF-8 CSV files that start with a byte order mark
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Flattens a formatted data object into dot-separated columns (metrics.saleCount, ...)
+ * @param {Object} item - Formatted data object
+ * @param {string} prefix - Column prefix for nested objects
+ * @returns {Object} Flat object; dates become ISO strings and arrays JSON strings
+ */
+function flattenItem(item, prefix = '') {
+  const flat = {};
+
+  for (const [key, value] of Object.entries(item)) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (value instanceof Date) {
+      flat[column] = value.toISOString();
+    } else if (Array.isArray(value)) {
+      flat[column] = JSON.stringify(value);
+    } else if (value !== null && typeof value === 'object') {
+      Object.assign(flat, flattenItem(value, column));
+    } else {
+      flat[column] = value;
+    }
+  }
+
+  return flat;
+}
+
+/**
+ * Escapes one CSV cell. Text that a spreadsheet would run as a formula is prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Joins cells into a CSV line
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line ending in CRLF
+ */
+function csvLine(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+/**
+ * Creates a stream that serializes formatted data objects as CSV or NDJSON text.
+ * CSV columns are taken from the first object, or from fallbackColumns when there is none.
+ * @param {string} format - csv or ndjson
+ * @param {Array<string>} fallbackColumns - Header written for an empty CSV export
+ * @returns {stream.Transform} Object-mode writable, text readable stream
+ */
+function createSerializer(format, fallbackColumns = []) {
+  let columns = null;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(item, encoding, callback) {
+      if (format === 'ndjson') {
+        return callback(null, `${JSON.stringify(item)}\n`);
+      }
+
+      const flat = flattenItem(item);
+      let chunk = '';
+      if (!columns) {
+        columns = Object.keys(flat);
+        chunk += UTF8_BOM + csvLine(columns);
+      }
+      chunk += csvLine(columns.map(column => flat[column]));
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (format === 'csv' && !columns) {
+        this.push(UTF8_BOM + csvLine(fallbackColumns));
+      }
+      callback();
+    }
+  });
+}
+
+/**
+ * Creates a stream that turns raw database rows into formatted data objects
+ * @param {string} groupBy - Comma-separated dimensions, or none
+ * @param {Array<string>} metrics - Metrics to keep (all when omitted)
+ * @param {string} timezone - IANA time zone the timeWindow values are expressed in (default: UTC)
+ * @returns {stream.Transform} Object-mode transform stream
+ */
+function createRowFormatter(groupBy, metrics, timezone) {
+  return new Transform({
+    objectMode: true,
+    transform(row, encoding, callback) {
+      const formatted = salesService.formatTimeSeriesData([row], groupBy);
+      const localized = salesService.localizeTimeWindows(formatted, timezone);
+      callback(null, salesService.selectMetrics(localized, metrics)[0]);
+    }
+  });
+}
+
+/**
+ * Lists the CSV columns of a timeseries export without comparison or rolling blocks
+ * @param {string} groupBy - Comma-separated dimensions, or none
+ * @param {Array<string>} metrics - Metrics included in the export
+ * @returns {Array<string>} Column names
+ */
+function timeSeriesColumns(groupBy, metrics) {
+  const dimensionFields = dimensions.dimensionColumns(groupBy).map(({ field }) => field);
+  return [
+    'timeWindow',
+    'windowStart',
+    'windowEnd',
+    ...dimensionFields,
+    ...metrics.map(metric => `metrics.${metric}`)
+  ];
+}
+
+/**
+ * Builds a download filename describing the exported filters,
+ * e.g. sales-timeseries_month_user_2021-06-01_to_2021-08-31_users-1-2.csv
+ * @param {Object} options - Timeseries options (granularity, groupBy, attribution, startDate, endDate, userId, groupId)
+ * @param {string} format - csv or ndjson
+ * @returns {string} Filename safe for a Content-Disposition header
+ */
+function exportFilename({ granularity, groupBy, attribution, startDate, endDate, userId, groupId }, format) {
+  const parts = ['sales-timeseries', granularity, groupBy.split(',').map(name => name.trim()).join('-')];
+
+  if (dimensions.needsTable(groupBy, 'groups') && attribution && attribution !== 'full') {
+    parts.push(attribution);
+  }
+
+  if (startDate || endDate) {
+    parts.push(`${startDate || 'start'}_to_${endDate || 'end'}`);
+  }
+  if (userId) {
+    parts.push(`users-${userId.split(',').map(id => id.trim()).join('-')}`);
+  }
+  if (groupId) {
+    parts.push(`groups-${groupId.split(',').map(id => id.trim()).join('-')}`);
+  }
+
+  return `${parts.join('_').replace(/[^A-Za-z0-9_-]/g, '')}.${format}`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  flattenItem,
+  csvLine,
+  createSerializer,
+  createRowFormatter,
+  timeSeriesColumns,
+  exportFilename
+};
@@ -0,0 +1,285 @@
+'use strict';
+
+const salesService = require('./salesService');
+const dimensions = require('./dimensions');
+const { addWindows } = require('./timeWindows');
+const { ValidationError } = require('./errors');
+const { VALID_FORECAST_METHODS, VALID_CONFIDENCE_LEVELS, MAX_FORECAST_HORIZON } = require('./options');
+
+const FORECAST_METRICS = ['totalRevenue', 'saleCount'];
+
+// Two-sided normal quantiles for the supported confidence levels
+const Z_SCORES = {
+  80: 1.2816,
+  90: 1.6449,
+  95: 1.96
+};
+
+const DEFAULT_HORIZON = 3;
+
+// Windows of history a series needs before it can be fitted
+const MIN_HISTORY = 3;
+
+// Smoothing parameters tried when fitting Holt's method
+const SMOOTHING_GRID = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+
+/**
+ * Runs Holt's linear exponential smoothing over a series
+ * @param {Array<number>} values - Series in time order
+ * @param {number} alpha - Level smoothing (0-1)
+ * @param {number} beta - Trend smoothing (0-1)
+ * @returns {Object} { level, trend, errors } where errors are the one-step-ahead forecast errors
+ */
+function runHolt(values, alpha, beta) {
+  let level = values[0];
+  let trend = values[1] - values[0];
+  const errors = [];
+
+  for (let t = 1; t < values.length; t++) {
+    // The first step just reproduces the initial trend, so it isn't counted as an error
+    if (t > 1) {
+      errors.push(values[t] - (level + trend));
+    }
+    const previousLevel = level;
+    level = alpha * values[t] + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+  }
+
+  return { level, trend, errors };
+}
+
+/**
+ * Gives the root mean square of a list of errors
+ * @param {Array<number>} errors - Errors
+ * @returns {number} Root mean square, 0 for an empty list
+ */
+function rootMeanSquare(errors) {
+  return errors.length === 0 ? 0 : Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length);
+}
+
+/**
+ * Fits a model to a series and projects it forward
+ * @param {Array<number>} values - Series in time order (at least MIN_HISTORY values)
+ * @param {Object} options - Model options
+ * @param {string} options.method - holt (Holt's linear exponential smoothing) or linear (least squares trend)
+ * @param {number} options.horizon - Number of windows to project
+ * @param {number} options.confidence - Confidence level of the intervals (80, 90 or 95)
+ * @returns {Array<Object>} One { value, lower, upper } per projected window; never below zero
+ */
+function projectSeries(values, { method, horizon, confidence }) {
+  const z = Z_SCORES[confidence];
+  const points = [];
+
+  if (method === 'linear') {
+    const n = values.length;
+    const meanX = (n - 1) / 2;
+    const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+    let sxx = 0;
+    let sxy = 0;
+    values.forEach((v, x) => {
+      sxx += (x - meanX) ** 2;
+      sxy += (x - meanX) * (v - meanY);
+    });
+    const slope = sxy / sxx;
+    const intercept = meanY - slope * meanX;
+    const residuals = values.map((v, x) => v - (intercept + slope * x));
+    const sigma = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / Math.max(n - 2, 1));
+
+    for (let h = 1; h <= horizon; h++) {
+      const x = n - 1 + h;
+      const spread = z * sigma * Math.sqrt(1 + 1 / n + (x - meanX) ** 2 / sxx);
+      points.push({ value: intercept + slope * x, spread });
+    }
+  } else {
+    // Pick the smoothing parameters with the smallest one-step-ahead error
+    let best = null;
+    for (const alpha of SMOOTHING_GRID) {
+      for (const beta of SMOOTHING_GRID) {
+        const fit = runHolt(values, alpha, beta);
+        const rmse = rootMeanSquare(fit.errors);
+        if (!best || rmse < best.rmse) {
+          best = { alpha, beta, rmse, ...fit };
+        }
+      }
+    }
+
+    // Forecast variance grows with the horizon: sigma^2 * (1 + sum of (alpha * (1 + j * beta))^2)
+    let variance = 1;
+    for (let h = 1; h <= horizon; h++) {
+      if (h > 1) {
+        variance += (best.alpha * (1 + (h - 1) * best.beta)) ** 2;
+      }
+      points.push({ value: best.level + h * best.trend, spread: z * best.rmse * Math.sqrt(variance) });
+    }
+  }
+
+  const round = value => Math.round(Math.max(value, 0) * 100) / 100;
+  return points.map(({ value, spread }) => ({
+    value: round(value),
+    lower: round(value - spread),
+    upper: round(value + spread)
+  }));
+}
+
+/**
+ * Measures how well a method would have forecast the last windows of a series from the windows before them
+ * @param {Array<number>} values - Series in time order
+ * @param {Object} options - Model options (see projectSeries)
+ * @returns {Object|null} { windows, mae, rmse, mape }, or null when the series is too short to hold windows back.
+ *   mape is null when every held back window is zero
+ */
+function backtestSeries(values, options) {
+  const windows = Math.min(options.horizon, values.length - MIN_HISTORY);
+  if (windows < 1) {
+    return null;
+  }
+
+  const actuals = values.slice(-windows);
+  const predicted = projectSeries(values.slice(0, -windows), { ...options, horizon: windows });
+  const errors = actuals.map((actual, i) => actual - predicted[i].value);
+  const percentages = actuals
+    .map((actual, i) => (actual === 0 ? null : Math.abs(errors[i] / actual) * 100))
+    .filter(percentage => percentage !== null);
+  const round = value => Math.round(value * 100) / 100;
+
+  return {
+    windows,
+    mae: round(errors.reduce((sum, e) => sum + Math.abs(e), 0) / windows),
+    rmse: round(rootMeanSquare(errors)),
+    mape: percentages.length === 0 ? null : round(percentages.reduce((sum, p) => sum + p, 0) / percentages.length)
+  };
+}
+
+/**
+ * Projects totalRevenue and saleCount of each entity in formatted timeseries data
+ * @param {Array} data - Output of formatTimeSeriesData, including empty windows
+ * @param {Object} options - Forecast options
+ * @param {string} options.granularity - Time window granularity (day, week, month, quarter, year)
+ * @param {string} options.groupBy - Comma-separated dimensions, or none
+ * @param {string} options.method - holt or linear
+ * @param {number} options.horizon - Number of windows to project
+ * @param {number} options.confidence - Confidence level of the intervals (80, 90 or 95)
+ * @returns {Array<Object>} One entry per entity with forecast and backtest blocks
+ */
+function forecastData(data, { granularity, groupBy, method, horizon, confidence }) {
+  const series = new Map();
+  for (const item of data) {
+    const key = dimensions.entityKey(item, groupBy);
+    if (!series.has(key)) {
+      series.set(key, []);
+    }
+    series.get(key).push(item);
+  }
+
+  // A daily series per day of the week has one window a week
+  const step = granularity === 'day' && dimensions.dimensionsOf(groupBy).includes('dayOfWeek')
+    ? 'week'
+    : granularity;
+  const entityFields = dimensions.dimensionColumns(groupBy).map(({ field }) => field);
+  const results = [];
+
+  for (const items of series.values()) {
+    if (items.length < MIN_HISTORY) {
+      continue;
+    }
+    items.sort((a, b) => new Date(a.timeWindow) - new Date(b.timeWindow));
+
+    const projections = {};
+    const backtest = {};
+    for (const metric of FORECAST_METRICS) {
+      const values = items.map(item => item.metrics[metric]);
+      projections[metric] = projectSeries(values, { method, horizon, confidence });
+      backtest[metric] = backtestSeries(values, { method, horizon, confidence });
+    }
+
+    const entity = {};
+    for (const field of entityFields) {
+      entity[field] = items[0][field];
+    }
+    const lastWindow = new Date(items[items.length - 1].timeWindow);
+
+    results.push({
+      ...entity,
+      historyWindows: items.length,
+      forecast: projections.totalRevenue.map((totalRevenue, i) => ({
+        timeWindow: addWindows(lastWindow, step, i + 1).toISOString(),
+        totalRevenue,
+        saleCount: projections.saleCount[i]
+      })),
+      backtest
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Forecasts revenue and sale counts for the windows after the requested range
+ * @param {Object} options - Forecast options
+ * @param {string} options.method - holt or linear (default: holt)
+ * @param {number} options.horizon - Number of windows to project (default: 3)
+ * @param {number} options.confidence - Confidence level of the intervals: 80, 90 or 95 (default: 95)
+ * @param {string} options.granularity - Time window granularity (day, week, month, quarter, year)
+ * @param {string} options.groupBy - Comma-separated dimensions (user, group, role, dayOfWeek), or none
+ * @param {string} options.attribution - How sales of users in several groups are counted (full, split, primary)
+ * @param {string} options.startDate - First date of the history (YYYY-MM-DD)
+ * @param {string} options.endDate - Last date of the history (YYYY-MM-DD)
+ * @param {string} options.userId - Comma-separated user IDs to filter
+ * @param {string} options.groupId - Comma-separated group IDs to filter
+ * @param {Object} options.scope - Sales the caller may see (see scope.js); undefined for every sale
+ * @returns {Promise<Array<Object>>} One entry per entity with forecast and backtest blocks
+ */
+async function getForecast(options) {
+  const {
+    method = 'holt',
+    horizon = DEFAULT_HORIZON,
+    confidence = 95,
+    granularity = 'month',
+    groupBy = 'user',
+    attribution,
+    startDate,
+    endDate,
+    userId,
+    groupId,
+    scope
+  } = options;
+
+  if (!VALID_FORECAST_METHODS.includes(method)) {
+    throw new ValidationError(`Invalid method: ${method}. Must be one of: ${VALID_FORECAST_METHODS.join(', ')}`);
+  }
+  if (!Number.isInteger(horizon) || horizon < 1 || horizon > MAX_FORECAST_HORIZON) {
+    throw new ValidationError(`Invalid horizon: ${horizon}. Must be an integer between 1 and ${MAX_FORECAST_HORIZON}`);
+  }
+  if (!VALID_CONFIDENCE_LEVELS.includes(confidence)) {
+    throw new ValidationError(
+      `Invalid confidence: ${confidence}. Must be one of: ${VALID_CONFIDENCE_LEVELS.join(', ')}`
+    );
+  }
+
+  const rows = await salesService.getTimeSeriesSales({
+    granularity,
+    startDate,
+    endDate,
+    groupBy,
+    attribution,
+    userId,
+    groupId,
+    scope,
+    fillGaps: true
+  });
+
+  return forecastData(salesService.formatTimeSeriesData(rows, groupBy), {
+    granularity,
+    groupBy,
+    method,
+    horizon,
+    confidence
+  });
+}
+
+module.exports = {
+  projectSeries,
+  backtestSeries,
+  forecastData,
+  getForecast
+};
@@ -0,0 +1,373 @@
+'use strict';
+
+const { getClient } = require('./db');
+const queryCache = require('./queryCache');
+const { isValidDateString, toDateString } = require('./timeWindows');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const GROUP_FIELDS = ['name', 'active'];
+
+// groups.name is VARCHAR(50)
+const MAX_NAME_LENGTH = 50;
+
+const GROUP_COLUMNS = 'id, name, active';
+
+// A membership covers effective_from (inclusive, NULL = always) up to effective_to (exclusive, NULL = still a member)
+const MEMBERSHIP_COLUMNS = `
+      u.id as user_id,
+      u.name as user_name,
+      u.role as user_role,
+      to_char(ug.effective_from, 'YYYY-MM-DD') as effective_from,
+      to_char(ug.effective_to, 'YYYY-MM-DD') as effective_to,
+      ug.is_primary`;
+
+/**
+ * Formats a groups row into a structured response
+ * @param {Object} row - Database row
+ * @returns {Object} Group object
+ */
+function formatGroup(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    active: row.active
+  };
+}
+
+/**
+ * Formats a membership row into a structured response
+ * @param {Object} row - Database row selected with MEMBERSHIP_COLUMNS
+ * @returns {Object} Membership object
+ */
+function formatMembership(row) {
+  return {
+    userId: row.user_id,
+    userName: row.user_name,
+    userRole: row.user_role,
+    effectiveFrom: row.effective_from,
+    effectiveTo: row.effective_to,
+    primary: row.is_primary
+  };
+}
+
+/**
+ * Checks the fields of a group
+ * @param {Object} input - Group fields (name, active)
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Allow missing fields (for updates)
+ * @returns {Array<Object>} Field-level problems; empty when the input is valid
+ */
+function validateGroupInput(input, { partial = false } = {}) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ field: null, message: 'Group must be an object' }];
+  }
+
+  const details = [];
+
+  for (const field of Object.keys(input)) {
+    if (!GROUP_FIELDS.includes(field)) {
+      details.push({ field, message: `Unknown field. Must be one of: ${GROUP_FIELDS.join(', ')}` });
+    }
+  }
+
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== 'string' || input.name.trim().length === 0 || input.name.length > MAX_NAME_LENGTH) {
+      details.push({ field: 'name', message: `Must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` });
+    }
+  }
+
+  if (input.active !== undefined && typeof input.active !== 'boolean') {
+    details.push({ field: 'active', message: 'Must be true or false' });
+  }
+
+  if (partial && details.length === 0 && !GROUP_FIELDS.some(field => input[field] !== undefined)) {
+    details.push({ field: null, message: `At least one of ${GROUP_FIELDS.join(', ')} is required` });
+  }
+
+  return details;
+}
+
+/**
+ * Checks an optional membership date, defaulting it to today
+ * @param {string} value - Date in YYYY-MM-DD format
+ * @param {string} field - Field name for the error details
+ * @returns {string} The date, or today's date when omitted
+ */
+function membershipDate(value, field) {
+  if (value === undefined) {
+    return toDateString(new Date());
+  }
+  if (!isValidDateString(value)) {
+    throw new ValidationError('Invalid membership', [
+      { field, message: 'Must be a valid date in YYYY-MM-DD format' }
+    ]);
+  }
+  return value;
+}
+
+/**
+ * Lists groups
+ * @param {Object} options - List options
+ * @param {boolean} options.includeInactive - Include deactivated groups
+ * @returns {Promise<Array<Object>>} Group objects ordered by ID
+ */
+async function listGroups({ includeInactive = false } = {}) {
+  const client = getClient();
+  const result = await client.query(
+    `SELECT ${GROUP_COLUMNS} FROM groups ${includeInactive ? '' : 'WHERE active '}ORDER BY id`
+  );
+  return result.rows.map(formatGroup);
+}
+
+/**
+ * Fetches a single group
+ * @param {number} id - Group ID
+ * @returns {Promise<Object>} Group object
+ */
+async function getGroup(id) {
+  const client = getClient();
+  const result = await client.query(`SELECT ${GROUP_COLUMNS} FROM groups WHERE id = $1`, [id]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError(`Group ${id} not found`);
+  }
+  return formatGroup(result.rows[0]);
+}
+
+/**
+ * Creates a group
+ * @param {Object} input - Group fields ({ name })
+ * @returns {Promise<Object>} Created group object
+ */
+async function createGroup(input) {
+  const details = validateGroupInput(input);
+  if (details.length > 0) {
+    throw new ValidationError('Invalid group', details);
+  }
+
+  const client = getClient();
+  const result = await client.query(
+    `INSERT INTO groups (name, active) VALUES ($1, $2) RETURNING ${GROUP_COLUMNS}`,
+    [input.name.trim(), input.active !== false]
+  );
+  return formatGroup(result.rows[0]);
+}
+
+/**
+ * Changes some fields of a group. A new name drops every cached result, since timeseries include it.
+ * @param {number} id - Group ID
+ * @param {Object} changes - Fields to change (name, active)
+ * @returns {Promise<Object>} Updated group object
+ */
+async function updateGroup(id, changes) {
+  const details = validateGroupInput(changes, { partial: true });
+  if (details.length > 0) {
+    throw new ValidationError('Invalid group', details);
+  }
+
+  const params = [];
+  const assignments = [];
+  for (const field of GROUP_FIELDS) {
+    if (changes[field] !== undefined) {
+      params.push(typeof changes[field] === 'string' ? changes[field].trim() : changes[field]);
+      assignments.push(`${field} = $${params.length}`);
+    }
+  }
+  params.push(id);
+
+  const client = getClient();
+  const result = await client.query(
+    `UPDATE groups SET ${assignments.join(', ')} WHERE id = $${params.length} RETURNING ${GROUP_COLUMNS}`,
+    params
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError(`Group ${id} not found`);
+  }
+  if (changes.name !== undefined) {
+    await queryCache.clear();
+  }
+  return formatGroup(result.rows[0]);
+}
+
+/**
+ * Deactivates a group. Groups are kept so past sales stay attributed to them.
+ * @param {number} id - Group ID
+ * @returns {Promise<Object>} Deactivated group object
+ */
+async function deactivateGroup(id) {
+  return updateGroup(id, { active: false });
+}
+
+/**
+ * Lists the members of a group
+ * @param {number} groupId - Group ID
+ * @param {Object} options - List options
+ * @param {string} options.date - List members on this date (YYYY-MM-DD, default: today)
+ * @param {boolean} options.includeHistory - List every past and future membership instead
+ * @returns {Promise<Array<Object>>} Membership objects
+ */
+async function listMembers(groupId, { date, includeHistory = false } = {}) {
+  await getGroup(groupId);
+
+  const client = getClient();
+  const params = [groupId];
+  let query = `
+    SELECT ${MEMBERSHIP_COLUMNS}
+    FROM user_groups ug
+    JOIN users u ON ug.user_id = u.id
+    WHERE ug.group_id = $1
+  `;
+
+  if (!includeHistory) {
+    params.push(membershipDate(date, 'date'));
+    query += `
+      AND (ug.effective_from IS NULL OR ug.effective_from <= $2)
+      AND (ug.effective_to IS NULL OR ug.effective_to > $2)
+    `;
+  }
+  query += ' ORDER BY u.id, ug.effective_from NULLS FIRST';
+
+  const result = await client.query(query, params);
+  return result.rows.map(formatMembership);
+}
+
+/**
+ * Lists the members several groups have today, in one query
+ * @param {Array<number>} groupIds - Group IDs
+ * @returns {Promise<Array<Object>>} { groupId, user } pairs ordered by group and user ID
+ */
+async function listCurrentMembers(groupIds) {
+  const client = getClient();
+  const result = await client.query(`
+    SELECT ug.group_id, u.id, u.name, u.role, u.active
+    FROM user_groups ug
+    JOIN users u ON ug.user_id = u.id
+    WHERE ug.group_id = ANY($1::int[])
+      AND (ug.effective_from IS NULL OR ug.effective_from <= $2)
+      AND (ug.effective_to IS NULL OR ug.effective_to > $2)
+    ORDER BY ug.group_id, u.id
+  `, [groupIds, toDateString(new Date())]);
+
+  return result.rows.map(row => ({
+    groupId: row.group_id,
+    user: { id: row.id, name: row.name, role: row.role, active: row.active }
+  }));
+}
+
+/**
+ * Adds a user to a group from a given date
+ * @param {number} groupId - Group ID
+ * @param {Object} input - Membership fields
+ * @param {number} input.userId - User ID
+ * @param {string} input.effectiveFrom - First day of the membership (YYYY-MM-DD, default: today)
+ * @param {boolean} input.primary - Count the user's sales towards this group with attribution=primary
+ * @returns {Promise<Object>} Created membership object
+ */
+async function addMember(groupId, input) {
+  if (input === null || typeof input !== 'object' || !Number.isInteger(input.userId) || input.userId < 1) {
+    throw new ValidationError('Invalid membership', [{ field: 'userId', message: 'Must be a positive integer' }]);
+  }
+  if (input.primary !== undefined && typeof input.primary !== 'boolean') {
+    throw new ValidationError('Invalid membership', [{ field: 'primary', message: 'Must be true or false' }]);
+  }
+  const effectiveFrom = membershipDate(input.effectiveFrom, 'effectiveFrom');
+
+  const group = await getGroup(groupId);
+  if (!group.active) {
+    throw new ValidationError('Invalid membership', [{ field: null, message: `Group ${groupId} is inactive` }]);
+  }
+
+  const client = getClient();
+
+  const userResult = await client.query('SELECT active FROM users WHERE id = $1', [input.userId]);
+  if (userResult.rows.length === 0 || !userResult.rows[0].active) {
+    throw new ValidationError('Invalid membership', [
+      { field: 'userId', message: `User ${input.userId} does not exist or is inactive` }
+    ]);
+  }
+
+  // Memberships of the same user and group must not overlap
+  const overlapResult = await client.query(`
+    SELECT 1 FROM user_groups
+    WHERE user_id = $1 AND group_id = $2 AND (effective_to IS NULL OR effective_to > $3)
+  `, [input.userId, groupId, effectiveFrom]);
+  if (overlapResult.rows.length > 0) {
+    throw new ValidationError('Invalid membership', [
+      { field: 'userId', message: `User ${input.userId} is already a member of group ${groupId} on or after ${effectiveFrom}` }
+    ]);
+  }
+
+  const result = await client.query(`
+    WITH inserted AS (
+      INSERT INTO user_groups (user_id, group_id, effective_from, is_primary)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    )
+    SELECT ${MEMBERSHIP_COLUMNS}
+    FROM inserted ug
+    JOIN users u ON ug.user_id = u.id
+  `, [input.userId, groupId, effectiveFrom, input.primary === true]);
+
+  // Group totals of sales from the first day of the membership change
+  await queryCache.invalidate({ startDate: effectiveFrom });
+  return formatMembership(result.rows[0]);
+}
+
+/**
+ * Ends a user's current membership of a group. The membership is kept as history.
+ * @param {number} groupId - Group ID
+ * @param {number} userId - User ID
+ * @param {Object} options - Removal options
+ * @param {string} options.effectiveTo - First day the user is no longer a member (YYYY-MM-DD, default: today)
+ * @returns {Promise<Object>} Ended membership object
+ */
+async function removeMember(groupId, userId, { effectiveTo } = {}) {
+  const endDate = membershipDate(effectiveTo, 'effectiveTo');
+
+  const client = getClient();
+  const openResult = await client.query(`
+    SELECT id, to_char(effective_from, 'YYYY-MM-DD') as effective_from
+    FROM user_groups
+    WHERE user_id = $1 AND group_id = $2 AND effective_to IS NULL
+  `, [userId, groupId]);
+
+  if (openResult.rows.length === 0) {
+    throw new NotFoundError(`User ${userId} is not a member of group ${groupId}`);
+  }
+
+  const membership = openResult.rows[0];
+  if (membership.effective_from !== null && membership.effective_from >= endDate) {
+    throw new ValidationError('Invalid membership', [
+      { field: 'effectiveTo', message: `Must be after the start of the membership (${membership.effective_from})` }
+    ]);
+  }
+
+  const result = await client.query(`
+    WITH ended AS (
+      UPDATE user_groups SET effective_to = $2
+      WHERE id = $1
+      RETURNING *
+    )
+    SELECT ${MEMBERSHIP_COLUMNS}
+    FROM ended ug
+    JOIN users u ON ug.user_id = u.id
+  `, [membership.id, endDate]);
+
+  await queryCache.invalidate({ startDate: endDate });
+  return formatMembership(result.rows[0]);
+}
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  validateGroupInput,
+  listGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deactivateGroup,
+  listMembers,
+  listCurrentMembers,
+  addMember,
+  removeMember
+};
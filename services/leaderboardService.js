@@ -0,0 +1,231 @@
+'use strict';
+
+const salesService = require('./salesService');
+const { truncateToWindow, addWindows, addDays, toDateString, windowKey } = require('./timeWindows');
+const { ValidationError } = require('./errors');
+const { VALID_RANK_METRICS } = require('./options');
+
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Picks the entity fields (userId, userName, ... or groupId, groupName) from a formatted or ranked item
+ * @param {Object} item - Formatted data object
+ * @returns {Object} Entity fields
+ */
+function entityFields(item) {
+  const entity = { ...item };
+  for (const field of ['timeWindow', 'windowStart', 'windowEnd', 'metrics', 'rank', 'percentileRank']) {
+    delete entity[field];
+  }
+  return entity;
+}
+
+/**
+ * Ranks entries by a value, highest first. Ties share a rank (1, 2, 2, 4).
+ * @param {Array<Object>} entries - Entries to rank
+ * @param {Function} valueOf - Returns the value an entry is ranked by
+ * @returns {Array<Object>} Entries sorted by rank with rank and percentileRank added
+ */
+function rankEntries(entries, valueOf) {
+  const sorted = [...entries].sort((a, b) => valueOf(b) - valueOf(a));
+  const total = sorted.length;
+  const ranked = new Array(total);
+
+  // Walk the board one run of equal values at a time: a run's rank is one past the entries above it, and the
+  // entries after it are the ones it beats
+  for (let start = 0; start < total;) {
+    const value = valueOf(sorted[start]);
+    let end = start + 1;
+    while (end < total && valueOf(sorted[end]) === value) {
+      end++;
+    }
+
+    const lower = total - end;
+    for (let i = start; i < end; i++) {
+      ranked[i] = {
+        ...sorted[i],
+        rank: start + 1,
+        // Share of the other entities this one beats; a lone entity is at the top
+        percentileRank: total > 1 ? Math.round((lower / (total - 1)) * 10000) / 100 : 100
+      };
+    }
+    start = end;
+  }
+
+  return ranked;
+}
+
+/**
+ * Sums windowed metrics into one metrics block per entity for the whole range
+ * @param {Array} data - Output of formatTimeSeriesData
+ * @param {string} entityField - userId or groupId
+ * @returns {Array<Object>} One entry per entity with saleCount, totalRevenue and avgRevenue
+ */
+function totalsByEntity(data, entityField) {
+  const totals = new Map();
+
+  for (const item of data) {
+    const key = item[entityField];
+    if (!totals.has(key)) {
+      totals.set(key, { ...entityFields(item), metrics: { saleCount: 0, totalRevenue: 0, avgRevenue: 0 } });
+    }
+    const { metrics } = totals.get(key);
+    metrics.saleCount += item.metrics.saleCount;
+    metrics.totalRevenue += item.metrics.totalRevenue;
+  }
+
+  for (const { metrics } of totals.values()) {
+    metrics.avgRevenue = metrics.saleCount > 0
+      ? Math.round((metrics.totalRevenue / metrics.saleCount) * 100) / 100
+      : 0;
+  }
+
+  return [...totals.values()];
+}
+
+/**
+ * Ranks the entities of each window
+ * @param {Array} data - Output of formatTimeSeriesData
+ * @param {Function} valueOf - Returns the value an entry is ranked by
+ * @returns {Map<string, Array<Object>>} Ranked entries (see rankEntries), by window key
+ */
+function rankByWindow(data, valueOf) {
+  const byWindow = new Map();
+  for (const item of data) {
+    const key = windowKey(item.timeWindow);
+    if (!byWindow.has(key)) {
+      byWindow.set(key, []);
+    }
+    byWindow.get(key).push(item);
+  }
+
+  const ranksByWindow = new Map();
+  for (const [key, items] of byWindow) {
+    ranksByWindow.set(key, rankEntries(items, valueOf));
+  }
+  return ranksByWindow;
+}
+
+/**
+ * Fetches the window before the one startDate falls in, so the first window's rank changes have a board to
+ * compare with, like getLookbackSales does for rolling metrics
+ * @param {Object} options - Same options as getLeaderboard
+ * @returns {Promise<Array>} Time series sales data of the previous window; empty without a start date
+ */
+async function getPreviousWindowSales(options) {
+  const { granularity, weekStart, fiscalYearStart, startDate, groupBy, userId, groupId, scope } = options;
+  if (!startDate) {
+    return [];
+  }
+
+  const firstWindow = truncateToWindow(startDate, granularity, { weekStart, fiscalYearStart });
+  return salesService.getTimeSeriesSales({
+    granularity,
+    weekStart,
+    fiscalYearStart,
+    startDate: toDateString(addWindows(firstWindow, granularity, -1)),
+    endDate: toDateString(addDays(firstWindow, -1)),
+    groupBy,
+    userId,
+    groupId,
+    scope
+  });
+}
+
+/**
+ * Ranks users or groups by a metric over a date range and within each time window
+ * @param {Object} options - Leaderboard options
+ * @param {string} options.metric - Metric to rank by (totalRevenue, avgRevenue, saleCount)
+ * @param {string} options.groupBy - Aggregation level (user or group)
+ * @param {string} options.granularity - Time window granularity for per-window rankings (day, week, month, quarter, year)
+ * @param {number} options.weekStart - ISO day weeks start on, 1 (Monday) to 7 (Sunday) (default: 1)
+ * @param {number} options.fiscalYearStart - Month quarters and years start from, 1 to 12 (default: 1)
+ * @param {string} options.startDate - Start date filter (YYYY-MM-DD)
+ * @param {string} options.endDate - End date filter (YYYY-MM-DD)
+ * @param {string} options.userId - Comma-separated user IDs to filter
+ * @param {string} options.groupId - Comma-separated group IDs to filter
+ * @param {Object} options.scope - Sales the caller may see (see scope.js); undefined for every sale
+ * @param {number} options.limit - Number of top entries to return overall and per window
+ * @returns {Promise<Object>} Overall leaderboard and per-window rankings
+ */
+async function getLeaderboard(options) {
+  const {
+    metric = 'totalRevenue',
+    groupBy = 'user',
+    granularity = 'month',
+    weekStart,
+    fiscalYearStart,
+    startDate,
+    endDate,
+    userId,
+    groupId,
+    scope,
+    limit = DEFAULT_LIMIT
+  } = options;
+
+  if (!VALID_RANK_METRICS.includes(metric)) {
+    throw new ValidationError(`Invalid metric: ${metric}. Must be one of: ${VALID_RANK_METRICS.join(', ')}`);
+  }
+
+  const rows = await salesService.getTimeSeriesSales({
+    granularity,
+    weekStart,
+    fiscalYearStart,
+    startDate,
+    endDate,
+    groupBy,
+    userId,
+    groupId,
+    scope
+  });
+  const data = salesService.formatTimeSeriesData(rows, groupBy);
+  const entityField = groupBy === 'user' ? 'userId' : 'groupId';
+  const valueOf = entry => entry.metrics[metric];
+
+  const leaderboard = rankEntries(totalsByEntity(data, entityField), valueOf).slice(0, limit);
+
+  // Rank every entity within each window before trimming, so rank changes see the full previous board. The
+  // window before the range is only compared with, not returned.
+  const ranksByWindow = rankByWindow(data, valueOf);
+  const previousRows = await getPreviousWindowSales({ ...options, granularity, groupBy });
+  const previousRanksByWindow = rankByWindow(salesService.formatTimeSeriesData(previousRows, groupBy), valueOf);
+
+  const windows = [...ranksByWindow.entries()]
+    .sort(([a], [b]) => new Date(b) - new Date(a))
+    .map(([key, ranked]) => {
+      const previousKey = windowKey(addWindows(new Date(key), granularity, -1));
+      const previousRanked = ranksByWindow.get(previousKey) || previousRanksByWindow.get(previousKey) || [];
+      const previousRanks = new Map(previousRanked.map(entry => [entry[entityField], entry.rank]));
+
+      return {
+        timeWindow: ranked[0].timeWindow,
+        rankings: ranked.slice(0, limit).map(entry => {
+          const previousRank = previousRanks.has(entry[entityField]) ? previousRanks.get(entry[entityField]) : null;
+          return {
+            rank: entry.rank,
+            previousRank,
+            // Positive when the entity moved up the board
+            rankChange: previousRank === null ? null : previousRank - entry.rank,
+            percentileRank: entry.percentileRank,
+            ...entityFields(entry),
+            value: valueOf(entry)
+          };
+        })
+      };
+    });
+
+  return {
+    leaderboard: leaderboard.map(entry => ({
+      rank: entry.rank,
+      percentileRank: entry.percentileRank,
+      ...entityFields(entry),
+      metrics: entry.metrics
+    })),
+    windows
+  };
+}
+
+module.exports = {
+  getLeaderboard,
+  rankEntries
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+// Option values and limits the services accept. The services check their own options against these, and the
+// query parameter schemas of the routes (see routes/querySchemas.js) are built from them, so both accept the same.
+
+// Timeseries
+const VALID_GRANULARITIES = ['day', 'week', 'month', 'quarter', 'year'];
+
+// How a sale by a user in several groups is counted when grouping by group:
+// full counts it in every group, split shares it evenly between them, primary counts it in one group only
+const VALID_ATTRIBUTIONS = ['full', 'split', 'primary'];
+
+const VALID_COMPARE = ['previous', 'yoy'];
+
+const MAX_ROLLING_WINDOWS = 365;
+
+// Windows a series can be filled in for; every user or group gets a row per window. Ten years of days.
+const MAX_FILLED_WINDOWS = 3660;
+
+// Metrics returned when the client does not select any
+const DEFAULT_METRICS = ['saleCount', 'totalRevenue', 'avgRevenue', 'minSale', 'maxSale'];
+
+// Distribution metrics, computed only when selected (see salesService)
+const DISTRIBUTION_METRICS = ['medianSale', 'p25Sale', 'p75Sale', 'p90Sale', 'stddevSale'];
+
+const VALID_METRICS = [...DEFAULT_METRICS, ...DISTRIBUTION_METRICS, 'histogram'];
+
+// Lower bounds of the histogram buckets when none are given
+const DEFAULT_HISTOGRAM_BUCKETS = [0, 10000, 20000, 30000, 40000, 50000];
+
+const MAX_HISTOGRAM_BUCKETS = 50;
+
+// Leaderboard
+const VALID_RANK_METRICS = ['totalRevenue', 'avgRevenue', 'saleCount'];
+
+// Anomaly detection. Thresholds conventionally used with each score: 3 standard deviations, or 3.5 for the
+// modified z-score
+const VALID_ANOMALY_METRICS = ['totalRevenue', 'saleCount'];
+const DEFAULT_ANOMALY_THRESHOLDS = {
+  zscore: 3,
+  mad: 3.5
+};
+const VALID_ANOMALY_METHODS = Object.keys(DEFAULT_ANOMALY_THRESHOLDS);
+const MIN_ANOMALY_LOOKBACK = 3;
+const MAX_ANOMALY_LOOKBACK = 365;
+
+// Forecasts
+const VALID_FORECAST_METHODS = ['holt', 'linear'];
+const VALID_CONFIDENCE_LEVELS = [80, 90, 95];
+const MAX_FORECAST_HORIZON = 52;
+
+// Quotas and their attainment
+const VALID_ENTITY_TYPES = ['user', 'group'];
+const VALID_QUOTA_METRICS = ['totalRevenue', 'saleCount'];
+const VALID_QUOTA_PERIODS = ['month', 'quarter'];
+
+module.exports = {
+  VALID_GRANULARITIES,
+  VALID_ATTRIBUTIONS,
+  VALID_COMPARE,
+  MAX_ROLLING_WINDOWS,
+  MAX_FILLED_WINDOWS,
+  DEFAULT_METRICS,
+  DISTRIBUTION_METRICS,
+  VALID_METRICS,
+  DEFAULT_HISTOGRAM_BUCKETS,
+  MAX_HISTOGRAM_BUCKETS,
+  VALID_RANK_METRICS,
+  VALID_ANOMALY_METRICS,
+  DEFAULT_ANOMALY_THRESHOLDS,
+  VALID_ANOMALY_METHODS,
+  MIN_ANOMALY_LOOKBACK,
+  MAX_ANOMALY_LOOKBACK,
+  VALID_FORECAST_METHODS,
+  VALID_CONFIDENCE_LEVELS,
+  MAX_FORECAST_HORIZON,
+  VALID_ENTITY_TYPES,
+  VALID_QUOTA_METRICS,
+  VALID_QUOTA_PERIODS
+};
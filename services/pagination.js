@@ -0,0 +1,200 @@
+'use strict';
+
+const dimensions = require('./dimensions');
+const { ValidationError } = require('./errors');
+const { DEFAULT_METRICS, DISTRIBUTION_METRICS } = require('./options');
+
+const DEFAULT_SORT = 'timeWindow:desc,totalRevenue:desc';
+
+const SORT_DIRECTIONS = ['asc', 'desc'];
+
+// Fields that can be sorted on, besides the dimension fields of the grouping
+const SORTABLE_METRICS = [...DEFAULT_METRICS, ...DISTRIBUTION_METRICS];
+
+/**
+ * Lists the fields a timeseries can be sorted on
+ * @param {string} groupBy - Comma-separated dimensions, or none
+ * @returns {Array<string>} Sortable field names
+ */
+function sortableFields(groupBy) {
+  return ['timeWindow', ...dimensions.dimensionColumns(groupBy).map(({ field }) => field), ...SORTABLE_METRICS];
+}
+
+/**
+ * Parses a sort parameter such as "totalRevenue:desc,userName:asc".
+ * timeWindow and dimension key tie-breakers are appended so the order is total.
+ * @param {string} sort - Comma-separated field:direction pairs (direction defaults to asc)
+ * @param {string} groupBy - Comma-separated dimensions, or none
+ * @returns {Array<Object>|null} Sort keys ({ field, direction }), or null if the parameter is invalid
+ */
+function parseSort(sort = DEFAULT_SORT, groupBy) {
+  const fields = sortableFields(groupBy);
+  const keys = [];
+
+  for (const part of sort.split(',')) {
+    const [field, direction = 'asc'] = part.trim().split(':');
+    if (!fields.includes(field) || !SORT_DIRECTIONS.includes(direction) ||
+      keys.some(key => key.field === field)) {
+      return null;
+    }
+    keys.push({ field, direction });
+  }
+
+  for (const field of ['timeWindow', ...dimensions.keyFields(groupBy)]) {
+    if (!keys.some(key => key.field === field)) {
+      keys.push({ field, direction: 'asc' });
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Reads the value of a sort field from a formatted data object
+ * @param {Object} item - Formatted data object
+ * @param {string} field - Sort field
+ * @returns {number|string} Comparable value
+ */
+function sortValue(item, field) {
+  if (field === 'timeWindow') {
+    return new Date(item.timeWindow).getTime();
+  }
+  if (SORTABLE_METRICS.includes(field)) {
+    return item.metrics[field];
+  }
+  return item[field];
+}
+
+/**
+ * Compares two lists of sort values
+ * @param {Array} a - Sort values of the first item
+ * @param {Array} b - Sort values of the second item
+ * @param {Array<Object>} keys - Sort keys
+ * @returns {number} Negative if a comes first, positive if b comes first, 0 if equal
+ */
+function compareValues(a, b, keys) {
+  for (let i = 0; i < keys.length; i++) {
+    let result;
+    if (typeof a[i] === 'string' || typeof b[i] === 'string') {
+      result = String(a[i]).localeCompare(String(b[i]));
+    } else {
+      result = a[i] - b[i];
+    }
+    if (result !== 0) {
+      return keys[i].direction === 'desc' ? -result : result;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Normalizes a groupBy parameter, so equivalent spellings ("user, group" and "user,group") match
+ * @param {string} groupBy - Comma-separated dimensions, or none
+ * @returns {string} Dimension names joined by commas; empty for none
+ */
+function normalizeGroupBy(groupBy) {
+  return (dimensions.parseGroupBy(groupBy) || []).join(',');
+}
+
+/**
+ * Encodes the position after an item as an opaque cursor token
+ * @param {Array} values - Sort values of the last item on the page
+ * @param {string} sort - Sort parameter the values belong to
+ * @param {string} groupBy - Grouping the values belong to
+ * @returns {string} Base64url cursor
+ */
+function encodeCursor(values, sort, groupBy) {
+  return Buffer.from(JSON.stringify({ sort, groupBy: normalizeGroupBy(groupBy), after: values }))
+    .toString('base64url');
+}
+
+/**
+ * Decodes a cursor token
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {Object|null} { sort, groupBy, after }, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof decoded.sort !== 'string' || typeof decoded.groupBy !== 'string' || !Array.isArray(decoded.after)) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Checks that a cursor was issued for the same sort and grouping. Sort values of another grouping can have
+ * the same number of fields but compare different things, e.g. user IDs against group IDs.
+ * @param {Object} decoded - Decoded cursor (see decodeCursor)
+ * @param {string} sort - Sort parameter of the request
+ * @param {string} groupBy - Grouping of the request
+ * @returns {string|null} Which parameter differs, or null if the cursor fits
+ */
+function cursorMismatch(decoded, sort, groupBy) {
+  if (decoded.sort !== sort) {
+    return 'sort';
+  }
+  if (decoded.groupBy !== normalizeGroupBy(groupBy) || decoded.after.length !== parseSort(sort, groupBy).length) {
+    return 'groupBy';
+  }
+  return null;
+}
+
+/**
+ * Sorts formatted timeseries data and returns the page after a cursor
+ * @param {Array} data - Formatted data objects
+ * @param {Object} options - Pagination options
+ * @param {string} options.groupBy - Comma-separated dimensions, or none
+ * @param {string} options.sort - Sort parameter (default: timeWindow:desc,totalRevenue:desc)
+ * @param {number} options.limit - Maximum number of rows in the page (all rows when omitted)
+ * @param {string} options.cursor - Cursor from a previous response
+ * @returns {Object} { data, nextCursor } where nextCursor is null on the last page
+ */
+function paginate(data, { groupBy, sort = DEFAULT_SORT, limit, cursor }) {
+  const keys = parseSort(sort, groupBy);
+  if (!keys) {
+    throw new ValidationError(`Invalid sort: ${sort}`, [{ field: 'sort', message: 'Unknown or repeated sort field' }]);
+  }
+
+  const withValues = data.map(item => ({ item, values: keys.map(key => sortValue(item, key.field)) }));
+  withValues.sort((a, b) => compareValues(a.values, b.values, keys));
+
+  let start = 0;
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    if (!decoded || cursorMismatch(decoded, sort, groupBy)) {
+      throw new ValidationError('Invalid cursor', [
+        { field: 'cursor', message: 'Must be the nextCursor of a previous response with the same sort and groupBy' }
+      ]);
+    }
+    // Keyset pagination: resume after the last row seen, even if rows were added since
+    start = withValues.findIndex(({ values }) => compareValues(values, decoded.after, keys) > 0);
+    if (start === -1) {
+      start = withValues.length;
+    }
+  }
+
+  const end = limit ? start + limit : withValues.length;
+  const page = withValues.slice(start, end);
+  const nextCursor = end < withValues.length && page.length > 0
+    ? encodeCursor(page[page.length - 1].values, sort, groupBy)
+    : null;
+
+  return {
+    data: page.map(({ item }) => item),
+    nextCursor
+  };
+}
+
+module.exports = {
+  DEFAULT_SORT,
+  sortableFields,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  cursorMismatch,
+  paginate
+};
@@ -0,0 +1,176 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 300;
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * Creates an in-memory store that evicts the least recently used entry once it is full.
+ *
+ * Any object with the same methods can be used as a store (see setStore). Methods may return
+ * promises, so a store can live in Redis or memcached as well.
+ * @param {Object} options - Store options
+ * @param {number} options.maxEntries - Number of entries kept before evicting (default: 500)
+ * @returns {Object} Store with get(key), set(key, value, ttlMs), delete(key), keys() and clear()
+ */
+function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  // A Map iterates in insertion order, so re-inserting on every hit keeps the oldest entry first
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) {
+        return undefined;
+      }
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    delete(key) {
+      entries.delete(key);
+    },
+
+    keys() {
+      return [...entries.keys()];
+    },
+
+    clear() {
+      entries.clear();
+    }
+  };
+}
+
+const ttlSeconds = Number(process.env.QUERY_CACHE_TTL_SECONDS || DEFAULT_TTL_SECONDS);
+
+let store = createMemoryStore({ maxEntries: Number(process.env.QUERY_CACHE_MAX_ENTRIES || DEFAULT_MAX_ENTRIES) });
+
+// Bumped by every invalidation, so a result loaded while sales were being written isn't cached
+let generation = 0;
+
+/**
+ * Tells whether results are cached at all
+ * @returns {boolean} False when QUERY_CACHE_TTL_SECONDS is 0
+ */
+function isEnabled() {
+  return ttlSeconds > 0;
+}
+
+/**
+ * Replaces the store cached results are kept in
+ * @param {Object} newStore - Store with the methods of createMemoryStore
+ */
+function setStore(newStore) {
+  store = newStore;
+}
+
+/**
+ * Builds a short cache key from the values that determine a result
+ * @param {string} namespace - Kind of result, e.g. timeseries
+ * @param {*} parts - JSON-serializable values, such as the SQL and its parameters
+ * @returns {string} Cache key
+ */
+function cacheKey(namespace, parts) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex');
+  return `${namespace}:${hash}`;
+}
+
+/**
+ * Returns a cached result, or loads and caches it. Cached values are shared between callers
+ * and must not be modified.
+ * @param {string} key - Cache key (see cacheKey)
+ * @param {Object} range - Sale dates the result depends on, for invalidation
+ * @param {string} range.startDate - First date (YYYY-MM-DD), or undefined when unbounded
+ * @param {string} range.endDate - Last date (YYYY-MM-DD), or undefined when unbounded
+ * @param {Function} load - Async function producing the result on a miss
+ * @returns {Promise<*>} Cached or freshly loaded result
+ */
+async function getOrLoad(key, { startDate, endDate }, load) {
+  if (ttlSeconds <= 0) {
+    return load();
+  }
+
+  const cached = await store.get(key);
+  if (cached !== undefined) {
+    return cached.value;
+  }
+
+  const loadedAt = generation;
+  const value = await load();
+  if (generation !== loadedAt) {
+    return value;
+  }
+  await store.set(key, { value, startDate: startDate || null, endDate: endDate || null }, ttlSeconds * 1000);
+  return value;
+}
+
+/**
+ * Drops cached results that depend on sales between two dates
+ * @param {Object} range - Dates whose sales changed
+ * @param {string} range.startDate - First changed date (YYYY-MM-DD), or undefined for all earlier dates
+ * @param {string} range.endDate - Last changed date (YYYY-MM-DD), or undefined for all later dates
+ * @returns {Promise<number>} Number of results dropped
+ */
+async function invalidate({ startDate, endDate } = {}) {
+  generation++;
+  let dropped = 0;
+  for (const key of await store.keys()) {
+    const cached = await store.get(key);
+    if (cached === undefined) {
+      continue;
+    }
+    // YYYY-MM-DD strings compare in date order
+    const overlaps = (!startDate || !cached.endDate || cached.endDate >= startDate)
+      && (!endDate || !cached.startDate || cached.startDate <= endDate);
+    if (overlaps) {
+      await store.delete(key);
+      dropped++;
+    }
+  }
+  return dropped;
+}
+
+/**
+ * Drops cached results that depend on sales on any of the given dates
+ * @param {Array<string>} dates - Sale dates (YYYY-MM-DD)
+ * @returns {Promise<number>} Number of results dropped
+ */
+async function invalidateDates(dates) {
+  let dropped = 0;
+  for (const date of new Set(dates)) {
+    dropped += await invalidate({ startDate: date, endDate: date });
+  }
+  return dropped;
+}
+
+/**
+ * Drops every cached result
+ */
+async function clear() {
+  generation++;
+  await store.clear();
+}
+
+module.exports = {
+  createMemoryStore,
+  isEnabled,
+  setStore,
+  cacheKey,
+  getOrLoad,
+  invalidate,
+  invalidateDates,
+  clear
+};
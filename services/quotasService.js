@@ -0,0 +1,421 @@
+'use strict';
+
+const { getClient } = require('./db');
+const { salesScopeSql } = require('./scope');
+const { isValidDateString, toDateString, windowKey } = require('./timeWindows');
+const { ValidationError, NotFoundError } = require('./errors');
+const { VALID_ENTITY_TYPES, VALID_QUOTA_METRICS, VALID_QUOTA_PERIODS } = require('./options');
+const { MAX_ID } = require('../routes/validation');
+
+const QUOTA_FIELDS = ['entityType', 'entityId', 'metric', 'period', 'periodStart', 'target'];
+
+// Length of each quota period in months; quarters start in January, April, July and October
+const PERIOD_MONTHS = {
+  month: 1,
+  quarter: 3
+};
+
+// quotas.target is a BIGINT column
+const MAX_TARGET = Number.MAX_SAFE_INTEGER;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const QUOTA_COLUMNS = `id, entity_type, entity_id, metric, period, to_char(period_start, 'YYYY-MM-DD') as period_start, target`;
+
+// Last day of a quota's period, in SQL
+const PERIOD_END_SQL = `(q.period_start + CASE q.period WHEN 'quarter' THEN INTERVAL '3 months' ELSE INTERVAL '1 month' END
+        - INTERVAL '1 day')::date`;
+
+/**
+ * Formats a quotas row into a structured response
+ * @param {Object} row - Database row
+ * @returns {Object} Quota object
+ */
+function formatQuota(row) {
+  return {
+    id: row.id,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    metric: row.metric,
+    period: row.period,
+    periodStart: row.period_start,
+    target: Number(row.target)
+  };
+}
+
+/**
+ * Checks whether a date is the first day of a quota period
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} period - month or quarter
+ * @returns {boolean} Whether a period of that length starts on the date
+ */
+function isPeriodStart(date, period) {
+  const [, month, day] = date.split('-').map(Number);
+  return day === 1 && (month - 1) % PERIOD_MONTHS[period] === 0;
+}
+
+/**
+ * Gives the last day of a quota period
+ * @param {string} periodStart - First day of the period (YYYY-MM-DD)
+ * @param {string} period - month or quarter
+ * @returns {string} Last day of the period (YYYY-MM-DD)
+ */
+function periodEnd(periodStart, period) {
+  const start = new Date(periodStart);
+  const next = Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + PERIOD_MONTHS[period], 1);
+  return toDateString(new Date(next - MS_PER_DAY));
+}
+
+/**
+ * Checks the fields of a quota
+ * @param {Object} input - Quota fields (entityType, entityId, metric, period, periodStart, target)
+ * @returns {Array<Object>} Field-level problems; empty when the input is valid
+ */
+function validateQuotaInput(input) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ field: null, message: 'Quota must be an object' }];
+  }
+
+  const details = [];
+
+  for (const field of Object.keys(input)) {
+    if (!QUOTA_FIELDS.includes(field)) {
+      details.push({ field, message: `Unknown field. Must be one of: ${QUOTA_FIELDS.join(', ')}` });
+    }
+  }
+
+  if (!VALID_ENTITY_TYPES.includes(input.entityType)) {
+    details.push({ field: 'entityType', message: `Must be one of: ${VALID_ENTITY_TYPES.join(', ')}` });
+  }
+  if (!Number.isInteger(input.entityId) || input.entityId < 1 || input.entityId > MAX_ID) {
+    details.push({ field: 'entityId', message: 'Must be a positive integer' });
+  }
+  if (!VALID_QUOTA_METRICS.includes(input.metric)) {
+    details.push({ field: 'metric', message: `Must be one of: ${VALID_QUOTA_METRICS.join(', ')}` });
+  }
+  if (!VALID_QUOTA_PERIODS.includes(input.period)) {
+    details.push({ field: 'period', message: `Must be one of: ${VALID_QUOTA_PERIODS.join(', ')}` });
+  }
+  if (!isValidDateString(input.periodStart)) {
+    details.push({ field: 'periodStart', message: 'Must be a valid date in YYYY-MM-DD format' });
+  } else if (VALID_QUOTA_PERIODS.includes(input.period) && !isPeriodStart(input.periodStart, input.period)) {
+    details.push({ field: 'periodStart', message: `Must be the first day of a ${input.period}` });
+  }
+  if (!Number.isInteger(input.target) || input.target < 1 || input.target > MAX_TARGET) {
+    details.push({ field: 'target', message: 'Must be a positive integer' });
+  }
+
+  return details;
+}
+
+/**
+ * Sets a target for a user or group. Setting the target of an existing quota
+ * (same entity, metric and period) replaces it.
+ * @param {Object} input - Quota fields ({ entityType, entityId, metric, period, periodStart, target })
+ * @returns {Promise<Object>} { quota, created } where created is false when an existing target was replaced
+ */
+async function setQuota(input) {
+  const details = validateQuotaInput(input);
+  if (details.length > 0) {
+    throw new ValidationError('Invalid quota', details);
+  }
+
+  const client = getClient();
+
+  const table = input.entityType === 'user' ? 'users' : 'groups';
+  const entityResult = await client.query(`SELECT id FROM ${table} WHERE id = $1`, [input.entityId]);
+  if (entityResult.rows.length === 0) {
+    throw new ValidationError('Invalid quota', [
+      { field: 'entityId', message: `${input.entityType === 'user' ? 'User' : 'Group'} ${input.entityId} does not exist` }
+    ]);
+  }
+
+  // xmax is 0 for a freshly inserted row and set for one rewritten by ON CONFLICT
+  const result = await client.query(`
+    INSERT INTO quotas (entity_type, entity_id, metric, period, period_start, target)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (entity_type, entity_id, metric, period, period_start) DO UPDATE SET target = EXCLUDED.target
+    RETURNING ${QUOTA_COLUMNS}, (xmax = 0) as created
+  `, [input.entityType, input.entityId, input.metric, input.period, input.periodStart, input.target]);
+
+  const row = result.rows[0];
+  return { quota: formatQuota(row), created: row.created };
+}
+
+/**
+ * Lists quotas, most recent period first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.entityType - user or group
+ * @param {number} filters.entityId - User or group ID
+ * @param {string} filters.metric - totalRevenue or saleCount
+ * @param {string} filters.period - month or quarter
+ * @returns {Promise<Array<Object>>} Quota objects
+ */
+async function listQuotas({ entityType, entityId, metric, period } = {}) {
+  const client = getClient();
+  const params = [];
+  let query = `SELECT ${QUOTA_COLUMNS} FROM quotas WHERE 1=1`;
+
+  const filters = { entity_type: entityType, entity_id: entityId, metric, period };
+  for (const [column, value] of Object.entries(filters)) {
+    if (value !== undefined) {
+      params.push(value);
+      query += ` AND ${column} = $${params.length}`;
+    }
+  }
+  query += ' ORDER BY period_start DESC, entity_type, entity_id, metric';
+
+  const result = await client.query(query, params);
+  return result.rows.map(formatQuota);
+}
+
+/**
+ * Fetches a single quota
+ * @param {number} id - Quota ID
+ * @returns {Promise<Object>} Quota object
+ */
+async function getQuota(id) {
+  const client = getClient();
+  const result = await client.query(`SELECT ${QUOTA_COLUMNS} FROM quotas WHERE id = $1`, [id]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError(`Quota ${id} not found`);
+  }
+  return formatQuota(result.rows[0]);
+}
+
+/**
+ * Deletes a quota
+ * @param {number} id - Quota ID
+ * @returns {Promise<Object>} The deleted quota object
+ */
+async function deleteQuota(id) {
+  const client = getClient();
+  const result = await client.query(`DELETE FROM quotas WHERE id = $1 RETURNING ${QUOTA_COLUMNS}`, [id]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError(`Quota ${id} not found`);
+  }
+  return formatQuota(result.rows[0]);
+}
+
+/**
+ * Compares a quota's actual value with its target as of a date. The projection assumes the
+ * pace so far (actual per elapsed day) continues until the end of the period.
+ * @param {Object} quota - Quota with periodStart, period, target and actual
+ * @param {string} asOf - Date the attainment is measured on (YYYY-MM-DD)
+ * @returns {Object} { status, periodEnd, target, actual, attainment, projected, projectedAttainment }
+ */
+function computeAttainment({ periodStart, period, target, actual }, asOf) {
+  const end = periodEnd(periodStart, period);
+  const totalDays = (new Date(end) - new Date(periodStart)) / MS_PER_DAY + 1;
+  const elapsedDays = Math.min((new Date(asOf) - new Date(periodStart)) / MS_PER_DAY + 1, totalDays);
+  const percentOf = value => Math.round((value / target) * 10000) / 100;
+
+  let status = 'inProgress';
+  let projected = null;
+  if (elapsedDays < 1) {
+    status = 'upcoming';
+  } else if (elapsedDays >= totalDays) {
+    status = 'complete';
+    projected = actual;
+  } else {
+    projected = Math.round((actual / elapsedDays) * totalDays * 100) / 100;
+  }
+
+  return {
+    status,
+    periodEnd: end,
+    target,
+    actual,
+    attainment: percentOf(actual),
+    projected,
+    projectedAttainment: projected === null ? null : percentOf(projected)
+  };
+}
+
+/**
+ * Measures every matching quota against the sales recorded in its period up to asOf.
+ * A group's actuals include every sale by a user who was a member on the sale date.
+ * @param {Object} options - Attainment options
+ * @param {string} options.groupBy - user or group
+ * @param {string} options.metric - Only quotas on this metric (totalRevenue or saleCount)
+ * @param {string} options.period - Only quotas for this period length (month or quarter)
+ * @param {string} options.startDate - Only periods ending on or after this date (YYYY-MM-DD)
+ * @param {string} options.endDate - Only periods starting on or before this date (YYYY-MM-DD)
+ * @param {string} options.userId - Comma-separated user IDs (with groupBy=user)
+ * @param {string} options.groupId - Comma-separated group IDs (with groupBy=group)
+ * @param {Object} options.scope - Sales the caller may see (see scope.js); undefined for every sale.
+ *   Scoped callers get the quotas of themselves and, for managers, of their groups and past and present members,
+ *   with actuals counting only the sales they may see.
+ * @param {string} options.asOf - Date to measure on (YYYY-MM-DD, default: today)
+ * @returns {Promise<Array<Object>>} Attainment objects, most recent period first
+ */
+async function getAttainment(options) {
+  const {
+    groupBy = 'user',
+    metric,
+    period,
+    startDate,
+    endDate,
+    userId,
+    groupId,
+    scope,
+    asOf = toDateString(new Date())
+  } = options;
+
+  if (!VALID_ENTITY_TYPES.includes(groupBy)) {
+    throw new ValidationError(`Invalid groupBy: ${groupBy}. Must be one of: ${VALID_ENTITY_TYPES.join(', ')}`);
+  }
+
+  const params = [asOf, groupBy];
+  let entityColumns;
+  let entityJoin;
+  let salesMatch;
+  if (groupBy === 'user') {
+    entityColumns = 'u.id as user_id, u.name as user_name, u.role as user_role';
+    entityJoin = 'JOIN users u ON u.id = q.entity_id';
+    salesMatch = 's.user_id = q.entity_id';
+  } else {
+    entityColumns = 'g.id as group_id, g.name as group_name';
+    entityJoin = 'JOIN groups g ON g.id = q.entity_id';
+    salesMatch = `EXISTS (
+          SELECT 1 FROM user_groups ug
+          WHERE ug.user_id = s.user_id AND ug.group_id = q.entity_id
+          AND (ug.effective_from IS NULL OR ug.effective_from <= s.date)
+          AND (ug.effective_to IS NULL OR ug.effective_to > s.date)
+        )`;
+  }
+
+  let query = `
+    SELECT
+      q.id,
+      ${entityColumns},
+      q.metric,
+      q.period,
+      to_char(q.period_start, 'YYYY-MM-DD') as period_start,
+      q.target,
+      COUNT(s.id) as sale_count,
+      COALESCE(SUM(s.amount), 0) as total_revenue
+    FROM quotas q
+    ${entityJoin}
+    LEFT JOIN sales s ON s.date >= q.period_start
+      AND s.date <= LEAST(${PERIOD_END_SQL}, $1::date)
+      AND ${salesMatch}${salesScopeSql(scope, params)}
+    WHERE q.entity_type = $2
+  `;
+
+  if (scope) {
+    params.push(scope.groupIds);
+    const managed = `$${params.length}::int[]`;
+    if (groupBy === 'user') {
+      params.push(scope.userId);
+      query += ` AND (q.entity_id = $${params.length} OR EXISTS (
+      SELECT 1 FROM user_groups scope_ug WHERE scope_ug.user_id = q.entity_id AND scope_ug.group_id = ANY(${managed})
+    ))`;
+    } else {
+      query += ` AND q.entity_id = ANY(${managed})`;
+    }
+  }
+
+  if (metric) {
+    params.push(metric);
+    query += ` AND q.metric = $${params.length}`;
+  }
+  if (period) {
+    params.push(period);
+    query += ` AND q.period = $${params.length}`;
+  }
+  if (startDate) {
+    params.push(startDate);
+    query += ` AND ${PERIOD_END_SQL} >= $${params.length}`;
+  }
+  if (endDate) {
+    params.push(endDate);
+    query += ` AND q.period_start <= $${params.length}`;
+  }
+
+  const idFilter = groupBy === 'user' ? userId : groupId;
+  if (idFilter) {
+    const ids = idFilter.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id));
+    if (ids.length > 0) {
+      params.push(ids);
+      query += ` AND q.entity_id = ANY($${params.length}::int[])`;
+    }
+  }
+
+  query += `
+    GROUP BY q.id, ${groupBy === 'user' ? 'u.id' : 'g.id'}
+    ORDER BY q.period_start DESC, q.entity_id, q.metric
+  `;
+
+  const client = getClient();
+  const result = await client.query(query, params);
+
+  return result.rows.map(row => {
+    const entity = groupBy === 'user'
+      ? { userId: row.user_id, userName: row.user_name, userRole: row.user_role }
+      : { groupId: row.group_id, groupName: row.group_name };
+    const actual = Number(row.metric === 'saleCount' ? row.sale_count : row.total_revenue);
+
+    return {
+      quotaId: row.id,
+      ...entity,
+      metric: row.metric,
+      period: row.period,
+      periodStart: row.period_start,
+      ...computeAttainment({
+        periodStart: row.period_start,
+        period: row.period,
+        target: Number(row.target),
+        actual
+      }, asOf)
+    };
+  });
+}
+
+/**
+ * Attaches the attainment of quotas for the same entity and period to formatted timeseries data
+ * @param {Array} data - Formatted data objects with one window per quota period
+ * @param {Array} attainments - Output of getAttainment
+ * @param {Object} options - Options
+ * @param {string} options.groupBy - user or group
+ * @returns {Array} Data objects with an attainment block keyed by metric; empty when the window has no quota
+ */
+function applyAttainment(data, attainments, { groupBy }) {
+  const entityField = groupBy === 'user' ? 'userId' : 'groupId';
+
+  const byWindow = new Map();
+  for (const quota of attainments) {
+    const key = `${quota[entityField]}|${windowKey(quota.periodStart)}`;
+    if (!byWindow.has(key)) {
+      byWindow.set(key, {});
+    }
+    byWindow.get(key)[quota.metric] = {
+      quotaId: quota.quotaId,
+      status: quota.status,
+      target: quota.target,
+      actual: quota.actual,
+      attainment: quota.attainment,
+      projected: quota.projected,
+      projectedAttainment: quota.projectedAttainment
+    };
+  }
+
+  return data.map(item => ({
+    ...item,
+    attainment: byWindow.get(`${item[entityField]}|${windowKey(item.timeWindow)}`) || {}
+  }));
+}
+
+module.exports = {
+  MAX_TARGET,
+  validateQuotaInput,
+  setQuota,
+  listQuotas,
+  getQuota,
+  deleteQuota,
+  computeAttainment,
+  getAttainment,
+  applyAttainment
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+const db = require('./db');
+const queryCache = require('./queryCache');
+
+// Recomputes every daily rollup from the sales table and returns the number of refreshed and removed days.
+// Days are upserted and days left without sales are deleted in one statement, so readers never see a
+// half-refreshed table. Writes to sales keep the rollups of their own days up to date (see
+// migrations/009_maintain_sales_rollups.js).
+const REBUILD_QUERY = `
+    WITH totals AS (
+      SELECT
+        s.user_id,
+        s.date,
+        COUNT(*) as sale_count,
+        SUM(s.amount) as total_amount,
+        MIN(s.amount) as min_amount,
+        MAX(s.amount) as max_amount,
+        SUM(s.amount::numeric * s.amount) as sum_of_squares
+      FROM sales s
+      GROUP BY s.user_id, s.date
+    ),
+    refreshed AS (
+      INSERT INTO sales_daily_rollups (user_id, date, sale_count, total_amount, min_amount, max_amount, sum_of_squares)
+      SELECT * FROM totals
+      ON CONFLICT (user_id, date) DO UPDATE SET
+        sale_count = EXCLUDED.sale_count,
+        total_amount = EXCLUDED.total_amount,
+        min_amount = EXCLUDED.min_amount,
+        max_amount = EXCLUDED.max_amount,
+        sum_of_squares = EXCLUDED.sum_of_squares
+      RETURNING 1
+    ),
+    removed AS (
+      DELETE FROM sales_daily_rollups r
+      WHERE NOT EXISTS (SELECT 1 FROM totals t WHERE t.user_id = r.user_id AND t.date = r.date)
+      RETURNING 1
+    )
+    SELECT (SELECT COUNT(*) FROM refreshed) as refreshed, (SELECT COUNT(*) FROM removed) as removed
+  `;
+
+/**
+ * Recomputes every daily rollup from the sales table, e.g. after sales were loaded with the triggers disabled.
+ * The rebuild holds the exclusive sales write lock the rollup trigger takes for bulk statements, so no write can
+ * commit sales the rebuild did not see, or refresh a day with totals older than the rebuilt ones.
+ * Cached timeseries results are dropped since they may have been read from outdated rollups.
+ * @returns {Promise<Object>} { refreshed, removed, durationMs }
+ */
+async function rebuildRollups() {
+  const startedAt = Date.now();
+
+  const client = await db.connect();
+  let result;
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(0, 0)');
+    result = await client.query(REBUILD_QUERY);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  await queryCache.clear();
+
+  return {
+    refreshed: Number(result.rows[0].refreshed),
+    removed: Number(result.rows[0].removed),
+    durationMs: Date.now() - startedAt
+  };
+}
+
+module.exports = {
+  rebuildRollups
+};
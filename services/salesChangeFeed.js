@@ -0,0 +1,284 @@
+'use strict';
+
+const db = require('./db');
+const queryCache = require('./queryCache');
+
+// Channel notified whenever sales change (see migrations/008_create_sales_changes.js)
+const CHANNEL = 'sales_changes';
+
+// Changes are read on every notification, and on this interval in case one was missed while reconnecting
+// or a change was held back behind an older transaction still running
+const POLL_INTERVAL_MS = Number(process.env.SALES_CHANGES_POLL_MS || 5000);
+
+// How long changes are kept for streams resuming after a disconnect
+const RETENTION_HOURS = Number(process.env.SALES_CHANGES_RETENTION_HOURS || 24);
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const RECONNECT_DELAY_MS = 1000;
+
+// Positions are transaction IDs: every change made by a transaction up to the position has been read.
+// Changes are read in transaction order, and only up to the oldest transaction still running,
+// so a transaction committing after a newer one can't be skipped.
+let position = null;
+
+// Subscribers ({ onChanges, onClose }) and, while there are any, the connection listening for notifications.
+// Stopping bumps the generation, so a connection that was still being opened is dropped once it is.
+const subscribers = new Set();
+let connection = null;
+let connecting = null;
+let generation = 0;
+let pollTimer = null;
+let reconnectTimer = null;
+let cacheRetryTimer = null;
+
+let polling = null;
+let pollAgain = false;
+let prunedAt = 0;
+
+/**
+ * Reads the users and days whose sales changed after a position
+ * @param {string} after - Position to read from
+ * @returns {Promise<Object>} { position, changes } where changes are distinct { userId, date } pairs
+ *   and position covers every change read
+ */
+async function readChanges(after) {
+  const client = db.getClient();
+  const result = await client.query(`
+    WITH horizon AS (
+      SELECT GREATEST(txid_snapshot_xmin(txid_current_snapshot()) - 1, $1::bigint) as position
+    )
+    SELECT h.position, c.user_id, to_char(c.date, 'YYYY-MM-DD') as date
+    FROM horizon h
+    LEFT JOIN sales_changes c ON c.transaction_id > $1::bigint AND c.transaction_id <= h.position
+    ORDER BY c.transaction_id, c.id
+  `, [after]);
+
+  const changes = new Map();
+  for (const row of result.rows) {
+    if (row.user_id !== null) {
+      changes.set(`${row.user_id}:${row.date}`, { userId: row.user_id, date: row.date });
+    }
+  }
+  return { position: String(result.rows[0].position), changes: [...changes.values()] };
+}
+
+/**
+ * Checks whether every change after a position is still kept, so a stream can resume from it
+ * @param {string} after - Position a stream stopped at
+ * @returns {Promise<boolean>} False when changes after it may have been pruned
+ */
+async function canResume(after) {
+  const client = db.getClient();
+  const result = await client.query(
+    'SELECT EXISTS (SELECT 1 FROM sales_changes WHERE transaction_id <= $1::bigint) as kept',
+    [after]
+  );
+  return result.rows[0].kept;
+}
+
+/**
+ * Gives the current position, before any change that hasn't been read yet
+ * @returns {Promise<string>} Position
+ */
+async function currentPosition() {
+  const client = db.getClient();
+  const result = await client.query('SELECT txid_snapshot_xmin(txid_current_snapshot()) - 1 as position');
+  return String(result.rows[0].position);
+}
+
+/**
+ * Deletes changes older than the retention period, at most once per PRUNE_INTERVAL_MS
+ */
+async function prune() {
+  if (Date.now() - prunedAt < PRUNE_INTERVAL_MS) {
+    return;
+  }
+  prunedAt = Date.now();
+  const client = db.getClient();
+  await client.query('DELETE FROM sales_changes WHERE changed_at < now() - make_interval(hours => $1)', [
+    RETENTION_HOURS
+  ]);
+}
+
+/**
+ * Reads the changes since the last poll and hands them to every subscriber. Polls run one at a time;
+ * one asked for while another runs follows it.
+ * @returns {Promise} Resolves once the changes are handed out
+ */
+function poll() {
+  if (position === null) {
+    return Promise.resolve();
+  }
+  if (polling) {
+    pollAgain = true;
+    return polling;
+  }
+
+  polling = (async () => {
+    do {
+      pollAgain = false;
+      try {
+        const batch = await readChanges(position);
+        position = batch.position;
+        if (batch.changes.length > 0) {
+          // Sales written through another server, or with plain SQL, leave this server's results outdated
+          await queryCache.invalidateDates(batch.changes.map(({ date }) => date));
+          for (const subscriber of subscribers) {
+            subscriber.onChanges(batch);
+          }
+        }
+        await prune();
+      } catch (error) {
+        console.error('Error reading sales changes:', error);
+      }
+    } while (pollAgain && position !== null);
+    polling = null;
+  })();
+  return polling;
+}
+
+/**
+ * Checks out a connection and listens for notifications on it. A connection that fails is replaced;
+ * changes made meanwhile are read by the next poll.
+ */
+async function listen() {
+  const started = generation;
+  const client = await db.connect();
+  client.on('notification', () => poll());
+  client.on('error', error => {
+    console.error('Error on sales changes connection:', error);
+    if (connection === client) {
+      connection = null;
+      client.release(error);
+      reconnectTimer = setTimeout(reconnect, RECONNECT_DELAY_MS);
+    }
+  });
+
+  try {
+    await client.query(`LISTEN ${CHANNEL}`);
+  } catch (error) {
+    client.release(error);
+    throw error;
+  }
+
+  // The connection is discarded rather than returned to the pool still listening
+  if (generation !== started) {
+    client.release(true);
+    return;
+  }
+  connection = client;
+}
+
+/**
+ * Starts listening unless a connection is listening or being opened
+ * @returns {Promise} Resolves once listening
+ */
+function ensureListening() {
+  if (!connection && !connecting) {
+    connecting = listen().finally(() => {
+      connecting = null;
+    });
+  }
+  return connecting || Promise.resolve();
+}
+
+/**
+ * Listens again after the connection failed, for as long as there are subscribers
+ */
+function reconnect() {
+  reconnectTimer = null;
+  if (subscribers.size === 0) {
+    return;
+  }
+  ensureListening().catch(error => {
+    console.error('Error listening for sales changes:', error);
+    reconnectTimer = setTimeout(reconnect, RECONNECT_DELAY_MS);
+  });
+}
+
+/**
+ * Stops listening and polling
+ */
+function stop() {
+  generation++;
+  clearInterval(pollTimer);
+  clearTimeout(reconnectTimer);
+  pollTimer = null;
+  reconnectTimer = null;
+  position = null;
+
+  if (connection) {
+    connection.release(true);
+    connection = null;
+  }
+}
+
+/**
+ * Hands every batch of sales changes to a subscriber until it unsubscribes. The feed starts listening
+ * with the first subscriber and stops after the last one leaves.
+ * @param {Object} subscriber - Callbacks
+ * @param {Function} subscriber.onChanges - Called with each batch ({ position, changes }, see readChanges)
+ * @param {Function} subscriber.onClose - Called when the feed closes, e.g. on shutdown
+ * @returns {Promise<Object>} { position, unsubscribe }: every change after position is handed to the subscriber
+ */
+async function subscribe(subscriber) {
+  subscribers.add(subscriber);
+  const unsubscribe = () => {
+    if (subscribers.delete(subscriber) && subscribers.size === 0) {
+      stop();
+    }
+  };
+
+  try {
+    if (position === null) {
+      position = await currentPosition();
+    }
+    if (!pollTimer) {
+      pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+      pollTimer.unref();
+    }
+    await ensureListening();
+  } catch (error) {
+    unsubscribe();
+    throw error;
+  }
+
+  return { position, unsubscribe };
+}
+
+/**
+ * Keeps the feed running without live streams, so cached results are also dropped when sales are written through
+ * another server or with plain SQL. Every poll invalidates the cache before handing changes to subscribers, so
+ * this subscriber ignores them. Listening is retried until it succeeds.
+ * @returns {Promise} Resolves once listening, or once a retry is scheduled
+ */
+function keepCacheCurrent() {
+  cacheRetryTimer = null;
+  return subscribe({ onChanges() {}, onClose() {} }).then(() => {}, error => {
+    console.error('Error listening for sales changes:', error);
+    cacheRetryTimer = setTimeout(keepCacheCurrent, RECONNECT_DELAY_MS);
+  });
+}
+
+/**
+ * Closes every subscription and stops listening, e.g. on shutdown
+ */
+function close() {
+  const closing = [...subscribers];
+  subscribers.clear();
+  clearTimeout(cacheRetryTimer);
+  cacheRetryTimer = null;
+  stop();
+  for (const subscriber of closing) {
+    subscriber.onClose();
+  }
+}
+
+module.exports = {
+  readChanges,
+  canResume,
+  subscribe,
+  keepCacheCurrent,
+  poll,
+  close
+};
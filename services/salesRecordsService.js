@@ -0,0 +1,267 @@
+'use strict';
+
+const { getClient } = require('./db');
+const queryCache = require('./queryCache');
+const { salesScopeSql } = require('./scope');
+const { isValidDateString } = require('./timeWindows');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const SALE_FIELDS = ['userId', 'amount', 'date'];
+
+// sales.amount is an INTEGER column
+const MAX_AMOUNT = 2147483647;
+
+const MAX_BATCH_SIZE = 1000;
+
+// Postgres error code for a foreign key violation
+const FOREIGN_KEY_VIOLATION = '23503';
+
+const SALE_COLUMNS = `id, user_id, amount, to_char(date, 'YYYY-MM-DD') as date`;
+
+/**
+ * Formats a sales row into a structured response
+ * @param {Object} row - Database row
+ * @returns {Object} Sale object
+ */
+function formatSale(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    amount: row.amount,
+    date: row.date
+  };
+}
+
+/**
+ * Checks the fields of a sale
+ * @param {Object} input - Sale fields (userId, amount, date)
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Allow missing fields (for updates)
+ * @param {number} options.index - Position in a batch, added to every detail
+ * @returns {Array<Object>} Field-level problems; empty when the input is valid
+ */
+function validateSaleInput(input, { partial = false, index } = {}) {
+  const at = index === undefined ? {} : { index };
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ ...at, field: null, message: 'Sale must be an object' }];
+  }
+
+  const details = [];
+
+  for (const field of Object.keys(input)) {
+    if (!SALE_FIELDS.includes(field)) {
+      details.push({ ...at, field, message: `Unknown field. Must be one of: ${SALE_FIELDS.join(', ')}` });
+    }
+  }
+
+  const present = field => input[field] !== undefined;
+
+  if (!partial || present('userId')) {
+    if (!Number.isInteger(input.userId) || input.userId < 1) {
+      details.push({ ...at, field: 'userId', message: 'Must be a positive integer' });
+    }
+  }
+  if (!partial || present('amount')) {
+    if (!Number.isInteger(input.amount) || input.amount < 1 || input.amount > MAX_AMOUNT) {
+      details.push({ ...at, field: 'amount', message: `Must be a positive integer up to ${MAX_AMOUNT}` });
+    }
+  }
+  if (!partial || present('date')) {
+    if (!isValidDateString(input.date)) {
+      details.push({ ...at, field: 'date', message: 'Must be a valid date in YYYY-MM-DD format' });
+    }
+  }
+
+  if (partial && details.length === 0 && !SALE_FIELDS.some(present)) {
+    details.push({ ...at, field: null, message: `At least one of ${SALE_FIELDS.join(', ')} is required` });
+  }
+
+  return details;
+}
+
+/**
+ * Drops cached timeseries results covering sales that were written. The daily rollups of their users and
+ * days were already refreshed by the write itself (see migrations/009_maintain_sales_rollups.js).
+ * @param {Array<Object>} changed - { userId, date } of every written sale, before and after the change
+ */
+async function salesChanged(changed) {
+  await queryCache.invalidateDates(changed.map(({ date }) => date));
+}
+
+/**
+ * Lists the given user IDs that have no row in users
+ * @param {Object} client - Database client
+ * @param {Array<number>} userIds - User IDs to check
+ * @returns {Promise<Set<number>>} Unknown user IDs
+ */
+async function findUnknownUsers(client, userIds) {
+  const unique = [...new Set(userIds)];
+  const result = await client.query('SELECT id FROM users WHERE id = ANY($1::int[])', [unique]);
+  const known = new Set(result.rows.map(row => row.id));
+  return new Set(unique.filter(id => !known.has(id)));
+}
+
+/**
+ * Records one or more sales. A batch is inserted with a single statement, so either every
+ * sale is stored or none is, along with the daily rollups. Cached timeseries results are dropped afterwards.
+ * @param {Array<Object>} inputs - Sales to record ({ userId, amount, date })
+ * @returns {Promise<Array<Object>>} Created sales in input order
+ */
+async function createSales(inputs) {
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    throw new ValidationError('At least one sale is required');
+  }
+  if (inputs.length > MAX_BATCH_SIZE) {
+    throw new ValidationError(`A batch can hold at most ${MAX_BATCH_SIZE} sales`);
+  }
+
+  const batch = inputs.length > 1;
+  const details = inputs.flatMap((input, index) => validateSaleInput(input, batch ? { index } : {}));
+  if (details.length > 0) {
+    throw new ValidationError('Invalid sale', details);
+  }
+
+  const client = getClient();
+
+  const unknownUsers = await findUnknownUsers(client, inputs.map(input => input.userId));
+  if (unknownUsers.size > 0) {
+    throw new ValidationError('Unknown user', inputs
+      .map((input, index) => ({ input, index }))
+      .filter(({ input }) => unknownUsers.has(input.userId))
+      .map(({ input, index }) => ({
+        ...(batch ? { index } : {}),
+        field: 'userId',
+        message: `User ${input.userId} does not exist`
+      })));
+  }
+
+  try {
+    const result = await client.query(`
+      INSERT INTO sales (user_id, amount, date)
+      SELECT * FROM UNNEST($1::int[], $2::int[], $3::date[])
+      RETURNING ${SALE_COLUMNS}
+    `, [
+      inputs.map(input => input.userId),
+      inputs.map(input => input.amount),
+      inputs.map(input => input.date)
+    ]);
+    await salesChanged(result.rows.map(row => ({ userId: row.user_id, date: row.date })));
+    return result.rows.map(formatSale);
+  } catch (error) {
+    // A user deleted between the check and the insert
+    if (error.code === FOREIGN_KEY_VIOLATION) {
+      throw new ValidationError('Unknown user', [{ field: 'userId', message: error.detail || error.message }]);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetches a single sale. Sales outside the caller's scope are reported as not found.
+ * @param {number} id - Sale ID
+ * @param {Object} scope - Sales the caller may see (see scope.js); undefined for every sale
+ * @returns {Promise<Object>} Sale object
+ */
+async function getSale(id, scope) {
+  const params = [id];
+  const query = `SELECT ${SALE_COLUMNS} FROM sales s WHERE id = $1${salesScopeSql(scope, params)}`;
+
+  const client = getClient();
+  const result = await client.query(query, params);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError(`Sale ${id} not found`);
+  }
+  return formatSale(result.rows[0]);
+}
+
+/**
+ * Changes some fields of a sale. Daily rollups and cached timeseries results of both its old and new
+ * user and date are updated.
+ * @param {number} id - Sale ID
+ * @param {Object} changes - Fields to change (userId, amount, date)
+ * @returns {Promise<Object>} Updated sale object
+ */
+async function updateSale(id, changes) {
+  const details = validateSaleInput(changes, { partial: true });
+  if (details.length > 0) {
+    throw new ValidationError('Invalid sale', details);
+  }
+
+  const client = getClient();
+
+  if (changes.userId !== undefined) {
+    const unknownUsers = await findUnknownUsers(client, [changes.userId]);
+    if (unknownUsers.size > 0) {
+      throw new ValidationError('Unknown user', [
+        { field: 'userId', message: `User ${changes.userId} does not exist` }
+      ]);
+    }
+  }
+
+  const columns = { userId: 'user_id', amount: 'amount', date: 'date' };
+  const params = [];
+  const assignments = [];
+  for (const field of SALE_FIELDS) {
+    if (changes[field] !== undefined) {
+      params.push(changes[field]);
+      assignments.push(`${columns[field]} = $${params.length}`);
+    }
+  }
+  params.push(id);
+
+  try {
+    // The CTE reads the row as it was before the update
+    const result = await client.query(`
+      WITH previous AS (SELECT user_id, date FROM sales WHERE id = $${params.length})
+      UPDATE sales SET ${assignments.join(', ')}
+      WHERE id = $${params.length}
+      RETURNING ${SALE_COLUMNS},
+        (SELECT user_id FROM previous) as previous_user_id,
+        (SELECT to_char(date, 'YYYY-MM-DD') FROM previous) as previous_date
+    `, params);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError(`Sale ${id} not found`);
+    }
+    const row = result.rows[0];
+    await salesChanged([
+      { userId: row.previous_user_id, date: row.previous_date },
+      { userId: row.user_id, date: row.date }
+    ]);
+    return formatSale(row);
+  } catch (error) {
+    if (error.code === FOREIGN_KEY_VIOLATION) {
+      throw new ValidationError('Unknown user', [{ field: 'userId', message: error.detail || error.message }]);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Deletes a sale. Daily rollups and cached timeseries results are updated.
+ * @param {number} id - Sale ID
+ * @returns {Promise<Object>} The deleted sale object
+ */
+async function deleteSale(id) {
+  const client = getClient();
+  const result = await client.query(`DELETE FROM sales WHERE id = $1 RETURNING ${SALE_COLUMNS}`, [id]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError(`Sale ${id} not found`);
+  }
+  const row = result.rows[0];
+  await salesChanged([{ userId: row.user_id, date: row.date }]);
+  return formatSale(row);
+}
+
+module.exports = {
+  MAX_AMOUNT,
+  MAX_BATCH_SIZE,
+  validateSaleInput,
+  createSales,
+  getSale,
+  updateSale,
+  deleteSale
+};
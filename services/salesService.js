@@ -1,78 +1,261 @@
 'use strict';
 
+const QueryStream = require('pg-query-stream');
 const { getClient } = require('./db');
+const dimensions = require('./dimensions');
+const queryCache = require('./queryCache');
+const { salesScopeSql } = require('./scope');
+const { ValidationError } = require('./errors');
+const {
+  VALID_GRANULARITIES,
+  VALID_ATTRIBUTIONS,
+  VALID_COMPARE,
+  MAX_ROLLING_WINDOWS,
+  MAX_FILLED_WINDOWS,
+  DEFAULT_METRICS,
+  VALID_METRICS,
+  DEFAULT_HISTOGRAM_BUCKETS,
+  MAX_HISTOGRAM_BUCKETS
+} = require('./options');
+const {
+  truncateToWindow,
+  addWindows,
+  windowEnd,
+  addDays,
+  comparisonWindow,
+  toDateString,
+  startOfDayIn,
+  listWindows,
+  windowKey
+} = require('./timeWindows');
+
+// Length of each window, for the SQL that computes where windows end
+const WINDOW_INTERVALS = {
+  day: '1 day',
+  week: '1 week',
+  month: '1 month',
+  quarter: '3 months',
+  year: '1 year'
+};
+
+// Metrics that get a comparison delta when compare is requested
+const COMPARED_METRICS = ['saleCount', 'totalRevenue', 'avgRevenue'];
+
+// Metrics that are summed for rolling and cumulative totals
+const ACCUMULATED_METRICS = ['saleCount', 'totalRevenue'];
+
+// Distribution metrics: the row column each is returned in and the SQL computing it from sales,
+// and from daily rollups where the rollup totals are enough (rollupSql).
+// Only selected ones are queried since percentiles need a sort per window.
+const DISTRIBUTION_METRICS = {
+  medianSale: { column: 'median_sale', sql: 'ROUND(PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY s.amount)::numeric, 2)' },
+  p25Sale: { column: 'p25_sale', sql: 'ROUND(PERCENTILE_CONT(0.25) WITHIN GROUP (ORDER BY s.amount)::numeric, 2)' },
+  p75Sale: { column: 'p75_sale', sql: 'ROUND(PERCENTILE_CONT(0.75) WITHIN GROUP (ORDER BY s.amount)::numeric, 2)' },
+  p90Sale: { column: 'p90_sale', sql: 'ROUND(PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY s.amount)::numeric, 2)' },
+  stddevSale: {
+    column: 'stddev_sale',
+    sql: 'ROUND(STDDEV_POP(s.amount), 2)',
+    // Population variance is the mean of the squares minus the square of the mean
+    rollupSql: 'ROUND(SQRT(GREATEST(SUM(s.sum_of_squares) / SUM(s.sale_count) - ' +
+      '(SUM(s.total_amount)::numeric / SUM(s.sale_count)) ^ 2, 0)), 2)'
+  }
+};
+
+// Metrics the daily rollups can answer; the others need the individual sales
+const ROLLUP_METRICS = [
+  ...DEFAULT_METRICS,
+  ...Object.keys(DISTRIBUTION_METRICS).filter(metric => DISTRIBUTION_METRICS[metric].rollupSql)
+];
 
 /**
- * Fetches time series sales data with flexible aggregation options
+ * Fetches time series sales data with flexible aggregation options. Results are cached until a sale
+ * in their date range is written (see queryCache)
  * @param {Object} options - Query options
- * @param {string} options.granularity - Time window granularity (day, week, month)
+ * @param {string} options.granularity - Time window granularity (day, week, month, quarter, year)
+ * @param {number} options.weekStart - ISO day weeks start on, 1 (Monday) to 7 (Sunday) (default: 1)
+ * @param {number} options.fiscalYearStart - Month quarters and years start from, 1 to 12 (default: 1)
  * @param {string} options.startDate - Start date filter (YYYY-MM-DD)
  * @param {string} options.endDate - End date filter (YYYY-MM-DD)
- * @param {string} options.groupBy - Aggregation level (user or group)
+ * @param {string} options.groupBy - Comma-separated dimensions (user, group, role, dayOfWeek), or none for totals
+ * @param {string} options.attribution - How sales of users in several groups are counted (full, split, primary)
  * @param {string} options.userId - Comma-separated user IDs to filter
  * @param {string} options.groupId - Comma-separated group IDs to filter
+ * @param {Object} options.scope - Sales the caller may see (see scope.js); undefined for every sale
+ * @param {boolean} options.fillGaps - Include zero-valued rows for windows without sales
+ * @param {Array<string>} options.metrics - Metrics to compute; distribution metrics are only queried when listed
+ * @param {Array<number>} options.histogramBuckets - Ascending lower bounds of the histogram buckets
  * @returns {Promise<Array>} Time series sales data
  */
 async function getTimeSeriesSales(options) {
   const {
     granularity = 'month',
+    weekStart,
+    fiscalYearStart,
     startDate,
     endDate,
     groupBy = 'user',
+    fillGaps = false
+  } = options;
+
+  const { query, params } = buildTimeSeriesQuery(options);
+  // Reject a range too long to fill before querying it
+  if (fillGaps && startDate && endDate) {
+    listFilledWindows(startDate, endDate, granularity, options);
+  }
+
+  // The SQL and its parameters capture every option that changes the rows, except gap filling
+  const key = queryCache.cacheKey('timeseries', [query, params, fillGaps]);
+
+  return queryCache.getOrLoad(key, { startDate, endDate }, async () => {
+    const client = getClient();
+    const result = await client.query(query, params);
+
+    if (fillGaps) {
+      return fillTimeSeriesGaps(result.rows, { granularity, weekStart, fiscalYearStart, groupBy, startDate, endDate });
+    }
+
+    return result.rows;
+  });
+}
+
+/**
+ * Streams time series sales rows from Postgres instead of buffering the whole result.
+ * Takes the same query options as getTimeSeriesSales except fillGaps, which needs every row.
+ * @param {Object} options - Query options (see getTimeSeriesSales)
+ * @returns {stream.Readable} Object-mode stream of database rows
+ */
+function streamTimeSeriesSales(options) {
+  const { query, params } = buildTimeSeriesQuery(options);
+
+  // A stream holds its connection until it's read to the end or destroyed
+  const client = getClient();
+  return client.stream(new QueryStream(query, params));
+}
+
+/**
+ * Validates timeseries query options and builds the aggregation SQL
+ * @param {Object} options - Query options (see getTimeSeriesSales)
+ * @returns {Object} { query, params } ready for client.query
+ */
+function buildTimeSeriesQuery(options) {
+  const {
+    granularity = 'month',
+    startDate,
+    endDate,
+    groupBy = 'user',
+    attribution = 'full',
     userId,
-    groupId
+    groupId,
+    scope,
+    metrics = DEFAULT_METRICS,
+    histogramBuckets = DEFAULT_HISTOGRAM_BUCKETS
   } = options;
 
-  const VALID_GRANULARITIES = ['day', 'week', 'month'];
   if (!VALID_GRANULARITIES.includes(granularity)) {
-    throw new Error(`Invalid granularity: ${granularity}. Must be one of: ${VALID_GRANULARITIES.join(', ')}`);
+    throw new ValidationError(`Invalid granularity: ${granularity}. Must be one of: ${VALID_GRANULARITIES.join(', ')}`);
   }
+  validateCalendar(options);
 
-  const VALID_GROUP_BY = ['user', 'group'];
-  if (!VALID_GROUP_BY.includes(groupBy)) {
-    throw new Error(`Invalid groupBy: ${groupBy}. Must be one of: ${VALID_GROUP_BY.join(', ')}`);
+  const columns = dimensions.dimensionColumns(groupBy);
+  const byGroup = dimensions.needsTable(groupBy, 'groups');
+
+  if (!VALID_ATTRIBUTIONS.includes(attribution)) {
+    throw new ValidationError(`Invalid attribution: ${attribution}. Must be one of: ${VALID_ATTRIBUTIONS.join(', ')}`);
   }
 
-  const client = getClient();
-  const params = [];
-  let paramIndex = 1;
+  const invalidMetrics = metrics.filter(metric => !VALID_METRICS.includes(metric));
+  if (invalidMetrics.length > 0) {
+    throw new ValidationError(
+      `Invalid metrics: ${invalidMetrics.join(', ')}. Must be any of: ${VALID_METRICS.join(', ')}`
+    );
+  }
 
-  let query;
+  // Daily rollups hold one row per user and day. They are aliased s like the sales they summarize,
+  // so filters and joins on s.user_id and s.date work on either.
+  const fromRollups = process.env.SALES_ROLLUPS !== 'off' && metrics.every(metric => ROLLUP_METRICS.includes(metric));
 
-  if (groupBy === 'user') {
-    query = `
-      SELECT
-        DATE_TRUNC('${granularity}', s.date) as time_window,
-        u.id as user_id,
-        u.name as user_name,
-        u.role as user_role,
-        COUNT(s.id) as sale_count,
-        SUM(s.amount) as total_revenue,
-        ROUND(AVG(s.amount), 2) as avg_revenue,
-        MIN(s.amount) as min_sale,
-        MAX(s.amount) as max_sale
-      FROM sales s
-      JOIN users u ON s.user_id = u.id
-      WHERE 1=1
-    `;
+  // With split attribution a sale weighs 1/n in each of the n groups its user belonged to on the sale date,
+  // so group totals add up to company totals. Sale sizes (min, max, distribution) are not split.
+  const split = byGroup && attribution === 'split';
+  const countSql = filter => (split ? `ROUND(SUM(1.0 / shares.group_count)${filter}, 2)` : `COUNT(s.id)${filter}`);
+  let aggregateColumns;
+  if (fromRollups) {
+    const count = split ? 'SUM(s.sale_count::numeric / shares.group_count)' : 'SUM(s.sale_count)';
+    const revenue = split ? 'SUM(s.total_amount::numeric / shares.group_count)' : 'SUM(s.total_amount)';
+    aggregateColumns = `
+        ${split ? `ROUND(${count}, 2)` : count} as sale_count,
+        ${split ? `ROUND(${revenue}, 2)` : revenue} as total_revenue,
+        ROUND(${revenue}::numeric / ${count}, 2) as avg_revenue,
+        MIN(s.min_amount) as min_sale,
+        MAX(s.max_amount) as max_sale`;
   } else {
-    query = `
-      SELECT
-        DATE_TRUNC('${granularity}', s.date) as time_window,
-        g.id as group_id,
-        g.name as group_name,
-        COUNT(s.id) as sale_count,
+    aggregateColumns = split ? `
+        ${countSql('')} as sale_count,
+        ROUND(SUM(s.amount::numeric / shares.group_count), 2) as total_revenue,
+        ROUND(SUM(s.amount::numeric / shares.group_count) / SUM(1.0 / shares.group_count), 2) as avg_revenue,` : `
+        ${countSql('')} as sale_count,
         SUM(s.amount) as total_revenue,
-        ROUND(AVG(s.amount), 2) as avg_revenue,
+        ROUND(AVG(s.amount), 2) as avg_revenue,`;
+    aggregateColumns += `
         MIN(s.amount) as min_sale,
-        MAX(s.amount) as max_sale
-      FROM sales s
-      JOIN users u ON s.user_id = u.id
-      JOIN user_groups ug ON u.id = ug.user_id
-      JOIN groups g ON ug.group_id = g.id
+        MAX(s.amount) as max_sale`;
+  }
+
+  const params = [];
+  let paramIndex = 1;
+
+  // Distribution columns go in the SELECT list, so their parameters come first
+  const distributionColumns = metrics
+    .filter(metric => DISTRIBUTION_METRICS[metric])
+    .map(metric => {
+      const { column, sql, rollupSql } = DISTRIBUTION_METRICS[metric];
+      return `${fromRollups ? rollupSql : sql} as ${column}`;
+    });
+
+  if (metrics.includes('histogram')) {
+    validateHistogramBuckets(histogramBuckets);
+
+    const buckets = histogramBuckets.map((from, i) => {
+      const to = histogramBuckets[i + 1];
+      const fromParam = `$${paramIndex++}::int`;
+      params.push(from);
+      if (to === undefined) {
+        return `json_build_object('from', ${fromParam}, 'to', NULL, ` +
+          `'count', ${countSql(` FILTER (WHERE s.amount >= ${fromParam})`)})`;
+      }
+      const toParam = `$${paramIndex++}::int`;
+      params.push(to);
+      return `json_build_object('from', ${fromParam}, 'to', ${toParam}, ` +
+        `'count', ${countSql(` FILTER (WHERE s.amount >= ${fromParam} AND s.amount < ${toParam})`)})`;
+    });
+    distributionColumns.push(`json_build_array(${buckets.join(', ')}) as histogram`);
+  }
+
+  const extraColumns = distributionColumns.map(column => `,\n        ${column}`).join('');
+
+  const selectColumns = columns.map(({ sql, column }) => `\n        ${sql} as ${column},`).join('');
+
+  let joins = '';
+  if (dimensions.needsTable(groupBy, 'users')) {
+    joins += `
+      JOIN users u ON s.user_id = u.id`;
+  }
+  if (byGroup) {
+    joins += `
+      ${membershipJoin(attribution)}
+      JOIN groups g ON ug.group_id = g.id`;
+  }
+
+  // Windows are returned as plain dates so the database time zone can't shift them
+  const windowSql = windowStartSql(granularity, options);
+  const windowEndSql = `${windowSql} + INTERVAL '${WINDOW_INTERVALS[granularity]}' - INTERVAL '1 day'`;
+  let query = `
+      SELECT
+        to_char(${windowSql}, 'YYYY-MM-DD') as time_window,
+        to_char(${windowEndSql}, 'YYYY-MM-DD') as window_end,${selectColumns}${aggregateColumns}${extraColumns}
+      FROM ${fromRollups ? 'sales_daily_rollups' : 'sales'} s${joins}
       WHERE 1=1
     `;
-  }
 
   if (startDate) {
     query += ` AND s.date >= $${paramIndex++}`;
@@ -83,67 +266,549 @@ async function getTimeSeriesSales(options) {
     params.push(endDate);
   }
 
-  if (userId && groupBy === 'user') {
+  query += salesScopeSql(scope, params);
+  paramIndex = params.length + 1;
+
+  if (userId) {
     const userIds = userId.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id));
     if (userIds.length > 0) {
-      query += ` AND u.id = ANY($${paramIndex++}::int[])`;
+      query += ` AND s.user_id = ANY($${paramIndex++}::int[])`;
       params.push(userIds);
     }
   }
 
-  if (groupId && groupBy === 'group') {
+  // Grouped by group, only the rows of the given groups are kept. Otherwise sales count when their user belonged
+  // to one of the groups on the sale date, like the groups they would count towards when grouped.
+  if (groupId) {
     const groupIds = groupId.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id));
     if (groupIds.length > 0) {
-      query += ` AND g.id = ANY($${paramIndex++}::int[])`;
+      query += byGroup ? ` AND g.id = ANY($${paramIndex++}::int[])` : ` AND EXISTS (
+        SELECT 1 FROM user_groups fg
+        WHERE fg.user_id = s.user_id AND fg.group_id = ANY($${paramIndex++}::int[])
+        AND (fg.effective_from IS NULL OR fg.effective_from <= s.date)
+        AND (fg.effective_to IS NULL OR fg.effective_to > s.date)
+      )`;
       params.push(groupIds);
     }
   }
 
-  if (groupBy === 'user') {
-    query += `
-      GROUP BY time_window, u.id, u.name, u.role
-      ORDER BY time_window DESC, total_revenue DESC
-    `;
-  } else {
-    query += `
-      GROUP BY time_window, g.id, g.name
+  const groupColumns = [...new Set(columns.map(({ sql }) => sql))];
+  query += `
+      GROUP BY ${['time_window', 'window_end', ...groupColumns].join(', ')}
       ORDER BY time_window DESC, total_revenue DESC
     `;
+
+  return { query, params };
+}
+
+/**
+ * Ensures the calendar options describe a real week start day and fiscal year start month
+ * @param {Object} calendar - Calendar options
+ * @param {number} calendar.weekStart - ISO day weeks start on, 1 (Monday) to 7 (Sunday)
+ * @param {number} calendar.fiscalYearStart - Month quarters and years start from, 1 to 12
+ */
+function validateCalendar({ weekStart = 1, fiscalYearStart = 1 }) {
+  if (!Number.isInteger(weekStart) || weekStart < 1 || weekStart > 7) {
+    throw new ValidationError(`Invalid weekStart: ${weekStart}. Must be an integer between 1 (Monday) and 7 (Sunday)`);
+  }
+  if (!Number.isInteger(fiscalYearStart) || fiscalYearStart < 1 || fiscalYearStart > 12) {
+    throw new ValidationError(`Invalid fiscalYearStart: ${fiscalYearStart}. Must be an integer between 1 and 12`);
+  }
+}
+
+/**
+ * Builds the SQL for the start of a sale's time window. DATE_TRUNC starts weeks on Monday and
+ * quarters and years in January, so other calendars shift the date there and back again.
+ * @param {string} granularity - Time window granularity (day, week, month, quarter, year)
+ * @param {Object} calendar - Validated calendar options (weekStart, fiscalYearStart)
+ * @returns {string} SQL timestamp expression
+ */
+function windowStartSql(granularity, { weekStart = 1, fiscalYearStart = 1 }) {
+  let shift = null;
+  if (granularity === 'week' && weekStart !== 1) {
+    shift = `${(8 - weekStart) % 7} days`;
+  }
+  if ((granularity === 'quarter' || granularity === 'year') && fiscalYearStart !== 1) {
+    shift = `${13 - fiscalYearStart} months`;
+  }
+
+  // Casting to timestamp keeps the session time zone out of the truncation
+  return shift
+    ? `(DATE_TRUNC('${granularity}', s.date::timestamp + INTERVAL '${shift}') - INTERVAL '${shift}')`
+    : `DATE_TRUNC('${granularity}', s.date::timestamp)`;
+}
+
+/**
+ * Builds the join from a sale's user to the group memberships the sale is attributed to.
+ * Only memberships active on the sale date count; the joined membership is aliased ug.
+ * @param {string} attribution - full, split or primary
+ * @returns {string} JOIN clauses
+ */
+function membershipJoin(attribution) {
+  const onSaleDate = alias => `(${alias}.effective_from IS NULL OR ${alias}.effective_from <= s.date)
+        AND (${alias}.effective_to IS NULL OR ${alias}.effective_to > s.date)`;
+
+  // The membership flagged primary, or the one with the lowest group ID when none is
+  if (attribution === 'primary') {
+    return `JOIN LATERAL (
+        SELECT m.group_id FROM user_groups m
+        WHERE m.user_id = u.id
+        AND ${onSaleDate('m')}
+        ORDER BY m.is_primary DESC, m.group_id
+        LIMIT 1
+      ) ug ON true`;
+  }
+
+  let join = `JOIN user_groups ug ON u.id = ug.user_id
+        AND ${onSaleDate('ug')}`;
+  if (attribution === 'split') {
+    join += `
+      JOIN LATERAL (
+        SELECT COUNT(*) as group_count FROM user_groups m
+        WHERE m.user_id = u.id
+        AND ${onSaleDate('m')}
+      ) shares ON true`;
+  }
+  return join;
+}
+
+/**
+ * Ensures histogram bucket bounds are a short ascending list of integers
+ * @param {Array<number>} buckets - Lower bounds of the histogram buckets
+ */
+function validateHistogramBuckets(buckets) {
+  const ascending = buckets.every((bound, i) => Number.isInteger(bound) && (i === 0 || bound > buckets[i - 1]));
+  if (buckets.length === 0 || buckets.length > MAX_HISTOGRAM_BUCKETS || !ascending) {
+    throw new ValidationError(`Invalid histogramBuckets: must be 1 to ${MAX_HISTOGRAM_BUCKETS} ascending integers`);
+  }
+}
+
+/**
+ * Lists the windows of a range gaps are filled in, which every entity gets a row for
+ * @param {Date|string} start - First date of the range
+ * @param {Date|string} end - Last date of the range
+ * @param {string} granularity - Time window granularity (day, week, month, quarter, year)
+ * @param {Object} calendar - Calendar options (see truncateToWindow)
+ * @returns {Array<Date>} Window starts in ascending order
+ */
+function listFilledWindows(start, end, granularity, calendar) {
+  const windows = listWindows(start, end, granularity, calendar, MAX_FILLED_WINDOWS);
+  if (!windows) {
+    throw new ValidationError(
+      `Too many ${granularity} windows to fill gaps in: at most ${MAX_FILLED_WINDOWS}. ` +
+      'Use a shorter date range or a coarser granularity'
+    );
+  }
+  return windows;
+}
+
+/**
+ * Adds zero-valued rows so every entity has a row for every time window in the range
+ * @param {Array} rows - Database query results
+ * @param {Object} options - Fill options
+ * @param {string} options.granularity - Time window granularity (day, week, month, quarter, year)
+ * @param {number} options.weekStart - ISO day weeks start on (default: 1, Monday)
+ * @param {number} options.fiscalYearStart - Month quarters and years start from (default: 1)
+ * @param {string} options.groupBy - Comma-separated dimensions, or none
+ * @param {string} options.startDate - First date of the range (defaults to the earliest window in rows)
+ * @param {string} options.endDate - Last date of the range (defaults to the latest window in rows)
+ * @returns {Array} Rows including empty windows, ordered like the database results
+ */
+function fillTimeSeriesGaps(rows, options) {
+  const { granularity, groupBy, startDate, endDate } = options;
+
+  // Without any rows there are no entities to build series for
+  if (rows.length === 0) {
+    return rows;
+  }
+
+  const windowTimes = rows.map(row => new Date(row.time_window).getTime());
+  const start = startDate || new Date(Math.min(...windowTimes));
+  const end = endDate || new Date(Math.max(...windowTimes));
+  const windows = listFilledWindows(start, end, granularity, options);
+
+  const columns = dimensions.dimensionColumns(groupBy).map(({ column }) => column);
+  const entities = new Map();
+  const existing = new Map();
+
+  for (const row of rows) {
+    const entity = dimensions.rowEntityKey(row, groupBy);
+    if (!entities.has(entity)) {
+      entities.set(entity, row);
+    }
+    existing.set(`${entity}|${windowKey(row.time_window)}`, row);
+  }
+
+  const filled = [];
+  for (const [entity, entityRow] of entities) {
+    for (const window of windows) {
+      const row = existing.get(`${entity}|${windowKey(window)}`);
+      if (row) {
+        filled.push(row);
+        continue;
+      }
+
+      // A day only falls on one day of the week, so it has no empty row for the other six
+      if (entityRow.day_of_week !== undefined && granularity === 'day' &&
+        isoDayOfWeek(window) !== Number(entityRow.day_of_week)) {
+        continue;
+      }
+
+      const emptyRow = { time_window: window, window_end: toDateString(windowEnd(window, granularity)) };
+      for (const column of columns) {
+        emptyRow[column] = entityRow[column];
+      }
+      for (const { column } of Object.values(DISTRIBUTION_METRICS)) {
+        if (entityRow[column] !== undefined) {
+          emptyRow[column] = 0;
+        }
+      }
+      if (entityRow.histogram) {
+        emptyRow.histogram = entityRow.histogram.map(bucket => ({ ...bucket, count: 0 }));
+      }
+      filled.push({
+        ...emptyRow,
+        sale_count: 0,
+        total_revenue: 0,
+        avg_revenue: 0,
+        min_sale: 0,
+        max_sale: 0
+      });
+    }
+  }
+
+  // Match the database ordering: newest window first, highest revenue first
+  return filled.sort((a, b) =>
+    new Date(b.time_window) - new Date(a.time_window) ||
+    Number(b.total_revenue) - Number(a.total_revenue)
+  );
+}
+
+/**
+ * Gives the ISO day of the week of a UTC date, matching EXTRACT(ISODOW ...)
+ * @param {Date} date - Date
+ * @returns {number} 1 for Monday to 7 for Sunday
+ */
+function isoDayOfWeek(date) {
+  return new Date(date).getUTCDay() || 7;
+}
+
+/**
+ * Fetches the rows for the period a timeseries query is compared against
+ * @param {Object} options - Same options as getTimeSeriesSales
+ * @param {string} options.compare - Comparison mode (previous or yoy)
+ * @returns {Promise<Array>} Time series sales data for the comparison period
+ */
+async function getComparisonSales(options) {
+  const { granularity = 'month', startDate, endDate, compare } = options;
+
+  if (!VALID_COMPARE.includes(compare)) {
+    throw new ValidationError(`Invalid compare: ${compare}. Must be one of: ${VALID_COMPARE.join(', ')}`);
+  }
+
+  // Shift the range by whole windows so every comparison window is fetched in full
+  const comparisonOptions = { ...options, fillGaps: false, metrics: DEFAULT_METRICS };
+  if (startDate) {
+    comparisonOptions.startDate = toDateString(
+      comparisonWindow(truncateToWindow(startDate, granularity, options), granularity, compare)
+    );
+  }
+  if (endDate) {
+    const lastWindow = comparisonWindow(truncateToWindow(endDate, granularity, options), granularity, compare);
+    comparisonOptions.endDate = toDateString(windowEnd(lastWindow, granularity));
+  }
+  delete comparisonOptions.compare;
+
+  return getTimeSeriesSales(comparisonOptions);
+}
+
+/**
+ * Computes the absolute and percentage change between two metric values
+ * @param {number} current - Value in the current window
+ * @param {number} previous - Value in the comparison window
+ * @returns {Object} Delta with percentChange null when the comparison value is zero
+ */
+function computeDelta(current, previous) {
+  return {
+    change: Math.round((current - previous) * 100) / 100,
+    percentChange: previous === 0 ? null : Math.round(((current - previous) / previous) * 10000) / 100
+  };
+}
+
+/**
+ * Attaches comparison-period metrics and deltas to formatted timeseries data
+ * @param {Array} data - Output of formatTimeSeriesData for the requested period
+ * @param {Array} comparisonData - Output of formatTimeSeriesData for the comparison period
+ * @param {Object} options - Comparison options
+ * @param {string} options.granularity - Time window granularity (day, week, month, quarter, year)
+ * @param {string} options.groupBy - Comma-separated dimensions, or none
+ * @param {string} options.compare - Comparison mode (previous or yoy)
+ * @returns {Array} Data objects with a comparison block
+ */
+function applyComparison(data, comparisonData, { granularity, groupBy, compare }) {
+  const byWindow = new Map(
+    comparisonData.map(item => [`${dimensions.entityKey(item, groupBy)}|${windowKey(item.timeWindow)}`, item])
+  );
+
+  return data.map(item => {
+    const previousWindow = comparisonWindow(item.timeWindow, granularity, compare);
+    const previous = byWindow.get(`${dimensions.entityKey(item, groupBy)}|${windowKey(previousWindow)}`);
+
+    // A comparison window without sales counts as zero for every compared metric
+    const previousMetrics = {};
+    const deltas = {};
+    for (const metric of COMPARED_METRICS) {
+      previousMetrics[metric] = previous ? previous.metrics[metric] : 0;
+      deltas[metric] = computeDelta(item.metrics[metric], previousMetrics[metric]);
+    }
+
+    return {
+      ...item,
+      comparison: {
+        timeWindow: previousWindow,
+        hasSales: Boolean(previous),
+        metrics: previousMetrics,
+        deltas
+      }
+    };
+  });
+}
+
+/**
+ * Fetches the history needed before startDate to compute rolling and cumulative metrics
+ * @param {Object} options - Same options as getTimeSeriesSales
+ * @param {number} options.rolling - Number of windows in the moving window
+ * @param {boolean} options.cumulative - Whether month-to-date and year-to-date totals are requested
+ * @returns {Promise<Array>} Time series sales data from the lookback start up to the day before startDate
+ */
+async function getLookbackSales(options) {
+  const { granularity = 'month', startDate, rolling, cumulative } = options;
+
+  validateRolling(rolling);
+
+  // Without a start date the main query already covers the full history
+  if (!startDate) {
+    return [];
+  }
+
+  const starts = [truncateToWindow(startDate, granularity, options)];
+  if (rolling) {
+    starts.push(addWindows(starts[0], granularity, -(rolling - 1)));
+  }
+  if (cumulative) {
+    starts.push(truncateToWindow(starts[0], 'year', options));
+  }
+  const lookbackStart = new Date(Math.min(...starts));
+
+  if (lookbackStart >= new Date(startDate)) {
+    return [];
   }
 
-  const result = await client.query(query, params);
-  return result.rows;
+  const lookbackOptions = {
+    ...options,
+    startDate: toDateString(lookbackStart),
+    endDate: toDateString(addDays(startDate, -1)),
+    fillGaps: false,
+    metrics: DEFAULT_METRICS
+  };
+  delete lookbackOptions.rolling;
+  delete lookbackOptions.cumulative;
+
+  return getTimeSeriesSales(lookbackOptions);
+}
+
+/**
+ * Ensures a rolling window size is a sensible positive integer
+ * @param {number} rolling - Number of windows in the moving window
+ */
+function validateRolling(rolling) {
+  if (rolling !== undefined && (!Number.isInteger(rolling) || rolling < 1 || rolling > MAX_ROLLING_WINDOWS)) {
+    throw new ValidationError(`Invalid rolling: ${rolling}. Must be an integer between 1 and ${MAX_ROLLING_WINDOWS}`);
+  }
+}
+
+/**
+ * Sums the accumulated metrics over a set of per-window totals
+ * @param {Array<Object>} totals - Per-window metric totals
+ * @returns {Object} Summed saleCount and totalRevenue
+ */
+function sumMetrics(totals) {
+  const sum = {};
+  for (const metric of ACCUMULATED_METRICS) {
+    // Split attribution gives fractional totals; round away floating point noise
+    sum[metric] = Math.round(totals.reduce((acc, total) => acc + total[metric], 0) * 100) / 100;
+  }
+  return sum;
+}
+
+/**
+ * Attaches moving sums/averages and month-to-date/year-to-date totals to formatted timeseries data.
+ * Windows without sales count as zero, so a 7-day average is always taken over 7 days.
+ * @param {Array} data - Output of formatTimeSeriesData for the requested period
+ * @param {Array} historyData - Output of formatTimeSeriesData for the lookback period
+ * @param {Object} options - Rolling options
+ * @param {string} options.granularity - Time window granularity (day, week, month, quarter, year)
+ * @param {string} options.groupBy - Comma-separated dimensions, or none
+ * @param {number} options.rolling - Number of windows in the moving window
+ * @param {boolean} options.cumulative - Add month-to-date and year-to-date running totals
+ * @param {number} options.fiscalYearStart - Month the year-to-date totals start from (default: 1)
+ * @returns {Array} Data objects with rolling and/or cumulative blocks
+ */
+function applyRollingMetrics(data, historyData, { granularity, groupBy, rolling, cumulative, fiscalYearStart }) {
+  validateRolling(rolling);
+
+  // Per-entity totals by window; history and data can share a boundary window, so sum them
+  const totalsByEntity = new Map();
+  for (const item of [...historyData, ...data]) {
+    const key = dimensions.entityKey(item, groupBy);
+    if (!totalsByEntity.has(key)) {
+      totalsByEntity.set(key, new Map());
+    }
+    const windows = totalsByEntity.get(key);
+    const window = windowKey(item.timeWindow);
+    const total = windows.get(window) || { timeWindow: new Date(item.timeWindow), saleCount: 0, totalRevenue: 0 };
+    for (const metric of ACCUMULATED_METRICS) {
+      total[metric] += item.metrics[metric];
+    }
+    windows.set(window, total);
+  }
+
+  return data.map(item => {
+    const windows = totalsByEntity.get(dimensions.entityKey(item, groupBy));
+    const current = new Date(item.timeWindow);
+    const result = { ...item };
+
+    if (rolling) {
+      const inWindow = [];
+      for (let i = 0; i < rolling; i++) {
+        const total = windows.get(windowKey(addWindows(current, granularity, -i)));
+        if (total) {
+          inWindow.push(total);
+        }
+      }
+      const sum = sumMetrics(inWindow);
+      result.rolling = {
+        windows: rolling,
+        sum,
+        average: {
+          saleCount: Math.round((sum.saleCount / rolling) * 100) / 100,
+          totalRevenue: Math.round((sum.totalRevenue / rolling) * 100) / 100
+        }
+      };
+    }
+
+    if (cumulative) {
+      const yearStart = truncateToWindow(current, 'year', { fiscalYearStart });
+      const monthStart = truncateToWindow(current, 'month');
+      const yearToDate = [...windows.values()]
+        .filter(total => total.timeWindow >= yearStart && total.timeWindow <= current);
+
+      result.cumulative = {
+        monthToDate: sumMetrics(yearToDate.filter(total => total.timeWindow >= monthStart)),
+        yearToDate: sumMetrics(yearToDate)
+      };
+    }
+
+    return result;
+  });
 }
 
 /**
  * Formats raw database rows into a structured response
  * @param {Array} rows - Database query results
- * @param {string} groupBy - Aggregation level (user or group)
+ * @param {string} groupBy - Comma-separated dimensions, or none
  * @returns {Array} Formatted data objects
  */
 
 function formatTimeSeriesData(rows, groupBy) {
-  return rows.map(row => ({
-    timeWindow: row.time_window,
-    ...(groupBy === 'user' ? {
-      userId: row.user_id,
-      userName: row.user_name,
-      userRole: row.user_role
-    } : {
-      groupId: row.group_id,
-      groupName: row.group_name
-    }),
-    metrics: {
-      saleCount: parseInt(row.sale_count),
-      totalRevenue: parseInt(row.total_revenue),
+  return rows.map(row => {
+    // Counts and revenue are fractional with split attribution
+    const metrics = {
+      saleCount: parseFloat(row.sale_count),
+      totalRevenue: parseFloat(row.total_revenue),
       avgRevenue: parseFloat(row.avg_revenue),
       minSale: parseInt(row.min_sale),
       maxSale: parseInt(row.max_sale)
+    };
+
+    // Distribution metrics are only present when they were selected in the query
+    for (const [metric, { column }] of Object.entries(DISTRIBUTION_METRICS)) {
+      if (row[column] !== undefined) {
+        metrics[metric] = parseFloat(row[column]);
+      }
+    }
+    if (row.histogram !== undefined) {
+      metrics.histogram = row.histogram;
+    }
+
+    const entity = {};
+    for (const { column, field } of dimensions.dimensionColumns(groupBy)) {
+      entity[field] = row[column];
+    }
+
+    return {
+      timeWindow: windowKey(row.time_window),
+      windowStart: toDateString(row.time_window),
+      windowEnd: row.window_end,
+      ...entity,
+      metrics
+    };
+  });
+}
+
+/**
+ * Keeps only the selected metrics in each row's metrics block
+ * @param {Array} data - Formatted data objects
+ * @param {Array<string>} metrics - Metrics to keep (all when omitted)
+ * @returns {Array} Data objects with trimmed metrics
+ */
+function selectMetrics(data, metrics) {
+  if (!metrics) {
+    return data;
+  }
+
+  return data.map(item => {
+    const selected = {};
+    for (const metric of metrics) {
+      if (item.metrics[metric] !== undefined) {
+        selected[metric] = item.metrics[metric];
+      }
+    }
+    return { ...item, metrics: selected };
+  });
+}
+
+/**
+ * Expresses each window's timeWindow as the instant the window starts in a time zone.
+ * windowStart and windowEnd are calendar dates and stay as they are.
+ * @param {Array} data - Formatted data objects
+ * @param {string} timezone - IANA time zone name
+ * @returns {Array} Data objects with timeWindow (and comparison.timeWindow) moved to local midnight
+ */
+function localizeTimeWindows(data, timezone) {
+  if (!timezone || timezone === 'UTC') {
+    return data;
+  }
+
+  const localize = timeWindow => startOfDayIn(timeWindow, timezone).toISOString();
+  return data.map(item => {
+    const localized = { ...item, timeWindow: localize(item.timeWindow) };
+    if (item.comparison) {
+      localized.comparison = { ...item.comparison, timeWindow: localize(item.comparison.timeWindow) };
     }
-  }));
+    return localized;
+  });
 }
 
 module.exports = {
   getTimeSeriesSales,
-  formatTimeSeriesData
+  streamTimeSeriesSales,
+  fillTimeSeriesGaps,
+  getComparisonSales,
+  applyComparison,
+  getLookbackSales,
+  applyRollingMetrics,
+  formatTimeSeriesData,
+  selectMetrics,
+  localizeTimeWindows
 };
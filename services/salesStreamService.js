@@ -0,0 +1,238 @@
+'use strict';
+
+const salesService = require('./salesService');
+const salesChangeFeed = require('./salesChangeFeed');
+const queryCache = require('./queryCache');
+const dimensions = require('./dimensions');
+const { truncateToWindow, windowEnd, toDateString } = require('./timeWindows');
+
+// A batch changing more windows than this sends a new snapshot instead of every window
+const MAX_WINDOW_EVENTS = 20;
+
+/**
+ * Lists the windows of a timeseries that changes to sales fall in
+ * @param {Array<Object>} changes - Changed { userId, date } pairs (see salesChangeFeed.readChanges)
+ * @param {Object} options - Timeseries options
+ * @param {string} options.granularity - Time window granularity (day, week, month, quarter, year)
+ * @param {number} options.weekStart - ISO day weeks start on (default: 1)
+ * @param {number} options.fiscalYearStart - Month quarters and years start from (default: 1)
+ * @param {string} options.startDate - First day of sales included
+ * @param {string} options.endDate - Last day of sales included
+ * @returns {Array<string>} First day of each window (YYYY-MM-DD), in ascending order
+ */
+function changedWindows(changes, { granularity, weekStart, fiscalYearStart, startDate, endDate }) {
+  const windows = new Set();
+  for (const { date } of changes) {
+    if ((startDate && date < startDate) || (endDate && date > endDate)) {
+      continue;
+    }
+    windows.add(toDateString(truncateToWindow(date, granularity, { weekStart, fiscalYearStart })));
+  }
+  return [...windows].sort();
+}
+
+/**
+ * Fetches the timeseries and formats it like GET /api/sales/timeseries
+ * @param {Object} options - Timeseries options, including scope, metrics and timezone
+ * @returns {Promise<Array<Object>>} Formatted data objects, most recent window first
+ */
+async function getSales(options) {
+  const rows = await salesService.getTimeSeriesSales(options);
+  let data = salesService.formatTimeSeriesData(rows, options.groupBy);
+  if (options.metrics) {
+    data = salesService.selectMetrics(data, options.metrics);
+  }
+  return salesService.localizeTimeWindows(data, options.timezone);
+}
+
+/**
+ * Fetches the rows of a single window of the timeseries
+ * @param {Object} options - Timeseries options (see getSales)
+ * @param {string} windowStart - First day of the window (YYYY-MM-DD)
+ * @returns {Promise<Array<Object>>} Formatted data objects of the window
+ */
+function getWindowSales(options, windowStart) {
+  const lastDay = toDateString(windowEnd(windowStart, options.granularity));
+  return getSales({
+    ...options,
+    startDate: options.startDate && options.startDate > windowStart ? options.startDate : windowStart,
+    endDate: options.endDate && options.endDate < lastDay ? options.endDate : lastDay
+  });
+}
+
+/**
+ * Streams a timeseries as it changes. The stream starts with a snapshot of the whole timeseries, then sends
+ * the rows of every window whose results changed; a stream resuming after a disconnect sends the windows
+ * changed since its last event instead, when those changes are still kept.
+ * @param {Object} options - Timeseries options, as for GET /api/sales/timeseries
+ * @param {Object} handlers - Stream handlers
+ * @param {string} handlers.lastEventId - ID of the last event a resuming client received
+ * @param {Function} handlers.onEvent - Called with every event ({ id, event, data }). IDs are positions of the
+ *   sales change feed and never decrease; several events may share one.
+ * @param {Function} handlers.onEnd - Called when the stream ends without being closed, e.g. on shutdown
+ * @returns {Promise<Object>} { close } once the first event is sent; rejects when it can't be
+ */
+async function openStream(options, { lastEventId, onEvent, onEnd }) {
+  // JSON of the rows last sent for each window, to skip windows whose results didn't change. Windows a
+  // snapshot had no rows for had none; nothing is known about the others when resuming.
+  const sent = new Map();
+  let unsent = null;
+
+  let lastId = null;
+  let subscription = null;
+  let closed = false;
+
+  // Batches wait for the first event, then are sent one after another
+  let startBatches;
+  let queue = new Promise(resolve => {
+    startBatches = resolve;
+  });
+
+  const close = () => {
+    if (closed) {
+      return false;
+    }
+    closed = true;
+    if (subscription) {
+      subscription.unsubscribe();
+    }
+    return true;
+  };
+
+  const end = () => {
+    if (close()) {
+      onEnd();
+    }
+  };
+
+  const emit = (event, data, position) => {
+    if (closed) {
+      return;
+    }
+    if (lastId === null || BigInt(position) > lastId) {
+      lastId = BigInt(position);
+    }
+    onEvent({ id: String(lastId), event, data });
+  };
+
+  const sendSnapshot = async position => {
+    const data = await getSales(options);
+    sent.clear();
+    unsent = '[]';
+    for (const [windowStart, rows] of groupByWindow(data)) {
+      sent.set(windowStart, JSON.stringify(rows));
+    }
+    emit('snapshot', describeSeries(options, data), position);
+  };
+
+  const sendChanges = async ({ position, changes }) => {
+    const windows = changedWindows(changes, options);
+    if (windows.length > MAX_WINDOW_EVENTS) {
+      return sendSnapshot(position);
+    }
+
+    for (const windowStart of windows) {
+      const data = await getWindowSales(options, windowStart);
+      const json = JSON.stringify(data);
+      if (json === (sent.has(windowStart) ? sent.get(windowStart) : unsent)) {
+        continue;
+      }
+      sent.set(windowStart, json);
+      emit('window', {
+        windowStart,
+        windowEnd: toDateString(windowEnd(windowStart, options.granularity)),
+        data
+      }, position);
+    }
+  };
+
+  subscription = await salesChangeFeed.subscribe({
+    onChanges: batch => {
+      queue = queue
+        .then(() => {
+          // Batches read before subscribing are part of the first event
+          if (!closed && BigInt(batch.position) > BigInt(subscription.position)) {
+            return sendChanges(batch);
+          }
+        })
+        .catch(error => {
+          console.error('Error streaming sales timeseries:', error);
+          end();
+        });
+    },
+    onClose: end
+  });
+  // The feed closed while subscribing
+  if (closed) {
+    startBatches();
+    return { close };
+  }
+
+  try {
+    const resume = lastEventId &&
+      BigInt(lastEventId) <= BigInt(subscription.position) &&
+      await salesChangeFeed.canResume(lastEventId);
+
+    if (resume) {
+      lastId = BigInt(lastEventId);
+      const batch = await salesChangeFeed.readChanges(lastEventId);
+      // This server's cached results may predate changes made while it wasn't following them
+      await queryCache.invalidateDates(batch.changes.map(({ date }) => date));
+      await sendChanges(batch);
+    } else {
+      await sendSnapshot(subscription.position);
+    }
+  } catch (error) {
+    close();
+    throw error;
+  } finally {
+    startBatches();
+  }
+
+  return { close };
+}
+
+/**
+ * Groups formatted data objects by window
+ * @param {Array<Object>} data - Formatted data objects
+ * @returns {Map<string, Array<Object>>} Data objects of each window, by first day of the window
+ */
+function groupByWindow(data) {
+  const windows = new Map();
+  for (const item of data) {
+    if (!windows.has(item.windowStart)) {
+      windows.set(item.windowStart, []);
+    }
+    windows.get(item.windowStart).push(item);
+  }
+  return windows;
+}
+
+/**
+ * Wraps timeseries data in the fields GET /api/sales/timeseries responds with
+ * @param {Object} options - Timeseries options
+ * @param {Array<Object>} data - Formatted data objects
+ * @returns {Object} Timeseries response
+ */
+function describeSeries(options, data) {
+  const { granularity, timezone, weekStart, fiscalYearStart, groupBy, attribution } = options;
+  return {
+    granularity,
+    calendar: { timezone, weekStart, fiscalYearStart },
+    groupBy,
+    ...(dimensions.parseGroupBy(groupBy).includes('group') ? { attribution } : {}),
+    filters: {
+      startDate: options.startDate || null,
+      endDate: options.endDate || null,
+      userId: options.userId || null,
+      groupId: options.groupId || null
+    },
+    data
+  };
+}
+
+module.exports = {
+  changedWindows,
+  getWindowSales,
+  openStream
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * Builds the condition limiting sales to those a caller may see: their own, and those made by members
+ * of the groups they manage while they were members. Every query over sales or daily rollups served to
+ * a caller applies it, so aggregates only ever include visible sales.
+ * @param {Object} scope - Access scope of the caller's principal ({ userId, groupIds }), undefined when unrestricted
+ * @param {Array} params - Statement parameters; the scope's values are appended
+ * @param {string} alias - Alias of the sales or sales_daily_rollups table (default: s)
+ * @returns {string} SQL starting with AND, or an empty string when unrestricted
+ */
+function salesScopeSql(scope, params, alias = 's') {
+  if (!scope) {
+    return '';
+  }
+
+  params.push(scope.userId);
+  const ownSales = `${alias}.user_id = $${params.length}`;
+  if (scope.groupIds.length === 0) {
+    return ` AND ${ownSales}`;
+  }
+
+  params.push(scope.groupIds);
+  return ` AND (${ownSales} OR EXISTS (
+        SELECT 1 FROM user_groups scope_ug
+        WHERE scope_ug.user_id = ${alias}.user_id AND scope_ug.group_id = ANY($${params.length}::int[])
+        AND (scope_ug.effective_from IS NULL OR scope_ug.effective_from <= ${alias}.date)
+        AND (scope_ug.effective_to IS NULL OR scope_ug.effective_to > ${alias}.date)
+      ))`;
+}
+
+module.exports = {
+  salesScopeSql
+};
@@ -0,0 +1,241 @@
+'use strict';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Length in months of the granularities that are made of whole months
+const WINDOW_MONTHS = {
+  month: 1,
+  quarter: 3,
+  year: 12
+};
+
+/**
+ * Truncates a date to the start of its time window, mirroring the SQL built by salesService.
+ * All arithmetic is done in UTC.
+ * @param {Date|string} date - Date to truncate
+ * @param {string} granularity - Time window granularity (day, week, month, quarter, year)
+ * @param {Object} calendar - Calendar options
+ * @param {number} calendar.weekStart - ISO day weeks start on, 1 (Monday) to 7 (Sunday) (default: 1)
+ * @param {number} calendar.fiscalYearStart - Month quarters and years start from, 1 to 12 (default: 1)
+ * @returns {Date} Start of the window containing the date
+ */
+function truncateToWindow(date, granularity, { weekStart = 1, fiscalYearStart = 1 } = {}) {
+  const d = new Date(date);
+  const start = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+
+  if (granularity === 'day') {
+    return start;
+  }
+  if (granularity === 'week') {
+    // getUTCDay() is 0 for Sunday, where ISO numbers it 7
+    const offset = (start.getUTCDay() - (weekStart % 7) + 7) % 7;
+    return new Date(start.getTime() - offset * MS_PER_DAY);
+  }
+
+  const months = WINDOW_MONTHS[granularity];
+  if (!months) {
+    throw new Error(`Invalid granularity: ${granularity}`);
+  }
+  // Months since year 0, counted from the first month of the fiscal year for quarters and years
+  const firstMonth = granularity === 'month' ? 0 : fiscalYearStart - 1;
+  const index = start.getUTCFullYear() * 12 + start.getUTCMonth();
+  const startIndex = index - ((((index - firstMonth) % months) + months) % months);
+  return new Date(Date.UTC(Math.floor(startIndex / 12), startIndex % 12, 1));
+}
+
+/**
+ * Moves a window start forward (or backward) by a number of windows
+ * @param {Date} date - Start of a time window
+ * @param {string} granularity - Time window granularity (day, week, month, quarter, year)
+ * @param {number} count - Number of windows to move (negative moves backward)
+ * @returns {Date} Start of the resulting window
+ */
+function addWindows(date, granularity, count) {
+  const d = new Date(date);
+
+  if (granularity === 'day') {
+    return new Date(d.getTime() + count * MS_PER_DAY);
+  }
+  if (granularity === 'week') {
+    return new Date(d.getTime() + count * 7 * MS_PER_DAY);
+  }
+
+  const months = WINDOW_MONTHS[granularity];
+  if (!months) {
+    throw new Error(`Invalid granularity: ${granularity}`);
+  }
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + count * months, 1));
+}
+
+/**
+ * Gives the last day of a time window
+ * @param {Date|string} timeWindow - Start of a time window
+ * @param {string} granularity - Time window granularity (day, week, month, quarter, year)
+ * @returns {Date} Last day of the window
+ */
+function windowEnd(timeWindow, granularity) {
+  return addDays(addWindows(timeWindow, granularity, 1), -1);
+}
+
+/**
+ * Moves a date by a number of calendar days
+ * @param {Date|string} date - Date to move
+ * @param {number} days - Number of days (negative moves backward)
+ * @returns {Date} Resulting date
+ */
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * MS_PER_DAY);
+}
+
+/**
+ * Finds the window a given window is compared against
+ * @param {Date|string} timeWindow - Start of a time window
+ * @param {string} granularity - Time window granularity (day, week, month, quarter, year)
+ * @param {string} compare - Comparison mode: previous (the window before) or yoy (same window a year earlier)
+ * @returns {Date} Start of the comparison window
+ */
+function comparisonWindow(timeWindow, granularity, compare) {
+  const d = new Date(timeWindow);
+
+  if (compare === 'previous') {
+    return addWindows(d, granularity, -1);
+  }
+
+  if (compare === 'yoy') {
+    switch (granularity) {
+      case 'day':
+        return new Date(Date.UTC(d.getUTCFullYear() - 1, d.getUTCMonth(), d.getUTCDate()));
+      case 'week':
+        // 52 weeks keeps the window aligned to the first day of the week
+        return addWindows(d, granularity, -52);
+      default:
+        return addWindows(d, 'month', -12);
+    }
+  }
+
+  throw new Error(`Invalid compare: ${compare}`);
+}
+
+/**
+ * Formats a date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} Date portion of the ISO timestamp
+ */
+function toDateString(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Checks that a value is a real calendar date in YYYY-MM-DD format
+ * @param {*} value - Value to check
+ * @returns {boolean} True for strings like 2021-02-28, false for 2021-02-30 or 2021-2-1
+ */
+function isValidDateString(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return !isNaN(date.getTime()) && toDateString(date) === value;
+}
+
+/**
+ * Checks that a value is an IANA time zone name known to the runtime, e.g. America/New_York
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value names a time zone
+ */
+function isValidTimeZone(value) {
+  if (typeof value !== 'string' || value === '') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Gives how far a time zone's wall clock is ahead of UTC at an instant
+ * @param {Date} instant - Instant
+ * @param {string} timezone - IANA time zone name
+ * @returns {number} Offset in milliseconds (negative west of Greenwich)
+ */
+function timeZoneOffset(instant, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(instant);
+  const part = type => Number(parts.find(p => p.type === type).value);
+  const wallClock = Date.UTC(
+    part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second')
+  );
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * Finds the instant a calendar day starts in a time zone
+ * @param {Date|string} date - The day (its UTC date is used)
+ * @param {string} timezone - IANA time zone name
+ * @returns {Date} Midnight of that day in the time zone
+ */
+function startOfDayIn(date, timezone) {
+  const midnightUtc = truncateToWindow(date, 'day').getTime();
+  const guess = midnightUtc - timeZoneOffset(new Date(midnightUtc), timezone);
+  // The offset at midnight itself can differ from the one at UTC midnight around a DST change
+  return new Date(midnightUtc - timeZoneOffset(new Date(guess), timezone));
+}
+
+/**
+ * Lists the start of every time window between two dates, inclusive
+ * @param {Date|string} start - First date of the range
+ * @param {Date|string} end - Last date of the range
+ * @param {string} granularity - Time window granularity (day, week, month, quarter, year)
+ * @param {Object} calendar - Calendar options (see truncateToWindow)
+ * @param {number} maxWindows - Most windows to list (default: no limit)
+ * @returns {Array<Date>|null} Window starts in ascending order, or null if there are more than maxWindows
+ */
+function listWindows(start, end, granularity, calendar, maxWindows = Infinity) {
+  const windows = [];
+  const last = truncateToWindow(end, granularity, calendar).getTime();
+
+  let w = truncateToWindow(start, granularity, calendar);
+  while (w.getTime() <= last) {
+    if (windows.length >= maxWindows) {
+      return null;
+    }
+    windows.push(w);
+    w = addWindows(w, granularity, 1);
+  }
+
+  return windows;
+}
+
+/**
+ * Builds a stable string key for a time window value returned by Postgres
+ * @param {Date|string} timeWindow - Window start
+ * @returns {string} ISO timestamp
+ */
+function windowKey(timeWindow) {
+  return new Date(timeWindow).toISOString();
+}
+
+module.exports = {
+  truncateToWindow,
+  addWindows,
+  windowEnd,
+  addDays,
+  comparisonWindow,
+  toDateString,
+  isValidDateString,
+  isValidTimeZone,
+  startOfDayIn,
+  listWindows,
+  windowKey
+};
@@ -0,0 +1,238 @@
+'use strict';
+
+const { getClient } = require('./db');
+const queryCache = require('./queryCache');
+const { toDateString } = require('./timeWindows');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const USER_FIELDS = ['name', 'role', 'active'];
+
+// users.name and users.role are VARCHAR(50)
+const MAX_TEXT_LENGTH = 50;
+
+const USER_COLUMNS = 'id, name, role, active';
+
+/**
+ * Formats a users row into a structured response
+ * @param {Object} row - Database row
+ * @returns {Object} User object
+ */
+function formatUser(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    active: row.active
+  };
+}
+
+/**
+ * Checks the fields of a user
+ * @param {Object} input - User fields (name, role, active)
+ * @param {Object} options - Validation options
+ * @param {boolean} options.partial - Allow missing fields (for updates)
+ * @returns {Array<Object>} Field-level problems; empty when the input is valid
+ */
+function validateUserInput(input, { partial = false } = {}) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ field: null, message: 'User must be an object' }];
+  }
+
+  const details = [];
+
+  for (const field of Object.keys(input)) {
+    if (!USER_FIELDS.includes(field)) {
+      details.push({ field, message: `Unknown field. Must be one of: ${USER_FIELDS.join(', ')}` });
+    }
+  }
+
+  for (const field of ['name', 'role']) {
+    if (!partial || input[field] !== undefined) {
+      const value = input[field];
+      if (typeof value !== 'string' || value.trim().length === 0 || value.length > MAX_TEXT_LENGTH) {
+        details.push({ field, message: `Must be a non-empty string of at most ${MAX_TEXT_LENGTH} characters` });
+      }
+    }
+  }
+
+  if (input.active !== undefined && typeof input.active !== 'boolean') {
+    details.push({ field: 'active', message: 'Must be true or false' });
+  }
+
+  if (partial && details.length === 0 && !USER_FIELDS.some(field => input[field] !== undefined)) {
+    details.push({ field: null, message: `At least one of ${USER_FIELDS.join(', ')} is required` });
+  }
+
+  return details;
+}
+
+/**
+ * Lists users
+ * @param {Object} options - List options
+ * @param {string} options.role - Only users with this role
+ * @param {boolean} options.includeInactive - Include deactivated users
+ * @returns {Promise<Array<Object>>} User objects ordered by ID
+ */
+async function listUsers({ role, includeInactive = false } = {}) {
+  const client = getClient();
+  const params = [];
+  let query = `SELECT ${USER_COLUMNS} FROM users WHERE 1=1`;
+
+  if (!includeInactive) {
+    query += ' AND active';
+  }
+  if (role) {
+    params.push(role);
+    query += ` AND role = $${params.length}`;
+  }
+  query += ' ORDER BY id';
+
+  const result = await client.query(query, params);
+  return result.rows.map(formatUser);
+}
+
+/**
+ * Fetches a single user
+ * @param {number} id - User ID
+ * @returns {Promise<Object>} User object
+ */
+async function getUser(id) {
+  const client = getClient();
+  const result = await client.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError(`User ${id} not found`);
+  }
+  return formatUser(result.rows[0]);
+}
+
+/**
+ * Creates a user
+ * @param {Object} input - User fields ({ name, role })
+ * @returns {Promise<Object>} Created user object
+ */
+async function createUser(input) {
+  const details = validateUserInput(input);
+  if (details.length > 0) {
+    throw new ValidationError('Invalid user', details);
+  }
+
+  const client = getClient();
+  const result = await client.query(
+    `INSERT INTO users (name, role, active) VALUES ($1, $2, $3) RETURNING ${USER_COLUMNS}`,
+    [input.name.trim(), input.role.trim(), input.active !== false]
+  );
+  return formatUser(result.rows[0]);
+}
+
+/**
+ * Changes some fields of a user. A new name or role drops every cached result, since timeseries include both.
+ * @param {number} id - User ID
+ * @param {Object} changes - Fields to change (name, role, active)
+ * @returns {Promise<Object>} Updated user object
+ */
+async function updateUser(id, changes) {
+  const details = validateUserInput(changes, { partial: true });
+  if (details.length > 0) {
+    throw new ValidationError('Invalid user', details);
+  }
+
+  const params = [];
+  const assignments = [];
+  for (const field of USER_FIELDS) {
+    if (changes[field] !== undefined) {
+      params.push(typeof changes[field] === 'string' ? changes[field].trim() : changes[field]);
+      assignments.push(`${field} = $${params.length}`);
+    }
+  }
+  params.push(id);
+
+  const client = getClient();
+  const result = await client.query(
+    `UPDATE users SET ${assignments.join(', ')} WHERE id = $${params.length} RETURNING ${USER_COLUMNS}`,
+    params
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError(`User ${id} not found`);
+  }
+  if (changes.name !== undefined || changes.role !== undefined) {
+    await queryCache.clear();
+  }
+  return formatUser(result.rows[0]);
+}
+
+/**
+ * Deactivates a user. Users are never deleted because their sales still reference them.
+ * @param {number} id - User ID
+ * @returns {Promise<Object>} Deactivated user object
+ */
+async function deactivateUser(id) {
+  return updateUser(id, { active: false });
+}
+
+/**
+ * Lists every group membership a user has had
+ * @param {number} id - User ID
+ * @returns {Promise<Array<Object>>} Memberships, most recent first
+ */
+async function getUserMemberships(id) {
+  await getUser(id);
+
+  const client = getClient();
+  const result = await client.query(`
+    SELECT
+      g.id as group_id,
+      g.name as group_name,
+      to_char(ug.effective_from, 'YYYY-MM-DD') as effective_from,
+      to_char(ug.effective_to, 'YYYY-MM-DD') as effective_to,
+      ug.is_primary
+    FROM user_groups ug
+    JOIN groups g ON ug.group_id = g.id
+    WHERE ug.user_id = $1
+    ORDER BY ug.effective_from DESC NULLS LAST, g.id
+  `, [id]);
+
+  return result.rows.map(row => ({
+    groupId: row.group_id,
+    groupName: row.group_name,
+    effectiveFrom: row.effective_from,
+    effectiveTo: row.effective_to,
+    primary: row.is_primary
+  }));
+}
+
+/**
+ * Lists the groups several users are members of today, in one query
+ * @param {Array<number>} userIds - User IDs
+ * @returns {Promise<Array<Object>>} { userId, group } pairs ordered by user and group ID
+ */
+async function listCurrentGroups(userIds) {
+  const client = getClient();
+  const result = await client.query(`
+    SELECT ug.user_id, g.id, g.name, g.active
+    FROM user_groups ug
+    JOIN groups g ON ug.group_id = g.id
+    WHERE ug.user_id = ANY($1::int[])
+      AND (ug.effective_from IS NULL OR ug.effective_from <= $2)
+      AND (ug.effective_to IS NULL OR ug.effective_to > $2)
+    ORDER BY ug.user_id, g.id
+  `, [userIds, toDateString(new Date())]);
+
+  return result.rows.map(row => ({
+    userId: row.user_id,
+    group: { id: row.id, name: row.name, active: row.active }
+  }));
+}
+
+module.exports = {
+  MAX_TEXT_LENGTH,
+  validateUserInput,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deactivateUser,
+  getUserMemberships,
+  listCurrentGroups
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+const request = require('supertest');
+const express = require('express');
+const adminRoutes = require('../routes/adminRoutes');
+const rollupService = require('../services/rollupService');
+
+jest.mock('../services/rollupService');
+
+describe('Admin Routes', () => {
+  let app;
+  // Who the requests come from; authentication itself is tested in auth.test.js
+  let principal;
+
+  beforeEach(() => {
+    app = express();
+    principal = { type: 'user', userId: 2, role: 'Admin', admin: true, scope: undefined };
+    app.use((req, res, next) => {
+      req.principal = principal;
+      next();
+    });
+    app.use('/api/admin', adminRoutes);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('POST /api/admin/rollups/rebuild', () => {
+    it('should rebuild the rollups and report what changed', async () => {
+      rollupService.rebuildRollups.mockResolvedValue({ refreshed: 3650, removed: 2, durationMs: 120 });
+
+      const response = await request(app)
+        .post('/api/admin/rollups/rebuild')
+        .expect(200);
+
+      expect(response.body).toEqual({ refreshed: 3650, removed: 2, durationMs: 120 });
+      expect(rollupService.rebuildRollups).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 500 when the rebuild fails', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      rollupService.rebuildRollups.mockRejectedValue(new Error('Connection lost'));
+
+      const response = await request(app)
+        .post('/api/admin/rollups/rebuild')
+        .expect(500);
+
+      expect(response.body).toEqual({
+        error: { code: 'internal_error', message: 'Internal server error', details: [] }
+      });
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('access control', () => {
+    it('should reject callers without the Admin role', async () => {
+      const scope = { userId: 7, groupIds: [] };
+      principal = { type: 'user', userId: 7, role: 'Call Center Agent', admin: false, scope };
+
+      const response = await request(app)
+        .post('/api/admin/rollups/rebuild')
+        .expect(403);
+
+      expect(response.body).toEqual({
+        error: { code: 'forbidden', message: 'Forbidden. Requires the Admin role or an API key', details: [] }
+      });
+      expect(rollupService.rebuildRollups).not.toHaveBeenCalled();
+    });
+
+    it('should accept service clients', async () => {
+      principal = { type: 'apiKey', name: 'etl', admin: true, scope: undefined };
+      rollupService.rebuildRollups.mockResolvedValue({ refreshed: 0, removed: 0, durationMs: 1 });
+
+      await request(app)
+        .post('/api/admin/rollups/rebuild')
+        .expect(200);
+    });
+  });
+});
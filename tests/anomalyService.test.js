@@ -0,0 +1,165 @@
+'use strict';
+
+const anomalyService = require('../services/anomalyService');
+const db = require('../services/db');
+const queryCache = require('../services/queryCache');
+const { ValidationError } = require('../services/errors');
+
+jest.mock('../services/db');
+
+const groupRow = (timeWindow, totalRevenue, saleCount = 10) => ({
+  time_window: timeWindow,
+  group_id: 2,
+  group_name: 'West',
+  sale_count: String(saleCount),
+  total_revenue: String(totalRevenue),
+  avg_revenue: (totalRevenue / saleCount).toFixed(2),
+  min_sale: '100',
+  max_sale: '1000'
+});
+
+const monthly = (values, startMonth = 1) => values.map((value, i) => ({
+  timeWindow: new Date(Date.UTC(2021, startMonth - 1 + i, 1)).toISOString(),
+  userId: 1,
+  userName: 'Alice',
+  userRole: 'Agent',
+  metrics: { saleCount: 10, totalRevenue: value }
+}));
+
+describe('AnomalyService', () => {
+  let mockClient;
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn()
+    };
+    db.getClient.mockReturnValue(mockClient);
+    queryCache.clear();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('scoreValue', () => {
+    it('should score against the mean and standard deviation', () => {
+      expect(anomalyService.scoreValue(14, [8, 10, 12], 'zscore')).toEqual({
+        expected: 10,
+        score: expect.closeTo(2.45, 2)
+      });
+    });
+
+    it('should score against the median and median absolute deviation', () => {
+      const result = anomalyService.scoreValue(50, [10, 11, 12, 13, 100], 'mad');
+
+      expect(result.expected).toBe(12);
+      expect(result.score).toBeCloseTo(25.63, 2);
+    });
+
+    it('should not score baselines without variation', () => {
+      expect(anomalyService.scoreValue(5, [0, 0, 0], 'zscore')).toBeNull();
+      expect(anomalyService.scoreValue(5, [0, 0, 0, 1], 'mad')).toBeNull();
+    });
+  });
+
+  describe('findAnomalies', () => {
+    const options = { groupBy: 'user', metric: 'totalRevenue', method: 'zscore', threshold: 3, lookback: 4 };
+
+    it('should flag spikes and drops against the preceding windows', () => {
+      const data = monthly([100, 110, 90, 100, 300, 100, 110, 90, 100, 0]);
+
+      const result = anomalyService.findAnomalies(data, options);
+
+      expect(result).toEqual([
+        expect.objectContaining({ timeWindow: '2021-10-01T00:00:00.000Z', actual: 0, direction: 'drop' }),
+        {
+          timeWindow: '2021-05-01T00:00:00.000Z',
+          userId: 1,
+          userName: 'Alice',
+          userRole: 'Agent',
+          expected: 100,
+          actual: 300,
+          score: 28.28,
+          direction: 'spike'
+        }
+      ]);
+    });
+
+    it('should not score windows without a full baseline', () => {
+      const data = monthly([100, 110, 1000]);
+
+      expect(anomalyService.findAnomalies(data, options)).toEqual([]);
+    });
+
+    it('should only flag windows from the given date', () => {
+      const data = monthly([100, 110, 90, 100, 300, 100, 110, 90, 100, 0]);
+
+      const result = anomalyService.findAnomalies(data, { ...options, from: '2021-06-01' });
+
+      expect(result.map(item => item.timeWindow)).toEqual(['2021-10-01T00:00:00.000Z']);
+    });
+
+    it('should respect the threshold', () => {
+      const data = monthly([100, 110, 90, 100, 120]);
+
+      expect(anomalyService.findAnomalies(data, options)).toEqual([]);
+      expect(anomalyService.findAnomalies(data, { ...options, threshold: 2 })).toHaveLength(1);
+    });
+
+    it('should keep the series of each entity apart', () => {
+      const alice = monthly([100, 110, 90, 100, 300]);
+      const bob = monthly([300, 290, 310, 300, 300]).map(item => ({ ...item, userId: 2, userName: 'Bob' }));
+
+      const result = anomalyService.findAnomalies([...alice, ...bob], options);
+
+      expect(result).toHaveLength(1);
+      expect(result[0].userId).toBe(1);
+    });
+  });
+
+  describe('getAnomalies', () => {
+    it('should query a full baseline before startDate and count empty windows as zero', async () => {
+      mockClient.query.mockResolvedValue({
+        rows: [
+          groupRow('2021-06-01', 1000),
+          groupRow('2021-05-01', 1100),
+          groupRow('2021-04-01', 900),
+          groupRow('2021-03-01', 1000)
+        ]
+      });
+
+      const result = await anomalyService.getAnomalies({
+        groupBy: 'group',
+        lookback: 3,
+        startDate: '2021-06-15',
+        endDate: '2021-07-31'
+      });
+
+      const [query, params] = mockClient.query.mock.calls[0];
+      expect(query).toContain('s.date >=');
+      expect(params).toContain('2021-03-01');
+      expect(result).toEqual([{
+        timeWindow: '2021-07-01T00:00:00.000Z',
+        groupId: 2,
+        groupName: 'West',
+        expected: 1000,
+        actual: 0,
+        score: -12.25,
+        direction: 'drop'
+      }]);
+    });
+
+    it('should throw for invalid options', async () => {
+      await expect(anomalyService.getAnomalies({ metric: 'avgRevenue' }))
+        .rejects.toThrow('Invalid metric: avgRevenue. Must be one of: totalRevenue, saleCount');
+      await expect(anomalyService.getAnomalies({ method: 'iqr' }))
+        .rejects.toThrow('Invalid method: iqr. Must be one of: zscore, mad');
+      await expect(anomalyService.getAnomalies({ threshold: 0 }))
+        .rejects.toThrow('Invalid threshold: 0. Must be a positive number');
+      await expect(anomalyService.getAnomalies({ lookback: 2 }))
+        .rejects.toThrow('Invalid lookback: 2. Must be an integer between 3 and 365');
+      await expect(anomalyService.getAnomalies({ lookback: 2 })).rejects.toBeInstanceOf(ValidationError);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const request = require('supertest');
+const express = require('express');
+const { authenticate, requireAdmin } = require('../routes/auth');
+const authService = require('../services/authService');
+const { AuthenticationError } = require('../services/errors');
+
+jest.mock('../services/authService');
+
+describe('Auth middleware', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(authenticate);
+    app.get('/whoami', (req, res) => res.json(req.principal));
+    app.post('/admin-only', requireAdmin, (req, res) => res.status(204).end());
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('authenticate', () => {
+    it('should pass the credentials on and store the principal', async () => {
+      const principal = { type: 'user', userId: 7, role: 'Manager', admin: false, scope: { userId: 7, groupIds: [1] } };
+      authService.authenticate.mockResolvedValue(principal);
+
+      const response = await request(app)
+        .get('/whoami')
+        .set('Authorization', 'Bearer abc.def.ghi')
+        .set('X-API-Key', 'key')
+        .expect(200);
+
+      expect(response.body).toEqual(principal);
+      expect(authService.authenticate).toHaveBeenCalledWith({ authorization: 'Bearer abc.def.ghi', apiKey: 'key' });
+    });
+
+    it('should answer rejected credentials with a 401', async () => {
+      authService.authenticate.mockRejectedValue(new AuthenticationError('Token expired'));
+
+      const response = await request(app)
+        .get('/whoami')
+        .expect(401);
+
+      expect(response.body).toEqual({ error: { code: 'unauthenticated', message: 'Token expired', details: [] } });
+      expect(response.headers['www-authenticate']).toBe('Bearer');
+    });
+
+    it('should answer other failures with a 500', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      authService.authenticate.mockRejectedValue(new Error('Connection lost'));
+
+      await request(app)
+        .get('/whoami')
+        .expect(500);
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith('Error authenticating request:', expect.any(Error));
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('requireAdmin', () => {
+    it('should let admins and service clients through', async () => {
+      authService.authenticate.mockResolvedValue({ type: 'apiKey', name: 'etl', admin: true });
+
+      await request(app)
+        .post('/admin-only')
+        .expect(204);
+    });
+
+    it('should answer everyone else with a 403', async () => {
+      authService.authenticate.mockResolvedValue({ type: 'user', userId: 7, admin: false });
+
+      const response = await request(app)
+        .post('/admin-only')
+        .expect(403);
+
+      expect(response.body).toEqual({
+        error: { code: 'forbidden', message: 'Forbidden. Requires the Admin role or an API key', details: [] }
+      });
+    });
+  });
+});
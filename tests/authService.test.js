@@ -0,0 +1,153 @@
+'use strict';
+
+const crypto = require('crypto');
+const authService = require('../services/authService');
+const db = require('../services/db');
+const { AuthenticationError } = require('../services/errors');
+
+jest.mock('../services/db');
+
+describe('authService', () => {
+  let mockClient;
+  const env = process.env;
+
+  beforeEach(() => {
+    process.env = { ...env, AUTH_TOKEN_SECRET: 'test-secret', API_KEYS: 'etl:etl-key, reporting:reporting-key' };
+    mockClient = { query: jest.fn() };
+    db.getClient.mockReturnValue(mockClient);
+  });
+
+  afterEach(() => {
+    process.env = env;
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  const userRow = (overrides = {}) => ({ id: 7, role: 'Call Center Agent', active: true, group_ids: [1, 3], ...overrides });
+
+  describe('signToken and verifyToken', () => {
+    it('should accept the tokens it signs', () => {
+      const token = authService.signToken(7);
+
+      expect(token.split('.')).toHaveLength(3);
+      expect(authService.verifyToken(token)).toBe(7);
+    });
+
+    it('should reject tokens signed with another secret', () => {
+      const token = authService.signToken(7);
+      process.env.AUTH_TOKEN_SECRET = 'other-secret';
+
+      expect(() => authService.verifyToken(token)).toThrow('Invalid token signature');
+    });
+
+    it('should reject tampered claims', () => {
+      const [header, , signature] = authService.signToken(7).split('.');
+      const payload = Buffer.from(JSON.stringify({ sub: '2', exp: 9999999999 })).toString('base64url');
+
+      expect(() => authService.verifyToken(`${header}.${payload}.${signature}`)).toThrow('Invalid token signature');
+    });
+
+    it('should reject expired tokens', () => {
+      const token = authService.signToken(7, { expiresInSeconds: 60 });
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61000);
+
+      expect(() => authService.verifyToken(token)).toThrow('Token expired');
+    });
+
+    it('should reject unsigned tokens', () => {
+      const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+      const token = `${encode({ alg: 'none' })}.${encode({ sub: '2', exp: 9999999999 })}.`;
+
+      expect(() => authService.verifyToken(token)).toThrow('Must be signed with HS256');
+      expect(() => authService.verifyToken('not-a-token')).toThrow(AuthenticationError);
+    });
+
+    it('should refuse bearer tokens when no secret is configured', () => {
+      delete process.env.AUTH_TOKEN_SECRET;
+
+      expect(() => authService.signToken(7)).toThrow('AUTH_TOKEN_SECRET is not set');
+    });
+
+    it('should produce standard HS256 JWTs', () => {
+      const [header, payload, signature] = authService.signToken(7).split('.');
+      const expected = crypto.createHmac('sha256', 'test-secret').update(`${header}.${payload}`).digest('base64url');
+
+      expect(signature).toBe(expected);
+      expect(JSON.parse(Buffer.from(header, 'base64url'))).toEqual({ alg: 'HS256', typ: 'JWT' });
+      expect(JSON.parse(Buffer.from(payload, 'base64url')).sub).toBe('7');
+    });
+  });
+
+  describe('findApiKey', () => {
+    it('should name the client a key belongs to', () => {
+      expect(authService.findApiKey('reporting-key')).toBe('reporting');
+      expect(authService.findApiKey('etl-key')).toBe('etl');
+      expect(authService.findApiKey('guess')).toBeNull();
+    });
+
+    it('should match nothing when no keys are configured', () => {
+      delete process.env.API_KEYS;
+
+      expect(authService.findApiKey('etl-key')).toBeNull();
+    });
+  });
+
+  describe('authenticate', () => {
+    const bearer = userId => ({ authorization: `Bearer ${authService.signToken(userId)}` });
+
+    it('should limit agents to their own sales', async () => {
+      mockClient.query.mockResolvedValue({ rows: [userRow()] });
+
+      const principal = await authService.authenticate(bearer(7));
+
+      expect(principal).toEqual({
+        type: 'user',
+        userId: 7,
+        role: 'Call Center Agent',
+        admin: false,
+        scope: { userId: 7, groupIds: [] }
+      });
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('CURRENT_DATE'), [7]);
+    });
+
+    it('should give managers the sales of their current groups', async () => {
+      mockClient.query.mockResolvedValue({ rows: [userRow({ role: 'Manager' })] });
+
+      const principal = await authService.authenticate(bearer(7));
+
+      expect(principal.scope).toEqual({ userId: 7, groupIds: [1, 3] });
+      expect(principal.admin).toBe(false);
+    });
+
+    it('should not restrict admins', async () => {
+      mockClient.query.mockResolvedValue({ rows: [userRow({ role: 'Admin' })] });
+
+      const principal = await authService.authenticate(bearer(7));
+
+      expect(principal.admin).toBe(true);
+      expect(principal.scope).toBeUndefined();
+    });
+
+    it('should reject tokens of deactivated or deleted users', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [userRow({ active: false })] });
+      await expect(authService.authenticate(bearer(7))).rejects.toThrow('does not exist or is deactivated');
+
+      mockClient.query.mockResolvedValueOnce({ rows: [] });
+      await expect(authService.authenticate(bearer(7))).rejects.toThrow('does not exist or is deactivated');
+    });
+
+    it('should accept API keys as unrestricted service clients', async () => {
+      const principal = await authService.authenticate({ apiKey: 'etl-key' });
+
+      expect(principal).toEqual({ type: 'apiKey', name: 'etl', admin: true, scope: undefined });
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject missing or unknown credentials', async () => {
+      await expect(authService.authenticate({})).rejects.toThrow('Authentication required');
+      await expect(authService.authenticate({ authorization: 'Basic dXNlcjpwYXNz' }))
+        .rejects.toThrow('Authentication required');
+      await expect(authService.authenticate({ apiKey: 'guess' })).rejects.toThrow('Invalid API key');
+    });
+  });
+});
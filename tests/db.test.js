@@ -1,53 +1,191 @@
 'use strict';
 
+const { EventEmitter } = require('events');
+
 jest.mock('pg', () => {
-  const mockConnect = jest.fn();
-  const MockClient = jest.fn().mockImplementation(() => ({
-    connect: mockConnect
+  const MockPool = jest.fn().mockImplementation(() => ({
+    query: jest.fn(),
+    connect: jest.fn(),
+    end: jest.fn().mockResolvedValue(),
+    on: jest.fn(),
+    totalCount: 2,
+    idleCount: 1,
+    waitingCount: 0
   }));
 
   return {
-    Client: MockClient
+    Pool: MockPool
   };
 });
 
 const db = require('../services/db');
-const { Client } = require('pg');
+const { Pool } = require('pg');
+
+const transientError = (code) => Object.assign(new Error(`error ${code}`), { code });
 
 describe('Database Module', () => {
+  let pool;
+
+  beforeEach(async () => {
+    // Start every test on a new pool
+    await db.close();
+    Pool.mockClear();
+    await db.getClient().query('SELECT 0');
+    pool = Pool.mock.results[0].value;
+    pool.query.mockReset();
+  });
+
   describe('getClient', () => {
-    it('should return a database client', () => {
+    it('should return a data-access layer with query and stream', () => {
       const client = db.getClient();
 
-      expect(client).toBeDefined();
-      expect(client.connect).toBeDefined();
+      expect(client.query).toBe(db.query);
+      expect(client.stream).toBe(db.stream);
     });
 
-    it('should return the same client instance on multiple calls (singleton)', () => {
-      const client1 = db.getClient();
-      const client2 = db.getClient();
+    it('should create the pool once with the connection and pool configuration', async () => {
+      await db.query('SELECT 1');
+
+      expect(Pool).toHaveBeenCalledTimes(1);
+      const config = Pool.mock.calls[0][0];
 
-      expect(client1).toBe(client2);
+      expect(config).toHaveProperty('host');
+      expect(config).toHaveProperty('port');
+      expect(config).toHaveProperty('user');
+      expect(config).toHaveProperty('password');
+      expect(config).toHaveProperty('database');
+      expect(config).toMatchObject({ max: 10, connectionTimeoutMillis: 5000, statement_timeout: 30000 });
+      expect(pool.on).toHaveBeenCalledWith('error', expect.any(Function));
     });
+  });
 
-    it('should call connect on the client', () => {
-      const client = db.getClient();
+  describe('query', () => {
+    it('should run the statement on the pool', async () => {
+      pool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+      const result = await db.query('SELECT * FROM users WHERE id = $1', [1]);
+
+      expect(result.rows).toEqual([{ id: 1 }]);
+      expect(pool.query).toHaveBeenCalledWith('SELECT * FROM users WHERE id = $1', [1]);
+    });
+
+    it('should retry transient errors', async () => {
+      pool.query
+        .mockRejectedValueOnce(transientError('ECONNREFUSED'))
+        .mockRejectedValueOnce(transientError('40001'))
+        .mockResolvedValue({ rows: [] });
+
+      const result = await db.query('SELECT 1');
+
+      expect(result.rows).toEqual([]);
+      expect(pool.query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should give up after the last attempt', async () => {
+      pool.query.mockRejectedValue(transientError('57P03'));
+
+      await expect(db.query('SELECT 1')).rejects.toThrow('error 57P03');
+      expect(pool.query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry other errors', async () => {
+      pool.query.mockRejectedValue(transientError('23505'));
+
+      await expect(db.query('INSERT INTO sales VALUES (1)')).rejects.toThrow('error 23505');
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('stream', () => {
+    it('should run the stream on a connection of its own and release it once closed', async () => {
+      const connection = { query: jest.fn(), release: jest.fn() };
+      pool.connect.mockResolvedValue(connection);
+      const queryStream = new EventEmitter();
+
+      expect(db.stream(queryStream)).toBe(queryStream);
+      await new Promise(setImmediate);
+
+      expect(connection.query).toHaveBeenCalledWith(queryStream);
+      expect(connection.release).not.toHaveBeenCalled();
 
-      expect(client.connect).toHaveBeenCalled();
+      queryStream.emit('close');
+      expect(connection.release).toHaveBeenCalledWith(undefined);
     });
 
-    it('should have been called with configuration object', () => {
-      // The Client constructor should have been called with a config object
-      expect(Client).toHaveBeenCalled();
+    it('should discard the connection when the stream fails', async () => {
+      const connection = { query: jest.fn(), release: jest.fn() };
+      pool.connect.mockResolvedValue(connection);
+      const queryStream = new EventEmitter();
+      const error = new Error('canceling statement due to statement timeout');
+
+      db.stream(queryStream);
+      await new Promise(setImmediate);
+      queryStream.emit('error', error);
+      queryStream.emit('close');
+
+      expect(connection.release).toHaveBeenCalledWith(error);
+    });
+
+    it('should release the connection of a stream destroyed while it was checked out', async () => {
+      const connection = { query: jest.fn(), release: jest.fn() };
+      pool.connect.mockResolvedValue(connection);
+      const queryStream = new EventEmitter();
+
+      db.stream(queryStream);
+      queryStream.emit('close');
+      await new Promise(setImmediate);
+
+      expect(connection.query).not.toHaveBeenCalled();
+      expect(connection.release).toHaveBeenCalledWith();
+    });
+
+    it('should fail the stream when no connection can be checked out', async () => {
+      const error = new Error('timeout exceeded when trying to connect');
+      pool.connect.mockRejectedValue(error);
+      const queryStream = Object.assign(new EventEmitter(), { destroy: jest.fn() });
+
+      db.stream(queryStream);
+      await new Promise(setImmediate);
+
+      expect(queryStream.destroy).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('connect', () => {
+    it('should check out a connection from the pool', async () => {
+      const connection = { query: jest.fn(), release: jest.fn() };
+      pool.connect.mockResolvedValue(connection);
+
+      expect(await db.connect()).toBe(connection);
+    });
+  });
+
+  describe('ping', () => {
+    it('should query the database once and report pool usage', async () => {
+      pool.query.mockResolvedValue({ rows: [{ '?column?': 1 }] });
+
+      const result = await db.ping();
+
+      expect(pool.query).toHaveBeenCalledWith('SELECT 1');
+      expect(result).toEqual({ latencyMs: expect.any(Number), pool: { total: 2, idle: 1, waiting: 0 } });
+    });
+
+    it('should not retry when the database is down', async () => {
+      pool.query.mockRejectedValue(transientError('ECONNREFUSED'));
+
+      await expect(db.ping()).rejects.toThrow('error ECONNREFUSED');
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('close', () => {
+    it('should end the pool and create a new one on next use', async () => {
+      await db.close();
 
-      const callArgs = Client.mock.calls[0][0];
+      expect(pool.end).toHaveBeenCalledTimes(1);
 
-      // Verify the config has the expected keys
-      expect(callArgs).toHaveProperty('host');
-      expect(callArgs).toHaveProperty('port');
-      expect(callArgs).toHaveProperty('user');
-      expect(callArgs).toHaveProperty('password');
-      expect(callArgs).toHaveProperty('database');
+      await db.query('SELECT 1');
+      expect(Pool).toHaveBeenCalledTimes(2);
     });
   });
 });
@@ -0,0 +1,66 @@
+'use strict';
+
+const dimensions = require('../services/dimensions');
+const { ValidationError } = require('../services/errors');
+
+describe('dimensions', () => {
+  describe('parseGroupBy', () => {
+    it('should parse single and composite groupings', () => {
+      expect(dimensions.parseGroupBy('role')).toEqual(['role']);
+      expect(dimensions.parseGroupBy('group, role')).toEqual(['group', 'role']);
+      expect(dimensions.parseGroupBy(undefined)).toEqual(['user']);
+    });
+
+    it('should treat none as no dimensions', () => {
+      expect(dimensions.parseGroupBy('none')).toEqual([]);
+    });
+
+    it('should reject unknown and repeated dimensions', () => {
+      expect(dimensions.parseGroupBy('team')).toBeNull();
+      expect(dimensions.parseGroupBy('hourOfDay')).toBeNull();
+      expect(dimensions.parseGroupBy('role,role')).toBeNull();
+      expect(dimensions.parseGroupBy('none,role')).toBeNull();
+    });
+  });
+
+  describe('dimensionsOf', () => {
+    it('should throw for invalid groupings', () => {
+      expect(() => dimensions.dimensionsOf('team'))
+        .toThrow('Invalid groupBy: team. Must be none or a comma-separated list of: user, group, role, dayOfWeek');
+      expect(() => dimensions.dimensionsOf('team')).toThrow(ValidationError);
+    });
+  });
+
+  describe('dimensionColumns and keyFields', () => {
+    it('should list the columns of every dimension in order', () => {
+      expect(dimensions.dimensionColumns('group,dayOfWeek').map(({ field }) => field))
+        .toEqual(['groupId', 'groupName', 'dayOfWeek']);
+      expect(dimensions.keyFields('user,group')).toEqual(['userId', 'groupId']);
+    });
+  });
+
+  describe('entityKey', () => {
+    it('should combine the key fields of every dimension', () => {
+      const a = { groupId: 1, groupName: 'North', role: 'Admin' };
+      const b = { groupId: 1, groupName: 'North', role: 'Retail Agent' };
+
+      expect(dimensions.entityKey(a, 'group,role')).not.toBe(dimensions.entityKey(b, 'group,role'));
+      expect(dimensions.entityKey(a, 'group')).toBe(dimensions.entityKey(b, 'group'));
+      expect(dimensions.entityKey(a, 'group,role'))
+        .toBe(dimensions.rowEntityKey({ group_id: 1, role: 'Admin' }, 'group,role'));
+    });
+
+    it('should give every item the same key with groupBy=none', () => {
+      expect(dimensions.entityKey({ userId: 1 }, 'none')).toBe(dimensions.entityKey({ userId: 2 }, 'none'));
+    });
+  });
+
+  describe('needsTable', () => {
+    it('should report the joins a grouping needs', () => {
+      expect(dimensions.needsTable('role', 'users')).toBe(true);
+      expect(dimensions.needsTable('role', 'groups')).toBe(false);
+      expect(dimensions.needsTable('dayOfWeek', 'users')).toBe(false);
+      expect(dimensions.needsTable('user,group', 'groups')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const request = require('supertest');
+const express = require('express');
+const docsRoutes = require('../routes/docsRoutes');
+const openapi = require('../routes/openapi');
+
+describe('Docs Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use('/api', docsRoutes);
+  });
+
+  describe('GET /api/openapi.json', () => {
+    it('should return the OpenAPI document', async () => {
+      const response = await request(app)
+        .get('/api/openapi.json')
+        .expect('Content-Type', /json/)
+        .expect(200);
+
+      expect(response.body).toEqual(JSON.parse(JSON.stringify(openapi.buildDocument())));
+      expect(response.body.openapi).toBe('3.1.0');
+    });
+  });
+
+  describe('GET /api/docs', () => {
+    it('should return an explorer page loading Swagger UI from the server', async () => {
+      const response = await request(app)
+        .get('/api/docs')
+        .expect('Content-Type', /html/)
+        .expect(200);
+
+      expect(response.text).toContain('<script src="/api/docs/swagger-ui-bundle.js"></script>');
+      expect(response.text).toContain('<link rel="stylesheet" href="/api/docs/swagger-ui.css">');
+      expect(response.text).toContain("url: '/api/openapi.json'");
+    });
+
+    it('should serve the Swagger UI assets', async () => {
+      await request(app)
+        .get('/api/docs/swagger-ui-bundle.js')
+        .expect('Content-Type', /javascript/)
+        .expect(200);
+      await request(app)
+        .get('/api/docs/swagger-ui.css')
+        .expect('Content-Type', /css/)
+        .expect(200);
+    });
+  });
+});
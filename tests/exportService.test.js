@@ -0,0 +1,127 @@
+'use strict';
+
+const { Readable } = require('stream');
+const exportService = require('../services/exportService');
+
+/**
+ * Runs items through a serializer and collects the text it produces
+ */
+async function serialize(format, items, fallbackColumns) {
+  let text = '';
+  const serializer = exportService.createSerializer(format, fallbackColumns);
+  Readable.from(items).pipe(serializer);
+  for await (const chunk of serializer) {
+    text += chunk;
+  }
+  return text;
+}
+
+describe('ExportService', () => {
+  const item = {
+    timeWindow: new Date('2021-08-01T00:00:00.000Z'),
+    groupId: 3,
+    groupName: 'Digital Sales Team',
+    metrics: {
+      saleCount: 2,
+      histogram: [{ from: 0, to: null, count: 2 }]
+    },
+    comparison: {
+      hasSales: false,
+      deltas: { saleCount: { change: 2, percentChange: null } }
+    }
+  };
+
+  describe('flattenItem', () => {
+    it('should flatten nested blocks into dot-separated columns', () => {
+      expect(exportService.flattenItem(item)).toEqual({
+        timeWindow: '2021-08-01T00:00:00.000Z',
+        groupId: 3,
+        groupName: 'Digital Sales Team',
+        'metrics.saleCount': 2,
+        'metrics.histogram': '[{"from":0,"to":null,"count":2}]',
+        'comparison.hasSales': false,
+        'comparison.deltas.saleCount.change': 2,
+        'comparison.deltas.saleCount.percentChange': null
+      });
+    });
+  });
+
+  describe('csvLine', () => {
+    it('should quote cells containing separators, quotes and newlines', () => {
+      expect(exportService.csvLine(['a,b', 'say "hi"', 'two\nlines', 5, null]))
+        .toBe('"a,b","say ""hi""","two\nlines",5,\r\n');
+    });
+
+    it('should neutralize text a spreadsheet would run as a formula', () => {
+      expect(exportService.csvLine(['=SUM(A1)', '@cmd', -5])).toBe('\'=SUM(A1),\'@cmd,-5\r\n');
+    });
+  });
+
+  describe('createSerializer', () => {
+    it('should write a CSV header from the first item', async () => {
+      const text = await serialize('csv', [item]);
+      const [header, first] = text.replace('\uFEFF', '').split('\r\n');
+
+      expect(text.startsWith('\uFEFF')).toBe(true);
+      expect(header).toBe(
+        'timeWindow,groupId,groupName,metrics.saleCount,metrics.histogram,comparison.hasSales,' +
+        'comparison.deltas.saleCount.change,comparison.deltas.saleCount.percentChange'
+      );
+      expect(first).toBe('2021-08-01T00:00:00.000Z,3,Digital Sales Team,2,"[{""from"":0,""to"":null,""count"":2}]",false,2,');
+    });
+
+    it('should write the fallback header when there are no items', async () => {
+      expect(await serialize('csv', [], ['timeWindow', 'userId'])).toBe('\uFEFFtimeWindow,userId\r\n');
+    });
+
+    it('should write one JSON object per line for NDJSON', async () => {
+      const text = await serialize('ndjson', [item, item]);
+
+      expect(text.split('\n')).toHaveLength(3);
+      expect(JSON.parse(text.split('\n')[1])).toEqual(JSON.parse(JSON.stringify(item)));
+    });
+  });
+
+  describe('timeSeriesColumns', () => {
+    it('should list entity and metric columns', () => {
+      expect(exportService.timeSeriesColumns('user', ['saleCount'])).toEqual([
+        'timeWindow', 'windowStart', 'windowEnd', 'userId', 'userName', 'userRole', 'metrics.saleCount'
+      ]);
+    });
+
+    it('should have no entity columns for groupBy=none', () => {
+      expect(exportService.timeSeriesColumns('none', ['saleCount']))
+        .toEqual(['timeWindow', 'windowStart', 'windowEnd', 'metrics.saleCount']);
+    });
+  });
+
+  describe('exportFilename', () => {
+    it('should describe the filters in the filename', () => {
+      expect(exportService.exportFilename({
+        granularity: 'week',
+        groupBy: 'group',
+        startDate: '2021-06-01',
+        endDate: '2021-08-31',
+        groupId: '1, 2'
+      }, 'ndjson')).toBe('sales-timeseries_week_group_2021-06-01_to_2021-08-31_groups-1-2.ndjson');
+    });
+
+    it('should join composite groupings with dashes', () => {
+      expect(exportService.exportFilename({ granularity: 'month', groupBy: 'group,dayOfWeek' }, 'csv'))
+        .toBe('sales-timeseries_month_group-dayOfWeek.csv');
+    });
+
+    it('should name non-default attributions', () => {
+      expect(exportService.exportFilename({ granularity: 'month', groupBy: 'group', attribution: 'split' }, 'csv'))
+        .toBe('sales-timeseries_month_group_split.csv');
+    });
+
+    it('should strip characters that are unsafe in a header', () => {
+      expect(exportService.exportFilename({
+        granularity: 'month',
+        groupBy: 'user',
+        userId: '1";x=y'
+      }, 'csv')).toBe('sales-timeseries_month_user_users-1xy.csv');
+    });
+  });
+});
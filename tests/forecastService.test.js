@@ -0,0 +1,193 @@
+'use strict';
+
+const forecastService = require('../services/forecastService');
+const db = require('../services/db');
+const queryCache = require('../services/queryCache');
+const { ValidationError } = require('../services/errors');
+
+jest.mock('../services/db');
+
+const companyRow = (timeWindow, saleCount, totalRevenue) => ({
+  time_window: timeWindow,
+  sale_count: String(saleCount),
+  total_revenue: String(totalRevenue),
+  avg_revenue: saleCount > 0 ? (totalRevenue / saleCount).toFixed(2) : '0',
+  min_sale: '100',
+  max_sale: '1000'
+});
+
+const monthly = (values, fields = { userId: 1, userName: 'Alice', userRole: 'Agent' }) => values.map((value, i) => ({
+  timeWindow: new Date(Date.UTC(2021, i, 1)).toISOString(),
+  ...fields,
+  metrics: { saleCount: value / 100, totalRevenue: value }
+}));
+
+describe('ForecastService', () => {
+  let mockClient;
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn()
+    };
+    db.getClient.mockReturnValue(mockClient);
+    queryCache.clear();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('projectSeries', () => {
+    const options = { horizon: 3, confidence: 95 };
+
+    it('should continue a perfect linear trend with no uncertainty', () => {
+      for (const method of ['linear', 'holt']) {
+        expect(forecastService.projectSeries([100, 200, 300, 400, 500], { ...options, method })).toEqual([
+          { value: 600, lower: 600, upper: 600 },
+          { value: 700, lower: 700, upper: 700 },
+          { value: 800, lower: 800, upper: 800 }
+        ]);
+      }
+    });
+
+    it('should widen the intervals further ahead', () => {
+      const values = [100, 130, 110, 160, 140, 190, 170];
+
+      for (const method of ['linear', 'holt']) {
+        const points = forecastService.projectSeries(values, { ...options, method });
+        const widths = points.map(point => point.upper - point.lower);
+
+        expect(widths[0]).toBeGreaterThan(0);
+        expect(widths[1]).toBeGreaterThan(widths[0]);
+        expect(widths[2]).toBeGreaterThan(widths[1]);
+        points.forEach(point => {
+          expect(point.lower).toBeLessThanOrEqual(point.value);
+          expect(point.upper).toBeGreaterThanOrEqual(point.value);
+        });
+      }
+    });
+
+    it('should give narrower intervals at a lower confidence', () => {
+      const values = [100, 130, 110, 160, 140, 190, 170];
+      const wide = forecastService.projectSeries(values, { method: 'linear', horizon: 1, confidence: 95 })[0];
+      const narrow = forecastService.projectSeries(values, { method: 'linear', horizon: 1, confidence: 80 })[0];
+
+      expect(narrow.value).toBe(wide.value);
+      expect(narrow.upper - narrow.lower).toBeLessThan(wide.upper - wide.lower);
+    });
+
+    it('should never project below zero', () => {
+      const points = forecastService.projectSeries([500, 300, 100], { ...options, method: 'linear' });
+
+      expect(points.map(point => point.value)).toEqual([0, 0, 0]);
+      expect(points.every(point => point.lower === 0)).toBe(true);
+    });
+  });
+
+  describe('backtestSeries', () => {
+    it('should forecast the held back windows from the earlier ones', () => {
+      const result = forecastService.backtestSeries(
+        [100, 200, 300, 400, 600],
+        { method: 'linear', horizon: 1, confidence: 95 }
+      );
+
+      expect(result).toEqual({ windows: 1, mae: 100, rmse: 100, mape: 16.67 });
+    });
+
+    it('should hold back at most the horizon and keep enough history to fit', () => {
+      const options = { method: 'linear', horizon: 6, confidence: 95 };
+
+      expect(forecastService.backtestSeries([1, 2, 3, 4, 5], options).windows).toBe(2);
+      expect(forecastService.backtestSeries([1, 2, 3], options)).toBeNull();
+    });
+
+    it('should leave out the percentage error when every held back window is zero', () => {
+      const result = forecastService.backtestSeries([0, 0, 0, 0], { method: 'linear', horizon: 1, confidence: 95 });
+
+      expect(result.mape).toBeNull();
+    });
+  });
+
+  describe('forecastData', () => {
+    const options = { granularity: 'month', groupBy: 'user', method: 'linear', horizon: 2, confidence: 95 };
+
+    it('should forecast the windows after each entity\'s history', () => {
+      const result = forecastService.forecastData(monthly([100, 200, 300, 400]), options);
+
+      expect(result).toEqual([{
+        userId: 1,
+        userName: 'Alice',
+        userRole: 'Agent',
+        historyWindows: 4,
+        forecast: [
+          {
+            timeWindow: '2021-05-01T00:00:00.000Z',
+            totalRevenue: { value: 500, lower: 500, upper: 500 },
+            saleCount: { value: 5, lower: 5, upper: 5 }
+          },
+          {
+            timeWindow: '2021-06-01T00:00:00.000Z',
+            totalRevenue: { value: 600, lower: 600, upper: 600 },
+            saleCount: { value: 6, lower: 6, upper: 6 }
+          }
+        ],
+        backtest: {
+          totalRevenue: { windows: 1, mae: 0, rmse: 0, mape: 0 },
+          saleCount: { windows: 1, mae: 0, rmse: 0, mape: 0 }
+        }
+      }]);
+    });
+
+    it('should skip entities with too little history', () => {
+      const data = [
+        ...monthly([100, 200, 300]),
+        ...monthly([100, 200], { userId: 2, userName: 'Bob', userRole: 'Agent' })
+      ];
+
+      expect(forecastService.forecastData(data, options).map(item => item.userId)).toEqual([1]);
+    });
+
+    it('should step a week at a time for daily series per day of the week', () => {
+      const data = [0, 7, 14].map(offset => ({
+        timeWindow: new Date(Date.UTC(2021, 5, 7 + offset)).toISOString(),
+        dayOfWeek: 1,
+        metrics: { saleCount: 1, totalRevenue: 100 }
+      }));
+
+      const result = forecastService.forecastData(data, { ...options, granularity: 'day', groupBy: 'dayOfWeek' });
+
+      expect(result[0].forecast.map(point => point.timeWindow))
+        .toEqual(['2021-06-28T00:00:00.000Z', '2021-07-05T00:00:00.000Z']);
+    });
+  });
+
+  describe('getForecast', () => {
+    it('should forecast company-wide totals including empty windows', async () => {
+      mockClient.query.mockResolvedValue({
+        rows: [
+          companyRow('2021-04-01', 4, 400),
+          companyRow('2021-02-01', 2, 200),
+          companyRow('2021-01-01', 1, 100)
+        ]
+      });
+
+      const result = await forecastService.getForecast({ groupBy: 'none', method: 'linear', horizon: 1 });
+
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+      expect(result).toHaveLength(1);
+      expect(result[0].historyWindows).toBe(4);
+      expect(result[0].forecast[0].timeWindow).toBe('2021-05-01T00:00:00.000Z');
+    });
+
+    it('should throw for invalid options', async () => {
+      await expect(forecastService.getForecast({ method: 'arima' }))
+        .rejects.toThrow('Invalid method: arima. Must be one of: holt, linear');
+      await expect(forecastService.getForecast({ horizon: 0 }))
+        .rejects.toThrow('Invalid horizon: 0. Must be an integer between 1 and 52');
+      await expect(forecastService.getForecast({ confidence: 99 }))
+        .rejects.toThrow('Invalid confidence: 99. Must be one of: 80, 90, 95');
+      await expect(forecastService.getForecast({ confidence: 99 })).rejects.toBeInstanceOf(ValidationError);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,283 @@
+'use strict';
+
+const { Writable } = require('stream');
+const db = require('../services/db');
+const generator = require('../generate');
+
+jest.mock('../services/db');
+jest.mock('pg-copy-streams', () => ({
+  from: jest.fn(text => ({ copy: text }))
+}));
+
+const options = (overrides = {}) => ({ ...generator.DEFAULT_OPTIONS, ...overrides });
+
+describe('generate', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createRandom', () => {
+    it('should give the same sequence for the same seed', () => {
+      const first = generator.createRandom(42);
+      const second = generator.createRandom(42);
+      const other = generator.createRandom(43);
+
+      const values = Array.from({ length: 5 }, () => first.next());
+
+      expect(Array.from({ length: 5 }, () => second.next())).toEqual(values);
+      expect(Array.from({ length: 5 }, () => other.next())).not.toEqual(values);
+      for (const value of values) {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+
+    it('should draw Poisson counts around their mean', () => {
+      const random = generator.createRandom(1);
+
+      for (const mean of [2, 200]) {
+        const draws = Array.from({ length: 2000 }, () => random.poisson(mean));
+        const average = draws.reduce((sum, n) => sum + n, 0) / draws.length;
+        expect(average).toBeGreaterThan(mean * 0.9);
+        expect(average).toBeLessThan(mean * 1.1);
+      }
+    });
+  });
+
+  describe('demandFactor', () => {
+    it('should peak in December and drop on weekends', () => {
+      const december = generator.demandFactor(new Date('2021-12-15'), 0.5);
+      const june = generator.demandFactor(new Date('2021-06-16'), 0.5);
+      const sunday = generator.demandFactor(new Date('2021-12-19'), 0.5);
+
+      expect(december).toBeCloseTo(1.5, 1);
+      expect(june).toBeCloseTo(0.5, 1);
+      expect(sunday).toBeLessThan(december / 2);
+      expect(generator.demandFactor(new Date('2021-06-16'), 0)).toBe(1);
+    });
+  });
+
+  describe('generateOrganization', () => {
+    it('should number users and groups after the existing ones', () => {
+      const { users, groups, memberships } = generator.generateOrganization(
+        options({ users: 40, groups: 10 }),
+        generator.createRandom(1),
+        { userId: 20, groupId: 3 }
+      );
+
+      expect(users.map(u => u.id)).toEqual(Array.from({ length: 40 }, (_, i) => 21 + i));
+      expect(groups.map(g => g.id)).toEqual(Array.from({ length: 10 }, (_, i) => 4 + i));
+      expect(groups[8].name).toBe('Northeast Sales Team 2');
+      expect(users.filter(u => u.role === 'Admin')).toHaveLength(2);
+
+      const primaries = memberships.filter(m => m.isPrimary);
+      expect(primaries.map(m => m.userId)).toEqual(users.map(u => u.id));
+      for (const membership of memberships.filter(m => !m.isPrimary)) {
+        expect(membership.effectiveFrom).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+        const primary = primaries.find(m => m.userId === membership.userId);
+        expect(membership.groupId).not.toBe(primary.groupId);
+      }
+    });
+
+    it('should give every group a manager who stays in it', () => {
+      const { users, groups, memberships } = generator.generateOrganization(
+        options({ users: 40, groups: 3 }),
+        generator.createRandom(1)
+      );
+
+      const managers = users.filter(u => u.role === 'Manager');
+      expect(managers.map(u => u.id)).toEqual([1, 2, 3]);
+      for (const [i, manager] of managers.entries()) {
+        expect(manager).toEqual(expect.objectContaining({ active: true, sells: true, firstDay: 0 }));
+        expect(memberships.filter(m => m.userId === manager.id)).toEqual([
+          { userId: manager.id, groupId: groups[i].id, effectiveFrom: null, effectiveTo: null, isPrimary: true }
+        ]);
+      }
+    });
+
+    it('should end the memberships of users who leave the day after their last day', () => {
+      const { users, memberships } = generator.generateOrganization(
+        options({ users: 200, groups: 5, startDate: '2021-01-01', endDate: '2021-12-31' }),
+        generator.createRandom(1)
+      );
+
+      const leavers = users.filter(user => !user.active);
+      expect(leavers.length).toBeGreaterThan(0);
+      for (const user of leavers) {
+        const leftOn = new Date(Date.UTC(2021, 0, 2 + user.lastDay)).toISOString().slice(0, 10);
+        const own = memberships.filter(m => m.userId === user.id);
+        expect(own.length).toBeGreaterThan(0);
+        for (const membership of own) {
+          expect(membership.effectiveTo).toBe(leftOn);
+          expect(membership.effectiveFrom === null || membership.effectiveFrom < leftOn).toBe(true);
+        }
+      }
+      const stayers = new Set(users.filter(user => user.active).map(user => user.id));
+      expect(memberships.filter(m => stayers.has(m.userId)).every(m => m.effectiveTo === null)).toBe(true);
+    });
+
+    it('should spread skill according to the skill spread', () => {
+      const skills = (skillSpread) => generator
+        .generateOrganization(options({ users: 200, skillSpread }), generator.createRandom(1))
+        .users.map(u => u.skill);
+
+      expect(new Set(skills(0))).toEqual(new Set([1]));
+      const spread = skills(0.5);
+      expect(Math.max(...spread) / Math.min(...spread)).toBeGreaterThan(3);
+    });
+  });
+
+  describe('generateSales', () => {
+    const generate = (overrides) => {
+      const settings = options(overrides);
+      const random = generator.createRandom(settings.seed);
+      const { users } = generator.generateOrganization(settings, random);
+      return [...generator.generateSales(users, settings, random)];
+    };
+
+    it('should be reproducible from the seed', () => {
+      const settings = { users: 5, startDate: '2021-01-01', endDate: '2021-01-31' };
+
+      expect(generate(settings)).toEqual(generate(settings));
+      expect(generate({ ...settings, seed: 2 })).not.toEqual(generate(settings));
+    });
+
+    it('should generate sales within the date range in date order', () => {
+      const sales = generate({ users: 5, startDate: '2021-03-01', endDate: '2021-03-31' });
+
+      expect(sales.length).toBeGreaterThan(0);
+      expect(sales[0].date >= '2021-03-01').toBe(true);
+      expect(sales[sales.length - 1].date <= '2021-03-31').toBe(true);
+      expect(sales.map(s => s.date)).toEqual([...sales.map(s => s.date)].sort());
+      for (const sale of sales) {
+        expect(Number.isInteger(sale.amount)).toBe(true);
+        expect(sale.amount).toBeGreaterThanOrEqual(100);
+      }
+    });
+
+    it('should scale the volume with sales per day and seasonality', () => {
+      const year = { users: 10, skillSpread: 0, startDate: '2021-01-01', endDate: '2021-12-31' };
+      const quiet = generate({ ...year, salesPerDay: 1 }).length;
+      const busy = generate({ ...year, salesPerDay: 4 }).length;
+
+      expect(busy / quiet).toBeGreaterThan(3.5);
+      expect(busy / quiet).toBeLessThan(4.5);
+
+      const seasonal = generate({ ...year, seasonality: 1 });
+      const inMonth = (month) => seasonal.filter(s => s.date.slice(5, 7) === month).length;
+      expect(inMonth('12')).toBeGreaterThan(inMonth('06') * 3);
+    });
+  });
+
+  describe('copyValue', () => {
+    it('should escape values for COPY text format', () => {
+      expect(generator.copyValue(null)).toBe('\\N');
+      expect(generator.copyValue(true)).toBe('true');
+      expect(generator.copyValue('a\tb\nc\\d')).toBe('a\\tb\\nc\\\\d');
+    });
+  });
+
+  describe('loadDataset', () => {
+    let connection;
+    let copies;
+
+    beforeEach(() => {
+      copies = {};
+      connection = { query: jest.fn(), release: jest.fn() };
+      // COPY queries return their stream synchronously
+      connection.query.mockImplementation((query) => {
+        if (query.copy) {
+          copies[query.copy] = '';
+          return new Writable({
+            write(chunk, encoding, callback) {
+              copies[query.copy] += chunk.toString();
+              callback();
+            }
+          });
+        }
+        if (query.includes('MAX(id), 0)')) {
+          return Promise.resolve({ rows: [{ user_id: '20', group_id: '3' }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+      db.connect.mockResolvedValue(connection);
+    });
+
+    it('should copy every table in one transaction', async () => {
+      const loaded = await generator.loadDataset({
+        users: 3,
+        groups: 2,
+        startDate: '2021-01-04',
+        endDate: '2021-01-08',
+        salesPerDay: 5
+      });
+
+      const users = copies['COPY users (id, name, role, active) FROM STDIN'].trim().split('\n');
+      expect(users).toHaveLength(3);
+      expect(users[0]).toMatch(/^21\t\w+ \w+\tManager\ttrue$/);
+      expect(users[2]).toMatch(/^23\t\w+ \w+\t(Call Center|Retail) Agent\t(true|false)$/);
+      expect(copies['COPY groups (id, name, active) FROM STDIN']).toBe(
+        '4\tNortheast Sales Team\ttrue\n5\tSoutheast Sales Team\ttrue\n'
+      );
+      const sales = copies['COPY sales (user_id, amount, date) FROM STDIN'].trim().split('\n');
+      expect(sales).toHaveLength(loaded.sales);
+      expect(sales[0]).toMatch(/^2[123]\t\d+\t2021-01-0\d$/);
+      expect(loaded).toMatchObject({ users: 3, groups: 2 });
+
+      const statements = connection.query.mock.calls.map(([query]) => query.copy || query.trim().split('\n')[0]);
+      expect(statements[0]).toBe('BEGIN');
+      expect(statements).toContain('SET LOCAL statement_timeout = 0');
+      expect(statements).not.toContainEqual(expect.stringContaining('TRUNCATE'));
+      expect(statements[statements.length - 1]).toBe('COMMIT');
+      expect(statements).not.toContainEqual(expect.stringContaining('sales_daily_rollups'));
+      expect(connection.release).toHaveBeenCalled();
+    });
+
+    it('should empty the tables first when replacing', async () => {
+      await generator.loadDataset({ users: 1, groups: 1, startDate: '2021-01-04', endDate: '2021-01-04', replace: true });
+
+      const statements = connection.query.mock.calls.map(([query]) => query.copy || query);
+      const truncate = statements.findIndex(query => query.startsWith('TRUNCATE users, groups'));
+      // Deleting fires the triggers that refresh rollups and announce the change to servers; TRUNCATE does not
+      expect(statements.indexOf('DELETE FROM sales')).toBeGreaterThan(0);
+      expect(statements.indexOf('DELETE FROM sales')).toBeLessThan(truncate);
+    });
+
+    it('should roll back when loading fails', async () => {
+      const query = connection.query.getMockImplementation();
+      connection.query.mockImplementation(text => (
+        typeof text === 'string' && text.includes('setval') ? Promise.reject(new Error('disk full')) : query(text)
+      ));
+
+      await expect(generator.loadDataset({ users: 1, startDate: '2021-01-04', endDate: '2021-01-04' }))
+        .rejects.toThrow('disk full');
+
+      expect(connection.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(connection.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('parseArgs', () => {
+    it('should read flags in both forms and keep defaults', () => {
+      const parsed = generator.parseArgs(['--users', '500', '--start=2019-01-01', '--seed', '7', '--replace']);
+
+      expect(parsed).toEqual({
+        ...generator.DEFAULT_OPTIONS,
+        users: 500,
+        startDate: '2019-01-01',
+        seed: 7,
+        replace: true
+      });
+    });
+
+    it('should reject unknown flags and invalid values', () => {
+      expect(() => generator.parseArgs(['--agents', '5'])).toThrow('Unknown option: --agents');
+      expect(() => generator.parseArgs(['--users'])).toThrow('Missing value for --users');
+      expect(() => generator.parseArgs(['--users', '0'])).toThrow('Invalid users');
+      expect(() => generator.parseArgs(['--end', '2020-02-30'])).toThrow('Invalid date range');
+      expect(() => generator.parseArgs(['--end', '2020-12-31'])).toThrow('Start must not be after end');
+      expect(() => generator.parseArgs(['--seasonality', '1.5'])).toThrow('Invalid seasonality');
+      expect(() => generator.parseArgs(['--sales-per-day', '0'])).toThrow('Invalid sales-per-day');
+    });
+  });
+});
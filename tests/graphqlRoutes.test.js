@@ -0,0 +1,265 @@
+'use strict';
+
+const request = require('supertest');
+const express = require('express');
+const graphqlRoutes = require('../routes/graphqlRoutes');
+const salesService = require('../services/salesService');
+const usersService = require('../services/usersService');
+const groupsService = require('../services/groupsService');
+const { NotFoundError } = require('../services/errors');
+
+jest.mock('../services/salesService');
+jest.mock('../services/usersService');
+jest.mock('../services/groupsService');
+
+describe('GraphQL Routes', () => {
+  let app;
+  // Who the requests come from; authentication itself is tested in auth.test.js
+  let principal;
+
+  const ana = { id: 1, name: 'Ana', role: 'Sales Rep', active: true };
+  const bob = { id: 2, name: 'Bob', role: 'Admin', active: true };
+  const west = { id: 3, name: 'West', active: true };
+
+  /**
+   * Builds a timeseries row as getTimeSeriesSales returns it
+   */
+  const seriesRow = (timeWindow, entity, revenue) => ({
+    time_window: timeWindow,
+    window_end: '2021-01-31',
+    ...entity,
+    sale_count: '2',
+    total_revenue: String(revenue),
+    avg_revenue: String(revenue / 2),
+    min_sale: '100',
+    max_sale: String(revenue - 100)
+  });
+
+  const post = query => request(app).post('/graphql').send(typeof query === 'string' ? { query } : query);
+
+  beforeEach(() => {
+    app = express();
+    principal = { type: 'user', userId: 2, role: 'Admin', admin: true, scope: undefined };
+    app.use((req, res, next) => {
+      req.principal = principal;
+      next();
+    });
+    app.use('/graphql', graphqlRoutes);
+    salesService.formatTimeSeriesData.mockImplementation(
+      jest.requireActual('../services/salesService').formatTimeSeriesData
+    );
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /graphql', () => {
+    it('should list users', async () => {
+      usersService.listUsers.mockResolvedValue([ana, bob]);
+
+      const response = await post('{ users(role: "Sales Rep") { id name role active } }').expect(200);
+
+      expect(response.body).toEqual({ data: { users: [ana, bob] } });
+      expect(usersService.listUsers).toHaveBeenCalledWith({ role: 'Sales Rep', includeInactive: false });
+    });
+
+    it('should load the timeseries of every listed user with one query', async () => {
+      usersService.listUsers.mockResolvedValue([ana, bob]);
+      salesService.getTimeSeriesSales.mockResolvedValue([
+        seriesRow('2021-01-01', { user_id: 2, user_name: 'Bob', user_role: 'Admin' }, 900),
+        seriesRow('2021-01-01', { user_id: 1, user_name: 'Ana', user_role: 'Sales Rep' }, 500)
+      ]);
+
+      const response = await post(`{
+        users {
+          id
+          timeseries(granularity: month, startDate: "2021-01-01", endDate: "2021-03-31") {
+            granularity
+            startDate
+            windows { timeWindow windowStart windowEnd metrics { saleCount totalRevenue maxSale } }
+          }
+        }
+      }`).expect(200);
+
+      expect(response.body.data.users).toEqual([
+        {
+          id: 1,
+          timeseries: {
+            granularity: 'month',
+            startDate: '2021-01-01',
+            windows: [{
+              timeWindow: '2021-01-01T00:00:00.000Z',
+              windowStart: '2021-01-01',
+              windowEnd: '2021-01-31',
+              metrics: { saleCount: 2, totalRevenue: 500, maxSale: 400 }
+            }]
+          }
+        },
+        {
+          id: 2,
+          timeseries: {
+            granularity: 'month',
+            startDate: '2021-01-01',
+            windows: [{
+              timeWindow: '2021-01-01T00:00:00.000Z',
+              windowStart: '2021-01-01',
+              windowEnd: '2021-01-31',
+              metrics: { saleCount: 2, totalRevenue: 900, maxSale: 800 }
+            }]
+          }
+        }
+      ]);
+      expect(salesService.getTimeSeriesSales).toHaveBeenCalledTimes(1);
+      expect(salesService.getTimeSeriesSales).toHaveBeenCalledWith({
+        granularity: 'month',
+        startDate: '2021-01-01',
+        endDate: '2021-03-31',
+        groupBy: 'user',
+        userId: '1,2',
+        scope: undefined
+      });
+    });
+
+    it('should query timeseries with different arguments separately', async () => {
+      groupsService.getGroup.mockResolvedValue(west);
+      salesService.getTimeSeriesSales.mockResolvedValue([]);
+
+      const response = await post(`{
+        group(id: 3) {
+          monthly: timeseries { granularity windows { timeWindow } }
+          weekly: timeseries(granularity: week) { granularity windows { timeWindow } }
+        }
+      }`).expect(200);
+
+      expect(response.body.data.group).toEqual({
+        monthly: { granularity: 'month', windows: [] },
+        weekly: { granularity: 'week', windows: [] }
+      });
+      expect(salesService.getTimeSeriesSales).toHaveBeenCalledTimes(2);
+      expect(salesService.getTimeSeriesSales.mock.calls.map(([options]) => options)).toEqual([
+        expect.objectContaining({ granularity: 'month', groupBy: 'group', groupId: '3' }),
+        expect.objectContaining({ granularity: 'week', groupBy: 'group', groupId: '3' })
+      ]);
+    });
+
+    it('should batch the members and groups of nested users and groups', async () => {
+      groupsService.listGroups.mockResolvedValue([west, { id: 4, name: 'East', active: true }]);
+      groupsService.listCurrentMembers.mockResolvedValue([
+        { groupId: 3, user: ana },
+        { groupId: 3, user: bob },
+        { groupId: 4, user: bob }
+      ]);
+      usersService.listCurrentGroups.mockResolvedValue([
+        { userId: 1, group: west },
+        { userId: 2, group: west }
+      ]);
+
+      const response = await post('{ groups { id members { id groups { id } } } }').expect(200);
+
+      expect(response.body.data.groups).toEqual([
+        { id: 3, members: [{ id: 1, groups: [{ id: 3 }] }, { id: 2, groups: [{ id: 3 }] }] },
+        { id: 4, members: [{ id: 2, groups: [{ id: 3 }] }] }
+      ]);
+      expect(groupsService.listCurrentMembers).toHaveBeenCalledTimes(1);
+      expect(groupsService.listCurrentMembers).toHaveBeenCalledWith([3, 4]);
+      expect(usersService.listCurrentGroups).toHaveBeenCalledTimes(1);
+      expect(usersService.listCurrentGroups).toHaveBeenCalledWith([1, 2]);
+    });
+
+    it('should only count the sales the caller may see', async () => {
+      principal = { type: 'user', userId: 4, role: 'Manager', admin: false, scope: { userId: 4, groupIds: [3] } };
+      usersService.getUser.mockResolvedValue(ana);
+      salesService.getTimeSeriesSales.mockResolvedValue([]);
+
+      await post('{ user(id: 1) { timeseries { windows { timeWindow } } } }').expect(200);
+
+      expect(salesService.getTimeSeriesSales).toHaveBeenCalledWith(
+        expect.objectContaining({ scope: { userId: 4, groupIds: [3] } })
+      );
+    });
+
+    it('should resolve a missing user to null', async () => {
+      usersService.getUser.mockRejectedValue(new NotFoundError('User 9 not found'));
+
+      const response = await post({ query: 'query ($id: Int!) { user(id: $id) { id } }', variables: { id: 9 } })
+        .expect(200);
+
+      expect(response.body).toEqual({ data: { user: null } });
+    });
+
+    it('should report invalid timeseries arguments like invalid query parameters', async () => {
+      usersService.getUser.mockResolvedValue(ana);
+
+      const response = await post(`{
+        user(id: 1) { id timeseries(startDate: "2021-03-01", endDate: "2021-02-01") { granularity } }
+      }`).expect(200);
+
+      expect(response.body.data).toEqual({ user: null });
+      expect(response.body.errors).toEqual([{
+        message: 'Invalid endDate. Must not be before startDate',
+        locations: [{ line: 2, column: 26 }],
+        path: ['user', 'timeseries'],
+        extensions: {
+          code: 'invalid_request',
+          details: [{ field: 'endDate', message: 'Must not be before startDate' }]
+        }
+      }]);
+      expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+    });
+
+    it('should hide unexpected errors', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      usersService.listUsers.mockRejectedValue(new Error('connection refused'));
+
+      const response = await post('{ users { id } }').expect(200);
+
+      expect(response.body.data).toBeNull();
+      expect(response.body.errors).toEqual([expect.objectContaining({
+        message: 'Internal server error',
+        path: ['users'],
+        extensions: { code: 'internal_error', details: [] }
+      })]);
+      expect(console.error).toHaveBeenCalled();
+    });
+
+    it.each([
+      ['a body without a query', { variables: {} }, 'Body must have a query string'],
+      ['variables that are not an object', { query: '{ users { id } }', variables: [1] }, 'Variables must be an object'],
+      ['a query that does not parse', { query: '{ users { id }' }, 'Syntax Error: Expected Name, found <EOF>.'],
+      ['an unknown field', { query: '{ users { email } }' }, 'Cannot query field "email" on type "User".'],
+      ['a mutation', { query: 'mutation { users { id } }' }, 'Only queries are supported, not mutations'],
+      ['a missing variable', { query: 'query ($id: Int!) { user(id: $id) { id } }' },
+        'Variable "$id" of required type "Int!" was not provided.'],
+      ['a query nested too deeply', {
+        query: '{ groups { members { groups { members { groups { members { groups { members { id } } } } } } } } }'
+      }, 'Fields must not be nested more than 8 deep'],
+      ['a fragment nested too deeply', {
+        query: `{ groups { members { ...deep } } }
+          fragment deep on User { groups { members { groups { members { groups { members { id } } } } } } }`
+      }, 'Fields must not be nested more than 8 deep']
+    ])('should reject %s with a 400', async (label, body, message) => {
+      const response = await post(body).expect(400);
+
+      expect(response.body.data).toBeUndefined();
+      expect(response.body.errors).toEqual([
+        expect.objectContaining({ message, extensions: { code: 'invalid_request', details: [] } })
+      ]);
+      expect(usersService.listUsers).not.toHaveBeenCalled();
+      expect(groupsService.listGroups).not.toHaveBeenCalled();
+    });
+
+    it('should reject a malformed JSON body with a 400', async () => {
+      const response = await request(app)
+        .post('/graphql')
+        .set('Content-Type', 'application/json')
+        .send('{ "query": ')
+        .expect(400);
+
+      expect(response.body).toEqual({
+        errors: [{ message: 'Invalid JSON body', extensions: { code: 'invalid_request', details: [] } }]
+      });
+    });
+  });
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const { printSchema } = require('graphql');
+const { schema, createLoaders } = require('../routes/graphqlSchema');
+const salesService = require('../services/salesService');
+const usersService = require('../services/usersService');
+const groupsService = require('../services/groupsService');
+
+jest.mock('../services/salesService');
+jest.mock('../services/usersService');
+jest.mock('../services/groupsService');
+
+describe('GraphQL Schema', () => {
+  const west = { id: 3, name: 'West', active: true };
+  const monthly = { granularity: 'month', startDate: '2021-01-01', endDate: undefined };
+
+  beforeEach(() => {
+    salesService.formatTimeSeriesData.mockImplementation(
+      jest.requireActual('../services/salesService').formatTimeSeriesData
+    );
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('schema', () => {
+    it('should offer every granularity the timeseries route accepts', () => {
+      expect(schema.getType('Granularity').getValues().map(({ value }) => value))
+        .toEqual(['day', 'week', 'month', 'quarter', 'year']);
+    });
+
+    it('should expose users, groups and their sales series', () => {
+      const printed = printSchema(schema);
+
+      expect(printed).toContain('users(');
+      expect(printed).toContain('group(id: Int!): Group');
+      expect(printed).toContain('members: [User!]!');
+      expect(printed).toContain('): SalesSeries!');
+    });
+  });
+
+  describe('createLoaders', () => {
+    it('should load the groups of several users with one query', async () => {
+      usersService.listCurrentGroups.mockResolvedValue([{ userId: 2, group: west }]);
+      const loaders = createLoaders(undefined);
+
+      const groups = await Promise.all([loaders.currentGroups.load(1), loaders.currentGroups.load(2)]);
+
+      expect(groups).toEqual([[], [west]]);
+      expect(usersService.listCurrentGroups).toHaveBeenCalledTimes(1);
+      expect(usersService.listCurrentGroups).toHaveBeenCalledWith([1, 2]);
+    });
+
+    it('should load the members of several groups with one query', async () => {
+      const ana = { id: 1, name: 'Ana', role: 'Sales Rep', active: true };
+      groupsService.listCurrentMembers.mockResolvedValue([{ groupId: 3, user: ana }]);
+      const loaders = createLoaders(undefined);
+
+      const members = await Promise.all([loaders.currentMembers.load(3), loaders.currentMembers.load(4)]);
+
+      expect(members).toEqual([[ana], []]);
+      expect(groupsService.listCurrentMembers).toHaveBeenCalledWith([3, 4]);
+    });
+
+    it('should split a batched timeseries between the groups it was loaded for', async () => {
+      salesService.getTimeSeriesSales.mockResolvedValue([
+        {
+          time_window: '2021-02-01',
+          window_end: '2021-02-28',
+          group_id: 4,
+          group_name: 'East',
+          sale_count: '1',
+          total_revenue: '300',
+          avg_revenue: '300.00',
+          min_sale: '300',
+          max_sale: '300'
+        }
+      ]);
+      const scope = { userId: 4, groupIds: [4] };
+      const loaders = createLoaders(scope);
+
+      const series = await Promise.all([
+        loaders.timeseries('group', monthly).load(3),
+        loaders.timeseries('group', monthly).load(4)
+      ]);
+
+      expect(series[0]).toEqual([]);
+      expect(series[1]).toEqual([expect.objectContaining({ windowStart: '2021-02-01', groupId: 4 })]);
+      expect(salesService.getTimeSeriesSales).toHaveBeenCalledTimes(1);
+      expect(salesService.getTimeSeriesSales).toHaveBeenCalledWith({
+        ...monthly,
+        groupBy: 'group',
+        groupId: '3,4',
+        scope
+      });
+    });
+
+    it('should cache loaded timeseries for the request', async () => {
+      salesService.getTimeSeriesSales.mockResolvedValue([]);
+      const loaders = createLoaders(undefined);
+
+      await loaders.timeseries('user', monthly).load(1);
+      await loaders.timeseries('user', { ...monthly }).load(1);
+      await loaders.timeseries('user', { ...monthly, granularity: 'week' }).load(1);
+
+      expect(salesService.getTimeSeriesSales).toHaveBeenCalledTimes(2);
+    });
+  });
+});
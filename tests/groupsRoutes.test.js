@@ -0,0 +1,222 @@
+'use strict';
+
+const request = require('supertest');
+const express = require('express');
+const groupsRoutes = require('../routes/groupsRoutes');
+const groupsService = require('../services/groupsService');
+const { ValidationError, NotFoundError } = require('../services/errors');
+
+jest.mock('../services/groupsService');
+
+describe('Groups Routes', () => {
+  let app;
+  // Who the requests come from; authentication itself is tested in auth.test.js
+  let principal;
+
+  const group = { id: 2, name: 'West', active: true };
+  const membership = { userId: 4, userName: 'Ana', userRole: 'Sales Rep', effectiveFrom: '2021-06-01', effectiveTo: null };
+
+  beforeEach(() => {
+    app = express();
+    principal = { type: 'user', userId: 2, role: 'Admin', admin: true, scope: undefined };
+    app.use((req, res, next) => {
+      req.principal = principal;
+      next();
+    });
+    app.use('/api/groups', groupsRoutes);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/groups', () => {
+    it('should list groups', async () => {
+      groupsService.listGroups.mockResolvedValue([group]);
+
+      const response = await request(app)
+        .get('/api/groups?includeInactive=true')
+        .expect(200);
+
+      expect(response.body).toEqual({ count: 1, data: [group] });
+      expect(groupsService.listGroups).toHaveBeenCalledWith({ includeInactive: true });
+    });
+  });
+
+  describe('POST /api/groups', () => {
+    it('should create a group', async () => {
+      groupsService.createGroup.mockResolvedValue(group);
+
+      await request(app)
+        .post('/api/groups')
+        .send({ name: 'West' })
+        .expect(201);
+
+      expect(groupsService.createGroup).toHaveBeenCalledWith({ name: 'West' });
+    });
+
+    it('should return 400 for malformed JSON', async () => {
+      const response = await request(app)
+        .post('/api/groups')
+        .set('Content-Type', 'application/json')
+        .send('{"name":')
+        .expect(400);
+
+      expect(response.body).toEqual({ error: { code: 'invalid_request', message: 'Invalid JSON body', details: [] } });
+    });
+  });
+
+  describe('GET, PATCH and DELETE /api/groups/:id', () => {
+    it('should return the group', async () => {
+      groupsService.getGroup.mockResolvedValue(group);
+
+      await request(app)
+        .get('/api/groups/2')
+        .expect(200);
+
+      expect(groupsService.getGroup).toHaveBeenCalledWith(2);
+    });
+
+    it('should update the group', async () => {
+      groupsService.updateGroup.mockResolvedValue({ ...group, name: 'North' });
+
+      await request(app)
+        .patch('/api/groups/2')
+        .send({ name: 'North' })
+        .expect(200);
+
+      expect(groupsService.updateGroup).toHaveBeenCalledWith(2, { name: 'North' });
+    });
+
+    it('should deactivate the group', async () => {
+      groupsService.deactivateGroup.mockResolvedValue({ ...group, active: false });
+
+      const response = await request(app)
+        .delete('/api/groups/2')
+        .expect(200);
+
+      expect(response.body.active).toBe(false);
+    });
+
+    it('should return 404 for unknown groups', async () => {
+      groupsService.getGroup.mockRejectedValue(new NotFoundError('Group 9 not found'));
+
+      await request(app)
+        .get('/api/groups/9')
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/groups/:id/members', () => {
+    it('should list members on a date', async () => {
+      groupsService.listMembers.mockResolvedValue([membership]);
+
+      const response = await request(app)
+        .get('/api/groups/2/members?date=2021-07-01')
+        .expect(200);
+
+      expect(response.body).toEqual({ count: 1, data: [membership] });
+      expect(groupsService.listMembers).toHaveBeenCalledWith(2, { date: '2021-07-01', includeHistory: false });
+    });
+
+    it('should list the full history with includeHistory', async () => {
+      groupsService.listMembers.mockResolvedValue([]);
+
+      await request(app)
+        .get('/api/groups/2/members?includeHistory=true')
+        .expect(200);
+
+      expect(groupsService.listMembers).toHaveBeenCalledWith(2, { date: undefined, includeHistory: true });
+    });
+
+    it('should return 400 for invalid dates and flags', async () => {
+      const response = await request(app)
+        .get('/api/groups/2/members?date=2021-07-32&includeHistory=1')
+        .expect(400);
+
+      expect(response.body.error).toEqual({
+        code: 'invalid_request',
+        message: 'Invalid query parameters: date, includeHistory',
+        details: [
+          { field: 'date', message: 'Must be a valid date in YYYY-MM-DD format' },
+          { field: 'includeHistory', message: 'Must be true or false' }
+        ]
+      });
+      expect(groupsService.listMembers).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/groups/:id/members', () => {
+    it('should add the member', async () => {
+      groupsService.addMember.mockResolvedValue(membership);
+
+      const response = await request(app)
+        .post('/api/groups/2/members')
+        .send({ userId: 4, effectiveFrom: '2021-06-01' })
+        .expect(201);
+
+      expect(response.body).toEqual(membership);
+      expect(groupsService.addMember).toHaveBeenCalledWith(2, { userId: 4, effectiveFrom: '2021-06-01' });
+    });
+
+    it('should return 400 for overlapping memberships', async () => {
+      groupsService.addMember.mockRejectedValue(new ValidationError('Invalid membership', [
+        { field: 'userId', message: 'User 4 is already a member of group 2 on or after 2021-06-01' }
+      ]));
+
+      const response = await request(app)
+        .post('/api/groups/2/members')
+        .send({ userId: 4, effectiveFrom: '2021-06-01' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid membership');
+    });
+  });
+
+  describe('DELETE /api/groups/:id/members/:userId', () => {
+    it('should end the membership', async () => {
+      groupsService.removeMember.mockResolvedValue({ ...membership, effectiveTo: '2021-09-01' });
+
+      const response = await request(app)
+        .delete('/api/groups/2/members/4?effectiveTo=2021-09-01')
+        .expect(200);
+
+      expect(response.body.effectiveTo).toBe('2021-09-01');
+      expect(groupsService.removeMember).toHaveBeenCalledWith(2, 4, { effectiveTo: '2021-09-01' });
+    });
+
+    it('should return 404 when the user is not a member', async () => {
+      groupsService.removeMember.mockRejectedValue(new NotFoundError('User 4 is not a member of group 2'));
+
+      await request(app)
+        .delete('/api/groups/2/members/4')
+        .expect(404);
+    });
+
+    it('should return 500 for unexpected errors', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      groupsService.removeMember.mockRejectedValue(new Error('Database connection failed'));
+
+      await request(app)
+        .delete('/api/groups/2/members/4')
+        .expect(500);
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith('Error removing group member:', expect.any(Error));
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('access control', () => {
+    it('should only let admins change groups and memberships', async () => {
+      principal = { type: 'user', userId: 4, role: 'Manager', admin: false, scope: { userId: 4, groupIds: [1] } };
+
+      await request(app).post('/api/groups').send({ name: 'New Team' }).expect(403);
+      await request(app).post('/api/groups/1/members').send({ userId: 9 }).expect(403);
+      await request(app).delete('/api/groups/1/members/9').expect(403);
+
+      expect(groupsService.createGroup).not.toHaveBeenCalled();
+      expect(groupsService.addMember).not.toHaveBeenCalled();
+      expect(groupsService.removeMember).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,286 @@
+'use strict';
+
+const groupsService = require('../services/groupsService');
+const db = require('../services/db');
+const queryCache = require('../services/queryCache');
+const { ValidationError, NotFoundError } = require('../services/errors');
+
+jest.mock('../services/db');
+
+describe('GroupsService', () => {
+  let mockClient;
+
+  const activeGroup = { id: 2, name: 'West', active: true };
+  const membershipRow = {
+    user_id: 4,
+    user_name: 'Ana',
+    user_role: 'Sales Rep',
+    effective_from: '2021-06-01',
+    effective_to: null,
+    is_primary: false
+  };
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn()
+    };
+    db.getClient.mockReturnValue(mockClient);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('validateGroupInput', () => {
+    it('should accept a named group', () => {
+      expect(groupsService.validateGroupInput({ name: 'West' })).toEqual([]);
+    });
+
+    it('should report every invalid field', () => {
+      const details = groupsService.validateGroupInput({ name: '', active: 1, region: 'x' });
+
+      expect(details.map(detail => detail.field)).toEqual(['region', 'name', 'active']);
+    });
+  });
+
+  describe('listGroups', () => {
+    it('should list active groups by default', async () => {
+      mockClient.query.mockResolvedValue({ rows: [activeGroup] });
+
+      const result = await groupsService.listGroups();
+
+      expect(result).toEqual([activeGroup]);
+      expect(mockClient.query.mock.calls[0][0]).toContain('WHERE active');
+    });
+
+    it('should include inactive groups when asked', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await groupsService.listGroups({ includeInactive: true });
+
+      expect(mockClient.query.mock.calls[0][0]).not.toContain('WHERE active');
+    });
+  });
+
+  describe('createGroup and updateGroup', () => {
+    it('should insert the trimmed group', async () => {
+      mockClient.query.mockResolvedValue({ rows: [{ id: 7, name: 'North', active: true }] });
+
+      await groupsService.createGroup({ name: ' North ' });
+
+      expect(mockClient.query.mock.calls[0][1]).toEqual(['North', true]);
+    });
+
+    it('should drop cached results when a group is renamed', async () => {
+      const clear = jest.spyOn(queryCache, 'clear');
+      mockClient.query.mockResolvedValue({ rows: [{ ...activeGroup, name: 'North' }] });
+
+      await groupsService.updateGroup(2, { name: 'North' });
+      expect(clear).toHaveBeenCalledTimes(1);
+
+      await groupsService.updateGroup(2, { active: true });
+      expect(clear).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw NotFoundError when updating an unknown group', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await expect(groupsService.updateGroup(9, { name: 'North' })).rejects.toThrow('Group 9 not found');
+    });
+
+    it('should deactivate a group', async () => {
+      mockClient.query.mockResolvedValue({ rows: [{ ...activeGroup, active: false }] });
+
+      const result = await groupsService.deactivateGroup(2);
+
+      expect(result.active).toBe(false);
+      expect(mockClient.query.mock.calls[0][1]).toEqual([false, 2]);
+    });
+  });
+
+  describe('listMembers', () => {
+    it('should list members on the given date', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [activeGroup] })
+        .mockResolvedValueOnce({ rows: [membershipRow] });
+
+      const result = await groupsService.listMembers(2, { date: '2021-07-01' });
+
+      expect(result).toEqual([
+        {
+          userId: 4,
+          userName: 'Ana',
+          userRole: 'Sales Rep',
+          effectiveFrom: '2021-06-01',
+          effectiveTo: null,
+          primary: false
+        }
+      ]);
+      const [query, params] = mockClient.query.mock.calls[1];
+      expect(query).toContain('ug.effective_from <= $2');
+      expect(query).toContain('ug.effective_to > $2');
+      expect(params).toEqual([2, '2021-07-01']);
+    });
+
+    it('should list every membership with includeHistory', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [activeGroup] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await groupsService.listMembers(2, { includeHistory: true });
+
+      const [query, params] = mockClient.query.mock.calls[1];
+      expect(query).not.toContain('effective_to >');
+      expect(params).toEqual([2]);
+    });
+
+    it('should reject invalid dates', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [activeGroup] });
+
+      await expect(groupsService.listMembers(2, { date: '2021-02-30' })).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('listCurrentMembers', () => {
+    it('should list the members of every group today with one query', async () => {
+      mockClient.query.mockResolvedValue({
+        rows: [
+          { group_id: 2, id: 4, name: 'Ana', role: 'Sales Rep', active: true },
+          { group_id: 3, id: 4, name: 'Ana', role: 'Sales Rep', active: true }
+        ]
+      });
+
+      const result = await groupsService.listCurrentMembers([2, 3]);
+
+      const ana = { id: 4, name: 'Ana', role: 'Sales Rep', active: true };
+      expect(result).toEqual([{ groupId: 2, user: ana }, { groupId: 3, user: ana }]);
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+      const [query, params] = mockClient.query.mock.calls[0];
+      expect(query).toContain('ug.group_id = ANY($1::int[])');
+      expect(query).toContain('ug.effective_to > $2');
+      expect(params).toEqual([[2, 3], new Date().toISOString().slice(0, 10)]);
+    });
+  });
+
+  describe('addMember', () => {
+    it('should insert a membership starting on effectiveFrom', async () => {
+      const invalidate = jest.spyOn(queryCache, 'invalidate');
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [activeGroup] })
+        .mockResolvedValueOnce({ rows: [{ active: true }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [membershipRow] });
+
+      const result = await groupsService.addMember(2, { userId: 4, effectiveFrom: '2021-06-01' });
+
+      expect(result.effectiveFrom).toBe('2021-06-01');
+      const [query, params] = mockClient.query.mock.calls[3];
+      expect(query).toContain('INSERT INTO user_groups (user_id, group_id, effective_from, is_primary)');
+      expect(params).toEqual([4, 2, '2021-06-01', false]);
+      expect(invalidate).toHaveBeenCalledWith({ startDate: '2021-06-01' });
+    });
+
+    it('should flag primary memberships', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [activeGroup] })
+        .mockResolvedValueOnce({ rows: [{ active: true }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ ...membershipRow, is_primary: true }] });
+
+      const result = await groupsService.addMember(2, { userId: 4, effectiveFrom: '2021-06-01', primary: true });
+
+      expect(result.primary).toBe(true);
+      expect(mockClient.query.mock.calls[3][1][3]).toBe(true);
+    });
+
+    it('should default effectiveFrom to today', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [activeGroup] })
+        .mockResolvedValueOnce({ rows: [{ active: true }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [membershipRow] });
+
+      await groupsService.addMember(2, { userId: 4 });
+
+      expect(mockClient.query.mock.calls[3][1][2]).toBe(new Date().toISOString().slice(0, 10));
+    });
+
+    it('should reject overlapping memberships', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [activeGroup] })
+        .mockResolvedValueOnce({ rows: [{ active: true }] })
+        .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+
+      await expect(groupsService.addMember(2, { userId: 4, effectiveFrom: '2021-06-01' }))
+        .rejects.toThrow(ValidationError);
+      expect(mockClient.query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should reject inactive or unknown users', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [activeGroup] })
+        .mockResolvedValueOnce({ rows: [{ active: false }] });
+
+      await expect(groupsService.addMember(2, { userId: 4 })).rejects.toThrow(ValidationError);
+    });
+
+    it('should reject inactive groups', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [{ ...activeGroup, active: false }] });
+
+      await expect(groupsService.addMember(2, { userId: 4 })).rejects.toThrow(ValidationError);
+    });
+
+    it('should throw NotFoundError for unknown groups', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(groupsService.addMember(9, { userId: 4 })).rejects.toThrow(NotFoundError);
+    });
+
+    it('should validate the body before querying', async () => {
+      await expect(groupsService.addMember(2, { userId: 'abc' })).rejects.toThrow(ValidationError);
+      await expect(groupsService.addMember(2, { userId: 4, effectiveFrom: 'soon' })).rejects.toThrow(ValidationError);
+      await expect(groupsService.addMember(2, { userId: 4, primary: 'yes' })).rejects.toThrow(ValidationError);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeMember', () => {
+    it('should end the open membership on effectiveTo', async () => {
+      const invalidate = jest.spyOn(queryCache, 'invalidate');
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 30, effective_from: '2021-06-01' }] })
+        .mockResolvedValueOnce({ rows: [{ ...membershipRow, effective_to: '2021-09-01' }] });
+
+      const result = await groupsService.removeMember(2, 4, { effectiveTo: '2021-09-01' });
+
+      expect(result.effectiveTo).toBe('2021-09-01');
+      expect(mockClient.query.mock.calls[1][1]).toEqual([30, '2021-09-01']);
+      expect(invalidate).toHaveBeenCalledWith({ startDate: '2021-09-01' });
+    });
+
+    it('should throw NotFoundError when the user is not a member', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(groupsService.removeMember(2, 4)).rejects.toThrow('User 4 is not a member of group 2');
+    });
+
+    it('should reject an end date that is not after the start date', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [{ id: 30, effective_from: '2021-06-01' }] });
+
+      await expect(groupsService.removeMember(2, 4, { effectiveTo: '2021-06-01' }))
+        .rejects.toThrow(ValidationError);
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should end memberships that have no start date', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 31, effective_from: null }] })
+        .mockResolvedValueOnce({ rows: [{ ...membershipRow, effective_from: null, effective_to: '2021-01-01' }] });
+
+      const result = await groupsService.removeMember(2, 4, { effectiveTo: '2021-01-01' });
+
+      expect(result.effectiveFrom).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const request = require('supertest');
+const express = require('express');
+const healthRoutes = require('../routes/healthRoutes');
+const db = require('../services/db');
+
+jest.mock('../services/db');
+
+describe('Health Routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use('/health', healthRoutes);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /health/live', () => {
+    it('should answer without probing the database', async () => {
+      const response = await request(app)
+        .get('/health/live')
+        .expect(200);
+
+      expect(response.body).toEqual({ status: 'ok' });
+      expect(db.ping).not.toHaveBeenCalled();
+    });
+
+    it('should also answer on /health', async () => {
+      await request(app)
+        .get('/health')
+        .expect(200, { status: 'ok' });
+    });
+  });
+
+  describe('GET /health/ready', () => {
+    it('should report the database latency and pool usage', async () => {
+      db.ping.mockResolvedValue({ latencyMs: 3, pool: { total: 2, idle: 1, waiting: 0 } });
+
+      const response = await request(app)
+        .get('/health/ready')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        status: 'ready',
+        database: { status: 'up', latencyMs: 3, pool: { total: 2, idle: 1, waiting: 0 } }
+      });
+    });
+
+    it('should return 503 without the driver error when the database does not answer', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const error = new Error('password authentication failed for user "sales"');
+      db.ping.mockRejectedValue(error);
+
+      const response = await request(app)
+        .get('/health/ready')
+        .expect(503);
+
+      expect(response.body).toEqual({
+        status: 'unavailable',
+        database: { status: 'down', message: 'database unavailable' }
+      });
+      expect(consoleErrorSpy).toHaveBeenCalledWith('Error probing the database:', error);
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should return 503 while the server is shutting down', async () => {
+      app.locals.shuttingDown = true;
+
+      const response = await request(app)
+        .get('/health/ready')
+        .expect(503);
+
+      expect(response.body).toEqual({ status: 'shutting down' });
+      expect(db.ping).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,194 @@
+'use strict';
+
+const leaderboardService = require('../services/leaderboardService');
+const db = require('../services/db');
+const queryCache = require('../services/queryCache');
+const { ValidationError } = require('../services/errors');
+
+jest.mock('../services/db');
+
+const userRow = (timeWindow, id, name, saleCount, totalRevenue) => ({
+  time_window: timeWindow,
+  user_id: id,
+  user_name: name,
+  user_role: 'Agent',
+  sale_count: String(saleCount),
+  total_revenue: String(totalRevenue),
+  avg_revenue: (totalRevenue / saleCount).toFixed(2),
+  min_sale: '100',
+  max_sale: '1000'
+});
+
+describe('LeaderboardService', () => {
+  let mockClient;
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn()
+    };
+    db.getClient.mockReturnValue(mockClient);
+    queryCache.clear();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('rankEntries', () => {
+    it('should rank highest first and share ranks on ties', () => {
+      const ranked = leaderboardService.rankEntries(
+        [{ id: 'a', v: 5 }, { id: 'b', v: 9 }, { id: 'c', v: 5 }, { id: 'd', v: 1 }],
+        entry => entry.v
+      );
+
+      expect(ranked.map(entry => [entry.id, entry.rank])).toEqual([
+        ['b', 1], ['a', 2], ['c', 2], ['d', 4]
+      ]);
+      expect(ranked.map(entry => entry.percentileRank)).toEqual([100, 33.33, 33.33, 0]);
+    });
+
+    it('should give every entry of a run of equal values the same rank', () => {
+      const ranked = leaderboardService.rankEntries([3, 3, 7, 3, 1].map(v => ({ v })), entry => entry.v);
+
+      expect(ranked.map(entry => entry.rank)).toEqual([1, 2, 2, 2, 5]);
+      expect(ranked.map(entry => entry.percentileRank)).toEqual([100, 25, 25, 25, 0]);
+    });
+
+    it('should put a single entry at the top percentile', () => {
+      expect(leaderboardService.rankEntries([{ v: 1 }], entry => entry.v)[0].percentileRank).toBe(100);
+    });
+  });
+
+  describe('getLeaderboard', () => {
+    const rows = [
+      userRow('2021-02-01T00:00:00.000Z', 1, 'Alice', 1, 500),
+      userRow('2021-02-01T00:00:00.000Z', 2, 'Bob', 4, 2000),
+      userRow('2021-01-01T00:00:00.000Z', 1, 'Alice', 2, 3000),
+      userRow('2021-01-01T00:00:00.000Z', 2, 'Bob', 1, 100),
+      userRow('2021-01-01T00:00:00.000Z', 3, 'Cat', 2, 400)
+    ];
+
+    it('should rank entities over the whole range', async () => {
+      mockClient.query.mockResolvedValue({ rows });
+
+      const { leaderboard } = await leaderboardService.getLeaderboard({ metric: 'totalRevenue', groupBy: 'user' });
+
+      expect(leaderboard).toEqual([
+        {
+          rank: 1,
+          percentileRank: 100,
+          userId: 1,
+          userName: 'Alice',
+          userRole: 'Agent',
+          metrics: { saleCount: 3, totalRevenue: 3500, avgRevenue: 1166.67 }
+        },
+        {
+          rank: 2,
+          percentileRank: 50,
+          userId: 2,
+          userName: 'Bob',
+          userRole: 'Agent',
+          metrics: { saleCount: 5, totalRevenue: 2100, avgRevenue: 420 }
+        },
+        {
+          rank: 3,
+          percentileRank: 0,
+          userId: 3,
+          userName: 'Cat',
+          userRole: 'Agent',
+          metrics: { saleCount: 2, totalRevenue: 400, avgRevenue: 200 }
+        }
+      ]);
+    });
+
+    it('should rank within each window with the change from the previous window', async () => {
+      mockClient.query.mockResolvedValue({ rows });
+
+      const { windows } = await leaderboardService.getLeaderboard({ metric: 'saleCount', groupBy: 'user' });
+
+      expect(windows.map(window => window.timeWindow)).toEqual([
+        '2021-02-01T00:00:00.000Z',
+        '2021-01-01T00:00:00.000Z'
+      ]);
+      expect(windows[0].rankings.map(({ userId, rank, previousRank, rankChange, value }) =>
+        ({ userId, rank, previousRank, rankChange, value })
+      )).toEqual([
+        { userId: 2, rank: 1, previousRank: 3, rankChange: 2, value: 4 },
+        { userId: 1, rank: 2, previousRank: 1, rankChange: -1, value: 1 }
+      ]);
+      expect(windows[1].rankings.every(entry => entry.previousRank === null)).toBe(true);
+    });
+
+    it('should compare the first window with the window before the start date without returning it', async () => {
+      const previousRows = [
+        userRow('2020-12-01T00:00:00.000Z', 1, 'Alice', 1, 100),
+        userRow('2020-12-01T00:00:00.000Z', 3, 'Cat', 1, 900)
+      ];
+      mockClient.query
+        .mockResolvedValueOnce({ rows })
+        .mockResolvedValueOnce({ rows: previousRows });
+
+      const { leaderboard, windows } = await leaderboardService.getLeaderboard({
+        metric: 'totalRevenue',
+        startDate: '2021-01-10'
+      });
+
+      expect(mockClient.query.mock.calls[1][1]).toEqual(['2020-12-01', '2020-12-31']);
+      expect(windows.map(window => window.timeWindow)).toEqual([
+        '2021-02-01T00:00:00.000Z',
+        '2021-01-01T00:00:00.000Z'
+      ]);
+      expect(windows[1].rankings.map(({ userId, previousRank, rankChange }) => ({ userId, previousRank, rankChange })))
+        .toEqual([
+          { userId: 1, previousRank: 2, rankChange: 1 },
+          { userId: 3, previousRank: 1, rankChange: -1 },
+          { userId: 2, previousRank: null, rankChange: null }
+        ]);
+      expect(leaderboard.map(entry => entry.metrics.totalRevenue)).toEqual([3500, 2100, 400]);
+    });
+
+    it('should find the window before the start date on the given calendar', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await leaderboardService.getLeaderboard({ granularity: 'quarter', fiscalYearStart: 2, startDate: '2021-03-10' });
+      await leaderboardService.getLeaderboard({ granularity: 'week', weekStart: 7, startDate: '2021-01-06' });
+
+      expect(mockClient.query.mock.calls[1][1]).toEqual(['2020-11-01', '2021-01-31']);
+      expect(mockClient.query.mock.calls[3][1]).toEqual(['2020-12-27', '2021-01-02']);
+    });
+
+    it('should limit the overall and per-window results', async () => {
+      mockClient.query.mockResolvedValue({ rows });
+
+      const { leaderboard, windows } = await leaderboardService.getLeaderboard({ limit: 1 });
+
+      expect(leaderboard).toHaveLength(1);
+      expect(windows.every(window => window.rankings.length === 1)).toBe(true);
+    });
+
+    it('should query the timeseries with the given filters', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await leaderboardService.getLeaderboard({
+        groupBy: 'group',
+        granularity: 'week',
+        startDate: '2021-01-01',
+        groupId: '2'
+      });
+
+      const call = mockClient.query.mock.calls[0];
+      expect(call[0]).toContain("DATE_TRUNC('week'");
+      expect(call[0]).toContain('JOIN groups g');
+      expect(call[1]).toEqual(['2021-01-01', [2]]);
+    });
+
+    it('should reject invalid metrics', async () => {
+      await expect(
+        leaderboardService.getLeaderboard({ metric: 'maxSale' })
+      ).rejects.toThrow('Invalid metric');
+      await expect(leaderboardService.getLeaderboard({ metric: 'maxSale' })).rejects.toBeInstanceOf(ValidationError);
+
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,173 @@
+'use strict';
+
+const db = require('../services/db');
+const { loadMigrations, migrate, rollback, status, main } = require('../migrate');
+const seedData = require('../migrations/002_seed_data');
+
+jest.mock('../services/db');
+
+describe('migrate', () => {
+  let connection;
+  let applied;
+  let consoleLogSpy;
+
+  const fakeMigration = (version, name) => ({
+    version,
+    name,
+    up: jest.fn(async (client) => client.query(`UP ${version}`)),
+    down: jest.fn(async (client) => client.query(`DOWN ${version}`))
+  });
+  const statements = () => connection.query.mock.calls.map(([sql]) => sql.trim().split('\n')[0].trim());
+
+  beforeEach(() => {
+    applied = [];
+    connection = {
+      query: jest.fn(async (sql) => {
+        if (sql.startsWith('SELECT version')) {
+          return { rows: applied.map(version => ({ version, applied_at: new Date('2024-01-01T00:00:00Z') })) };
+        }
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    db.connect.mockResolvedValue(connection);
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    consoleLogSpy.mockRestore();
+  });
+
+  describe('loadMigrations', () => {
+    it('should load the migrations directory in version order', () => {
+      const migrations = loadMigrations();
+
+      expect(migrations.map(m => m.version)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+      expect(migrations[0].name).toBe('create_tables');
+      for (const migration of migrations) {
+        expect(migration.up).toEqual(expect.any(Function));
+        expect(migration.down).toEqual(expect.any(Function));
+      }
+    });
+  });
+
+  describe('migrate', () => {
+    it('should apply pending migrations in order, each in its own transaction', async () => {
+      applied = [1];
+      const migrations = [fakeMigration(1, 'first'), fakeMigration(2, 'second'), fakeMigration(3, 'third')];
+
+      const result = await migrate({ migrations });
+
+      expect(result).toEqual([{ version: 2, name: 'second' }, { version: 3, name: 'third' }]);
+      expect(migrations[0].up).not.toHaveBeenCalled();
+      expect(statements()).toEqual([
+        'SELECT pg_advisory_lock($1)',
+        'CREATE TABLE IF NOT EXISTS "schema_migrations" (',
+        'SELECT version, applied_at FROM schema_migrations ORDER BY version',
+        'BEGIN',
+        'UP 2',
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        'COMMIT',
+        'BEGIN',
+        'UP 3',
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        'COMMIT',
+        'SELECT pg_advisory_unlock($1)'
+      ]);
+      expect(connection.query).toHaveBeenCalledWith(expect.stringContaining('INSERT'), [3, 'third']);
+      expect(connection.release).toHaveBeenCalledWith();
+    });
+
+    it('should stop at the target version', async () => {
+      const migrations = [fakeMigration(1, 'first'), fakeMigration(2, 'second')];
+
+      const result = await migrate({ target: 1, migrations });
+
+      expect(result).toEqual([{ version: 1, name: 'first' }]);
+      expect(migrations[1].up).not.toHaveBeenCalled();
+    });
+
+    it('should roll back a failing migration and release the lock', async () => {
+      const failing = fakeMigration(2, 'second');
+      failing.up.mockRejectedValue(new Error('column "active" already exists'));
+      const migrations = [fakeMigration(1, 'first'), failing, fakeMigration(3, 'third')];
+
+      await expect(migrate({ migrations })).rejects.toThrow(
+        'Migration 002_second failed (up): column "active" already exists'
+      );
+
+      expect(statements()).toContain('ROLLBACK');
+      expect(migrations[2].up).not.toHaveBeenCalled();
+      expect(statements()[statements().length - 1]).toBe('SELECT pg_advisory_unlock($1)');
+      expect(connection.release).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('rollback', () => {
+    it('should revert the newest applied migrations first', async () => {
+      applied = [1, 2, 3];
+      const migrations = [fakeMigration(1, 'first'), fakeMigration(2, 'second'), fakeMigration(3, 'third')];
+
+      const result = await rollback({ steps: 2, migrations });
+
+      expect(result).toEqual([{ version: 3, name: 'third' }, { version: 2, name: 'second' }]);
+      expect(statements()).toEqual(expect.arrayContaining(['DOWN 3', 'DOWN 2']));
+      expect(statements().indexOf('DOWN 3')).toBeLessThan(statements().indexOf('DOWN 2'));
+      expect(connection.query).toHaveBeenCalledWith('DELETE FROM schema_migrations WHERE version = $1', [2]);
+      expect(migrations[0].down).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to revert a migration whose file is missing', async () => {
+      applied = [1, 2];
+
+      await expect(rollback({ migrations: [fakeMigration(1, 'first')] })).rejects.toThrow(
+        'Cannot revert migration 2: its file is missing'
+      );
+      expect(statements()).not.toContain('BEGIN');
+    });
+  });
+
+  describe('status', () => {
+    it('should list every migration with when it was applied', async () => {
+      applied = [1];
+
+      const result = await status({ migrations: [fakeMigration(1, 'first'), fakeMigration(2, 'second')] });
+
+      expect(result).toEqual([
+        { version: 1, name: 'first', appliedAt: new Date('2024-01-01T00:00:00Z') },
+        { version: 2, name: 'second', appliedAt: null }
+      ]);
+    });
+  });
+
+  describe('main', () => {
+    it('should reject invalid arguments', async () => {
+      await expect(main(['down', 'all'])).rejects.toThrow('Invalid steps: all. Must be a positive integer');
+      await expect(main(['sideways'])).rejects.toThrow('Unknown command: sideways');
+      expect(db.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('002_seed_data', () => {
+    it('should load the seed files into an empty database', async () => {
+      connection.query.mockResolvedValueOnce({ rows: [{ seeded: false }] });
+
+      await seedData.up(connection);
+
+      const sql = connection.query.mock.calls.map(([text]) => text);
+      expect(sql[1]).toContain('INSERT INTO');
+      expect(sql.filter(text => text.includes('INSERT INTO sales'))).toHaveLength(1);
+      expect(sql[sql.length - 1]).toContain('setval');
+    });
+
+    it('should keep the data of a database seeded before', async () => {
+      connection.query.mockResolvedValueOnce({ rows: [{ seeded: true }] });
+
+      await seedData.up(connection);
+
+      expect(connection.query).toHaveBeenCalledTimes(2);
+      expect(connection.query.mock.calls[1][0]).toContain('setval');
+    });
+  });
+});
@@ -0,0 +1,603 @@
+'use strict';
+
+const request = require('supertest');
+const express = require('express');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const openapi = require('../routes/openapi');
+const querySchemas = require('../routes/querySchemas');
+const healthRoutes = require('../routes/healthRoutes');
+const docsRoutes = require('../routes/docsRoutes');
+const salesRoutes = require('../routes/salesRoutes');
+const usersRoutes = require('../routes/usersRoutes');
+const groupsRoutes = require('../routes/groupsRoutes');
+const quotasRoutes = require('../routes/quotasRoutes');
+const adminRoutes = require('../routes/adminRoutes');
+const graphqlRoutes = require('../routes/graphqlRoutes');
+const dimensions = require('../services/dimensions');
+const queryCache = require('../services/queryCache');
+const db = require('../services/db');
+
+jest.mock('../services/db');
+
+// Routers by the path server.js mounts them on
+const ROUTERS = [
+  ['/health', healthRoutes],
+  ['/api', docsRoutes],
+  ['/api/sales', salesRoutes],
+  ['/api/users', usersRoutes],
+  ['/api/groups', groupsRoutes],
+  ['/api/quotas', quotasRoutes],
+  ['/api/admin', adminRoutes],
+  ['/graphql', graphqlRoutes]
+];
+
+const document = openapi.buildDocument();
+
+describe('OpenAPI document', () => {
+  describe('queryParameters', () => {
+    it('should document the values the routes accept', () => {
+      const parameters = openapi.queryParameters(querySchemas.TIME_SERIES_QUERY);
+      const byName = Object.fromEntries(parameters.map(parameter => [parameter.name, parameter]));
+
+      expect(parameters.map(({ name }) => name)).toEqual(Object.keys(querySchemas.TIME_SERIES_QUERY));
+      expect(byName.granularity.schema).toEqual({
+        type: 'string',
+        enum: ['day', 'week', 'month', 'quarter', 'year'],
+        default: 'month'
+      });
+      expect(byName.rolling.schema).toEqual({ type: 'integer', minimum: 1, maximum: 365 });
+      expect(byName.startDate.schema).toEqual({ type: 'string', format: 'date' });
+      expect(byName.fillGaps.schema).toEqual({ type: 'boolean', default: false });
+      expect(byName.granularity.description).toBe('Size of the time windows');
+    });
+
+    it('should send lists comma-separated', () => {
+      const { metrics, userId } = Object.fromEntries(
+        openapi.queryParameters(querySchemas.TIME_SERIES_QUERY).map(parameter => [parameter.name, parameter])
+      );
+
+      expect(metrics).toMatchObject({ style: 'form', explode: false, schema: { type: 'array' } });
+      expect(metrics.schema.items.enum).toContain('histogram');
+      expect(userId).toMatchObject({ style: 'form', explode: false, schema: { items: { type: 'integer' } } });
+    });
+
+    it('should leave out defaults that depend on other parameters', () => {
+      const { threshold, confidence } = Object.fromEntries(
+        openapi.queryParameters({ ...querySchemas.ANOMALIES_QUERY, ...querySchemas.FORECAST_QUERY })
+          .map(parameter => [parameter.name, parameter])
+      );
+
+      expect(threshold.schema).toEqual({ type: 'number', exclusiveMinimum: 0 });
+      expect(confidence.schema).toEqual({ type: 'integer', enum: [80, 90, 95], default: 95 });
+    });
+  });
+
+  describe('routes', () => {
+    /**
+     * Lists the operations the routers serve, with paths in OpenAPI form, e.g. "delete /api/groups/{id}"
+     */
+    function routerOperations() {
+      const operations = [];
+      for (const [mountPath, router] of ROUTERS) {
+        for (const layer of router.stack.filter(({ route }) => route)) {
+          const path = `${mountPath}${layer.route.path}`
+            .replace(/:(\w+)(\([^)]*\))?/g, '{$1}')
+            .replace(/\/$/, '');
+          for (const method of Object.keys(layer.route.methods)) {
+            operations.push(`${method} ${path}`);
+          }
+        }
+      }
+      return operations.sort();
+    }
+
+    it('should document every route and nothing else', () => {
+      const documented = Object.entries(document.paths)
+        .flatMap(([path, item]) => Object.keys(item).map(method => `${method} ${path}`))
+        .sort();
+
+      expect(documented).toEqual(routerOperations());
+    });
+
+    it('should describe the fields of every groupBy dimension', () => {
+      const fields = dimensions.dimensionColumns(dimensions.DIMENSION_NAMES.join(',')).map(({ field }) => field);
+
+      expect(Object.keys(openapi.DIMENSION_FIELDS).sort()).toEqual(fields.sort());
+    });
+  });
+
+  // Real routes and services answer these requests; only the database is faked
+  describe('responses', () => {
+    let app;
+    let ajv;
+    let consoleErrorSpy;
+
+    const userRow = { id: 1, name: 'Alice', role: 'Agent', active: true };
+    const groupRow = { id: 2, name: 'West', active: true };
+    const saleRow = { id: 1001, user_id: 1, amount: 25000, date: '2021-08-30' };
+    const membershipRow = {
+      user_id: 1,
+      user_name: 'Alice',
+      user_role: 'Agent',
+      effective_from: '2021-06-01',
+      effective_to: null,
+      is_primary: true
+    };
+    const quotaRow = {
+      id: 3,
+      entity_type: 'user',
+      entity_id: 1,
+      metric: 'totalRevenue',
+      period: 'month',
+      period_start: '2021-08-01',
+      target: '500000'
+    };
+    const attainmentRow = {
+      ...quotaRow,
+      user_id: 1,
+      user_name: 'Alice',
+      user_role: 'Agent',
+      group_id: 2,
+      group_name: 'West',
+      sale_count: '90',
+      total_revenue: '900000'
+    };
+    const rollupRow = { refreshed: '2', removed: '0' };
+
+    // Four months of sales ending in a spike, as the timeseries query returns them
+    const windowRows = fields => [
+      ['2021-05-01', '2021-05-31', 100000],
+      ['2021-06-01', '2021-06-30', 120000],
+      ['2021-07-01', '2021-07-31', 110000],
+      ['2021-08-01', '2021-08-31', 900000]
+    ].map(([timeWindow, windowEnd, revenue]) => ({
+      time_window: timeWindow,
+      window_end: windowEnd,
+      sale_count: String(revenue / 10000),
+      total_revenue: String(revenue),
+      avg_revenue: '10000.00',
+      min_sale: '1000',
+      max_sale: '20000',
+      ...fields
+    }));
+    const userWindows = windowRows({ user_id: 1, user_name: 'Alice', user_role: 'Agent' });
+    const groupWindows = windowRows({ group_id: 2, group_name: 'West' });
+    const distributionWindows = windowRows({
+      user_id: 1,
+      user_name: 'Alice',
+      user_role: 'Agent',
+      median_sale: '9500.00',
+      p90_sale: '18000.00',
+      stddev_sale: '4100.25',
+      histogram: [{ from: 0, to: 10000, count: 6 }, { from: 10000, to: null, count: 4 }]
+    });
+
+    /**
+     * Answers each statement, on the pool or a checked-out connection, with the rows of the first pattern it
+     * matches, or no rows
+     * @param {Array<Array>} responses - [pattern, rows] pairs
+     */
+    function fakeDatabase(responses) {
+      const client = {
+        query: jest.fn(async sql => {
+          const match = responses.find(([pattern]) => pattern.test(sql));
+          return { rows: match ? match[1] : [] };
+        }),
+        release: jest.fn()
+      };
+      db.getClient.mockReturnValue(client);
+      db.connect.mockResolvedValue(client);
+    }
+
+    /**
+     * Checks that a response's status and content type are documented for its operation, and that a
+     * JSON body matches the documented schema
+     */
+    function expectDocumented(method, url, response) {
+      const pathname = url.split('?')[0];
+      const path = Object.keys(document.paths).find(template =>
+        new RegExp(`^${template.replace(/\./g, '\\.').replace(/\{\w+\}/g, '[^/]+')}$`).test(pathname));
+      expect(path).toBeDefined();
+
+      const documented = document.paths[path][method].responses[response.status];
+      expect(documented).toBeDefined();
+
+      const pointer = documented.$ref ||
+        `#/paths/${path.replace(/~/g, '~0').replace(/\//g, '~1')}/${method}/responses/${response.status}`;
+      const content = documented.$ref
+        ? document.components.responses[documented.$ref.split('/').pop()].content
+        : documented.content;
+      if (response.status === 204 || response.status === 304) {
+        expect(content).toBeUndefined();
+        return;
+      }
+      expect(Object.keys(content)).toContain(response.type);
+
+      if (response.type === 'application/json') {
+        const validate = ajv.compile({ $ref: `openapi.json${pointer}/content/application~1json/schema` });
+        validate(response.body);
+        expect(validate.errors).toBeNull();
+      }
+    }
+
+    beforeAll(() => {
+      ajv = new Ajv2020({ allErrors: true });
+      addFormats(ajv);
+      // The keywords around the schemas aren't JSON schema, but $refs point into the whole document
+      ajv.addVocabulary(['openapi', 'info', 'servers', 'security', 'tags', 'paths', 'components']);
+      ajv.addSchema(document, 'openapi.json');
+    });
+
+    beforeEach(() => {
+      app = express();
+      app.use((req, res, next) => {
+        req.principal = { type: 'user', userId: 2, role: 'Admin', admin: true, scope: undefined };
+        next();
+      });
+      for (const [path, router] of ROUTERS) {
+        app.use(path, router);
+      }
+      queryCache.clear();
+      consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      consoleErrorSpy.mockRestore();
+      jest.clearAllMocks();
+    });
+
+    it.each([
+      {
+        name: 'timeseries with every optional block',
+        url: '/api/sales/timeseries?compare=previous&rolling=3&cumulative=true&attainment=true' +
+          '&metrics=saleCount,totalRevenue,avgRevenue,minSale,maxSale,medianSale,p90Sale,stddevSale,histogram' +
+          '&histogramBuckets=0,10000&timezone=America/New_York',
+        database: [[/FROM quotas/, [attainmentRow]], [/time_window/, distributionWindows]]
+      },
+      {
+        name: 'timeseries by group and role with gaps filled, paged',
+        url: '/api/sales/timeseries?groupBy=group,role&fillGaps=true&startDate=2021-03-01' +
+          '&sort=timeWindow:asc&limit=2',
+        database: [[/time_window/, windowRows({ group_id: 2, group_name: 'West', role: 'Agent' })]]
+      },
+      {
+        name: 'timeseries by day of the week',
+        url: '/api/sales/timeseries?groupBy=dayOfWeek',
+        database: [[/time_window/, windowRows({ day_of_week: 3 })]]
+      },
+      {
+        name: 'company-wide timeseries without sales',
+        url: '/api/sales/timeseries?groupBy=none&startDate=2021-01-01&endDate=2021-12-31',
+        database: []
+      },
+      {
+        name: 'timeseries as CSV',
+        url: '/api/sales/timeseries?fillGaps=true&format=csv',
+        database: [[/time_window/, userWindows]]
+      },
+      {
+        name: 'leaderboard of users',
+        url: '/api/sales/leaderboard',
+        database: [[/time_window/, userWindows]]
+      },
+      {
+        name: 'leaderboard of groups',
+        url: '/api/sales/leaderboard?groupBy=group&metric=avgRevenue',
+        database: [[/time_window/, groupWindows]]
+      },
+      {
+        name: 'anomalies',
+        url: '/api/sales/anomalies?lookback=3&groupBy=group',
+        database: [[/time_window/, groupWindows]]
+      },
+      {
+        name: 'forecast with and without backtests',
+        url: '/api/sales/forecast?horizon=2&groupBy=user',
+        // Bo's three windows are too few to hold any back for a backtest
+        database: [[/time_window/, [
+          ...userWindows,
+          ...windowRows({ user_id: 3, user_name: 'Bo', user_role: 'Agent' }).slice(1)
+        ]]]
+      },
+      {
+        name: 'attainment of users',
+        url: '/api/sales/attainment?asOf=2021-08-15',
+        database: [[/FROM quotas/, [attainmentRow]]]
+      },
+      {
+        name: 'attainment of groups',
+        url: '/api/sales/attainment?groupBy=group&asOf=2021-09-15',
+        database: [[/FROM quotas/, [{ ...attainmentRow, entity_type: 'group', entity_id: 2 }]]]
+      },
+      {
+        name: 'a sale',
+        url: '/api/sales/1001',
+        database: [[/FROM sales/, [saleRow]]]
+      },
+      {
+        name: 'an unknown sale',
+        url: '/api/sales/9',
+        status: 404,
+        database: []
+      },
+      {
+        name: 'an invalid query',
+        url: '/api/sales/timeseries?granularity=hour&limit=0',
+        status: 400,
+        database: []
+      },
+      {
+        name: 'an invalid stream',
+        url: '/api/sales/stream?granularity=hour',
+        status: 400,
+        database: []
+      },
+      {
+        name: 'a database failure',
+        url: '/api/users',
+        status: 500,
+        database: null
+      },
+      {
+        name: 'users',
+        url: '/api/users?includeInactive=true',
+        database: [[/FROM users/, [userRow]]]
+      },
+      {
+        name: 'a user',
+        url: '/api/users/1',
+        database: [[/FROM users/, [userRow]]]
+      },
+      {
+        name: 'the groups of a user',
+        url: '/api/users/1/groups',
+        database: [
+          [/FROM user_groups/, [{ ...membershipRow, group_id: 2, group_name: 'West' }]],
+          [/FROM users/, [userRow]]
+        ]
+      },
+      {
+        name: 'groups',
+        url: '/api/groups',
+        database: [[/FROM groups/, [groupRow]]]
+      },
+      {
+        name: 'a group',
+        url: '/api/groups/2',
+        database: [[/FROM groups/, [groupRow]]]
+      },
+      {
+        name: 'the members of a group',
+        url: '/api/groups/2/members?includeHistory=true',
+        database: [[/FROM user_groups/, [membershipRow, { ...membershipRow, effective_to: '2021-09-01' }]],
+          [/FROM groups/, [groupRow]]]
+      },
+      {
+        name: 'quotas',
+        url: '/api/quotas?entityType=user',
+        database: [[/FROM quotas/, [quotaRow]]]
+      },
+      {
+        name: 'a quota',
+        url: '/api/quotas/3',
+        database: [[/FROM quotas/, [quotaRow]]]
+      },
+      {
+        name: 'the liveness probe',
+        url: '/health/live',
+        database: []
+      },
+      {
+        name: 'this document',
+        url: '/api/openapi.json',
+        database: []
+      },
+      {
+        name: 'the explorer',
+        url: '/api/docs',
+        database: []
+      }
+    ])('GET should match the document for $name', async ({ url, status = 200, database }) => {
+      if (database) {
+        fakeDatabase(database);
+      } else {
+        db.getClient.mockReturnValue({ query: jest.fn().mockRejectedValue(new Error('Connection refused')) });
+      }
+
+      const response = await request(app).get(url).expect(status);
+
+      expectDocumented('get', url, response);
+    });
+
+    it.each([
+      {
+        name: 'a sale',
+        method: 'post',
+        url: '/api/sales',
+        status: 201,
+        body: { userId: 1, amount: 25000, date: '2021-08-30' },
+        database: [[/INSERT INTO sales/, [saleRow]], [/FROM users/, [{ id: 1 }]], [/WITH totals/, [rollupRow]]]
+      },
+      {
+        name: 'a batch of sales',
+        method: 'post',
+        url: '/api/sales',
+        status: 201,
+        body: [{ userId: 1, amount: 25000, date: '2021-08-30' }, { userId: 1, amount: 100, date: '2021-08-31' }],
+        database: [
+          [/INSERT INTO sales/, [saleRow, { ...saleRow, id: 1002, amount: 100, date: '2021-08-31' }]],
+          [/FROM users/, [{ id: 1 }]],
+          [/WITH totals/, [rollupRow]]
+        ]
+      },
+      {
+        name: 'an invalid batch of sales',
+        method: 'post',
+        url: '/api/sales',
+        status: 400,
+        body: [{ userId: 1, amount: 25000, date: '2021-08-30' }, { userId: 1, amount: -5 }],
+        database: []
+      },
+      {
+        name: 'a sale change',
+        method: 'patch',
+        url: '/api/sales/1001',
+        status: 200,
+        body: { amount: 26000 },
+        database: [
+          [/UPDATE sales/, [{ ...saleRow, amount: 26000, previous_user_id: 1, previous_date: '2021-08-30' }]],
+          [/WITH totals/, [rollupRow]]
+        ]
+      },
+      {
+        name: 'a deleted sale',
+        method: 'delete',
+        url: '/api/sales/1001',
+        status: 204,
+        database: [[/DELETE FROM sales/, [saleRow]], [/WITH totals/, [rollupRow]]]
+      },
+      {
+        name: 'a new user',
+        method: 'post',
+        url: '/api/users',
+        status: 201,
+        body: { name: 'Alice', role: 'Agent' },
+        database: [[/users/, [userRow]]]
+      },
+      {
+        name: 'a user change',
+        method: 'patch',
+        url: '/api/users/1',
+        status: 200,
+        body: { role: 'Manager' },
+        database: [[/users/, [{ ...userRow, role: 'Manager' }]]]
+      },
+      {
+        name: 'a deactivated user',
+        method: 'delete',
+        url: '/api/users/1',
+        status: 200,
+        database: [[/users/, [{ ...userRow, active: false }]]]
+      },
+      {
+        name: 'a new group',
+        method: 'post',
+        url: '/api/groups',
+        status: 201,
+        body: { name: 'West' },
+        database: [[/groups/, [groupRow]]]
+      },
+      {
+        name: 'a group change',
+        method: 'patch',
+        url: '/api/groups/2',
+        status: 200,
+        body: { name: 'North' },
+        database: [[/groups/, [{ ...groupRow, name: 'North' }]]]
+      },
+      {
+        name: 'a deactivated group',
+        method: 'delete',
+        url: '/api/groups/2',
+        status: 200,
+        database: [[/groups/, [{ ...groupRow, active: false }]]]
+      },
+      {
+        name: 'a new member',
+        method: 'post',
+        url: '/api/groups/2/members',
+        status: 201,
+        body: { userId: 1, effectiveFrom: '2021-06-01', primary: true },
+        database: [
+          [/INSERT INTO user_groups/, [membershipRow]],
+          [/SELECT active FROM users/, [{ active: true }]],
+          [/FROM groups/, [groupRow]]
+        ]
+      },
+      {
+        name: 'an ended membership',
+        method: 'delete',
+        url: '/api/groups/2/members/1?effectiveTo=2021-09-01',
+        status: 200,
+        database: [
+          [/UPDATE user_groups/, [{ ...membershipRow, effective_to: '2021-09-01' }]],
+          [/FROM user_groups/, [{ id: 5, effective_from: '2021-06-01' }]]
+        ]
+      },
+      {
+        name: 'a new quota',
+        method: 'post',
+        url: '/api/quotas',
+        status: 201,
+        body: {
+          entityType: 'user',
+          entityId: 1,
+          metric: 'totalRevenue',
+          period: 'month',
+          periodStart: '2021-08-01',
+          target: 500000
+        },
+        database: [[/INSERT INTO quotas/, [{ ...quotaRow, created: true }]], [/FROM users/, [{ id: 1 }]]]
+      },
+      {
+        name: 'a deleted quota',
+        method: 'delete',
+        url: '/api/quotas/3',
+        status: 204,
+        database: [[/DELETE FROM quotas/, [quotaRow]]]
+      },
+      {
+        name: 'a rollup rebuild',
+        method: 'post',
+        url: '/api/admin/rollups/rebuild',
+        status: 200,
+        database: [[/WITH totals/, [rollupRow]]]
+      },
+      {
+        name: 'a GraphQL query',
+        method: 'post',
+        url: '/graphql',
+        status: 200,
+        body: {
+          query: '{ users { id name groups { name } timeseries { windows { timeWindow metrics { saleCount } } } } }'
+        },
+        database: [
+          [/FROM user_groups/, [{ user_id: 1, ...groupRow }]],
+          [/as time_window/, userWindows],
+          [/FROM users/, [userRow]]
+        ]
+      },
+      {
+        name: 'a GraphQL query with invalid arguments',
+        method: 'post',
+        url: '/graphql',
+        status: 200,
+        body: { query: '{ user(id: 1) { timeseries(startDate: "2021-02-30") { granularity } } }' },
+        database: [[/FROM users/, [userRow]]]
+      },
+      {
+        name: 'an invalid GraphQL query',
+        method: 'post',
+        url: '/graphql',
+        status: 400,
+        body: { query: '{ users { email } }' },
+        database: []
+      }
+    ])('$method should match the document for $name', async ({ method, url, body, status, database }) => {
+      fakeDatabase(database);
+
+      const response = await request(app)[method](url).send(body).expect(status);
+
+      expectDocumented(method, url, response);
+    });
+
+    it('should match the document for readiness probes', async () => {
+      db.ping.mockResolvedValue({ latencyMs: 2, pool: { total: 1, idle: 1, waiting: 0 } });
+      expectDocumented('get', '/health/ready', await request(app).get('/health/ready').expect(200));
+
+      db.ping.mockRejectedValue(new Error('Connection refused'));
+      expectDocumented('get', '/health/ready', await request(app).get('/health/ready').expect(503));
+    });
+  });
+});
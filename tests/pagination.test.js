@@ -0,0 +1,157 @@
+'use strict';
+
+const pagination = require('../services/pagination');
+const { ValidationError } = require('../services/errors');
+
+const item = (timeWindow, userId, userName, totalRevenue) => ({
+  timeWindow,
+  userId,
+  userName,
+  userRole: 'Agent',
+  metrics: { saleCount: 1, totalRevenue, avgRevenue: totalRevenue, minSale: totalRevenue, maxSale: totalRevenue }
+});
+
+describe('pagination', () => {
+  const data = [
+    item('2021-01-01T00:00:00.000Z', 1, 'Alice', 300),
+    item('2021-02-01T00:00:00.000Z', 1, 'Alice', 100),
+    item('2021-02-01T00:00:00.000Z', 2, 'Bob', 100),
+    item('2021-01-01T00:00:00.000Z', 2, 'Bob', 500)
+  ];
+
+  describe('parseSort', () => {
+    it('should default directions to asc and append tie-breakers', () => {
+      expect(pagination.parseSort('totalRevenue', 'user')).toEqual([
+        { field: 'totalRevenue', direction: 'asc' },
+        { field: 'timeWindow', direction: 'asc' },
+        { field: 'userId', direction: 'asc' }
+      ]);
+    });
+
+    it('should use the timeseries order by default', () => {
+      expect(pagination.parseSort(undefined, 'group')).toEqual([
+        { field: 'timeWindow', direction: 'desc' },
+        { field: 'totalRevenue', direction: 'desc' },
+        { field: 'groupId', direction: 'asc' }
+      ]);
+    });
+
+    it('should only break ties on the time window for groupBy=none', () => {
+      expect(pagination.parseSort('saleCount:desc', 'none')).toEqual([
+        { field: 'saleCount', direction: 'desc' },
+        { field: 'timeWindow', direction: 'asc' }
+      ]);
+      expect(pagination.parseSort('userId', 'none')).toBeNull();
+    });
+
+    it('should sort on and break ties by every dimension of a composite grouping', () => {
+      expect(pagination.parseSort('role:desc', 'group,role')).toEqual([
+        { field: 'role', direction: 'desc' },
+        { field: 'timeWindow', direction: 'asc' },
+        { field: 'groupId', direction: 'asc' }
+      ]);
+    });
+
+    it('should reject unknown fields, directions and duplicates', () => {
+      expect(pagination.parseSort('groupName', 'user')).toBeNull();
+      expect(pagination.parseSort('totalRevenue:up', 'user')).toBeNull();
+      expect(pagination.parseSort('saleCount,saleCount:desc', 'user')).toBeNull();
+    });
+  });
+
+  describe('decodeCursor', () => {
+    it('should round-trip an encoded cursor', () => {
+      const cursor = pagination.encodeCursor([1, 'Alice'], 'userName', 'role, user');
+
+      expect(pagination.decodeCursor(cursor)).toEqual({ sort: 'userName', groupBy: 'role,user', after: [1, 'Alice'] });
+    });
+
+    it('should return null for malformed cursors', () => {
+      expect(pagination.decodeCursor('%%%')).toBeNull();
+      expect(pagination.decodeCursor(Buffer.from('{"sort":1}').toString('base64url'))).toBeNull();
+    });
+  });
+
+  describe('paginate', () => {
+    it('should sort by several fields deterministically', () => {
+      const result = pagination.paginate(data, { groupBy: 'user', sort: 'totalRevenue:asc,userName:desc' });
+
+      expect(result.data.map(row => [row.userName, row.metrics.totalRevenue])).toEqual([
+        ['Bob', 100], ['Alice', 100], ['Alice', 300], ['Bob', 500]
+      ]);
+      expect(result.nextCursor).toBeNull();
+    });
+
+    it('should walk every row exactly once across pages', () => {
+      const seen = [];
+      let cursor;
+
+      do {
+        const page = pagination.paginate(data, { groupBy: 'user', limit: 3, cursor });
+        seen.push(...page.data);
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      expect(seen).toHaveLength(4);
+      expect(new Set(seen)).toEqual(new Set(data));
+      expect(seen[0]).toBe(data[1]);
+    });
+
+    it('should resume after the last row even when earlier rows are added', () => {
+      const first = pagination.paginate(data, { groupBy: 'user', sort: 'totalRevenue:desc', limit: 2 });
+      const grown = [...data, item('2021-03-01T00:00:00.000Z', 3, 'Cat', 900)];
+
+      const second = pagination.paginate(grown, {
+        groupBy: 'user',
+        sort: 'totalRevenue:desc',
+        limit: 2,
+        cursor: first.nextCursor
+      });
+
+      expect(first.data.map(row => row.metrics.totalRevenue)).toEqual([500, 300]);
+      expect(second.data.map(row => row.metrics.totalRevenue)).toEqual([100, 100]);
+    });
+
+    it('should reject a cursor issued for another sort', () => {
+      const { nextCursor } = pagination.paginate(data, { groupBy: 'user', sort: 'userName', limit: 1 });
+
+      expect(() => pagination.paginate(data, { groupBy: 'user', sort: 'saleCount', cursor: nextCursor }))
+        .toThrow('Invalid cursor');
+    });
+
+    it('should reject a cursor issued for another grouping with a ValidationError', () => {
+      const { nextCursor } = pagination.paginate(data, { groupBy: 'user', sort: 'totalRevenue:desc', limit: 1 });
+
+      expect(() => pagination.paginate(data, { groupBy: 'none', sort: 'totalRevenue:desc', cursor: nextCursor }))
+        .toThrow(ValidationError);
+    });
+
+    it('should reject a cursor issued for another grouping with as many sort keys', () => {
+      const { nextCursor } = pagination.paginate(data, { groupBy: 'user', limit: 1 });
+
+      expect(() => pagination.paginate(data, { groupBy: 'group', cursor: nextCursor })).toThrow(ValidationError);
+    });
+
+    it('should sort by distribution metrics', () => {
+      const rows = [[1, 20], [2, 10], [3, 30]].map(([userId, medianSale]) => ({
+        timeWindow: '2021-01-01T00:00:00.000Z',
+        userId,
+        metrics: { medianSale }
+      }));
+
+      const result = pagination.paginate(rows, { groupBy: 'user', sort: 'medianSale:desc' });
+
+      expect(result.data.map(row => row.userId)).toEqual([3, 1, 2]);
+    });
+  });
+
+  describe('cursorMismatch', () => {
+    it('should name the option a cursor does not match', () => {
+      const cursor = pagination.decodeCursor(pagination.encodeCursor([1, 2, 3], 'saleCount', 'user'));
+
+      expect(pagination.cursorMismatch(cursor, 'saleCount', 'user')).toBeNull();
+      expect(pagination.cursorMismatch(cursor, 'totalRevenue', 'user')).toBe('sort');
+      expect(pagination.cursorMismatch(cursor, 'saleCount', 'role')).toBe('groupBy');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const queryCache = require('../services/queryCache');
+
+describe('queryCache', () => {
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await queryCache.clear();
+  });
+
+  describe('createMemoryStore', () => {
+    it('should evict the least recently used entry when full', () => {
+      const store = queryCache.createMemoryStore({ maxEntries: 2 });
+
+      store.set('a', 1, 1000);
+      store.set('b', 2, 1000);
+      store.get('a');
+      store.set('c', 3, 1000);
+
+      expect(store.keys()).toEqual(['a', 'c']);
+      expect(store.get('b')).toBeUndefined();
+    });
+
+    it('should expire entries after their TTL', () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      const store = queryCache.createMemoryStore();
+
+      store.set('a', 1, 500);
+      now.mockReturnValue(1499);
+      expect(store.get('a')).toBe(1);
+
+      now.mockReturnValue(1500);
+      expect(store.get('a')).toBeUndefined();
+      expect(store.keys()).toEqual([]);
+    });
+  });
+
+  describe('cacheKey', () => {
+    it('should give equal values the same key', () => {
+      const key = queryCache.cacheKey('timeseries', ['SELECT 1', ['2021-08-01']]);
+
+      expect(key).toMatch(/^timeseries:[0-9a-f]{40}$/);
+      expect(queryCache.cacheKey('timeseries', ['SELECT 1', ['2021-08-01']])).toBe(key);
+      expect(queryCache.cacheKey('timeseries', ['SELECT 1', ['2021-08-02']])).not.toBe(key);
+    });
+  });
+
+  describe('isEnabled', () => {
+    it('should be off when the TTL is 0', () => {
+      expect(queryCache.isEnabled()).toBe(true);
+
+      jest.isolateModules(() => {
+        process.env.QUERY_CACHE_TTL_SECONDS = '0';
+        try {
+          expect(require('../services/queryCache').isEnabled()).toBe(false);
+        } finally {
+          delete process.env.QUERY_CACHE_TTL_SECONDS;
+        }
+      });
+    });
+  });
+
+  describe('getOrLoad', () => {
+    it('should load once and then serve the cached value', async () => {
+      const load = jest.fn().mockResolvedValue([{ sale_count: '1' }]);
+
+      const first = await queryCache.getOrLoad('k', {}, load);
+      const second = await queryCache.getOrLoad('k', {}, load);
+
+      expect(load).toHaveBeenCalledTimes(1);
+      expect(second).toBe(first);
+    });
+
+    it('should not cache a value loaded while sales were written', async () => {
+      const load = jest.fn(async () => {
+        await queryCache.invalidateDates(['2021-08-01']);
+        return [];
+      });
+
+      await queryCache.getOrLoad('k', {}, load);
+      await queryCache.getOrLoad('k', {}, load);
+
+      expect(load).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('invalidate', () => {
+    const cacheRanges = async () => {
+      await queryCache.getOrLoad('june', { startDate: '2021-06-01', endDate: '2021-06-30' }, async () => 'june');
+      await queryCache.getOrLoad('fromJuly', { startDate: '2021-07-01' }, async () => 'fromJuly');
+      await queryCache.getOrLoad('all', {}, async () => 'all');
+    };
+    const cachedKeys = async () => {
+      const keys = [];
+      for (const key of ['june', 'fromJuly', 'all']) {
+        const load = jest.fn().mockResolvedValue(null);
+        await queryCache.getOrLoad(key, {}, load);
+        if (load.mock.calls.length === 0) {
+          keys.push(key);
+        }
+      }
+      return keys;
+    };
+
+    it('should drop only the results whose range covers a changed date', async () => {
+      await cacheRanges();
+
+      expect(await queryCache.invalidateDates(['2021-06-15', '2021-06-15'])).toBe(2);
+      expect(await cachedKeys()).toEqual(['fromJuly']);
+    });
+
+    it('should drop every result overlapping an open-ended range', async () => {
+      await cacheRanges();
+
+      expect(await queryCache.invalidate({ startDate: '2021-08-01' })).toBe(2);
+      expect(await cachedKeys()).toEqual(['june']);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+'use strict';
+
+const request = require('supertest');
+const express = require('express');
+const quotasRoutes = require('../routes/quotasRoutes');
+const quotasService = require('../services/quotasService');
+const { ValidationError, NotFoundError } = require('../services/errors');
+
+jest.mock('../services/quotasService');
+
+describe('Quotas Routes', () => {
+  let app;
+  // Who the requests come from; authentication itself is tested in auth.test.js
+  let principal;
+
+  const quota = {
+    id: 5,
+    entityType: 'user',
+    entityId: 4,
+    metric: 'totalRevenue',
+    period: 'month',
+    periodStart: '2021-07-01',
+    target: 500000
+  };
+
+  beforeEach(() => {
+    app = express();
+    principal = { type: 'user', userId: 2, role: 'Admin', admin: true, scope: undefined };
+    app.use((req, res, next) => {
+      req.principal = principal;
+      next();
+    });
+    app.use('/api/quotas', quotasRoutes);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/quotas', () => {
+    it('should list quotas with filters', async () => {
+      quotasService.listQuotas.mockResolvedValue([quota]);
+
+      const response = await request(app)
+        .get('/api/quotas?entityType=user&entityId=4&metric=totalRevenue&period=month')
+        .expect(200);
+
+      expect(response.body).toEqual({ count: 1, data: [quota] });
+      expect(quotasService.listQuotas).toHaveBeenCalledWith({
+        entityType: 'user',
+        entityId: 4,
+        metric: 'totalRevenue',
+        period: 'month'
+      });
+    });
+
+    it('should return 400 for invalid filters', async () => {
+      const cases = [
+        ['entityType=team', 'Invalid entityType. Must be one of: user, group'],
+        ['entityId=abc', 'Invalid entityId. Must be a positive integer'],
+        ['metric=avgRevenue', 'Invalid metric. Must be one of: totalRevenue, saleCount'],
+        ['period=year', 'Invalid period. Must be one of: month, quarter']
+      ];
+
+      for (const [query, error] of cases) {
+        const response = await request(app).get(`/api/quotas?${query}`).expect(400);
+        expect(response.body.error.message).toBe(error);
+      }
+      expect(quotasService.listQuotas).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/quotas', () => {
+    it('should return 201 for a new quota', async () => {
+      quotasService.setQuota.mockResolvedValue({ quota, created: true });
+
+      const response = await request(app)
+        .post('/api/quotas')
+        .send({ ...quota, id: undefined })
+        .expect(201);
+
+      expect(response.body).toEqual(quota);
+    });
+
+    it('should return 200 when an existing target is replaced', async () => {
+      quotasService.setQuota.mockResolvedValue({ quota, created: false });
+
+      await request(app)
+        .post('/api/quotas')
+        .send({ ...quota, id: undefined })
+        .expect(200);
+    });
+
+    it('should return 400 with details for invalid quotas', async () => {
+      quotasService.setQuota.mockRejectedValue(new ValidationError('Invalid quota', [
+        { field: 'periodStart', message: 'Must be the first day of a quarter' }
+      ]));
+
+      const response = await request(app)
+        .post('/api/quotas')
+        .send({ ...quota, period: 'quarter', periodStart: '2021-08-01' })
+        .expect(400);
+
+      expect(response.body).toEqual({
+        error: {
+          code: 'invalid_request',
+          message: 'Invalid quota',
+          details: [{ field: 'periodStart', message: 'Must be the first day of a quarter' }]
+        }
+      });
+    });
+  });
+
+  describe('GET /api/quotas/:id', () => {
+    it('should return the quota', async () => {
+      quotasService.getQuota.mockResolvedValue(quota);
+
+      const response = await request(app).get('/api/quotas/5').expect(200);
+
+      expect(response.body).toEqual(quota);
+      expect(quotasService.getQuota).toHaveBeenCalledWith(5);
+    });
+
+    it('should return 404 for unknown quotas', async () => {
+      quotasService.getQuota.mockRejectedValue(new NotFoundError('Quota 9 not found'));
+
+      const response = await request(app).get('/api/quotas/9').expect(404);
+
+      expect(response.body).toEqual({ error: { code: 'not_found', message: 'Quota 9 not found', details: [] } });
+    });
+  });
+
+  describe('DELETE /api/quotas/:id', () => {
+    it('should delete the quota', async () => {
+      quotasService.deleteQuota.mockResolvedValue(quota);
+
+      await request(app).delete('/api/quotas/5').expect(204);
+
+      expect(quotasService.deleteQuota).toHaveBeenCalledWith(5);
+    });
+  });
+
+  describe('access control', () => {
+    it('should only let admins set and delete quotas', async () => {
+      principal = { type: 'user', userId: 4, role: 'Manager', admin: false, scope: { userId: 4, groupIds: [1] } };
+
+      await request(app).post('/api/quotas').send({}).expect(403);
+      await request(app).delete('/api/quotas/5').expect(403);
+
+      expect(quotasService.setQuota).not.toHaveBeenCalled();
+      expect(quotasService.deleteQuota).not.toHaveBeenCalled();
+    });
+  });
+});
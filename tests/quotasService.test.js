@@ -0,0 +1,306 @@
+'use strict';
+
+const quotasService = require('../services/quotasService');
+const db = require('../services/db');
+const { ValidationError, NotFoundError } = require('../services/errors');
+
+jest.mock('../services/db');
+
+describe('QuotasService', () => {
+  let mockClient;
+
+  const quotaInput = {
+    entityType: 'user',
+    entityId: 4,
+    metric: 'totalRevenue',
+    period: 'quarter',
+    periodStart: '2021-07-01',
+    target: 1500000
+  };
+
+  const quotaRow = {
+    id: 5,
+    entity_type: 'user',
+    entity_id: 4,
+    metric: 'totalRevenue',
+    period: 'quarter',
+    period_start: '2021-07-01',
+    target: '1500000'
+  };
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn()
+    };
+    db.getClient.mockReturnValue(mockClient);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('validateQuotaInput', () => {
+    it('should accept a complete quota', () => {
+      expect(quotasService.validateQuotaInput(quotaInput)).toEqual([]);
+    });
+
+    it('should report every invalid field', () => {
+      const details = quotasService.validateQuotaInput({
+        entityType: 'team',
+        entityId: 0,
+        metric: 'avgRevenue',
+        period: 'year',
+        periodStart: '2021-13-01',
+        target: 12.5,
+        owner: 'Ana'
+      });
+
+      expect(details.map(detail => detail.field))
+        .toEqual(['owner', 'entityType', 'entityId', 'metric', 'period', 'periodStart', 'target']);
+    });
+
+    it('should require periods to start on their first day', () => {
+      expect(quotasService.validateQuotaInput({ ...quotaInput, periodStart: '2021-08-01' }))
+        .toEqual([{ field: 'periodStart', message: 'Must be the first day of a quarter' }]);
+      expect(quotasService.validateQuotaInput({ ...quotaInput, period: 'month', periodStart: '2021-08-02' }))
+        .toEqual([{ field: 'periodStart', message: 'Must be the first day of a month' }]);
+      expect(quotasService.validateQuotaInput({ ...quotaInput, period: 'month', periodStart: '2021-08-01' }))
+        .toEqual([]);
+    });
+  });
+
+  describe('setQuota', () => {
+    it('should insert a new quota', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+        .mockResolvedValueOnce({ rows: [{ ...quotaRow, created: true }] });
+
+      const result = await quotasService.setQuota(quotaInput);
+
+      expect(result).toEqual({
+        quota: { id: 5, ...quotaInput },
+        created: true
+      });
+      expect(mockClient.query.mock.calls[0][0]).toContain('FROM users');
+      const [query, params] = mockClient.query.mock.calls[1];
+      expect(query).toContain('ON CONFLICT (entity_type, entity_id, metric, period, period_start) DO UPDATE');
+      expect(params).toEqual(['user', 4, 'totalRevenue', 'quarter', '2021-07-01', 1500000]);
+    });
+
+    it('should report when an existing target was replaced', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+        .mockResolvedValueOnce({ rows: [{ ...quotaRow, created: false }] });
+
+      const result = await quotasService.setQuota(quotaInput);
+
+      expect(result.created).toBe(false);
+    });
+
+    it('should reject quotas for unknown groups', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+      const error = await quotasService.setQuota({ ...quotaInput, entityType: 'group', entityId: 9 })
+        .catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.details).toEqual([{ field: 'entityId', message: 'Group 9 does not exist' }]);
+      expect(mockClient.query.mock.calls[0][0]).toContain('FROM groups');
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject invalid quotas without querying', async () => {
+      await expect(quotasService.setQuota({ ...quotaInput, target: -1 })).rejects.toThrow(ValidationError);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listQuotas', () => {
+    it('should apply the given filters', async () => {
+      mockClient.query.mockResolvedValue({ rows: [quotaRow] });
+
+      const result = await quotasService.listQuotas({ entityType: 'user', metric: 'totalRevenue' });
+
+      expect(result).toEqual([{ id: 5, ...quotaInput }]);
+      const [query, params] = mockClient.query.mock.calls[0];
+      expect(query).toContain('AND entity_type = $1 AND metric = $2');
+      expect(params).toEqual(['user', 'totalRevenue']);
+    });
+  });
+
+  describe('getQuota and deleteQuota', () => {
+    it('should throw NotFoundError for unknown quotas', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await expect(quotasService.getQuota(9)).rejects.toThrow(NotFoundError);
+      await expect(quotasService.deleteQuota(9)).rejects.toThrow('Quota 9 not found');
+    });
+  });
+
+  describe('computeAttainment', () => {
+    const quota = { periodStart: '2021-08-01', period: 'month', target: 310000, actual: 100000 };
+
+    it('should project the pace so far to the end of the period', () => {
+      expect(quotasService.computeAttainment(quota, '2021-08-10')).toEqual({
+        status: 'inProgress',
+        periodEnd: '2021-08-31',
+        target: 310000,
+        actual: 100000,
+        attainment: 32.26,
+        projected: 310000,
+        projectedAttainment: 100
+      });
+    });
+
+    it('should use the actual value once the period is over', () => {
+      const result = quotasService.computeAttainment(quota, '2021-09-15');
+
+      expect(result.status).toBe('complete');
+      expect(result.projected).toBe(100000);
+      expect(result.projectedAttainment).toBe(32.26);
+    });
+
+    it('should not project periods that have not started', () => {
+      const result = quotasService.computeAttainment({ ...quota, actual: 0 }, '2021-07-20');
+
+      expect(result).toEqual(expect.objectContaining({ status: 'upcoming', projected: null, projectedAttainment: null }));
+    });
+
+    it('should handle quarters', () => {
+      const result = quotasService.computeAttainment(
+        { periodStart: '2021-10-01', period: 'quarter', target: 92, actual: 46 },
+        '2021-11-15'
+      );
+
+      expect(result.periodEnd).toBe('2021-12-31');
+      expect(result.projected).toBe(92);
+    });
+  });
+
+  describe('getAttainment', () => {
+    it('should measure user quotas against their sales', async () => {
+      mockClient.query.mockResolvedValue({
+        rows: [{
+          ...quotaRow,
+          period: 'month',
+          period_start: '2021-08-01',
+          user_id: 4,
+          user_name: 'Ana',
+          user_role: 'Sales Rep',
+          target: '310000',
+          sale_count: '4',
+          total_revenue: '100000'
+        }]
+      });
+
+      const result = await quotasService.getAttainment({
+        metric: 'totalRevenue',
+        startDate: '2021-08-01',
+        userId: '4, 7',
+        asOf: '2021-08-10'
+      });
+
+      expect(result).toEqual([{
+        quotaId: 5,
+        userId: 4,
+        userName: 'Ana',
+        userRole: 'Sales Rep',
+        metric: 'totalRevenue',
+        period: 'month',
+        periodStart: '2021-08-01',
+        status: 'inProgress',
+        periodEnd: '2021-08-31',
+        target: 310000,
+        actual: 100000,
+        attainment: 32.26,
+        projected: 310000,
+        projectedAttainment: 100
+      }]);
+
+      const [query, params] = mockClient.query.mock.calls[0];
+      expect(query).toContain('JOIN users u ON u.id = q.entity_id');
+      expect(query).toContain('s.user_id = q.entity_id');
+      expect(params).toEqual(['2021-08-10', 'user', 'totalRevenue', '2021-08-01', [4, 7]]);
+    });
+
+    it('should count sales of members on the sale date towards group quotas', async () => {
+      mockClient.query.mockResolvedValue({
+        rows: [{
+          ...quotaRow,
+          entity_type: 'group',
+          metric: 'saleCount',
+          group_id: 2,
+          group_name: 'West',
+          target: '90',
+          sale_count: '45',
+          total_revenue: '1000000'
+        }]
+      });
+
+      const result = await quotasService.getAttainment({ groupBy: 'group', groupId: '2', asOf: '2021-08-15' });
+
+      expect(result[0]).toEqual(expect.objectContaining({
+        groupId: 2,
+        groupName: 'West',
+        metric: 'saleCount',
+        actual: 45,
+        attainment: 50
+      }));
+
+      const [query, params] = mockClient.query.mock.calls[0];
+      expect(query).toContain('ug.group_id = q.entity_id');
+      expect(query).toContain('ug.effective_to IS NULL OR ug.effective_to > s.date');
+      expect(params).toEqual(['2021-08-15', 'group', [2]]);
+    });
+
+    it('should limit scoped callers to their own quotas and those of their members', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await quotasService.getAttainment({ scope: { userId: 4, groupIds: [2] }, asOf: '2021-08-15' });
+
+      const [query, params] = mockClient.query.mock.calls[0];
+      expect(query).toContain('AND (s.user_id = $3 OR EXISTS');
+      expect(query).toContain('AND (q.entity_id = $6 OR EXISTS');
+      expect(query).toContain('scope_ug.user_id = q.entity_id AND scope_ug.group_id = ANY($5::int[])');
+      expect(params).toEqual(['2021-08-15', 'user', 4, [2], [2], 4]);
+    });
+
+    it('should limit scoped callers to the group quotas of the groups they manage', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await quotasService.getAttainment({ groupBy: 'group', scope: { userId: 4, groupIds: [] }, asOf: '2021-08-15' });
+
+      const [query, params] = mockClient.query.mock.calls[0];
+      expect(query).toContain('AND s.user_id = $3');
+      expect(query).toContain('AND q.entity_id = ANY($4::int[])');
+      expect(params).toEqual(['2021-08-15', 'group', 4, []]);
+    });
+
+    it('should throw for other groupings', async () => {
+      await expect(quotasService.getAttainment({ groupBy: 'role' }))
+        .rejects.toThrow('Invalid groupBy: role. Must be one of: user, group');
+      await expect(quotasService.getAttainment({ groupBy: 'role' })).rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe('applyAttainment', () => {
+    it('should attach quotas to the window of their period', () => {
+      const data = [
+        { timeWindow: '2021-08-01T00:00:00.000Z', userId: 4, metrics: {} },
+        { timeWindow: '2021-08-01T00:00:00.000Z', userId: 7, metrics: {} },
+        { timeWindow: '2021-07-01T00:00:00.000Z', userId: 4, metrics: {} }
+      ];
+      const attainments = [
+        { quotaId: 5, userId: 4, metric: 'totalRevenue', periodStart: '2021-08-01', status: 'inProgress', target: 10 },
+        { quotaId: 6, userId: 4, metric: 'saleCount', periodStart: '2021-08-01', status: 'inProgress', target: 2 }
+      ];
+
+      const result = quotasService.applyAttainment(data, attainments, { groupBy: 'user' });
+
+      expect(Object.keys(result[0].attainment)).toEqual(['totalRevenue', 'saleCount']);
+      expect(result[0].attainment.totalRevenue).toEqual(expect.objectContaining({ quotaId: 5, target: 10 }));
+      expect(result[1].attainment).toEqual({});
+      expect(result[2].attainment).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const rollupService = require('../services/rollupService');
+const db = require('../services/db');
+const queryCache = require('../services/queryCache');
+
+jest.mock('../services/db');
+
+describe('RollupService', () => {
+  let connection;
+
+  beforeEach(() => {
+    connection = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+    db.connect.mockResolvedValue(connection);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('rebuildRollups', () => {
+    it('should recompute every day and drop cached results', async () => {
+      const clear = jest.spyOn(queryCache, 'clear');
+      connection.query.mockImplementation(query => Promise.resolve({
+        rows: query.includes('refreshed') ? [{ refreshed: '3650', removed: '0' }] : []
+      }));
+
+      const result = await rollupService.rebuildRollups();
+
+      expect(result).toEqual({ refreshed: 3650, removed: 0, durationMs: expect.any(Number) });
+      const query = connection.query.mock.calls[2][0];
+      expect(query).toContain('FROM sales s\n');
+      expect(query).not.toContain('UNNEST');
+      expect(clear).toHaveBeenCalled();
+      expect(connection.release).toHaveBeenCalled();
+    });
+
+    it('should hold the exclusive sales write lock in a transaction', async () => {
+      connection.query.mockImplementation(query => Promise.resolve({
+        rows: query.includes('refreshed') ? [{ refreshed: '10', removed: '1' }] : []
+      }));
+
+      await rollupService.rebuildRollups();
+
+      const statements = connection.query.mock.calls.map(([query]) => query.trim().split('\n')[0]);
+      expect(statements[0]).toBe('BEGIN');
+      expect(statements[1]).toBe('SELECT pg_advisory_xact_lock(0, 0)');
+      expect(statements[statements.length - 1]).toBe('COMMIT');
+    });
+
+    it('should roll back and keep the cache when the rebuild fails', async () => {
+      const clear = jest.spyOn(queryCache, 'clear');
+      connection.query.mockImplementation(query => (
+        query.includes('refreshed') ? Promise.reject(new Error('Connection lost')) : Promise.resolve({ rows: [] })
+      ));
+
+      await expect(rollupService.rebuildRollups()).rejects.toThrow('Connection lost');
+
+      expect(connection.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(connection.release).toHaveBeenCalled();
+      expect(clear).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,233 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const salesChangeFeed = require('../services/salesChangeFeed');
+const db = require('../services/db');
+const queryCache = require('../services/queryCache');
+
+jest.mock('../services/db');
+
+describe('salesChangeFeed', () => {
+  let mockClient;
+  let listener;
+  // Rows the next read of changes returns; later reads return none
+  let changeRows;
+
+  /**
+   * Builds the rows readChanges gets for some changes: one per change, or one without a change
+   */
+  const rows = (position, changes) => (changes.length > 0
+    ? changes.map(([userId, date]) => ({ position, user_id: userId, date }))
+    : [{ position, user_id: null, date: null }]);
+
+  beforeEach(() => {
+    changeRows = rows('100', []);
+    mockClient = {
+      query: jest.fn(async sql => {
+        if (sql.includes('WITH horizon')) {
+          const result = changeRows;
+          changeRows = rows(result[0].position, []);
+          return { rows: result };
+        }
+        if (sql.includes('EXISTS')) {
+          return { rows: [{ kept: true }] };
+        }
+        if (sql.includes('txid_snapshot_xmin')) {
+          return { rows: [{ position: '100' }] };
+        }
+        return { rows: [] };
+      })
+    };
+    db.getClient.mockReturnValue(mockClient);
+
+    listener = Object.assign(new EventEmitter(), { query: jest.fn().mockResolvedValue({}), release: jest.fn() });
+    db.connect.mockResolvedValue(listener);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    salesChangeFeed.close();
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('readChanges', () => {
+    it('should read each changed user and day once, up to the oldest running transaction', async () => {
+      changeRows = rows('105', [[1, '2021-08-01'], [2, '2021-08-01'], [1, '2021-08-01']]);
+
+      const batch = await salesChangeFeed.readChanges('100');
+
+      expect(batch).toEqual({
+        position: '105',
+        changes: [{ userId: 1, date: '2021-08-01' }, { userId: 2, date: '2021-08-01' }]
+      });
+      const [query, params] = mockClient.query.mock.calls[0];
+      expect(query).toContain('GREATEST(txid_snapshot_xmin(txid_current_snapshot()) - 1, $1::bigint)');
+      expect(query).toContain('c.transaction_id > $1::bigint AND c.transaction_id <= h.position');
+      expect(params).toEqual(['100']);
+    });
+
+    it('should move the position without changes', async () => {
+      changeRows = rows('103', []);
+
+      await expect(salesChangeFeed.readChanges('100')).resolves.toEqual({ position: '103', changes: [] });
+    });
+  });
+
+  describe('canResume', () => {
+    it('should check that changes up to the position are still kept', async () => {
+      await expect(salesChangeFeed.canResume('90')).resolves.toBe(true);
+
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('transaction_id <= $1::bigint'), ['90']);
+    });
+  });
+
+  describe('subscribe', () => {
+    it('should listen on one connection and start from the current position', async () => {
+      const first = await salesChangeFeed.subscribe({ onChanges: jest.fn(), onClose: jest.fn() });
+      const second = await salesChangeFeed.subscribe({ onChanges: jest.fn(), onClose: jest.fn() });
+
+      expect(first.position).toBe('100');
+      expect(second.position).toBe('100');
+      expect(db.connect).toHaveBeenCalledTimes(1);
+      expect(listener.query).toHaveBeenCalledWith('LISTEN sales_changes');
+    });
+
+    it('should hand the changes read on a notification to every subscriber', async () => {
+      const invalidate = jest.spyOn(queryCache, 'invalidateDates');
+      const subscribers = [jest.fn(), jest.fn()];
+      for (const onChanges of subscribers) {
+        await salesChangeFeed.subscribe({ onChanges, onClose: jest.fn() });
+      }
+      changeRows = rows('104', [[1, '2021-08-01']]);
+
+      listener.emit('notification', { channel: 'sales_changes' });
+      await salesChangeFeed.poll();
+
+      const batch = { position: '104', changes: [{ userId: 1, date: '2021-08-01' }] };
+      for (const onChanges of subscribers) {
+        expect(onChanges).toHaveBeenCalledTimes(1);
+        expect(onChanges).toHaveBeenCalledWith(batch);
+      }
+      expect(invalidate).toHaveBeenCalledWith(['2021-08-01']);
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('WITH horizon'), ['100']);
+    });
+
+    it('should read from where the last poll stopped', async () => {
+      const onChanges = jest.fn();
+      await salesChangeFeed.subscribe({ onChanges, onClose: jest.fn() });
+      changeRows = rows('104', []);
+
+      await salesChangeFeed.poll();
+      await salesChangeFeed.poll();
+
+      const reads = mockClient.query.mock.calls.filter(([sql]) => sql.includes('WITH horizon'));
+      expect(reads.map(([, params]) => params)).toEqual([['100'], ['104']]);
+      expect(onChanges).not.toHaveBeenCalled();
+    });
+
+    it('should keep polling after a failed read', async () => {
+      const onChanges = jest.fn();
+      await salesChangeFeed.subscribe({ onChanges, onClose: jest.fn() });
+      mockClient.query.mockRejectedValueOnce(new Error('connection reset'));
+
+      await salesChangeFeed.poll();
+      changeRows = rows('101', [[1, '2021-08-02']]);
+      await salesChangeFeed.poll();
+
+      expect(console.error).toHaveBeenCalled();
+      expect(onChanges).toHaveBeenCalledWith({ position: '101', changes: [{ userId: 1, date: '2021-08-02' }] });
+    });
+
+    it('should stop listening after the last subscriber leaves', async () => {
+      const first = await salesChangeFeed.subscribe({ onChanges: jest.fn(), onClose: jest.fn() });
+      const second = await salesChangeFeed.subscribe({ onChanges: jest.fn(), onClose: jest.fn() });
+
+      first.unsubscribe();
+      expect(listener.release).not.toHaveBeenCalled();
+      second.unsubscribe();
+
+      expect(listener.release).toHaveBeenCalledWith(true);
+    });
+
+    it('should listen again after the connection fails', async () => {
+      jest.useFakeTimers();
+      await salesChangeFeed.subscribe({ onChanges: jest.fn(), onClose: jest.fn() });
+      const replacement = Object.assign(new EventEmitter(), {
+        query: jest.fn().mockResolvedValue({}),
+        release: jest.fn()
+      });
+      db.connect.mockResolvedValue(replacement);
+
+      const error = new Error('terminating connection');
+      listener.emit('error', error);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(listener.release).toHaveBeenCalledWith(error);
+      expect(db.connect).toHaveBeenCalledTimes(2);
+      expect(replacement.query).toHaveBeenCalledWith('LISTEN sales_changes');
+    });
+
+    it('should fail when it cannot listen, and try again for the next subscriber', async () => {
+      const error = new Error('too many connections');
+      listener.query.mockRejectedValueOnce(error);
+
+      await expect(salesChangeFeed.subscribe({ onChanges: jest.fn(), onClose: jest.fn() })).rejects.toBe(error);
+      expect(listener.release).toHaveBeenCalledWith(error);
+
+      await salesChangeFeed.subscribe({ onChanges: jest.fn(), onClose: jest.fn() });
+      expect(db.connect).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('keepCacheCurrent', () => {
+    it('should drop cached results for changes without any live stream', async () => {
+      const invalidate = jest.spyOn(queryCache, 'invalidateDates');
+      await salesChangeFeed.keepCacheCurrent();
+      changeRows = rows('102', [[3, '2021-08-03']]);
+
+      listener.emit('notification', { channel: 'sales_changes' });
+      await salesChangeFeed.poll();
+
+      expect(listener.query).toHaveBeenCalledWith('LISTEN sales_changes');
+      expect(invalidate).toHaveBeenCalledWith(['2021-08-03']);
+    });
+
+    it('should keep listening after the last live stream leaves', async () => {
+      await salesChangeFeed.keepCacheCurrent();
+      const stream = await salesChangeFeed.subscribe({ onChanges: jest.fn(), onClose: jest.fn() });
+
+      stream.unsubscribe();
+
+      expect(listener.release).not.toHaveBeenCalled();
+    });
+
+    it('should try again when it cannot listen', async () => {
+      jest.useFakeTimers();
+      listener.query.mockRejectedValueOnce(new Error('too many connections'));
+
+      await salesChangeFeed.keepCacheCurrent();
+      expect(console.error).toHaveBeenCalled();
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(db.connect).toHaveBeenCalledTimes(2);
+      expect(listener.query).toHaveBeenLastCalledWith('LISTEN sales_changes');
+    });
+  });
+
+  describe('close', () => {
+    it('should close every subscription and stop listening', async () => {
+      const onClose = jest.fn();
+      const onChanges = jest.fn();
+      await salesChangeFeed.subscribe({ onChanges, onClose });
+
+      salesChangeFeed.close();
+      await salesChangeFeed.poll();
+
+      expect(onClose).toHaveBeenCalledTimes(1);
+      expect(listener.release).toHaveBeenCalledWith(true);
+      expect(onChanges).not.toHaveBeenCalled();
+    });
+  });
+});
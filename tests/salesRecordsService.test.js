@@ -0,0 +1,237 @@
+'use strict';
+
+const salesRecordsService = require('../services/salesRecordsService');
+const db = require('../services/db');
+const queryCache = require('../services/queryCache');
+const { ValidationError, NotFoundError } = require('../services/errors');
+
+jest.mock('../services/db');
+
+describe('SalesRecordsService', () => {
+  let mockClient;
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn()
+    };
+    db.getClient.mockReturnValue(mockClient);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('validateSaleInput', () => {
+    it('should accept a complete sale', () => {
+      expect(salesRecordsService.validateSaleInput({ userId: 1, amount: 500, date: '2021-08-01' })).toEqual([]);
+    });
+
+    it('should report every invalid field', () => {
+      const details = salesRecordsService.validateSaleInput({ userId: 'abc', amount: -5, date: '2021-02-30', note: 'x' });
+
+      expect(details.map(detail => detail.field)).toEqual(['note', 'userId', 'amount', 'date']);
+    });
+
+    it('should reject fractional amounts', () => {
+      expect(salesRecordsService.validateSaleInput({ userId: 1, amount: 10.5, date: '2021-08-01' }))
+        .toEqual([{ field: 'amount', message: 'Must be a positive integer up to 2147483647' }]);
+    });
+
+    it('should add the batch index to every detail', () => {
+      expect(salesRecordsService.validateSaleInput({ userId: 1, amount: 5 }, { index: 3 }))
+        .toEqual([{ index: 3, field: 'date', message: 'Must be a valid date in YYYY-MM-DD format' }]);
+    });
+
+    it('should allow missing fields for partial updates but require one', () => {
+      expect(salesRecordsService.validateSaleInput({ amount: 5 }, { partial: true })).toEqual([]);
+      expect(salesRecordsService.validateSaleInput({}, { partial: true })[0].message)
+        .toContain('At least one of');
+    });
+
+    it('should reject non-object input', () => {
+      expect(salesRecordsService.validateSaleInput(null)[0].message).toBe('Sale must be an object');
+    });
+  });
+
+  describe('createSales', () => {
+    it('should insert every sale in a single statement', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }, { id: 2 }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 101, user_id: 1, amount: 500, date: '2021-08-01' },
+            { id: 102, user_id: 2, amount: 700, date: '2021-08-02' }
+          ]
+        });
+
+      const result = await salesRecordsService.createSales([
+        { userId: 1, amount: 500, date: '2021-08-01' },
+        { userId: 2, amount: 700, date: '2021-08-02' }
+      ]);
+
+      expect(result).toEqual([
+        { id: 101, userId: 1, amount: 500, date: '2021-08-01' },
+        { id: 102, userId: 2, amount: 700, date: '2021-08-02' }
+      ]);
+      expect(mockClient.query).toHaveBeenCalledTimes(2);
+      expect(mockClient.query.mock.calls[0][1]).toEqual([[1, 2]]);
+      const insert = mockClient.query.mock.calls[1];
+      expect(insert[0]).toContain('INSERT INTO sales (user_id, amount, date)');
+      expect(insert[0]).toContain('UNNEST($1::int[], $2::int[], $3::date[])');
+      expect(insert[1]).toEqual([[1, 2], [500, 700], ['2021-08-01', '2021-08-02']]);
+    });
+
+    it('should drop cached results covering the new sales', async () => {
+      const invalidateDates = jest.spyOn(queryCache, 'invalidateDates');
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 101, user_id: 1, amount: 500, date: '2021-08-01' }] });
+
+      await salesRecordsService.createSales([{ userId: 1, amount: 500, date: '2021-08-01' }]);
+
+      expect(invalidateDates).toHaveBeenCalledWith(['2021-08-01']);
+    });
+
+    it('should reject the whole batch when one sale is invalid', async () => {
+      const error = await salesRecordsService.createSales([
+        { userId: 1, amount: 500, date: '2021-08-01' },
+        { userId: 1, amount: 0, date: '2021-08-01' }
+      ]).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.details).toEqual([{ index: 1, field: 'amount', message: expect.any(String) }]);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject sales for users that do not exist', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+      const error = await salesRecordsService.createSales([
+        { userId: 1, amount: 500, date: '2021-08-01' },
+        { userId: 99, amount: 500, date: '2021-08-01' }
+      ]).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.details).toEqual([{ index: 1, field: 'userId', message: 'User 99 does not exist' }]);
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should turn a foreign key violation into a validation error', async () => {
+      const fkError = Object.assign(new Error('violates foreign key'), { code: '23503' });
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+        .mockRejectedValueOnce(fkError);
+
+      await expect(
+        salesRecordsService.createSales([{ userId: 1, amount: 500, date: '2021-08-01' }])
+      ).rejects.toBeInstanceOf(ValidationError);
+    });
+
+    it('should reject empty and oversized batches', async () => {
+      await expect(salesRecordsService.createSales([])).rejects.toThrow('At least one sale is required');
+
+      const tooMany = new Array(salesRecordsService.MAX_BATCH_SIZE + 1)
+        .fill({ userId: 1, amount: 1, date: '2021-01-01' });
+      await expect(salesRecordsService.createSales(tooMany)).rejects.toThrow('at most 1000');
+    });
+  });
+
+  describe('getSale', () => {
+    it('should return the sale', async () => {
+      mockClient.query.mockResolvedValue({ rows: [{ id: 5, user_id: 1, amount: 500, date: '2021-08-01' }] });
+
+      await expect(salesRecordsService.getSale(5))
+        .resolves.toEqual({ id: 5, userId: 1, amount: 500, date: '2021-08-01' });
+      expect(mockClient.query.mock.calls[0][1]).toEqual([5]);
+    });
+
+    it('should throw NotFoundError for unknown sales', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await expect(salesRecordsService.getSale(5)).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('should only find sales within the caller\'s scope', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await expect(salesRecordsService.getSale(5, { userId: 4, groupIds: [] })).rejects.toBeInstanceOf(NotFoundError);
+
+      const [query, params] = mockClient.query.mock.calls[0];
+      expect(query).toContain('WHERE id = $1 AND s.user_id = $2');
+      expect(params).toEqual([5, 4]);
+    });
+  });
+
+  describe('updateSale', () => {
+    it('should update only the given fields', async () => {
+      mockClient.query.mockResolvedValue({ rows: [{ id: 5, user_id: 1, amount: 900, date: '2021-09-01' }] });
+
+      const result = await salesRecordsService.updateSale(5, { amount: 900, date: '2021-09-01' });
+
+      expect(result.amount).toBe(900);
+      const call = mockClient.query.mock.calls[0];
+      expect(call[0]).toContain('UPDATE sales SET amount = $1, date = $2');
+      expect(call[0]).toContain('WHERE id = $3');
+      expect(call[1]).toEqual([900, '2021-09-01', 5]);
+    });
+
+    it('should drop cached results of the old and new date', async () => {
+      const invalidateDates = jest.spyOn(queryCache, 'invalidateDates');
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] })
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 5,
+            user_id: 2,
+            amount: 900,
+            date: '2021-09-01',
+            previous_user_id: 1,
+            previous_date: '2021-08-01'
+          }]
+        });
+
+      const result = await salesRecordsService.updateSale(5, { userId: 2, date: '2021-09-01' });
+
+      expect(result).toEqual({ id: 5, userId: 2, amount: 900, date: '2021-09-01' });
+      expect(mockClient.query.mock.calls[1][0])
+        .toContain('WITH previous AS (SELECT user_id, date FROM sales WHERE id = $3)');
+      expect(invalidateDates).toHaveBeenCalledWith(['2021-08-01', '2021-09-01']);
+    });
+
+    it('should check that a new user exists', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+      await expect(salesRecordsService.updateSale(5, { userId: 42 })).rejects.toThrow('Unknown user');
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw NotFoundError for unknown sales', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await expect(salesRecordsService.updateSale(5, { amount: 1 })).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('should reject invalid changes without querying', async () => {
+      await expect(salesRecordsService.updateSale(5, { amount: 'lots' })).rejects.toBeInstanceOf(ValidationError);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteSale', () => {
+    it('should delete the sale and return it', async () => {
+      const invalidateDates = jest.spyOn(queryCache, 'invalidateDates');
+      mockClient.query.mockResolvedValue({ rows: [{ id: 5, user_id: 1, amount: 500, date: '2021-08-01' }] });
+
+      await expect(salesRecordsService.deleteSale(5)).resolves.toEqual(expect.objectContaining({ id: 5 }));
+      expect(mockClient.query.mock.calls[0][0]).toContain('DELETE FROM sales WHERE id = $1');
+      expect(invalidateDates).toHaveBeenCalledWith(['2021-08-01']);
+    });
+
+    it('should throw NotFoundError for unknown sales', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await expect(salesRecordsService.deleteSale(5)).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+});
@@ -1,18 +1,49 @@
 'use strict';
 
+const http = require('http');
 const request = require('supertest');
 const express = require('express');
+const { Readable } = require('stream');
 const salesRoutes = require('../routes/salesRoutes');
 const salesService = require('../services/salesService');
+const leaderboardService = require('../services/leaderboardService');
+const anomalyService = require('../services/anomalyService');
+const forecastService = require('../services/forecastService');
+const salesRecordsService = require('../services/salesRecordsService');
+const quotasService = require('../services/quotasService');
+const salesStreamService = require('../services/salesStreamService');
+const pagination = require('../services/pagination');
+const { ValidationError, NotFoundError } = require('../services/errors');
 
 jest.mock('../services/salesService');
+jest.mock('../services/leaderboardService');
+jest.mock('../services/anomalyService');
+jest.mock('../services/forecastService');
+jest.mock('../services/salesRecordsService');
+jest.mock('../services/quotasService');
+jest.mock('../services/salesStreamService');
+
+// Response to a request with one invalid query parameter
+const invalidParam = (field, message) => ({
+  error: { code: 'invalid_request', message: `Invalid ${field}. ${message}`, details: [{ field, message }] }
+});
+
+const INTERNAL_ERROR = { error: { code: 'internal_error', message: 'Internal server error', details: [] } };
 
 describe('Sales Routes', () => {
   let app;
+  // Who the requests come from; authentication itself is tested in auth.test.js
+  let principal;
 
   beforeEach(() => {
     app = express();
+    principal = { type: 'user', userId: 2, role: 'Admin', admin: true, scope: undefined };
+    app.use((req, res, next) => {
+      req.principal = principal;
+      next();
+    });
     app.use('/api/sales', salesRoutes);
+    salesService.localizeTimeWindows.mockImplementation(data => data);
   });
 
   afterEach(() => {
@@ -62,6 +93,11 @@ describe('Sales Routes', () => {
 
         expect(response.body).toEqual({
           granularity: 'month',
+          calendar: {
+            timezone: 'UTC',
+            weekStart: 1,
+            fiscalYearStart: 1
+          },
           groupBy: 'user',
           filters: {
             startDate: null,
@@ -69,16 +105,21 @@ describe('Sales Routes', () => {
             userId: null,
             groupId: null
           },
-          data: formattedData
+          data: formattedData,
+          nextCursor: null
         });
 
         expect(salesService.getTimeSeriesSales).toHaveBeenCalledWith({
           granularity: 'month',
+          weekStart: 1,
+          fiscalYearStart: 1,
           groupBy: 'user',
+          attribution: 'full',
           startDate: undefined,
           endDate: undefined,
           userId: undefined,
-          groupId: undefined
+          groupId: undefined,
+          fillGaps: false
         });
 
         expect(salesService.formatTimeSeriesData).toHaveBeenCalledWith(mockRows, 'user');
@@ -138,6 +179,55 @@ describe('Sales Routes', () => {
         expect(salesService.formatTimeSeriesData).toHaveBeenCalledWith(mockRows, 'group');
       });
 
+      it('should pass the attribution for groupBy=group and report it', async () => {
+        salesService.getTimeSeriesSales.mockResolvedValue([]);
+        salesService.formatTimeSeriesData.mockReturnValue([]);
+
+        const response = await request(app)
+          .get('/api/sales/timeseries?groupBy=group&attribution=split')
+          .expect(200);
+
+        expect(response.body.attribution).toBe('split');
+        expect(salesService.getTimeSeriesSales).toHaveBeenCalledWith(
+          expect.objectContaining({ groupBy: 'group', attribution: 'split' })
+        );
+      });
+
+      it('should accept composite groupings', async () => {
+        salesService.getTimeSeriesSales.mockResolvedValue([]);
+        salesService.formatTimeSeriesData.mockReturnValue([]);
+
+        const response = await request(app)
+          .get('/api/sales/timeseries?groupBy=group,role&sort=role:asc')
+          .expect(200);
+
+        expect(response.body.groupBy).toBe('group,role');
+        expect(response.body.attribution).toBe('full');
+        expect(salesService.getTimeSeriesSales).toHaveBeenCalledWith(
+          expect.objectContaining({ groupBy: 'group,role' })
+        );
+      });
+
+      it('should return company-wide totals with groupBy=none', async () => {
+        const formattedData = [
+          {
+            timeWindow: '2021-12-01T00:00:00.000Z',
+            metrics: { saleCount: 80, totalRevenue: 400000, avgRevenue: 5000, minSale: 500, maxSale: 15000 }
+          }
+        ];
+        salesService.getTimeSeriesSales.mockResolvedValue([{}]);
+        salesService.formatTimeSeriesData.mockReturnValue(formattedData);
+
+        const response = await request(app)
+          .get('/api/sales/timeseries?groupBy=none')
+          .expect(200);
+
+        expect(response.body.groupBy).toBe('none');
+        expect(response.body.attribution).toBeUndefined();
+        expect(response.body.data).toEqual(formattedData);
+        expect(salesService.formatTimeSeriesData).toHaveBeenCalledWith([{}], 'none');
+      });
+
       it('should handle date filters', async () => {
         salesService.getTimeSeriesSales.mockResolvedValue([]);
         salesService.formatTimeSeriesData.mockReturnValue([]);
@@ -194,131 +284,1466 @@ describe('Sales Routes', () => {
 
         expect(salesService.getTimeSeriesSales).toHaveBeenCalledWith({
           granularity: 'week',
+          weekStart: 1,
+          fiscalYearStart: 1,
           groupBy: 'user',
+          attribution: 'full',
           startDate: '2021-06-01',
           endDate: '2021-08-31',
           userId: '5,10',
-          groupId: undefined
+          groupId: undefined,
+          fillGaps: false
         });
       });
-    });
 
-    describe('validation errors', () => {
-      it('should return 400 for invalid granularity', async () => {
-        const response = await request(app)
-          .get('/api/sales/timeseries?granularity=invalid')
-          .expect(400);
+      it('should pass fillGaps=true to the service', async () => {
+        salesService.getTimeSeriesSales.mockResolvedValue([]);
+        salesService.formatTimeSeriesData.mockReturnValue([]);
 
-        expect(response.body).toEqual({
-          error: 'Invalid granularity. Must be one of: day, week, month'
-        });
+        await request(app)
+          .get('/api/sales/timeseries?granularity=week&fillGaps=true')
+          .expect(200);
 
-        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+        expect(salesService.getTimeSeriesSales).toHaveBeenCalledWith(
+          expect.objectContaining({ granularity: 'week', fillGaps: true })
+        );
       });
 
-      it('should return 400 for invalid groupBy', async () => {
+      it('should return 400 when gaps would be filled across too many windows', async () => {
+        salesService.getTimeSeriesSales.mockRejectedValue(
+          new ValidationError('Too many day windows to fill gaps in: at most 3660')
+        );
+
         const response = await request(app)
-          .get('/api/sales/timeseries?groupBy=invalid')
+          .get('/api/sales/timeseries?granularity=day&startDate=2000-01-01&endDate=2020-12-31&fillGaps=true')
           .expect(400);
 
-        expect(response.body).toEqual({
-          error: 'Invalid groupBy. Must be one of: user, group'
+        expect(response.body.error).toMatchObject({
+          code: 'invalid_request',
+          message: 'Too many day windows to fill gaps in: at most 3660'
         });
+      });
 
-        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+      it('should apply the calendar options and express windows in the time zone', async () => {
+        const formattedData = [{ timeWindow: '2021-07-01T00:00:00.000Z', userId: 1, metrics: {} }];
+        const localizedData = [{ ...formattedData[0], timeWindow: '2021-07-01T04:00:00.000Z' }];
+
+        salesService.getTimeSeriesSales.mockResolvedValue([]);
+        salesService.formatTimeSeriesData.mockReturnValue(formattedData);
+        salesService.localizeTimeWindows.mockReturnValue(localizedData);
+
+        const response = await request(app)
+          .get('/api/sales/timeseries?granularity=quarter&timezone=America/New_York&weekStart=7&fiscalYearStart=7')
+          .expect(200);
+
+        expect(salesService.getTimeSeriesSales).toHaveBeenCalledWith(
+          expect.objectContaining({ granularity: 'quarter', weekStart: 7, fiscalYearStart: 7 })
+        );
+        expect(salesService.localizeTimeWindows).toHaveBeenCalledWith(formattedData, 'America/New_York');
+        expect(response.body.calendar).toEqual({ timezone: 'America/New_York', weekStart: 7, fiscalYearStart: 7 });
+        expect(response.body.data).toEqual(localizedData);
       });
 
-      it('should validate granularity before groupBy', async () => {
+      it('should attach comparison metrics when compare is set', async () => {
+        const formattedData = [{ timeWindow: '2021-08-01T00:00:00.000Z', userId: 1, metrics: {} }];
+        const comparedData = [{ ...formattedData[0], comparison: {} }];
+
+        salesService.getTimeSeriesSales.mockResolvedValue([]);
+        salesService.getComparisonSales.mockResolvedValue([]);
+        salesService.formatTimeSeriesData.mockReturnValue(formattedData);
+        salesService.applyComparison.mockReturnValue(comparedData);
+
         const response = await request(app)
-          .get('/api/sales/timeseries?granularity=invalid&groupBy=invalid')
-          .expect(400);
+          .get('/api/sales/timeseries?compare=yoy&startDate=2021-08-01')
+          .expect(200);
 
-        expect(response.body.error).toContain('granularity');
+        expect(salesService.getComparisonSales).toHaveBeenCalledWith(
+          expect.objectContaining({ compare: 'yoy', startDate: '2021-08-01' })
+        );
+        expect(salesService.applyComparison).toHaveBeenCalledWith(
+          formattedData,
+          formattedData,
+          { granularity: 'month', groupBy: 'user', compare: 'yoy' }
+        );
+        expect(response.body.data).toEqual(comparedData);
       });
-    });
 
-    describe('edge cases', () => {
-      it('should handle empty result set', async () => {
+      it('should not fetch comparison data without compare', async () => {
         salesService.getTimeSeriesSales.mockResolvedValue([]);
         salesService.formatTimeSeriesData.mockReturnValue([]);
 
-        const response = await request(app)
+        await request(app)
           .get('/api/sales/timeseries')
           .expect(200);
 
-        expect(response.body.data).toEqual([]);
+        expect(salesService.getComparisonSales).not.toHaveBeenCalled();
+        expect(salesService.applyComparison).not.toHaveBeenCalled();
       });
 
-      it('should handle case-sensitive parameters', async () => {
+      it('should attach rolling and cumulative metrics when requested', async () => {
+        const formattedData = [{ timeWindow: '2021-08-01T00:00:00.000Z', userId: 1, metrics: {} }];
+        const rolledData = [{ ...formattedData[0], rolling: {}, cumulative: {} }];
+
+        salesService.getTimeSeriesSales.mockResolvedValue([]);
+        salesService.getLookbackSales.mockResolvedValue([]);
+        salesService.formatTimeSeriesData.mockReturnValue(formattedData);
+        salesService.applyRollingMetrics.mockReturnValue(rolledData);
+
         const response = await request(app)
-          .get('/api/sales/timeseries?granularity=Month')
+          .get('/api/sales/timeseries?granularity=day&rolling=7&cumulative=true&startDate=2021-08-01')
+          .expect(200);
+
+        expect(salesService.getLookbackSales).toHaveBeenCalledWith(
+          expect.objectContaining({ startDate: '2021-08-01', rolling: 7, cumulative: true })
+        );
+        expect(salesService.applyRollingMetrics).toHaveBeenCalledWith(
+          formattedData,
+          formattedData,
+          { granularity: 'day', groupBy: 'user', fiscalYearStart: 1, rolling: 7, cumulative: true }
+        );
+        expect(response.body.data).toEqual(rolledData);
+      });
+
+      it('should attach quota attainment when requested', async () => {
+        const formattedData = [{ timeWindow: '2021-08-01T00:00:00.000Z', groupId: 2, metrics: {} }];
+        const attainments = [{ quotaId: 5, groupId: 2, metric: 'saleCount', periodStart: '2021-08-01' }];
+        const attainedData = [{ ...formattedData[0], attainment: { saleCount: { quotaId: 5 } } }];
+
+        salesService.getTimeSeriesSales.mockResolvedValue([]);
+        salesService.formatTimeSeriesData.mockReturnValue(formattedData);
+        quotasService.getAttainment.mockResolvedValue(attainments);
+        quotasService.applyAttainment.mockReturnValue(attainedData);
+
+        const response = await request(app)
+          .get('/api/sales/timeseries?groupBy=group&attainment=true&startDate=2021-08-01&groupId=2')
+          .expect(200);
+
+        expect(quotasService.getAttainment).toHaveBeenCalledWith({
+          groupBy: 'group',
+          period: 'month',
+          startDate: '2021-08-01',
+          endDate: undefined,
+          userId: undefined,
+          groupId: '2'
+        });
+        expect(quotasService.applyAttainment).toHaveBeenCalledWith(formattedData, attainments, { groupBy: 'group' });
+        expect(response.body.data).toEqual(attainedData);
+      });
+
+      it('should return 400 for attainment without a single user or group per month or quarter', async () => {
+        for (const query of ['groupBy=role', 'groupBy=user,group', 'granularity=week']) {
+          const response = await request(app)
+            .get(`/api/sales/timeseries?attainment=true&${query}`)
+            .expect(400);
+
+          expect(response.body).toEqual(invalidParam(
+            'attainment',
+            'Requires groupBy=user or groupBy=group with granularity=month or quarter'
+          ));
+        }
+        expect(quotasService.getAttainment).not.toHaveBeenCalled();
+      });
+
+      it('should return 400 for quarterly attainment when fiscal quarters differ from quota quarters', async () => {
+        const response = await request(app)
+          .get('/api/sales/timeseries?groupBy=user&granularity=quarter&fiscalYearStart=2&attainment=true')
           .expect(400);
 
-        expect(response.body.error).toContain('Invalid granularity');
+        expect(response.body).toEqual(invalidParam(
+          'attainment',
+          'Requires fiscalYearStart=1, 4, 7 or 10 with granularity=quarter, so windows match quota quarters'
+        ));
+        expect(quotasService.getAttainment).not.toHaveBeenCalled();
       });
 
-      it('should accept week granularity', async () => {
+      it('should accept quarterly attainment when fiscal quarters line up with quota quarters', async () => {
         salesService.getTimeSeriesSales.mockResolvedValue([]);
         salesService.formatTimeSeriesData.mockReturnValue([]);
+        quotasService.getAttainment.mockResolvedValue([]);
+        quotasService.applyAttainment.mockReturnValue([]);
 
         await request(app)
-          .get('/api/sales/timeseries?granularity=week')
+          .get('/api/sales/timeseries?groupBy=user&granularity=quarter&fiscalYearStart=7&attainment=true')
+          .expect(200);
+      });
+
+      it('should pass selected metrics and histogram buckets to the service', async () => {
+        const formattedData = [{ timeWindow: '2021-08-01T00:00:00.000Z', userId: 1, metrics: {} }];
+        const selectedData = [{ ...formattedData[0], metrics: { medianSale: 1000 } }];
+
+        salesService.getTimeSeriesSales.mockResolvedValue([]);
+        salesService.formatTimeSeriesData.mockReturnValue(formattedData);
+        salesService.selectMetrics.mockReturnValue(selectedData);
+
+        const response = await request(app)
+          .get('/api/sales/timeseries?metrics=medianSale,histogram&histogramBuckets=0,5000,10000')
           .expect(200);
 
         expect(salesService.getTimeSeriesSales).toHaveBeenCalledWith(
-          expect.objectContaining({ granularity: 'week' })
+          expect.objectContaining({
+            metrics: ['medianSale', 'histogram'],
+            histogramBuckets: [0, 5000, 10000]
+          })
         );
+        expect(salesService.selectMetrics).toHaveBeenCalledWith(formattedData, ['medianSale', 'histogram']);
+        expect(response.body.data).toEqual(selectedData);
+      });
+
+      it('should sort and page through the data with cursors', async () => {
+        const formattedData = [1, 2, 3].map(id => ({
+          timeWindow: '2021-08-01T00:00:00.000Z',
+          userId: id,
+          userName: `User ${id}`,
+          userRole: 'Agent',
+          metrics: { saleCount: id, totalRevenue: id * 100, avgRevenue: 100, minSale: 100, maxSale: 100 }
+        }));
+
+        salesService.getTimeSeriesSales.mockResolvedValue([]);
+        salesService.formatTimeSeriesData.mockReturnValue(formattedData);
+
+        const firstPage = await request(app)
+          .get('/api/sales/timeseries?sort=saleCount:asc&limit=2')
+          .expect(200);
+
+        expect(firstPage.body.data.map(item => item.userId)).toEqual([1, 2]);
+        expect(firstPage.body.nextCursor).toEqual(expect.any(String));
+
+        const secondPage = await request(app)
+          .get(`/api/sales/timeseries?sort=saleCount:asc&limit=2&cursor=${firstPage.body.nextCursor}`)
+          .expect(200);
+
+        expect(secondPage.body.data.map(item => item.userId)).toEqual([3]);
+        expect(secondPage.body.nextCursor).toBeNull();
       });
     });
 
-    describe('error handling', () => {
-      it('should return 500 when service throws an error', async () => {
-        salesService.getTimeSeriesSales.mockRejectedValue(
-          new Error('Database connection failed')
-        );
+    describe('conditional requests', () => {
+      const formattedData = [{ timeWindow: '2021-08-01T00:00:00.000Z', userId: 1, metrics: { saleCount: 2 } }];
+
+      beforeEach(() => {
+        salesService.getTimeSeriesSales.mockResolvedValue([]);
+        salesService.formatTimeSeriesData.mockReturnValue(formattedData);
+      });
 
+      it('should send an ETag and ask clients to revalidate', async () => {
         const response = await request(app)
           .get('/api/sales/timeseries')
-          .expect(500);
+          .expect(200);
 
-        expect(response.body).toEqual({
-          error: 'Internal server error',
-          message: 'Database connection failed'
-        });
+        expect(response.headers.etag).toMatch(/^"[A-Za-z0-9+/=]+"$/);
+        expect(response.headers['cache-control']).toBe('private, no-cache');
       });
 
-      it('should handle formatting errors', async () => {
-        salesService.getTimeSeriesSales.mockResolvedValue([{ some: 'data' }]);
-        salesService.formatTimeSeriesData.mockImplementation(() => {
-          throw new Error('Formatting failed');
-        });
+      it('should return 304 when If-None-Match matches the current ETag', async () => {
+        const first = await request(app).get('/api/sales/timeseries').expect(200);
 
-        const response = await request(app)
+        const second = await request(app)
           .get('/api/sales/timeseries')
-          .expect(500);
+          .set('If-None-Match', first.headers.etag)
+          .expect(304);
 
-        expect(response.body.error).toBe('Internal server error');
-        expect(response.body.message).toBe('Formatting failed');
+        expect(second.text).toBe('');
+        expect(second.headers.etag).toBe(first.headers.etag);
       });
 
-      it('should log errors to console', async () => {
-        const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      it('should return the new body when the data changed', async () => {
+        const first = await request(app).get('/api/sales/timeseries').expect(200);
+        salesService.formatTimeSeriesData.mockReturnValue([{ ...formattedData[0], metrics: { saleCount: 3 } }]);
 
-        salesService.getTimeSeriesSales.mockRejectedValue(
-          new Error('Test error')
-        );
+        const second = await request(app)
+          .get('/api/sales/timeseries')
+          .set('If-None-Match', first.headers.etag)
+          .expect(200);
+
+        expect(second.headers.etag).not.toBe(first.headers.etag);
+        expect(second.body.data[0].metrics.saleCount).toBe(3);
+      });
+    });
+
+    describe('validation errors', () => {
+      it('should return 400 for invalid granularity', async () => {
+        const response = await request(app)
+          .get('/api/sales/timeseries?granularity=invalid')
+          .expect(400);
+
+        expect(response.body).toEqual(invalidParam('granularity', 'Must be one of: day, week, month, quarter, year'));
+
+        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+      });
+
+      it('should return 400 for invalid calendar options', async () => {
+        const cases = [
+          ['timezone=Mars/Olympus', 'Invalid timezone. Must be an IANA time zone name such as America/New_York'],
+          ['weekStart=0', 'Invalid weekStart. Must be an integer between 1 (Monday) and 7 (Sunday)'],
+          ['weekStart=mon', 'Invalid weekStart. Must be an integer between 1 (Monday) and 7 (Sunday)'],
+          ['fiscalYearStart=13', 'Invalid fiscalYearStart. Must be an integer between 1 and 12']
+        ];
+
+        for (const [query, error] of cases) {
+          const response = await request(app)
+            .get(`/api/sales/timeseries?${query}`)
+            .expect(400);
+
+          expect(response.body.error.message).toBe(error);
+        }
+
+        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+      });
+
+      it('should return 400 for invalid groupBy', async () => {
+        const response = await request(app)
+          .get('/api/sales/timeseries?groupBy=invalid')
+          .expect(400);
+
+        expect(response.body).toEqual(invalidParam(
+          'groupBy',
+          'Must be none or a comma-separated list of: user, group, role, dayOfWeek'
+        ));
 
+        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+      });
+
+      it('should return 400 for repeated dimensions', async () => {
         await request(app)
-          .get('/api/sales/timeseries')
-          .expect(500);
+          .get('/api/sales/timeseries?groupBy=role,role')
+          .expect(400);
 
-        expect(consoleErrorSpy).toHaveBeenCalledWith(
-          'Error fetching sales timeseries:',
-          expect.any(Error)
-        );
+        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+      });
 
-        consoleErrorSpy.mockRestore();
+      it('should return 400 for invalid attribution', async () => {
+        const response = await request(app)
+          .get('/api/sales/timeseries?groupBy=group&attribution=weighted')
+          .expect(400);
+
+        expect(response.body).toEqual(invalidParam('attribution', 'Must be one of: full, split, primary'));
+
+        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+      });
+
+      it('should return 400 for invalid compare', async () => {
+        const response = await request(app)
+          .get('/api/sales/timeseries?compare=lastweek')
+          .expect(400);
+
+        expect(response.body).toEqual(invalidParam('compare', 'Must be one of: previous, yoy'));
+
+        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+      });
+
+      it('should return 400 for a non-integer rolling window', async () => {
+        const response = await request(app)
+          .get('/api/sales/timeseries?rolling=abc')
+          .expect(400);
+
+        expect(response.body).toEqual(invalidParam('rolling', 'Must be an integer between 1 and 365'));
+      });
+
+      it('should return 400 for an out-of-range rolling window', async () => {
+        await request(app)
+          .get('/api/sales/timeseries?rolling=0')
+          .expect(400);
+
+        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+      });
+
+      it('should return 400 for unknown metrics', async () => {
+        const response = await request(app)
+          .get('/api/sales/timeseries?metrics=saleCount,p99Sale')
+          .expect(400);
+
+        expect(response.body.error.message).toContain('Invalid metrics');
+        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+      });
+
+      it('should return 400 for non-ascending histogram buckets', async () => {
+        const response = await request(app)
+          .get('/api/sales/timeseries?metrics=histogram&histogramBuckets=0,5000,1000')
+          .expect(400);
+
+        expect(response.body).toEqual(invalidParam(
+          'histogramBuckets',
+          'Must be 1 to 50 ascending comma-separated integers'
+        ));
+      });
+
+      it('should return 400 for too many histogram buckets', async () => {
+        const bounds = Array.from({ length: 51 }, (_, i) => i * 100).join(',');
+
+        await request(app)
+          .get(`/api/sales/timeseries?metrics=histogram&histogramBuckets=${bounds}`)
+          .expect(400);
+
+        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+      });
+
+      it('should return 400 for an unknown sort field', async () => {
+        const response = await request(app)
+          .get('/api/sales/timeseries?groupBy=group&sort=userName:asc')
+          .expect(400);
+
+        expect(response.body.error.message).toContain('Invalid sort');
+        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+      });
+
+      it('should return 400 for an invalid limit', async () => {
+        const response = await request(app)
+          .get('/api/sales/timeseries?limit=5000')
+          .expect(400);
+
+        expect(response.body).toEqual(invalidParam('limit', 'Must be an integer between 1 and 1000'));
+      });
+
+      it('should return 400 for a malformed cursor', async () => {
+        const response = await request(app)
+          .get('/api/sales/timeseries?limit=10&cursor=not-a-cursor')
+          .expect(400);
+
+        expect(response.body.error.message).toContain('Invalid cursor');
+        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+      });
+
+      it('should return 400 for a cursor issued for another groupBy', async () => {
+        const cursor = pagination.encodeCursor([1627776000000, 500], 'timeWindow:desc,totalRevenue:desc', 'none');
+
+        const response = await request(app)
+          .get(`/api/sales/timeseries?groupBy=group&limit=10&cursor=${cursor}`)
+          .expect(400);
+
+        expect(response.body)
+          .toEqual(invalidParam('cursor', 'Must be used with the same groupBy as the response it came from'));
+        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+      });
+
+      it('should return 400 for a cursor issued for a grouping with as many sort keys', async () => {
+        const cursor = pagination.encodeCursor([1627776000000, 500, 1], 'timeWindow:desc,totalRevenue:desc', 'user');
+
+        const response = await request(app)
+          .get(`/api/sales/timeseries?groupBy=role&limit=10&cursor=${cursor}`)
+          .expect(400);
+
+        expect(response.body)
+          .toEqual(invalidParam('cursor', 'Must be used with the same groupBy as the response it came from'));
+      });
+
+      it('should return 400 for a sort on a distribution metric that is not selected', async () => {
+        const response = await request(app)
+          .get('/api/sales/timeseries?groupBy=user&sort=medianSale:desc')
+          .expect(400);
+
+        expect(response.body).toEqual(invalidParam('sort', 'medianSale must also be selected in metrics'));
+        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+      });
+
+      it('should report every invalid parameter at once', async () => {
+        const response = await request(app)
+          .get('/api/sales/timeseries?granularity=invalid&groupBy=invalid&limit=0')
+          .expect(400);
+
+        expect(response.body.error.code).toBe('invalid_request');
+        expect(response.body.error.message).toBe('Invalid query parameters: granularity, groupBy, limit');
+        expect(response.body.error.details.map(({ field }) => field)).toEqual(['granularity', 'groupBy', 'limit']);
+      });
+
+      it('should return 400 for malformed dates instead of passing them to the database', async () => {
+        for (const query of ['startDate=2021-13-01', 'endDate=yesterday', 'startDate=2021-02-30']) {
+          const response = await request(app)
+            .get(`/api/sales/timeseries?${query}`)
+            .expect(400);
+
+          expect(response.body.error.details[0].message).toBe('Must be a valid date in YYYY-MM-DD format');
+        }
+
+        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+      });
+
+      it('should return 400 when the date range ends before it starts', async () => {
+        const response = await request(app)
+          .get('/api/sales/timeseries?startDate=2021-08-01&endDate=2021-07-31')
+          .expect(400);
+
+        expect(response.body).toEqual(invalidParam('endDate', 'Must not be before startDate'));
+        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+      });
+
+      it('should return 400 for ID filters that are not positive integers', async () => {
+        for (const query of ['userId=abc', 'userId=1,,2', 'groupBy=group&groupId=0', 'userId=2147483648']) {
+          const response = await request(app)
+            .get(`/api/sales/timeseries?${query}`)
+            .expect(400);
+
+          expect(response.body.error.details[0].message).toBe('Must be comma-separated positive integers');
+        }
+
+        expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+      });
+
+      it('should return 400 for repeated parameters', async () => {
+        const response = await request(app)
+          .get('/api/sales/timeseries?granularity=day&granularity=week')
+          .expect(400);
+
+        expect(response.body.error.details).toEqual([
+          { field: 'granularity', message: 'Must be one of: day, week, month, quarter, year' }
+        ]);
+      });
+
+      it('should return 400 for flags other than true or false', async () => {
+        const response = await request(app)
+          .get('/api/sales/timeseries?fillGaps=yes')
+          .expect(400);
+
+        expect(response.body).toEqual(invalidParam('fillGaps', 'Must be true or false'));
+      });
+    });
+
+    describe('edge cases', () => {
+      it('should handle empty result set', async () => {
+        salesService.getTimeSeriesSales.mockResolvedValue([]);
+        salesService.formatTimeSeriesData.mockReturnValue([]);
+
+        const response = await request(app)
+          .get('/api/sales/timeseries')
+          .expect(200);
+
+        expect(response.body.data).toEqual([]);
+      });
+
+      it('should handle case-sensitive parameters', async () => {
+        const response = await request(app)
+          .get('/api/sales/timeseries?granularity=Month')
+          .expect(400);
+
+        expect(response.body.error.message).toContain('Invalid granularity');
+      });
+
+      it('should accept week granularity', async () => {
+        salesService.getTimeSeriesSales.mockResolvedValue([]);
+        salesService.formatTimeSeriesData.mockReturnValue([]);
+
+        await request(app)
+          .get('/api/sales/timeseries?granularity=week')
+          .expect(200);
+
+        expect(salesService.getTimeSeriesSales).toHaveBeenCalledWith(
+          expect.objectContaining({ granularity: 'week' })
+        );
+      });
+    });
+
+    describe('error handling', () => {
+      it('should return 500 when service throws an error', async () => {
+        salesService.getTimeSeriesSales.mockRejectedValue(
+          new Error('Database connection failed')
+        );
+
+        const response = await request(app)
+          .get('/api/sales/timeseries')
+          .expect(500);
+
+        expect(response.body).toEqual(INTERNAL_ERROR);
+      });
+
+      it('should handle formatting errors', async () => {
+        salesService.getTimeSeriesSales.mockResolvedValue([{ some: 'data' }]);
+        salesService.formatTimeSeriesData.mockImplementation(() => {
+          throw new Error('Formatting failed');
+        });
+
+        const response = await request(app)
+          .get('/api/sales/timeseries')
+          .expect(500);
+
+        expect(response.body).toEqual(INTERNAL_ERROR);
+        expect(JSON.stringify(response.body)).not.toContain('Formatting failed');
+      });
+
+      it('should log errors to console', async () => {
+        const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        salesService.getTimeSeriesSales.mockRejectedValue(
+          new Error('Test error')
+        );
+
+        await request(app)
+          .get('/api/sales/timeseries')
+          .expect(500);
+
+        expect(consoleErrorSpy).toHaveBeenCalledWith(
+          'Error fetching sales timeseries:',
+          expect.any(Error)
+        );
+
+        consoleErrorSpy.mockRestore();
+      });
+    });
+  });
+
+  describe('GET /api/sales/timeseries exports', () => {
+    const row = {
+      time_window: '2021-08-01T00:00:00.000Z',
+      user_id: 1,
+      user_name: 'Alice, "Al"',
+      user_role: 'Agent'
+    };
+    const formatRow = r => ({
+      timeWindow: r.time_window,
+      userId: r.user_id,
+      userName: r.user_name,
+      userRole: r.user_role,
+      metrics: { saleCount: 2, totalRevenue: 300 }
+    });
+
+    beforeEach(() => {
+      salesService.formatTimeSeriesData.mockImplementation(rows => rows.map(formatRow));
+      salesService.selectMetrics.mockImplementation(data => data);
+    });
+
+    it('should stream CSV with flattened metrics when format=csv', async () => {
+      salesService.streamTimeSeriesSales.mockReturnValue(Readable.from([row]));
+
+      const response = await request(app)
+        .get('/api/sales/timeseries?format=csv&startDate=2021-08-01&userId=1,2')
+        .expect(200)
+        .expect('Content-Type', /text\/csv/)
+        .expect(
+          'Content-Disposition',
+          'attachment; filename="sales-timeseries_month_user_2021-08-01_to_end_users-1-2.csv"'
+        );
+
+      expect(response.text).toBe(
+        '\uFEFFtimeWindow,userId,userName,userRole,metrics.saleCount,metrics.totalRevenue\r\n' +
+        '2021-08-01T00:00:00.000Z,1,"Alice, ""Al""",Agent,2,300\r\n'
+      );
+      expect(salesService.streamTimeSeriesSales).toHaveBeenCalledWith(
+        expect.objectContaining({ startDate: '2021-08-01', userId: '1,2' })
+      );
+      expect(salesService.getTimeSeriesSales).not.toHaveBeenCalled();
+    });
+
+    it('should negotiate NDJSON from the Accept header', async () => {
+      salesService.streamTimeSeriesSales.mockReturnValue(Readable.from([row, row]));
+
+      const response = await request(app)
+        .get('/api/sales/timeseries')
+        .set('Accept', 'application/x-ndjson')
+        .buffer(true)
+        .parse((res, callback) => {
+          let text = '';
+          res.on('data', chunk => { text += chunk; });
+          res.on('end', () => callback(null, text));
+        })
+        .expect(200)
+        .expect('Content-Type', /application\/x-ndjson/);
+
+      const lines = response.body.trim().split('\n');
+      expect(lines).toHaveLength(2);
+      expect(JSON.parse(lines[0])).toEqual(formatRow(row));
+    });
+
+    it('should write a header row for an empty CSV export', async () => {
+      salesService.streamTimeSeriesSales.mockReturnValue(Readable.from([]));
+
+      const response = await request(app)
+        .get('/api/sales/timeseries?format=csv&groupBy=group&metrics=saleCount')
+        .expect(200);
+
+      expect(response.text).toBe('\uFEFFtimeWindow,windowStart,windowEnd,groupId,groupName,metrics.saleCount\r\n');
+    });
+
+    it('should buffer rows when an option needs the full result', async () => {
+      salesService.getTimeSeriesSales.mockResolvedValue([row]);
+
+      const response = await request(app)
+        .get('/api/sales/timeseries?format=csv&fillGaps=true')
+        .expect(200);
+
+      expect(salesService.streamTimeSeriesSales).not.toHaveBeenCalled();
+      expect(response.text.split('\r\n')).toHaveLength(3);
+    });
+
+    it('should return 400 for an invalid format', async () => {
+      const response = await request(app)
+        .get('/api/sales/timeseries?format=xml')
+        .expect(400);
+
+      expect(response.body).toEqual(invalidParam('format', 'Must be one of: json, csv, ndjson'));
+    });
+
+    it('should destroy the rows stream when the client aborts the download', async () => {
+      const rows = new Readable({
+        objectMode: true,
+        read() {}
+      });
+      rows.push(row);
+      salesService.streamTimeSeriesSales.mockReturnValue(rows);
+      const server = app.listen(0);
+      try {
+        await new Promise((resolve, reject) => {
+          http.get(`http://127.0.0.1:${server.address().port}/api/sales/timeseries?format=csv`, res => {
+            res.once('data', () => {
+              res.destroy();
+              resolve();
+            });
+          }).on('error', reject);
+        });
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(rows.destroyed).toBe(true);
+      } finally {
+        server.close();
+      }
+    });
+
+    it('should return 500 when the stream fails before any rows are sent', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const failing = new Readable({
+        objectMode: true,
+        read() {
+          this.destroy(new Error('Database connection failed'));
+        }
+      });
+      salesService.streamTimeSeriesSales.mockReturnValue(failing);
+
+      const response = await request(app)
+        .get('/api/sales/timeseries?format=csv')
+        .expect(500);
+
+      expect(response.body).toEqual(INTERNAL_ERROR);
+      expect(response.headers).not.toHaveProperty('content-disposition');
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('GET /api/sales/stream', () => {
+    const snapshot = { id: '100', event: 'snapshot', data: { granularity: 'month', data: [] } };
+    let stream;
+
+    beforeEach(() => {
+      stream = { close: jest.fn() };
+      // Sends a snapshot, then ends as on shutdown so the response finishes
+      salesStreamService.openStream.mockImplementation(async (options, { onEvent, onEnd }) => {
+        onEvent(snapshot);
+        setImmediate(onEnd);
+        return stream;
+      });
+    });
+
+    it('should send the events of the stream', async () => {
+      principal = { type: 'user', userId: 4, role: 'Manager', admin: false, scope: { userId: 4, groupIds: [3] } };
+
+      const response = await request(app)
+        .get('/api/sales/stream?groupBy=group&startDate=2021-01-01')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+      expect(response.headers['cache-control']).toBe('no-cache');
+      expect(response.headers['x-accel-buffering']).toBe('no');
+      expect(response.text).toBe(
+        'retry: 3000\n\n' +
+        'id: 100\nevent: snapshot\ndata: {"granularity":"month","data":[]}\n\n' +
+        ': connected\n\n'
+      );
+      expect(salesStreamService.openStream).toHaveBeenCalledWith({
+        granularity: 'month',
+        groupBy: 'group',
+        attribution: 'full',
+        startDate: '2021-01-01',
+        timezone: 'UTC',
+        weekStart: 1,
+        fiscalYearStart: 1,
+        scope: { userId: 4, groupIds: [3] }
+      }, expect.objectContaining({ lastEventId: undefined }));
+      expect(stream.close).toHaveBeenCalled();
+    });
+
+    it('should resume from Last-Event-ID', async () => {
+      await request(app)
+        .get('/api/sales/stream')
+        .set('Last-Event-ID', '90')
+        .expect(200);
+
+      expect(salesStreamService.openStream).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.objectContaining({ lastEventId: '90' })
+      );
+    });
+
+    it('should reject a Last-Event-ID that is not an event ID', async () => {
+      const response = await request(app)
+        .get('/api/sales/stream')
+        .set('Last-Event-ID', 'abc')
+        .expect(400);
+
+      expect(response.body).toEqual(invalidParam('Last-Event-ID', 'Must be the id of an event from this stream'));
+      expect(salesStreamService.openStream).not.toHaveBeenCalled();
+    });
+
+    it('should validate parameters like the timeseries', async () => {
+      const response = await request(app)
+        .get('/api/sales/stream?granularity=hour')
+        .expect(400);
+
+      expect(response.body).toEqual(invalidParam('granularity', 'Must be one of: day, week, month, quarter, year'));
+      expect(salesStreamService.openStream).not.toHaveBeenCalled();
+    });
+
+    it('should answer a stream that cannot be opened with a 500', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      salesStreamService.openStream.mockRejectedValue(new Error('Database connection failed'));
+
+      const response = await request(app)
+        .get('/api/sales/stream')
+        .expect(500);
+
+      expect(response.body).toEqual(INTERNAL_ERROR);
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should close the stream when the client disconnects', async () => {
+      salesStreamService.openStream.mockImplementation(async (options, { onEvent }) => {
+        onEvent(snapshot);
+        return stream;
+      });
+      const server = app.listen(0);
+      try {
+        await new Promise((resolve, reject) => {
+          http.get(`http://127.0.0.1:${server.address().port}/api/sales/stream`, res => {
+            res.once('data', () => {
+              res.destroy();
+              resolve();
+            });
+          }).on('error', reject);
+        });
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(stream.close).toHaveBeenCalled();
+      } finally {
+        server.close();
+      }
+    });
+  });
+
+  describe('GET /api/sales/anomalies', () => {
+    const anomaly = {
+      timeWindow: '2021-07-01T00:00:00.000Z',
+      groupId: 2,
+      groupName: 'West',
+      expected: 1000,
+      actual: 0,
+      score: -12.25,
+      direction: 'drop'
+    };
+
+    it('should return anomalies with default parameters', async () => {
+      anomalyService.getAnomalies.mockResolvedValue([]);
+
+      const response = await request(app)
+        .get('/api/sales/anomalies')
+        .expect(200);
+
+      expect(anomalyService.getAnomalies).toHaveBeenCalledWith({
+        metric: 'totalRevenue',
+        method: 'zscore',
+        threshold: 3,
+        lookback: 8,
+        granularity: 'month',
+        groupBy: 'user',
+        attribution: 'full',
+        startDate: undefined,
+        endDate: undefined,
+        userId: undefined,
+        groupId: undefined
+      });
+      expect(response.body).toEqual({
+        metric: 'totalRevenue',
+        method: 'zscore',
+        threshold: 3,
+        lookback: 8,
+        granularity: 'month',
+        groupBy: 'user',
+        filters: { startDate: null, endDate: null, userId: null, groupId: null },
+        count: 0,
+        data: []
+      });
+    });
+
+    it('should pass all parameters to the service', async () => {
+      anomalyService.getAnomalies.mockResolvedValue([anomaly]);
+
+      const response = await request(app)
+        .get('/api/sales/anomalies?metric=saleCount&method=mad&threshold=2.5&lookback=12&granularity=week' +
+          '&groupBy=group&attribution=split&startDate=2021-06-01&groupId=2')
+        .expect(200);
+
+      expect(anomalyService.getAnomalies).toHaveBeenCalledWith(expect.objectContaining({
+        metric: 'saleCount',
+        method: 'mad',
+        threshold: 2.5,
+        lookback: 12,
+        granularity: 'week',
+        groupBy: 'group',
+        attribution: 'split',
+        startDate: '2021-06-01',
+        groupId: '2'
+      }));
+      expect(response.body.attribution).toBe('split');
+      expect(response.body.data).toEqual([anomaly]);
+    });
+
+    it('should default the threshold to the method', async () => {
+      anomalyService.getAnomalies.mockResolvedValue([]);
+
+      const response = await request(app)
+        .get('/api/sales/anomalies?method=mad')
+        .expect(200);
+
+      expect(response.body.threshold).toBe(3.5);
+    });
+
+    it('should return 400 for invalid parameters', async () => {
+      const cases = [
+        ['metric=avgRevenue', 'Invalid metric. Must be one of: totalRevenue, saleCount'],
+        ['method=iqr', 'Invalid method. Must be one of: zscore, mad'],
+        ['threshold=0', 'Invalid threshold. Must be a positive number'],
+        ['threshold=abc', 'Invalid threshold. Must be a positive number'],
+        ['lookback=2', 'Invalid lookback. Must be an integer between 3 and 365'],
+        ['granularity=hour', 'Invalid granularity. Must be one of: day, week, month, quarter, year'],
+        ['groupBy=team', 'Invalid groupBy. Must be none or a comma-separated list of: user, group, role, dayOfWeek'],
+        ['attribution=half', 'Invalid attribution. Must be one of: full, split, primary']
+      ];
+
+      for (const [query, error] of cases) {
+        const response = await request(app).get(`/api/sales/anomalies?${query}`).expect(400);
+        expect(response.body.error.message).toBe(error);
+      }
+      expect(anomalyService.getAnomalies).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when the service fails', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+      anomalyService.getAnomalies.mockRejectedValue(new Error('Database connection failed'));
+
+      const response = await request(app)
+        .get('/api/sales/anomalies')
+        .expect(500);
+
+      expect(response.body).toEqual(INTERNAL_ERROR);
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('GET /api/sales/forecast', () => {
+    const forecast = {
+      userId: 1,
+      userName: 'Alice',
+      userRole: 'Agent',
+      historyWindows: 12,
+      forecast: [{
+        timeWindow: '2022-01-01T00:00:00.000Z',
+        totalRevenue: { value: 620000, lower: 480000, upper: 760000 },
+        saleCount: { value: 24.5, lower: 18, upper: 31 }
+      }],
+      backtest: {
+        totalRevenue: { windows: 1, mae: 41000, rmse: 41000, mape: 6.8 },
+        saleCount: { windows: 1, mae: 2, rmse: 2, mape: 8.33 }
+      }
+    };
+
+    it('should return the forecast with default parameters', async () => {
+      forecastService.getForecast.mockResolvedValue([forecast]);
+
+      const response = await request(app)
+        .get('/api/sales/forecast')
+        .expect(200);
+
+      expect(forecastService.getForecast).toHaveBeenCalledWith({
+        method: 'holt',
+        horizon: 3,
+        confidence: 95,
+        granularity: 'month',
+        groupBy: 'user',
+        attribution: 'full',
+        startDate: undefined,
+        endDate: undefined,
+        userId: undefined,
+        groupId: undefined
+      });
+      expect(response.body).toEqual({
+        method: 'holt',
+        horizon: 3,
+        confidence: 95,
+        granularity: 'month',
+        groupBy: 'user',
+        filters: { startDate: null, endDate: null, userId: null, groupId: null },
+        data: [forecast]
+      });
+    });
+
+    it('should pass all parameters to the service', async () => {
+      forecastService.getForecast.mockResolvedValue([]);
+
+      const response = await request(app)
+        .get('/api/sales/forecast?method=linear&horizon=6&confidence=80&granularity=week&groupBy=group' +
+          '&attribution=primary&startDate=2021-01-01&endDate=2021-06-30&groupId=1,2')
+        .expect(200);
+
+      expect(forecastService.getForecast).toHaveBeenCalledWith({
+        method: 'linear',
+        horizon: 6,
+        confidence: 80,
+        granularity: 'week',
+        groupBy: 'group',
+        attribution: 'primary',
+        startDate: '2021-01-01',
+        endDate: '2021-06-30',
+        userId: undefined,
+        groupId: '1,2'
+      });
+      expect(response.body.attribution).toBe('primary');
+    });
+
+    it('should return 400 for invalid parameters', async () => {
+      const cases = [
+        ['method=arima', 'Invalid method. Must be one of: holt, linear'],
+        ['horizon=0', 'Invalid horizon. Must be an integer between 1 and 52'],
+        ['horizon=1.5', 'Invalid horizon. Must be an integer between 1 and 52'],
+        ['confidence=99', 'Invalid confidence. Must be one of: 80, 90, 95'],
+        ['granularity=hour', 'Invalid granularity. Must be one of: day, week, month, quarter, year'],
+        ['groupBy=team', 'Invalid groupBy. Must be none or a comma-separated list of: user, group, role, dayOfWeek'],
+        ['attribution=half', 'Invalid attribution. Must be one of: full, split, primary']
+      ];
+
+      for (const [query, error] of cases) {
+        const response = await request(app).get(`/api/sales/forecast?${query}`).expect(400);
+        expect(response.body.error.message).toBe(error);
+      }
+      expect(forecastService.getForecast).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when the service fails', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+      forecastService.getForecast.mockRejectedValue(new Error('Database connection failed'));
+
+      const response = await request(app)
+        .get('/api/sales/forecast')
+        .expect(500);
+
+      expect(response.body).toEqual(INTERNAL_ERROR);
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('GET /api/sales/attainment', () => {
+    const attainment = {
+      quotaId: 5,
+      userId: 4,
+      userName: 'Ana',
+      userRole: 'Sales Rep',
+      metric: 'totalRevenue',
+      period: 'month',
+      periodStart: '2021-08-01',
+      status: 'inProgress',
+      periodEnd: '2021-08-31',
+      target: 500000,
+      actual: 200000,
+      attainment: 40,
+      projected: 620000,
+      projectedAttainment: 124
+    };
+
+    it('should return the attainment of every matching quota', async () => {
+      quotasService.getAttainment.mockResolvedValue([attainment]);
+
+      const response = await request(app)
+        .get('/api/sales/attainment?metric=totalRevenue&period=month&asOf=2021-08-10&userId=4')
+        .expect(200);
+
+      expect(quotasService.getAttainment).toHaveBeenCalledWith({
+        groupBy: 'user',
+        metric: 'totalRevenue',
+        period: 'month',
+        startDate: undefined,
+        endDate: undefined,
+        userId: '4',
+        groupId: undefined,
+        asOf: '2021-08-10'
+      });
+      expect(response.body).toEqual({
+        groupBy: 'user',
+        asOf: '2021-08-10',
+        filters: {
+          metric: 'totalRevenue',
+          period: 'month',
+          startDate: null,
+          endDate: null,
+          userId: '4',
+          groupId: null
+        },
+        count: 1,
+        data: [attainment]
+      });
+    });
+
+    it('should measure on today by default', async () => {
+      quotasService.getAttainment.mockResolvedValue([]);
+
+      const response = await request(app)
+        .get('/api/sales/attainment')
+        .expect(200);
+
+      expect(response.body.asOf).toBe(new Date().toISOString().slice(0, 10));
+    });
+
+    it('should return 400 for invalid parameters', async () => {
+      const cases = [
+        ['groupBy=role', 'Invalid groupBy. Must be one of: user, group'],
+        ['metric=avgRevenue', 'Invalid metric. Must be one of: totalRevenue, saleCount'],
+        ['period=week', 'Invalid period. Must be one of: month, quarter'],
+        ['asOf=2021-02-30', 'Invalid asOf. Must be a valid date in YYYY-MM-DD format']
+      ];
+
+      for (const [query, error] of cases) {
+        const response = await request(app).get(`/api/sales/attainment?${query}`).expect(400);
+        expect(response.body.error.message).toBe(error);
+      }
+      expect(quotasService.getAttainment).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when the service fails', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation();
+      quotasService.getAttainment.mockRejectedValue(new Error('Database connection failed'));
+
+      const response = await request(app)
+        .get('/api/sales/attainment')
+        .expect(500);
+
+      expect(response.body).toEqual(INTERNAL_ERROR);
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('GET /api/sales/leaderboard', () => {
+    it('should return the leaderboard with default parameters', async () => {
+      const leaderboard = [{ rank: 1, percentileRank: 100, userId: 1, userName: 'Alice', metrics: {} }];
+      const windows = [{ timeWindow: '2021-12-01T00:00:00.000Z', rankings: [] }];
+      leaderboardService.getLeaderboard.mockResolvedValue({ leaderboard, windows });
+
+      const response = await request(app)
+        .get('/api/sales/leaderboard')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        metric: 'totalRevenue',
+        groupBy: 'user',
+        granularity: 'month',
+        calendar: { weekStart: 1, fiscalYearStart: 1 },
+        limit: 10,
+        filters: {
+          startDate: null,
+          endDate: null,
+          userId: null,
+          groupId: null
+        },
+        leaderboard,
+        windows
+      });
+      expect(leaderboardService.getLeaderboard).toHaveBeenCalledWith({
+        metric: 'totalRevenue',
+        groupBy: 'user',
+        granularity: 'month',
+        weekStart: 1,
+        fiscalYearStart: 1,
+        startDate: undefined,
+        endDate: undefined,
+        userId: undefined,
+        groupId: undefined,
+        limit: 10
+      });
+    });
+
+    it('should pass custom parameters to the service', async () => {
+      leaderboardService.getLeaderboard.mockResolvedValue({ leaderboard: [], windows: [] });
+
+      await request(app)
+        .get('/api/sales/leaderboard?metric=avgRevenue&groupBy=group&granularity=week&limit=3&startDate=2021-01-01')
+        .expect(200);
+
+      expect(leaderboardService.getLeaderboard).toHaveBeenCalledWith(expect.objectContaining({
+        metric: 'avgRevenue',
+        groupBy: 'group',
+        granularity: 'week',
+        startDate: '2021-01-01',
+        limit: 3
+      }));
+    });
+
+    it('should pass the calendar options to the service and echo them', async () => {
+      leaderboardService.getLeaderboard.mockResolvedValue({ leaderboard: [], windows: [] });
+
+      const response = await request(app)
+        .get('/api/sales/leaderboard?granularity=quarter&weekStart=7&fiscalYearStart=4')
+        .expect(200);
+
+      expect(response.body.calendar).toEqual({ weekStart: 7, fiscalYearStart: 4 });
+      expect(leaderboardService.getLeaderboard).toHaveBeenCalledWith(expect.objectContaining({
+        granularity: 'quarter',
+        weekStart: 7,
+        fiscalYearStart: 4
+      }));
+    });
+
+    it('should return 400 for an invalid fiscalYearStart', async () => {
+      const response = await request(app)
+        .get('/api/sales/leaderboard?fiscalYearStart=13')
+        .expect(400);
+
+      expect(response.body).toEqual(invalidParam('fiscalYearStart', 'Must be an integer between 1 and 12'));
+      expect(leaderboardService.getLeaderboard).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid metric', async () => {
+      const response = await request(app)
+        .get('/api/sales/leaderboard?metric=minSale')
+        .expect(400);
+
+      expect(response.body).toEqual(invalidParam('metric', 'Must be one of: totalRevenue, avgRevenue, saleCount'));
+      expect(leaderboardService.getLeaderboard).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid limit', async () => {
+      const response = await request(app)
+        .get('/api/sales/leaderboard?limit=0')
+        .expect(400);
+
+      expect(response.body.error.message).toContain('Invalid limit');
+    });
+
+    it('should return 400 for an invalid groupBy', async () => {
+      await request(app)
+        .get('/api/sales/leaderboard?groupBy=team')
+        .expect(400);
+
+      expect(leaderboardService.getLeaderboard).not.toHaveBeenCalled();
+    });
+
+    it('should not rank with groupBy=none', async () => {
+      const response = await request(app)
+        .get('/api/sales/leaderboard?groupBy=none')
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid groupBy. Must be one of: user, group');
+    });
+
+    it('should return 500 when the service throws an error', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      leaderboardService.getLeaderboard.mockRejectedValue(new Error('Database connection failed'));
+
+      const response = await request(app)
+        .get('/api/sales/leaderboard')
+        .expect(500);
+
+      expect(response.body).toEqual(INTERNAL_ERROR);
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('POST /api/sales', () => {
+    const sale = { userId: 1, amount: 500, date: '2021-08-01' };
+
+    it('should create a single sale', async () => {
+      salesRecordsService.createSales.mockResolvedValue([{ id: 101, ...sale }]);
+
+      const response = await request(app)
+        .post('/api/sales')
+        .send(sale)
+        .expect(201);
+
+      expect(response.body).toEqual({ id: 101, ...sale });
+      expect(salesRecordsService.createSales).toHaveBeenCalledWith([sale]);
+    });
+
+    it('should create a batch of sales', async () => {
+      salesRecordsService.createSales.mockResolvedValue([{ id: 101, ...sale }, { id: 102, ...sale }]);
+
+      const response = await request(app)
+        .post('/api/sales')
+        .send([sale, sale])
+        .expect(201);
+
+      expect(response.body.count).toBe(2);
+      expect(response.body.data).toHaveLength(2);
+      expect(salesRecordsService.createSales).toHaveBeenCalledWith([sale, sale]);
+    });
+
+    it('should return 400 with field details for invalid sales', async () => {
+      const details = [{ index: 1, field: 'amount', message: 'Must be a positive integer up to 2147483647' }];
+      salesRecordsService.createSales.mockRejectedValue(new ValidationError('Invalid sale', details));
+
+      const response = await request(app)
+        .post('/api/sales')
+        .send([sale, { ...sale, amount: -1 }])
+        .expect(400);
+
+      expect(response.body).toEqual({ error: { code: 'invalid_request', message: 'Invalid sale', details } });
+    });
+
+    it('should return 400 for malformed JSON', async () => {
+      const response = await request(app)
+        .post('/api/sales')
+        .set('Content-Type', 'application/json')
+        .send('{"userId": 1,')
+        .expect(400);
+
+      expect(response.body).toEqual({ error: { code: 'invalid_request', message: 'Invalid JSON body', details: [] } });
+      expect(salesRecordsService.createSales).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 for unexpected errors', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      salesRecordsService.createSales.mockRejectedValue(new Error('Database connection failed'));
+
+      const response = await request(app)
+        .post('/api/sales')
+        .send(sale)
+        .expect(500);
+
+      expect(response.body).toEqual(INTERNAL_ERROR);
+      expect(consoleErrorSpy).toHaveBeenCalledWith('Error creating sales:', expect.any(Error));
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('GET /api/sales/:id', () => {
+    it('should return the sale', async () => {
+      salesRecordsService.getSale.mockResolvedValue({ id: 5, userId: 1, amount: 500, date: '2021-08-01' });
+
+      const response = await request(app)
+        .get('/api/sales/5')
+        .expect(200);
+
+      expect(response.body.id).toBe(5);
+      expect(salesRecordsService.getSale).toHaveBeenCalledWith(5, undefined);
+    });
+
+    it('should return 404 for unknown sales', async () => {
+      salesRecordsService.getSale.mockRejectedValue(new NotFoundError('Sale 5 not found'));
+
+      const response = await request(app)
+        .get('/api/sales/5')
+        .expect(404);
+
+      expect(response.body).toEqual({ error: { code: 'not_found', message: 'Sale 5 not found', details: [] } });
+    });
+
+    it('should return 404 for IDs outside the integer range', async () => {
+      await request(app)
+        .get('/api/sales/99999999999')
+        .expect(404);
+
+      expect(salesRecordsService.getSale).not.toHaveBeenCalled();
+    });
+
+    it('should not treat non-numeric paths as sale IDs', async () => {
+      await request(app)
+        .get('/api/sales/abc')
+        .expect(404);
+
+      expect(salesRecordsService.getSale).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/sales/:id', () => {
+    it('should update the sale', async () => {
+      salesRecordsService.updateSale.mockResolvedValue({ id: 5, userId: 1, amount: 900, date: '2021-08-01' });
+
+      const response = await request(app)
+        .patch('/api/sales/5')
+        .send({ amount: 900 })
+        .expect(200);
+
+      expect(response.body.amount).toBe(900);
+      expect(salesRecordsService.updateSale).toHaveBeenCalledWith(5, { amount: 900 });
+    });
+
+    it('should return 400 for invalid changes', async () => {
+      salesRecordsService.updateSale.mockRejectedValue(
+        new ValidationError('Invalid sale', [{ field: 'date', message: 'Must be a valid date in YYYY-MM-DD format' }])
+      );
+
+      const response = await request(app)
+        .patch('/api/sales/5')
+        .send({ date: 'yesterday' })
+        .expect(400);
+
+      expect(response.body.error.details[0].field).toBe('date');
+    });
+  });
+
+  describe('DELETE /api/sales/:id', () => {
+    it('should delete the sale', async () => {
+      salesRecordsService.deleteSale.mockResolvedValue({ id: 5 });
+
+      await request(app)
+        .delete('/api/sales/5')
+        .expect(204);
+
+      expect(salesRecordsService.deleteSale).toHaveBeenCalledWith(5);
+    });
+
+    it('should return 404 for unknown sales', async () => {
+      salesRecordsService.deleteSale.mockRejectedValue(new NotFoundError('Sale 5 not found'));
+
+      await request(app)
+        .delete('/api/sales/5')
+        .expect(404);
+    });
+  });
+
+  describe('access control', () => {
+    const agentScope = { userId: 7, groupIds: [] };
+
+    beforeEach(() => {
+      principal = { type: 'user', userId: 7, role: 'Call Center Agent', admin: false, scope: agentScope };
+    });
+
+    it('should only query the sales the caller may see', async () => {
+      salesService.getTimeSeriesSales.mockResolvedValue([]);
+      salesService.formatTimeSeriesData.mockReturnValue([]);
+      salesService.selectMetrics.mockImplementation(data => data);
+      leaderboardService.getLeaderboard.mockResolvedValue({ leaderboard: [], windows: [] });
+      quotasService.getAttainment.mockResolvedValue([]);
+
+      await request(app).get('/api/sales/timeseries').expect(200);
+      await request(app).get('/api/sales/leaderboard').expect(200);
+      await request(app).get('/api/sales/attainment').expect(200);
+
+      expect(salesService.getTimeSeriesSales).toHaveBeenCalledWith(expect.objectContaining({ scope: agentScope }));
+      expect(leaderboardService.getLeaderboard).toHaveBeenCalledWith(expect.objectContaining({ scope: agentScope }));
+      expect(quotasService.getAttainment).toHaveBeenCalledWith(expect.objectContaining({ scope: agentScope }));
+    });
+
+    it('should only return a single sale the caller may see', async () => {
+      salesRecordsService.getSale.mockResolvedValue({ id: 5, userId: 7, amount: 500, date: '2021-08-01' });
+
+      await request(app).get('/api/sales/5').expect(200);
+
+      expect(salesRecordsService.getSale).toHaveBeenCalledWith(5, agentScope);
+    });
+
+    it('should not let agents record, change or delete sales', async () => {
+      const sale = { userId: 7, amount: 500, date: '2021-08-01' };
+
+      const response = await request(app).post('/api/sales').send(sale).expect(403);
+      await request(app).patch('/api/sales/5').send({ amount: 600 }).expect(403);
+      await request(app).delete('/api/sales/5').expect(403);
+
+      expect(response.body).toEqual({
+        error: { code: 'forbidden', message: 'Forbidden. Requires the Admin role or an API key', details: [] }
       });
+      expect(salesRecordsService.createSales).not.toHaveBeenCalled();
+      expect(salesRecordsService.updateSale).not.toHaveBeenCalled();
+      expect(salesRecordsService.deleteSale).not.toHaveBeenCalled();
     });
   });
 });
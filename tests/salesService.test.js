@@ -2,6 +2,10 @@
 
 const salesService = require('../services/salesService');
 const db = require('../services/db');
+const queryCache = require('../services/queryCache');
+const { windowKey } = require('../services/timeWindows');
+const { DISTRIBUTION_METRICS } = require('../services/options');
+const { ValidationError } = require('../services/errors');
 
 jest.mock('../services/db');
 
@@ -13,6 +17,7 @@ describe('SalesService', () => {
       query: jest.fn()
     };
     db.getClient.mockReturnValue(mockClient);
+    queryCache.clear();
   });
 
   afterEach(() => {
@@ -50,9 +55,9 @@ describe('SalesService', () => {
         const call = mockClient.query.mock.calls[0];
         expect(call[0]).toContain('DATE_TRUNC');
         expect(call[0]).toContain("DATE_TRUNC('month'");
-        expect(call[0]).toContain('FROM sales s');
+        expect(call[0]).toContain('FROM sales_daily_rollups s');
         expect(call[0]).toContain('JOIN users u');
-        expect(call[0]).toContain('GROUP BY time_window, u.id, u.name, u.role');
+        expect(call[0]).toContain('GROUP BY time_window, window_end, u.id, u.name, u.role');
         expect(call[1]).toEqual([]);
       });
 
@@ -82,7 +87,7 @@ describe('SalesService', () => {
         });
 
         const call = mockClient.query.mock.calls[0];
-        expect(call[0]).toContain('u.id = ANY($1::int[])');
+        expect(call[0]).toContain('s.user_id = ANY($1::int[])');
         expect(call[1]).toEqual([[1, 2, 3]]);
       });
     });
@@ -114,7 +119,20 @@ describe('SalesService', () => {
         const call = mockClient.query.mock.calls[0];
         expect(call[0]).toContain('JOIN user_groups ug');
         expect(call[0]).toContain('JOIN groups g');
-        expect(call[0]).toContain('GROUP BY time_window, g.id, g.name');
+        expect(call[0]).toContain('GROUP BY time_window, window_end, g.id, g.name');
+      });
+
+      it('should attribute sales to the groups the user belonged to on the sale date', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({
+          granularity: 'month',
+          groupBy: 'group'
+        });
+
+        const query = mockClient.query.mock.calls[0][0];
+        expect(query).toContain('ug.effective_from IS NULL OR ug.effective_from <= s.date');
+        expect(query).toContain('ug.effective_to IS NULL OR ug.effective_to > s.date');
       });
 
       it('should filter by groupId when provided', async () => {
@@ -132,6 +150,155 @@ describe('SalesService', () => {
       });
     });
 
+    describe('attribution', () => {
+      it('should count sales in every group by default', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({ granularity: 'month', groupBy: 'group' });
+
+        const query = mockClient.query.mock.calls[0][0];
+        expect(query).toContain('SUM(s.sale_count) as sale_count');
+        expect(query).not.toContain('JOIN LATERAL');
+      });
+
+      it('should split sales evenly between the groups of the user on the sale date', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({
+          granularity: 'month',
+          groupBy: 'group',
+          attribution: 'split',
+          metrics: ['saleCount', 'histogram'],
+          histogramBuckets: [0]
+        });
+
+        const query = mockClient.query.mock.calls[0][0];
+        expect(query).toContain('SELECT COUNT(*) as group_count FROM user_groups m');
+        expect(query).toContain('m.effective_to IS NULL OR m.effective_to > s.date');
+        expect(query).toContain('ROUND(SUM(1.0 / shares.group_count), 2) as sale_count');
+        expect(query).toContain('ROUND(SUM(s.amount::numeric / shares.group_count), 2) as total_revenue');
+        expect(query).toContain("'count', ROUND(SUM(1.0 / shares.group_count) FILTER (WHERE s.amount >= $1::int), 2)");
+      });
+
+      it('should count each sale in one primary group', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({ granularity: 'month', groupBy: 'group', attribution: 'primary' });
+
+        const query = mockClient.query.mock.calls[0][0];
+        expect(query).toContain('ORDER BY m.is_primary DESC, m.group_id');
+        expect(query).toContain('LIMIT 1');
+        expect(query).toContain('SUM(s.sale_count) as sale_count');
+      });
+
+      it('should throw error for invalid attribution', async () => {
+        await expect(
+          salesService.getTimeSeriesSales({ groupBy: 'group', attribution: 'weighted' })
+        ).rejects.toThrow('Invalid attribution: weighted. Must be one of: full, split, primary');
+      });
+
+      it('should throw ValidationError so callers answer invalid options with a 400', async () => {
+        await expect(salesService.getTimeSeriesSales({ granularity: 'hour' })).rejects.toBeInstanceOf(ValidationError);
+        await expect(salesService.getTimeSeriesSales({ groupBy: 'team' })).rejects.toBeInstanceOf(ValidationError);
+        await expect(salesService.getComparisonSales({ compare: 'lastWeek' })).rejects.toBeInstanceOf(ValidationError);
+        expect(() => salesService.applyRollingMetrics([], [], { rolling: 0 })).toThrow(ValidationError);
+      });
+
+      it('should reject filling gaps across too many windows before querying', async () => {
+        await expect(salesService.getTimeSeriesSales({
+          granularity: 'day',
+          startDate: '2000-01-01',
+          endDate: '2020-12-31',
+          fillGaps: true
+        })).rejects.toThrow('Too many day windows to fill gaps in: at most 3660');
+        expect(mockClient.query).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('groupBy none', () => {
+      it('should aggregate all sales per window without joining users or groups', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({ granularity: 'week', groupBy: 'none' });
+
+        const [query, params] = mockClient.query.mock.calls[0];
+        expect(query).not.toContain('JOIN');
+        expect(query).toContain('GROUP BY time_window');
+        expect(params).toEqual([]);
+      });
+
+      it('should still filter by user and by the groups users belonged to on the sale date', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({ granularity: 'week', groupBy: 'none', userId: '1', groupId: '2' });
+
+        const [query, params] = mockClient.query.mock.calls[0];
+        expect(query).not.toContain('JOIN');
+        expect(query).toContain('s.user_id = ANY($1::int[])');
+        expect(query).toContain('fg.group_id = ANY($2::int[])');
+        expect(query).toContain('fg.effective_to IS NULL OR fg.effective_to > s.date');
+        expect(params).toEqual([[1], [2]]);
+      });
+
+      it('should fill gaps in the single company-wide series', async () => {
+        mockClient.query.mockResolvedValue({
+          rows: [{ time_window: '2021-03-01T00:00:00.000Z', sale_count: '2', total_revenue: '300' }]
+        });
+
+        const result = await salesService.getTimeSeriesSales({
+          granularity: 'month',
+          groupBy: 'none',
+          startDate: '2021-01-01',
+          endDate: '2021-03-31',
+          fillGaps: true
+        });
+
+        expect(result).toHaveLength(3);
+        expect(result.filter(row => row.sale_count === 0)).toHaveLength(2);
+      });
+    });
+
+    describe('role and composite groupings', () => {
+      it('should group by role', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({ granularity: 'month', groupBy: 'role', userId: '1' });
+
+        const [query, params] = mockClient.query.mock.calls[0];
+        expect(query).toContain('u.role as role');
+        expect(query).toContain('GROUP BY time_window, window_end, u.role');
+        expect(query).not.toContain('JOIN user_groups');
+        expect(params).toEqual([[1]]);
+      });
+
+      it('should group by every listed dimension', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({ granularity: 'month', groupBy: 'group,role', groupId: '2' });
+
+        const [query, params] = mockClient.query.mock.calls[0];
+        expect(query).toContain('JOIN user_groups ug');
+        expect(query).toContain('GROUP BY time_window, window_end, g.id, g.name, u.role');
+        expect(params).toEqual([[2]]);
+      });
+
+      it('should group by ISO day of the week without joining users', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({ granularity: 'month', groupBy: 'dayOfWeek' });
+
+        const query = mockClient.query.mock.calls[0][0];
+        expect(query).toContain('EXTRACT(ISODOW FROM s.date)::int as day_of_week');
+        expect(query).not.toContain('JOIN');
+      });
+
+      it('should throw error for unknown dimensions', async () => {
+        await expect(
+          salesService.getTimeSeriesSales({ groupBy: 'user,hourOfDay' })
+        ).rejects.toThrow('Invalid groupBy: user,hourOfDay');
+      });
+    });
+
     describe('combined filters', () => {
       it('should apply all filters together', async () => {
         mockClient.query.mockResolvedValue({ rows: [] });
@@ -147,11 +314,330 @@ describe('SalesService', () => {
         const call = mockClient.query.mock.calls[0];
         expect(call[0]).toContain('s.date >= $1');
         expect(call[0]).toContain('s.date <= $2');
-        expect(call[0]).toContain('u.id = ANY($3::int[])');
+        expect(call[0]).toContain('s.user_id = ANY($3::int[])');
         expect(call[1]).toEqual(['2021-06-01', '2021-08-31', [5, 10, 15]]);
       });
     });
 
+    describe('scope', () => {
+      it('should limit the sales to those the caller may see', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({
+          granularity: 'day',
+          groupBy: 'user',
+          startDate: '2021-06-01',
+          userId: '5',
+          scope: { userId: 4, groupIds: [2] }
+        });
+
+        const [query, params] = mockClient.query.mock.calls[0];
+        expect(query).toContain('s.user_id = $2 OR EXISTS');
+        expect(query).toContain('scope_ug.group_id = ANY($3::int[])');
+        expect(query).toContain('s.user_id = ANY($4::int[])');
+        expect(params).toEqual(['2021-06-01', 4, [2], [5]]);
+      });
+
+      it('should cache results of different scopes separately', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({ granularity: 'day', groupBy: 'user', scope: { userId: 4, groupIds: [] } });
+        await salesService.getTimeSeriesSales({ granularity: 'day', groupBy: 'user', scope: { userId: 5, groupIds: [] } });
+
+        expect(mockClient.query).toHaveBeenCalledTimes(2);
+      });
+    });
+
+    describe('distribution metrics', () => {
+      it('should not query distribution metrics by default', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({ granularity: 'month', groupBy: 'user' });
+
+        const call = mockClient.query.mock.calls[0];
+        expect(call[0]).not.toContain('PERCENTILE_CONT');
+        expect(call[0]).not.toContain('histogram');
+      });
+
+      it('should query only the selected distribution metrics', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({
+          granularity: 'month',
+          groupBy: 'group',
+          metrics: ['totalRevenue', 'medianSale', 'stddevSale']
+        });
+
+        const call = mockClient.query.mock.calls[0];
+        expect(call[0]).toContain('PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY s.amount)::numeric, 2) as median_sale');
+        expect(call[0]).toContain('STDDEV_POP(s.amount), 2) as stddev_sale');
+        expect(call[0]).not.toContain('p90_sale');
+      });
+
+      it('should compute every distribution metric the options list', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({ granularity: 'month', groupBy: 'user', metrics: DISTRIBUTION_METRICS });
+
+        for (const metric of DISTRIBUTION_METRICS) {
+          const column = metric.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+          expect(mockClient.query.mock.calls[0][0]).toContain(`as ${column}`);
+        }
+      });
+
+      it('should parameterize histogram bucket bounds ahead of the filters', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({
+          granularity: 'month',
+          groupBy: 'user',
+          startDate: '2021-01-01',
+          metrics: ['histogram'],
+          histogramBuckets: [0, 10000]
+        });
+
+        const call = mockClient.query.mock.calls[0];
+        expect(call[0]).toContain('COUNT(s.id) FILTER (WHERE s.amount >= $1::int AND s.amount < $2::int)');
+        expect(call[0]).toContain('COUNT(s.id) FILTER (WHERE s.amount >= $3::int))');
+        expect(call[0]).toContain('s.date >= $4');
+        expect(call[1]).toEqual([0, 10000, 10000, '2021-01-01']);
+      });
+
+      it('should reject unknown metrics', async () => {
+        await expect(
+          salesService.getTimeSeriesSales({ granularity: 'month', groupBy: 'user', metrics: ['p99Sale'] })
+        ).rejects.toThrow('Invalid metrics: p99Sale');
+
+        expect(mockClient.query).not.toHaveBeenCalled();
+      });
+
+      it('should reject histogram buckets that are not ascending', async () => {
+        await expect(
+          salesService.getTimeSeriesSales({
+            granularity: 'month',
+            groupBy: 'user',
+            metrics: ['histogram'],
+            histogramBuckets: [100, 50]
+          })
+        ).rejects.toThrow('Invalid histogramBuckets');
+      });
+    });
+
+    describe('fillGaps', () => {
+      it('should add zero-valued rows for windows without sales', async () => {
+        mockClient.query.mockResolvedValue({
+          rows: [
+            {
+              time_window: new Date('2021-03-01T00:00:00.000Z'),
+              user_id: 1,
+              user_name: 'Alice',
+              user_role: 'Agent',
+              sale_count: '2',
+              total_revenue: '3000',
+              avg_revenue: '1500.00',
+              min_sale: '1000',
+              max_sale: '2000'
+            }
+          ]
+        });
+
+        const result = await salesService.getTimeSeriesSales({
+          granularity: 'month',
+          groupBy: 'user',
+          startDate: '2021-01-15',
+          endDate: '2021-03-31',
+          fillGaps: true
+        });
+
+        expect(result.map(row => row.time_window.toISOString())).toEqual([
+          '2021-03-01T00:00:00.000Z',
+          '2021-02-01T00:00:00.000Z',
+          '2021-01-01T00:00:00.000Z'
+        ]);
+        expect(result[1]).toEqual({
+          time_window: new Date('2021-02-01T00:00:00.000Z'),
+          user_id: 1,
+          user_name: 'Alice',
+          user_role: 'Agent',
+          sale_count: 0,
+          total_revenue: 0,
+          avg_revenue: 0,
+          min_sale: 0,
+          max_sale: 0,
+          window_end: '2021-02-28'
+        });
+      });
+
+      it('should not fill gaps unless requested', async () => {
+        const mockRows = [
+          { time_window: '2021-03-01T00:00:00.000Z', user_id: 1, total_revenue: '10' }
+        ];
+        mockClient.query.mockResolvedValue({ rows: mockRows });
+
+        const result = await salesService.getTimeSeriesSales({
+          granularity: 'month',
+          groupBy: 'user',
+          startDate: '2021-01-01'
+        });
+
+        expect(result).toEqual(mockRows);
+      });
+    });
+
+    describe('rollups', () => {
+      afterEach(() => {
+        delete process.env.SALES_ROLLUPS;
+      });
+
+      it('should answer the default metrics from the daily rollups', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({
+          granularity: 'month',
+          groupBy: 'user',
+          metrics: ['saleCount', 'totalRevenue', 'avgRevenue', 'minSale', 'maxSale', 'stddevSale']
+        });
+
+        const [query] = mockClient.query.mock.calls[0];
+        expect(query).toContain('FROM sales_daily_rollups s');
+        expect(query).toContain('SUM(s.total_amount) as total_revenue');
+        expect(query).toContain('ROUND(SUM(s.total_amount)::numeric / SUM(s.sale_count), 2) as avg_revenue');
+        expect(query).toContain('MIN(s.min_amount) as min_sale');
+        expect(query).toContain('MAX(s.max_amount) as max_sale');
+        expect(query).toContain('SUM(s.sum_of_squares) / SUM(s.sale_count)');
+      });
+
+      it('should split rollup totals between groups', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({ granularity: 'month', groupBy: 'group', attribution: 'split' });
+
+        const [query] = mockClient.query.mock.calls[0];
+        expect(query).toContain('FROM sales_daily_rollups s');
+        expect(query).toContain('ROUND(SUM(s.sale_count::numeric / shares.group_count), 2) as sale_count');
+        expect(query).toContain('ROUND(SUM(s.total_amount::numeric / shares.group_count), 2) as total_revenue');
+      });
+
+      it('should fall back to the sales table for metrics the rollups cannot answer', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({
+          granularity: 'month',
+          groupBy: 'user',
+          metrics: ['saleCount', 'medianSale']
+        });
+
+        const [query] = mockClient.query.mock.calls[0];
+        expect(query).toContain('FROM sales s');
+        expect(query).toContain('COUNT(s.id) as sale_count');
+        expect(query).toContain('MIN(s.amount) as min_sale');
+      });
+
+      it('should read the sales table when rollups are turned off', async () => {
+        process.env.SALES_ROLLUPS = 'off';
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({ granularity: 'month', groupBy: 'user' });
+
+        expect(mockClient.query.mock.calls[0][0]).toContain('FROM sales s');
+      });
+    });
+
+    describe('caching', () => {
+      it('should serve a repeated query from the cache', async () => {
+        mockClient.query.mockResolvedValue({ rows: [{ time_window: '2021-03-01', user_id: 1 }] });
+        const options = { granularity: 'month', groupBy: 'user', startDate: '2021-03-01' };
+
+        const first = await salesService.getTimeSeriesSales(options);
+        const second = await salesService.getTimeSeriesSales({ ...options });
+
+        expect(second).toBe(first);
+        expect(mockClient.query).toHaveBeenCalledTimes(1);
+      });
+
+      it('should query again when the options change the SQL or gap filling', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({ granularity: 'month', userId: '1' });
+        await salesService.getTimeSeriesSales({ granularity: 'month', userId: '2' });
+        await salesService.getTimeSeriesSales({ granularity: 'month', userId: '2', fillGaps: true });
+
+        expect(mockClient.query).toHaveBeenCalledTimes(3);
+      });
+
+      it('should query again after a sale in the range is written', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+        const options = { granularity: 'day', startDate: '2021-03-01', endDate: '2021-03-31' };
+
+        await salesService.getTimeSeriesSales(options);
+        await queryCache.invalidateDates(['2021-04-01']);
+        await salesService.getTimeSeriesSales(options);
+        await queryCache.invalidateDates(['2021-03-31']);
+        await salesService.getTimeSeriesSales(options);
+
+        expect(mockClient.query).toHaveBeenCalledTimes(2);
+      });
+    });
+
+    describe('calendars', () => {
+      it('should group quarters and years without extra SQL by default', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({ granularity: 'quarter', groupBy: 'none' });
+
+        const [query] = mockClient.query.mock.calls[0];
+        expect(query).toContain("to_char(DATE_TRUNC('quarter', s.date::timestamp), 'YYYY-MM-DD') as time_window");
+        expect(query).toContain("INTERVAL '3 months' - INTERVAL '1 day'");
+      });
+
+      it('should start weeks on the configured day', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({ granularity: 'week', groupBy: 'none', weekStart: 7 });
+
+        const [query] = mockClient.query.mock.calls[0];
+        expect(query).toContain("(DATE_TRUNC('week', s.date::timestamp + INTERVAL '1 days') - INTERVAL '1 days')");
+      });
+
+      it('should start quarters and years in the fiscal year\'s first month', async () => {
+        mockClient.query.mockResolvedValue({ rows: [] });
+
+        await salesService.getTimeSeriesSales({ granularity: 'year', groupBy: 'none', fiscalYearStart: 4 });
+
+        const [query] = mockClient.query.mock.calls[0];
+        expect(query).toContain("(DATE_TRUNC('year', s.date::timestamp + INTERVAL '9 months') - INTERVAL '9 months')");
+      });
+
+      it('should fill gaps with fiscal windows', async () => {
+        mockClient.query.mockResolvedValue({
+          rows: [{ time_window: '2021-02-01', window_end: '2021-04-30', sale_count: '1', total_revenue: '100' }]
+        });
+
+        const result = await salesService.getTimeSeriesSales({
+          granularity: 'quarter',
+          groupBy: 'none',
+          fiscalYearStart: 2,
+          startDate: '2021-01-15',
+          endDate: '2021-05-31',
+          fillGaps: true
+        });
+
+        expect(result.map(row => [windowKey(row.time_window), row.window_end])).toEqual([
+          [windowKey('2021-05-01'), '2021-07-31'],
+          [windowKey('2021-02-01'), '2021-04-30'],
+          [windowKey('2020-11-01'), '2021-01-31']
+        ]);
+      });
+
+      it('should reject invalid calendar options', async () => {
+        await expect(salesService.getTimeSeriesSales({ granularity: 'week', weekStart: 8 }))
+          .rejects.toThrow('Invalid weekStart: 8. Must be an integer between 1 (Monday) and 7 (Sunday)');
+        await expect(salesService.getTimeSeriesSales({ granularity: 'year', fiscalYearStart: 0 }))
+          .rejects.toThrow('Invalid fiscalYearStart: 0. Must be an integer between 1 and 12');
+        expect(mockClient.query).not.toHaveBeenCalled();
+      });
+    });
+
     describe('error handling', () => {
       it('should propagate database errors', async () => {
         const dbError = new Error('Database connection failed');
@@ -202,11 +688,344 @@ describe('SalesService', () => {
     });
   });
 
+  describe('streamTimeSeriesSales', () => {
+    it('should run the timeseries query as a stream', () => {
+      const stream = {};
+      mockClient.stream = jest.fn().mockReturnValue(stream);
+
+      const result = salesService.streamTimeSeriesSales({
+        granularity: 'week',
+        groupBy: 'user',
+        startDate: '2021-01-01'
+      });
+
+      expect(result).toBe(stream);
+      const [queryStream] = mockClient.stream.mock.calls[0];
+      expect(queryStream.cursor.text).toContain("DATE_TRUNC('week'");
+      expect(queryStream.cursor.values).toEqual(['2021-01-01']);
+    });
+
+    it('should validate options before querying', () => {
+      expect(() => salesService.streamTimeSeriesSales({ granularity: 'hour' })).toThrow('Invalid granularity');
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('fillTimeSeriesGaps', () => {
+    it('should give every entity the same aligned windows', () => {
+      const rows = [
+        { time_window: '2021-06-14T00:00:00.000Z', group_id: 1, group_name: 'North', total_revenue: '500' },
+        { time_window: '2021-06-28T00:00:00.000Z', group_id: 2, group_name: 'West', total_revenue: '700' }
+      ];
+
+      const result = salesService.fillTimeSeriesGaps(rows, { granularity: 'week', groupBy: 'group' });
+
+      expect(result).toHaveLength(6);
+      const windowsFor = id => result
+        .filter(row => row.group_id === id)
+        .map(row => new Date(row.time_window).toISOString());
+      expect(windowsFor(1)).toEqual([
+        '2021-06-28T00:00:00.000Z',
+        '2021-06-21T00:00:00.000Z',
+        '2021-06-14T00:00:00.000Z'
+      ]);
+      expect(windowsFor(2)).toEqual(windowsFor(1));
+      expect(result.find(row => row.group_id === 2 && row.sale_count === 0).group_name).toBe('West');
+    });
+
+    it('should keep composite entities apart', () => {
+      const rows = [
+        { time_window: '2021-06-01T00:00:00.000Z', group_id: 1, role: 'Admin', total_revenue: '500' },
+        { time_window: '2021-07-01T00:00:00.000Z', group_id: 1, role: 'Retail Agent', total_revenue: '700' }
+      ];
+
+      const result = salesService.fillTimeSeriesGaps(rows, { granularity: 'month', groupBy: 'group,role' });
+
+      expect(result).toHaveLength(4);
+      expect(result.filter(row => row.role === 'Admin')).toHaveLength(2);
+    });
+
+    it('should only fill days that fall on the row\'s day of the week', () => {
+      const rows = [{ time_window: '2021-08-02T00:00:00.000Z', day_of_week: 1, total_revenue: '500' }];
+
+      const result = salesService.fillTimeSeriesGaps(rows, {
+        granularity: 'day',
+        groupBy: 'dayOfWeek',
+        startDate: '2021-08-01',
+        endDate: '2021-08-16'
+      });
+
+      expect(result.map(row => new Date(row.time_window).toISOString().slice(0, 10)))
+        .toEqual(['2021-08-16', '2021-08-09', '2021-08-02']);
+    });
+
+    it('should reject ranges with too many windows to fill', () => {
+      const rows = [{ time_window: '2000-01-01T00:00:00.000Z', user_id: 1, total_revenue: '500' }];
+
+      expect(() => salesService.fillTimeSeriesGaps(rows, {
+        granularity: 'day',
+        groupBy: 'user',
+        startDate: '2000-01-01',
+        endDate: '2020-12-31'
+      })).toThrow(ValidationError);
+      expect(salesService.fillTimeSeriesGaps(rows, {
+        granularity: 'month',
+        groupBy: 'user',
+        startDate: '2000-01-01',
+        endDate: '2020-12-31'
+      })).toHaveLength(252);
+    });
+
+    it('should return an empty result unchanged', () => {
+      expect(salesService.fillTimeSeriesGaps([], {
+        granularity: 'day',
+        groupBy: 'user',
+        startDate: '2021-01-01',
+        endDate: '2021-01-31'
+      })).toEqual([]);
+    });
+  });
+
+  describe('getComparisonSales', () => {
+    it('should shift the date range back by one window for previous', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await salesService.getComparisonSales({
+        granularity: 'month',
+        groupBy: 'user',
+        startDate: '2021-06-15',
+        endDate: '2021-08-10',
+        compare: 'previous'
+      });
+
+      expect(mockClient.query.mock.calls[0][1]).toEqual(['2021-05-01', '2021-07-31']);
+    });
+
+    it('should shift the date range back one year for yoy', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await salesService.getComparisonSales({
+        granularity: 'month',
+        groupBy: 'group',
+        startDate: '2021-06-01',
+        endDate: '2021-08-31',
+        compare: 'yoy'
+      });
+
+      expect(mockClient.query.mock.calls[0][1]).toEqual(['2020-06-01', '2020-08-31']);
+    });
+
+    it('should reject invalid compare values', async () => {
+      await expect(
+        salesService.getComparisonSales({ granularity: 'month', compare: 'decade' })
+      ).rejects.toThrow('Invalid compare');
+
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyComparison', () => {
+    const current = {
+      timeWindow: '2021-08-01T00:00:00.000Z',
+      userId: 1,
+      metrics: { saleCount: 4, totalRevenue: 1200, avgRevenue: 300, minSale: 100, maxSale: 500 }
+    };
+
+    it('should attach previous metrics and deltas', () => {
+      const previous = {
+        timeWindow: new Date('2021-07-01T00:00:00.000Z'),
+        userId: 1,
+        metrics: { saleCount: 2, totalRevenue: 1000, avgRevenue: 500, minSale: 400, maxSale: 600 }
+      };
+
+      const [result] = salesService.applyComparison([current], [previous], {
+        granularity: 'month',
+        groupBy: 'user',
+        compare: 'previous'
+      });
+
+      expect(result.metrics).toEqual(current.metrics);
+      expect(result.comparison).toEqual({
+        timeWindow: new Date('2021-07-01T00:00:00.000Z'),
+        hasSales: true,
+        metrics: { saleCount: 2, totalRevenue: 1000, avgRevenue: 500 },
+        deltas: {
+          saleCount: { change: 2, percentChange: 100 },
+          totalRevenue: { change: 200, percentChange: 20 },
+          avgRevenue: { change: -200, percentChange: -40 }
+        }
+      });
+    });
+
+    it('should treat a comparison window without sales as zero', () => {
+      const otherUser = {
+        timeWindow: '2020-08-01T00:00:00.000Z',
+        userId: 2,
+        metrics: { saleCount: 1, totalRevenue: 10, avgRevenue: 10, minSale: 10, maxSale: 10 }
+      };
+
+      const [result] = salesService.applyComparison([current], [otherUser], {
+        granularity: 'month',
+        groupBy: 'user',
+        compare: 'yoy'
+      });
+
+      expect(result.comparison.hasSales).toBe(false);
+      expect(result.comparison.metrics).toEqual({ saleCount: 0, totalRevenue: 0, avgRevenue: 0 });
+      expect(result.comparison.deltas.totalRevenue).toEqual({ change: 1200, percentChange: null });
+    });
+  });
+
+  describe('getLookbackSales', () => {
+    it('should fetch the windows a rolling average needs before startDate', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await salesService.getLookbackSales({
+        granularity: 'day',
+        groupBy: 'user',
+        startDate: '2021-08-10',
+        endDate: '2021-08-31',
+        rolling: 7
+      });
+
+      expect(mockClient.query.mock.calls[0][1]).toEqual(['2021-08-04', '2021-08-09']);
+    });
+
+    it('should fetch from the start of the year for cumulative totals', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await salesService.getLookbackSales({
+        granularity: 'month',
+        groupBy: 'group',
+        startDate: '2021-06-01',
+        rolling: 2,
+        cumulative: true
+      });
+
+      expect(mockClient.query.mock.calls[0][1]).toEqual(['2021-01-01', '2021-05-31']);
+    });
+
+    it('should fetch from the start of the fiscal year for cumulative totals', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await salesService.getLookbackSales({
+        granularity: 'month',
+        groupBy: 'group',
+        startDate: '2021-03-01',
+        cumulative: true,
+        fiscalYearStart: 4
+      });
+
+      expect(mockClient.query.mock.calls[0][1]).toEqual(['2020-04-01', '2021-02-28']);
+    });
+
+    it('should not query without a startDate', async () => {
+      const result = await salesService.getLookbackSales({ granularity: 'day', rolling: 7 });
+
+      expect(result).toEqual([]);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid rolling values', async () => {
+      await expect(
+        salesService.getLookbackSales({ granularity: 'day', startDate: '2021-08-10', rolling: 1.5 })
+      ).rejects.toThrow('Invalid rolling');
+    });
+  });
+
+  describe('applyRollingMetrics', () => {
+    const item = (timeWindow, saleCount, totalRevenue) => ({
+      timeWindow,
+      userId: 1,
+      metrics: { saleCount, totalRevenue, avgRevenue: totalRevenue / saleCount }
+    });
+
+    it('should compute moving sums and averages treating missing windows as zero', () => {
+      const data = [
+        item('2021-08-04T00:00:00.000Z', 1, 300),
+        item('2021-08-02T00:00:00.000Z', 2, 200)
+      ];
+      const history = [item('2021-08-01T00:00:00.000Z', 1, 100)];
+
+      const result = salesService.applyRollingMetrics(data, history, {
+        granularity: 'day',
+        groupBy: 'user',
+        rolling: 3
+      });
+
+      // 2021-08-04 covers 08-02..08-04; 08-03 had no sales
+      expect(result[0].rolling).toEqual({
+        windows: 3,
+        sum: { saleCount: 3, totalRevenue: 500 },
+        average: { saleCount: 1, totalRevenue: 166.67 }
+      });
+      expect(result[1].rolling.sum).toEqual({ saleCount: 3, totalRevenue: 300 });
+      expect(result[0]).not.toHaveProperty('cumulative');
+    });
+
+    it('should compute month-to-date and year-to-date running totals', () => {
+      const data = [
+        item('2021-02-02T00:00:00.000Z', 1, 50),
+        item('2021-02-01T00:00:00.000Z', 2, 20)
+      ];
+      const history = [
+        item('2020-12-31T00:00:00.000Z', 5, 999),
+        item('2021-01-15T00:00:00.000Z', 3, 30)
+      ];
+
+      const result = salesService.applyRollingMetrics(data, history, {
+        granularity: 'day',
+        groupBy: 'user',
+        cumulative: true
+      });
+
+      expect(result[0].cumulative).toEqual({
+        monthToDate: { saleCount: 3, totalRevenue: 70 },
+        yearToDate: { saleCount: 6, totalRevenue: 100 }
+      });
+      expect(result[1].cumulative.monthToDate).toEqual({ saleCount: 2, totalRevenue: 20 });
+    });
+
+    it('should start year-to-date totals in the fiscal year\'s first month', () => {
+      const result = salesService.applyRollingMetrics(
+        [item('2021-04-02T00:00:00.000Z', 1, 50)],
+        [item('2021-03-31T00:00:00.000Z', 5, 999), item('2021-04-01T00:00:00.000Z', 2, 20)],
+        { granularity: 'day', groupBy: 'user', cumulative: true, fiscalYearStart: 4 }
+      );
+
+      expect(result[0].cumulative.yearToDate).toEqual({ saleCount: 3, totalRevenue: 70 });
+    });
+
+    it('should combine history and data that share a boundary window', () => {
+      const result = salesService.applyRollingMetrics(
+        [item('2021-08-01T00:00:00.000Z', 1, 100)],
+        [item('2021-08-01T00:00:00.000Z', 2, 40)],
+        { granularity: 'month', groupBy: 'user', rolling: 1 }
+      );
+
+      expect(result[0].metrics.totalRevenue).toBe(100);
+      expect(result[0].rolling.sum).toEqual({ saleCount: 3, totalRevenue: 140 });
+    });
+
+    it('should treat groupBy=none as a single series', () => {
+      const total = (timeWindow, saleCount, totalRevenue) => ({ timeWindow, metrics: { saleCount, totalRevenue } });
+
+      const result = salesService.applyRollingMetrics(
+        [total('2021-08-02T00:00:00.000Z', 1.5, 100.25), total('2021-08-01T00:00:00.000Z', 0.5, 40.1)],
+        [],
+        { granularity: 'day', groupBy: 'none', rolling: 2 }
+      );
+
+      expect(result[0].rolling.sum).toEqual({ saleCount: 2, totalRevenue: 140.35 });
+    });
+  });
+
   describe('formatTimeSeriesData', () => {
     it('should format user-grouped data correctly', () => {
       const mockRows = [
         {
-          time_window: '2021-12-01T00:00:00.000Z',
+          time_window: '2021-12-01',
+          window_end: '2021-12-31',
           user_id: 1,
           user_name: 'Alice',
           user_role: 'Agent',
@@ -223,6 +1042,8 @@ describe('SalesService', () => {
       expect(result).toHaveLength(1);
       expect(result[0]).toEqual({
         timeWindow: '2021-12-01T00:00:00.000Z',
+        windowStart: '2021-12-01',
+        windowEnd: '2021-12-31',
         userId: 1,
         userName: 'Alice',
         userRole: 'Agent',
@@ -236,10 +1057,38 @@ describe('SalesService', () => {
       });
     });
 
-    it('should format group-grouped data correctly', () => {
+    it('should include distribution metrics present in the rows', () => {
+      const histogram = [{ from: 0, to: 10000, count: 2 }, { from: 10000, to: null, count: 0 }];
       const mockRows = [
         {
           time_window: '2021-12-01T00:00:00.000Z',
+          user_id: 1,
+          user_name: 'Alice',
+          user_role: 'Agent',
+          sale_count: '2',
+          total_revenue: '3000',
+          avg_revenue: '1500.00',
+          min_sale: '1000',
+          max_sale: '2000',
+          median_sale: '1500.00',
+          stddev_sale: '500.00',
+          histogram
+        }
+      ];
+
+      const [result] = salesService.formatTimeSeriesData(mockRows, 'user');
+
+      expect(result.metrics.medianSale).toBe(1500);
+      expect(result.metrics.stddevSale).toBe(500);
+      expect(result.metrics.histogram).toEqual(histogram);
+      expect(result.metrics).not.toHaveProperty('p90Sale');
+    });
+
+    it('should format group-grouped data correctly', () => {
+      const mockRows = [
+        {
+          time_window: '2021-10-01',
+          window_end: '2021-12-31',
           group_id: 1,
           group_name: 'Sales Team',
           sale_count: '50',
@@ -254,7 +1103,9 @@ describe('SalesService', () => {
 
       expect(result).toHaveLength(1);
       expect(result[0]).toEqual({
-        timeWindow: '2021-12-01T00:00:00.000Z',
+        timeWindow: '2021-10-01T00:00:00.000Z',
+        windowStart: '2021-10-01',
+        windowEnd: '2021-12-31',
         groupId: 1,
         groupName: 'Sales Team',
         metrics: {
@@ -270,4 +1121,95 @@ describe('SalesService', () => {
       expect(result[0]).not.toHaveProperty('userRole');
     });
   });
+
+  describe('formatTimeSeriesData with split attribution and groupBy none', () => {
+    it('should keep fractional counts and revenue', () => {
+      const result = salesService.formatTimeSeriesData([{
+        time_window: '2021-12-01T00:00:00.000Z',
+        group_id: 1,
+        group_name: 'North',
+        sale_count: '1.50',
+        total_revenue: '750.50',
+        avg_revenue: '500.33',
+        min_sale: '100',
+        max_sale: '900'
+      }], 'group');
+
+      expect(result[0].metrics.saleCount).toBe(1.5);
+      expect(result[0].metrics.totalRevenue).toBe(750.5);
+    });
+
+    it('should return the fields of every dimension', () => {
+      const result = salesService.formatTimeSeriesData([{
+        time_window: '2021-12-01T00:00:00.000Z',
+        group_id: 1,
+        group_name: 'North',
+        role: 'Admin',
+        day_of_week: 5,
+        sale_count: '3',
+        total_revenue: '900',
+        avg_revenue: '300.00',
+        min_sale: '100',
+        max_sale: '500'
+      }], 'group,role,dayOfWeek');
+
+      expect(result[0]).toMatchObject({ groupId: 1, groupName: 'North', role: 'Admin', dayOfWeek: 5 });
+    });
+
+    it('should return no entity fields for groupBy=none', () => {
+      const result = salesService.formatTimeSeriesData([{
+        time_window: '2021-12-01T00:00:00.000Z',
+        sale_count: '3',
+        total_revenue: '900',
+        avg_revenue: '300.00',
+        min_sale: '100',
+        max_sale: '500'
+      }], 'none');
+
+      expect(Object.keys(result[0])).toEqual(['timeWindow', 'windowStart', 'windowEnd', 'metrics']);
+    });
+  });
+
+  describe('selectMetrics', () => {
+    const data = [{
+      timeWindow: '2021-12-01T00:00:00.000Z',
+      userId: 1,
+      metrics: { saleCount: 2, totalRevenue: 3000, avgRevenue: 1500, medianSale: 1500 }
+    }];
+
+    it('should keep only the selected metrics', () => {
+      const [result] = salesService.selectMetrics(data, ['medianSale', 'saleCount']);
+
+      expect(result.metrics).toEqual({ medianSale: 1500, saleCount: 2 });
+      expect(result.userId).toBe(1);
+    });
+
+    it('should return data unchanged without a selection', () => {
+      expect(salesService.selectMetrics(data)).toBe(data);
+    });
+  });
+
+  describe('localizeTimeWindows', () => {
+    const data = [{
+      timeWindow: '2021-07-01T00:00:00.000Z',
+      windowStart: '2021-07-01',
+      windowEnd: '2021-07-31',
+      userId: 1,
+      metrics: {},
+      comparison: { timeWindow: '2021-06-01T00:00:00.000Z', metrics: {} }
+    }];
+
+    it('should move windows to midnight in the time zone', () => {
+      const [result] = salesService.localizeTimeWindows(data, 'America/New_York');
+
+      expect(result.timeWindow).toBe('2021-07-01T04:00:00.000Z');
+      expect(result.comparison.timeWindow).toBe('2021-06-01T04:00:00.000Z');
+      expect(result.windowStart).toBe('2021-07-01');
+      expect(result.windowEnd).toBe('2021-07-31');
+    });
+
+    it('should return data unchanged for UTC', () => {
+      expect(salesService.localizeTimeWindows(data, 'UTC')).toBe(data);
+    });
+  });
 });
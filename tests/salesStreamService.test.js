@@ -0,0 +1,304 @@
+'use strict';
+
+const salesStreamService = require('../services/salesStreamService');
+const salesService = require('../services/salesService');
+const salesChangeFeed = require('../services/salesChangeFeed');
+
+jest.mock('../services/salesService');
+jest.mock('../services/salesChangeFeed');
+
+describe('salesStreamService', () => {
+  const monthly = {
+    granularity: 'month',
+    timezone: 'UTC',
+    weekStart: 1,
+    fiscalYearStart: 1,
+    groupBy: 'user',
+    attribution: 'full',
+    startDate: '2021-06-15'
+  };
+
+  // Rows getTimeSeriesSales returns, by the first day of the window they were asked for
+  let rowsByWindow;
+  let subscriber;
+  let unsubscribe;
+  let handlers;
+
+  /**
+   * Builds a timeseries row as getTimeSeriesSales returns it
+   */
+  const row = (timeWindow, windowEnd, revenue) => ({
+    time_window: timeWindow,
+    window_end: windowEnd,
+    user_id: 1,
+    user_name: 'Ana',
+    user_role: 'Sales Rep',
+    sale_count: '1',
+    total_revenue: String(revenue),
+    avg_revenue: String(revenue),
+    min_sale: String(revenue),
+    max_sale: String(revenue)
+  });
+
+  // Lets queued batches run
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  const events = () => handlers.onEvent.mock.calls.map(([event]) => event);
+
+  beforeEach(() => {
+    rowsByWindow = {
+      '2021-06-01': [row('2021-06-01', '2021-06-30', 500)],
+      '2021-07-01': [row('2021-07-01', '2021-07-31', 700)]
+    };
+    salesService.getTimeSeriesSales.mockImplementation(async ({ startDate, endDate }) => (
+      Object.entries(rowsByWindow)
+        .filter(([windowStart]) => (!endDate || windowStart <= endDate) && windowStart >= startDate.slice(0, 8) + '01')
+        .flatMap(([, rows]) => rows)
+    ));
+    const actual = jest.requireActual('../services/salesService');
+    salesService.formatTimeSeriesData.mockImplementation(actual.formatTimeSeriesData);
+    salesService.selectMetrics.mockImplementation(actual.selectMetrics);
+    salesService.localizeTimeWindows.mockImplementation(data => data);
+
+    unsubscribe = jest.fn();
+    salesChangeFeed.subscribe.mockImplementation(async callbacks => {
+      subscriber = callbacks;
+      return { position: '100', unsubscribe };
+    });
+    salesChangeFeed.canResume.mockResolvedValue(true);
+    handlers = { onEvent: jest.fn(), onEnd: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('changedWindows', () => {
+    it('should list each window with changes once, in order', () => {
+      const changes = [
+        { userId: 1, date: '2021-08-11' },
+        { userId: 2, date: '2021-08-03' },
+        { userId: 1, date: '2021-08-01' }
+      ];
+
+      expect(salesStreamService.changedWindows(changes, { granularity: 'week', weekStart: 7 }))
+        .toEqual(['2021-08-01', '2021-08-08']);
+    });
+
+    it('should skip changes outside the date range', () => {
+      const changes = [
+        { userId: 1, date: '2021-03-31' },
+        { userId: 1, date: '2021-04-01' },
+        { userId: 1, date: '2022-01-01' }
+      ];
+
+      expect(salesStreamService.changedWindows(changes, {
+        granularity: 'quarter',
+        fiscalYearStart: 2,
+        startDate: '2021-04-01',
+        endDate: '2021-12-31'
+      })).toEqual(['2021-02-01']);
+    });
+  });
+
+  describe('getWindowSales', () => {
+    it('should query the part of the window within the date range', async () => {
+      await salesStreamService.getWindowSales({ ...monthly, metrics: ['totalRevenue'] }, '2021-06-01');
+
+      expect(salesService.getTimeSeriesSales).toHaveBeenCalledWith(expect.objectContaining({
+        granularity: 'month',
+        startDate: '2021-06-15',
+        endDate: '2021-06-30'
+      }));
+      expect(salesService.selectMetrics).toHaveBeenCalledWith(expect.any(Array), ['totalRevenue']);
+    });
+  });
+
+  describe('openStream', () => {
+    it('should start with a snapshot of the timeseries', async () => {
+      await salesStreamService.openStream(monthly, handlers);
+
+      expect(events()).toEqual([{
+        id: '100',
+        event: 'snapshot',
+        data: {
+          granularity: 'month',
+          calendar: { timezone: 'UTC', weekStart: 1, fiscalYearStart: 1 },
+          groupBy: 'user',
+          filters: { startDate: '2021-06-15', endDate: null, userId: null, groupId: null },
+          data: [
+            expect.objectContaining({ windowStart: '2021-06-01', metrics: expect.objectContaining({ saleCount: 1 }) }),
+            expect.objectContaining({ windowStart: '2021-07-01', metrics: expect.objectContaining({ saleCount: 1 }) })
+          ]
+        }
+      }]);
+    });
+
+    it('should send the windows whose results changed', async () => {
+      await salesStreamService.openStream(monthly, handlers);
+      rowsByWindow['2021-07-01'] = [row('2021-07-01', '2021-07-31', 900)];
+      rowsByWindow['2021-08-01'] = [row('2021-08-01', '2021-08-31', 100)];
+
+      subscriber.onChanges({
+        position: '104',
+        changes: [{ userId: 1, date: '2021-07-20' }, { userId: 1, date: '2021-08-02' }]
+      });
+      await flush();
+
+      expect(events().slice(1)).toEqual([
+        {
+          id: '104',
+          event: 'window',
+          data: {
+            windowStart: '2021-07-01',
+            windowEnd: '2021-07-31',
+            data: [expect.objectContaining({ metrics: expect.objectContaining({ totalRevenue: 900 }) })]
+          }
+        },
+        {
+          id: '104',
+          event: 'window',
+          data: {
+            windowStart: '2021-08-01',
+            windowEnd: '2021-08-31',
+            data: [expect.objectContaining({ metrics: expect.objectContaining({ totalRevenue: 100 }) })]
+          }
+        }
+      ]);
+    });
+
+    it('should skip windows whose results did not change', async () => {
+      await salesStreamService.openStream(monthly, handlers);
+
+      // A change to another user's sales, before the range, and in a window without sales before or after
+      subscriber.onChanges({
+        position: '104',
+        changes: [
+          { userId: 9, date: '2021-06-20' },
+          { userId: 1, date: '2021-06-01' },
+          { userId: 9, date: '2021-09-01' }
+        ]
+      });
+      await flush();
+
+      expect(events()).toHaveLength(1);
+    });
+
+    it('should send an emptied window', async () => {
+      await salesStreamService.openStream(monthly, handlers);
+      delete rowsByWindow['2021-07-01'];
+
+      subscriber.onChanges({ position: '104', changes: [{ userId: 1, date: '2021-07-20' }] });
+      await flush();
+
+      expect(events()[1]).toEqual({
+        id: '104',
+        event: 'window',
+        data: { windowStart: '2021-07-01', windowEnd: '2021-07-31', data: [] }
+      });
+    });
+
+    it('should send a new snapshot when many windows changed', async () => {
+      await salesStreamService.openStream({ ...monthly, granularity: 'day' }, handlers);
+
+      const changes = Array.from({ length: 21 }, (_, day) => ({
+        userId: 1,
+        date: `2021-07-${String(day + 1).padStart(2, '0')}`
+      }));
+      subscriber.onChanges({ position: '104', changes });
+      await flush();
+
+      expect(events().map(({ id, event }) => [id, event])).toEqual([['100', 'snapshot'], ['104', 'snapshot']]);
+    });
+
+    it('should skip batches the first event already covers', async () => {
+      salesChangeFeed.subscribe.mockImplementation(async callbacks => {
+        callbacks.onChanges({ position: '98', changes: [{ userId: 1, date: '2021-07-20' }] });
+        return { position: '100', unsubscribe };
+      });
+
+      await salesStreamService.openStream(monthly, handlers);
+      await flush();
+
+      expect(events().map(({ event }) => event)).toEqual(['snapshot']);
+    });
+
+    it('should resume with the windows changed since the last event', async () => {
+      salesChangeFeed.readChanges.mockResolvedValue({
+        position: '102',
+        changes: [{ userId: 1, date: '2021-07-04' }]
+      });
+
+      await salesStreamService.openStream(monthly, { ...handlers, lastEventId: '90' });
+
+      expect(salesChangeFeed.canResume).toHaveBeenCalledWith('90');
+      expect(salesChangeFeed.readChanges).toHaveBeenCalledWith('90');
+      expect(events()).toEqual([{
+        id: '102',
+        event: 'window',
+        data: expect.objectContaining({ windowStart: '2021-07-01', data: [expect.any(Object)] })
+      }]);
+    });
+
+    it('should send a snapshot when the changes since the last event are no longer kept', async () => {
+      salesChangeFeed.canResume.mockResolvedValue(false);
+
+      await salesStreamService.openStream(monthly, { ...handlers, lastEventId: '90' });
+
+      expect(salesChangeFeed.readChanges).not.toHaveBeenCalled();
+      expect(events().map(({ id, event }) => [id, event])).toEqual([['100', 'snapshot']]);
+    });
+
+    it('should send a snapshot for an event ID from beyond the feed', async () => {
+      await salesStreamService.openStream(monthly, { ...handlers, lastEventId: '500' });
+
+      expect(salesChangeFeed.canResume).not.toHaveBeenCalled();
+      expect(events().map(({ id, event }) => [id, event])).toEqual([['100', 'snapshot']]);
+    });
+
+    it('should stop following changes once closed', async () => {
+      const stream = await salesStreamService.openStream(monthly, handlers);
+
+      stream.close();
+      subscriber.onChanges({ position: '104', changes: [{ userId: 1, date: '2021-07-20' }] });
+      await flush();
+
+      expect(unsubscribe).toHaveBeenCalledTimes(1);
+      expect(events()).toHaveLength(1);
+      expect(handlers.onEnd).not.toHaveBeenCalled();
+    });
+
+    it('should end when the feed closes', async () => {
+      await salesStreamService.openStream(monthly, handlers);
+
+      subscriber.onClose();
+
+      expect(handlers.onEnd).toHaveBeenCalledTimes(1);
+      expect(unsubscribe).toHaveBeenCalled();
+    });
+
+    it('should reject and stop following changes when the first event fails', async () => {
+      const error = new Error('connection refused');
+      salesService.getTimeSeriesSales.mockRejectedValue(error);
+
+      await expect(salesStreamService.openStream(monthly, handlers)).rejects.toBe(error);
+
+      expect(unsubscribe).toHaveBeenCalled();
+      expect(handlers.onEvent).not.toHaveBeenCalled();
+    });
+
+    it('should end when a later event fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      await salesStreamService.openStream(monthly, handlers);
+      salesService.getTimeSeriesSales.mockRejectedValue(new Error('connection refused'));
+
+      subscriber.onChanges({ position: '104', changes: [{ userId: 1, date: '2021-07-20' }] });
+      await flush();
+
+      expect(console.error).toHaveBeenCalled();
+      expect(handlers.onEnd).toHaveBeenCalledTimes(1);
+      expect(unsubscribe).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+const { salesScopeSql } = require('../services/scope');
+
+describe('scope', () => {
+  describe('salesScopeSql', () => {
+    it('should not restrict unscoped callers', () => {
+      const params = ['2021-01-01'];
+
+      expect(salesScopeSql(undefined, params)).toBe('');
+      expect(params).toEqual(['2021-01-01']);
+    });
+
+    it('should limit agents to their own sales', () => {
+      const params = ['2021-01-01'];
+
+      expect(salesScopeSql({ userId: 7, groupIds: [] }, params)).toBe(' AND s.user_id = $2');
+      expect(params).toEqual(['2021-01-01', 7]);
+    });
+
+    it('should add sales by members of managed groups while they were members', () => {
+      const params = [];
+
+      const sql = salesScopeSql({ userId: 4, groupIds: [1, 3] }, params, 'r');
+
+      expect(sql).toMatch(/^ AND \(r\.user_id = \$1 OR EXISTS \(/);
+      expect(sql).toContain('scope_ug.user_id = r.user_id AND scope_ug.group_id = ANY($2::int[])');
+      expect(sql).toContain('scope_ug.effective_from <= r.date');
+      expect(sql).toContain('scope_ug.effective_to > r.date');
+      expect(params).toEqual([4, [1, 3]]);
+    });
+  });
+});
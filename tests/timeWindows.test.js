@@ -0,0 +1,204 @@
+'use strict';
+
+const {
+  truncateToWindow,
+  addWindows,
+  windowEnd,
+  addDays,
+  comparisonWindow,
+  toDateString,
+  isValidDateString,
+  isValidTimeZone,
+  startOfDayIn,
+  listWindows,
+  windowKey
+} = require('../services/timeWindows');
+
+describe('timeWindows', () => {
+  describe('truncateToWindow', () => {
+    it('should truncate to the start of the day', () => {
+      expect(truncateToWindow('2021-08-17T15:30:00.000Z', 'day').toISOString())
+        .toBe('2021-08-17T00:00:00.000Z');
+    });
+
+    it('should truncate to Monday like Postgres DATE_TRUNC', () => {
+      // 2021-08-22 is a Sunday
+      expect(truncateToWindow('2021-08-22', 'week').toISOString())
+        .toBe('2021-08-16T00:00:00.000Z');
+      expect(truncateToWindow('2021-08-16', 'week').toISOString())
+        .toBe('2021-08-16T00:00:00.000Z');
+    });
+
+    it('should truncate to the first of the month', () => {
+      expect(truncateToWindow('2021-08-31', 'month').toISOString())
+        .toBe('2021-08-01T00:00:00.000Z');
+    });
+
+    it('should truncate to the configured first day of the week', () => {
+      // weekStart 7 starts weeks on Sunday
+      expect(truncateToWindow('2021-08-21', 'week', { weekStart: 7 }).toISOString())
+        .toBe('2021-08-15T00:00:00.000Z');
+      expect(truncateToWindow('2021-08-22', 'week', { weekStart: 7 }).toISOString())
+        .toBe('2021-08-22T00:00:00.000Z');
+    });
+
+    it('should truncate to calendar quarters and years', () => {
+      expect(truncateToWindow('2021-08-31', 'quarter').toISOString()).toBe('2021-07-01T00:00:00.000Z');
+      expect(truncateToWindow('2021-08-31', 'year').toISOString()).toBe('2021-01-01T00:00:00.000Z');
+    });
+
+    it('should truncate to fiscal quarters and years', () => {
+      const fiscal = { fiscalYearStart: 4 };
+
+      expect(truncateToWindow('2021-03-31', 'quarter', fiscal).toISOString()).toBe('2021-01-01T00:00:00.000Z');
+      expect(truncateToWindow('2021-05-15', 'quarter', fiscal).toISOString()).toBe('2021-04-01T00:00:00.000Z');
+      expect(truncateToWindow('2021-03-31', 'year', fiscal).toISOString()).toBe('2020-04-01T00:00:00.000Z');
+      expect(truncateToWindow('2021-04-01', 'year', fiscal).toISOString()).toBe('2021-04-01T00:00:00.000Z');
+    });
+
+    it('should reject unknown granularities', () => {
+      expect(() => truncateToWindow('2021-08-31', 'fortnight')).toThrow('Invalid granularity');
+    });
+  });
+
+  describe('addWindows', () => {
+    it('should move across month and year boundaries', () => {
+      expect(addWindows(new Date('2021-12-01'), 'month', 1).toISOString())
+        .toBe('2022-01-01T00:00:00.000Z');
+      expect(addWindows(new Date('2021-01-01'), 'month', -1).toISOString())
+        .toBe('2020-12-01T00:00:00.000Z');
+    });
+
+    it('should move by quarters and years', () => {
+      expect(addWindows(new Date('2021-11-01'), 'quarter', 1).toISOString())
+        .toBe('2022-02-01T00:00:00.000Z');
+      expect(addWindows(new Date('2021-04-01'), 'year', -1).toISOString())
+        .toBe('2020-04-01T00:00:00.000Z');
+    });
+
+    it('should move by whole weeks and days', () => {
+      expect(addWindows(new Date('2021-08-16'), 'week', 2).toISOString())
+        .toBe('2021-08-30T00:00:00.000Z');
+      expect(addWindows(new Date('2021-03-01'), 'day', -1).toISOString())
+        .toBe('2021-02-28T00:00:00.000Z');
+    });
+  });
+
+  describe('windowEnd', () => {
+    it('should return the last day of the window', () => {
+      expect(toDateString(windowEnd('2021-08-15T00:00:00.000Z', 'week'))).toBe('2021-08-21');
+      expect(toDateString(windowEnd('2020-02-01T00:00:00.000Z', 'month'))).toBe('2020-02-29');
+      expect(toDateString(windowEnd('2021-11-01T00:00:00.000Z', 'quarter'))).toBe('2022-01-31');
+      expect(toDateString(windowEnd('2021-04-01T00:00:00.000Z', 'year'))).toBe('2022-03-31');
+    });
+  });
+
+  describe('addDays', () => {
+    it('should move across month boundaries', () => {
+      expect(addDays('2021-03-01', -1).toISOString()).toBe('2021-02-28T00:00:00.000Z');
+    });
+  });
+
+  describe('comparisonWindow', () => {
+    it('should return the previous window', () => {
+      expect(comparisonWindow('2021-03-01T00:00:00.000Z', 'month', 'previous').toISOString())
+        .toBe('2021-02-01T00:00:00.000Z');
+    });
+
+    it('should return the same window a year earlier', () => {
+      expect(comparisonWindow('2021-03-01T00:00:00.000Z', 'month', 'yoy').toISOString())
+        .toBe('2020-03-01T00:00:00.000Z');
+      expect(comparisonWindow('2021-08-17T00:00:00.000Z', 'day', 'yoy').toISOString())
+        .toBe('2020-08-17T00:00:00.000Z');
+    });
+
+    it('should keep yoy weeks aligned to Monday', () => {
+      const result = comparisonWindow('2021-08-16T00:00:00.000Z', 'week', 'yoy');
+
+      expect(result.getUTCDay()).toBe(1);
+      expect(result.toISOString()).toBe('2020-08-17T00:00:00.000Z');
+    });
+
+    it('should reject unknown comparison modes', () => {
+      expect(() => comparisonWindow('2021-03-01', 'month', 'decade')).toThrow('Invalid compare');
+    });
+  });
+
+  describe('toDateString', () => {
+    it('should format a date as YYYY-MM-DD', () => {
+      expect(toDateString(new Date('2021-08-01T00:00:00.000Z'))).toBe('2021-08-01');
+    });
+  });
+
+  describe('isValidDateString', () => {
+    it('should accept real dates in YYYY-MM-DD format', () => {
+      expect(isValidDateString('2021-02-28')).toBe(true);
+      expect(isValidDateString('2020-02-29')).toBe(true);
+    });
+
+    it('should reject impossible dates and other formats', () => {
+      expect(isValidDateString('2021-02-29')).toBe(false);
+      expect(isValidDateString('2021-2-1')).toBe(false);
+      expect(isValidDateString('2021-02-01T00:00:00Z')).toBe(false);
+      expect(isValidDateString(20210201)).toBe(false);
+    });
+  });
+
+  describe('isValidTimeZone', () => {
+    it('should accept IANA time zone names', () => {
+      expect(isValidTimeZone('UTC')).toBe(true);
+      expect(isValidTimeZone('America/New_York')).toBe(true);
+    });
+
+    it('should reject unknown names and other values', () => {
+      expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+      expect(isValidTimeZone('')).toBe(false);
+      expect(isValidTimeZone(['UTC'])).toBe(false);
+    });
+  });
+
+  describe('startOfDayIn', () => {
+    it('should return the instant the calendar date starts in the time zone', () => {
+      expect(startOfDayIn('2021-07-01T00:00:00.000Z', 'America/New_York').toISOString())
+        .toBe('2021-07-01T04:00:00.000Z');
+      expect(startOfDayIn('2021-01-01T00:00:00.000Z', 'America/New_York').toISOString())
+        .toBe('2021-01-01T05:00:00.000Z');
+      expect(startOfDayIn('2021-07-01T00:00:00.000Z', 'Asia/Tokyo').toISOString())
+        .toBe('2021-06-30T15:00:00.000Z');
+    });
+  });
+
+  describe('listWindows', () => {
+    it('should list every window in the range inclusively', () => {
+      const windows = listWindows('2021-01-15', '2021-04-02', 'month');
+
+      expect(windows.map(w => w.toISOString())).toEqual([
+        '2021-01-01T00:00:00.000Z',
+        '2021-02-01T00:00:00.000Z',
+        '2021-03-01T00:00:00.000Z',
+        '2021-04-01T00:00:00.000Z'
+      ]);
+    });
+
+    it('should list fiscal quarters', () => {
+      const windows = listWindows('2021-01-15', '2021-08-02', 'quarter', { fiscalYearStart: 2 });
+
+      expect(windows.map(toDateString)).toEqual(['2020-11-01', '2021-02-01', '2021-05-01', '2021-08-01']);
+    });
+
+    it('should return a single window when start and end share one', () => {
+      expect(listWindows('2021-08-17', '2021-08-19', 'week')).toHaveLength(1);
+    });
+
+    it('should stop at the most windows allowed', () => {
+      expect(listWindows('2021-01-01', '2021-12-31', 'month', {}, 12)).toHaveLength(12);
+      expect(listWindows('2021-01-01', '2022-01-01', 'month', {}, 12)).toBeNull();
+    });
+  });
+
+  describe('windowKey', () => {
+    it('should produce the same key for Date and string windows', () => {
+      expect(windowKey(new Date('2021-08-01T00:00:00.000Z'))).toBe(windowKey('2021-08-01T00:00:00.000Z'));
+    });
+  });
+});
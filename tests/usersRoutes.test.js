@@ -0,0 +1,184 @@
+'use strict';
+
+const request = require('supertest');
+const express = require('express');
+const usersRoutes = require('../routes/usersRoutes');
+const usersService = require('../services/usersService');
+const { ValidationError, NotFoundError } = require('../services/errors');
+
+jest.mock('../services/usersService');
+
+describe('Users Routes', () => {
+  let app;
+  // Who the requests come from; authentication itself is tested in auth.test.js
+  let principal;
+
+  const user = { id: 1, name: 'Ana', role: 'Sales Rep', active: true };
+
+  beforeEach(() => {
+    app = express();
+    principal = { type: 'user', userId: 2, role: 'Admin', admin: true, scope: undefined };
+    app.use((req, res, next) => {
+      req.principal = principal;
+      next();
+    });
+    app.use('/api/users', usersRoutes);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /api/users', () => {
+    it('should list users', async () => {
+      usersService.listUsers.mockResolvedValue([user]);
+
+      const response = await request(app)
+        .get('/api/users')
+        .expect(200);
+
+      expect(response.body).toEqual({ count: 1, data: [user] });
+      expect(usersService.listUsers).toHaveBeenCalledWith({ role: undefined, includeInactive: false });
+    });
+
+    it('should pass role and includeInactive filters', async () => {
+      usersService.listUsers.mockResolvedValue([]);
+
+      await request(app)
+        .get('/api/users?role=Manager&includeInactive=true')
+        .expect(200);
+
+      expect(usersService.listUsers).toHaveBeenCalledWith({ role: 'Manager', includeInactive: true });
+    });
+
+    it('should return 400 for an invalid includeInactive flag', async () => {
+      const response = await request(app)
+        .get('/api/users?includeInactive=yes')
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Invalid includeInactive. Must be true or false');
+      expect(usersService.listUsers).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 for unexpected errors', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      usersService.listUsers.mockRejectedValue(new Error('Database connection failed'));
+
+      const response = await request(app)
+        .get('/api/users')
+        .expect(500);
+
+      expect(response.body).toEqual({
+        error: { code: 'internal_error', message: 'Internal server error', details: [] }
+      });
+      expect(consoleErrorSpy).toHaveBeenCalledWith('Error listing users:', expect.any(Error));
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('POST /api/users', () => {
+    it('should create a user', async () => {
+      usersService.createUser.mockResolvedValue(user);
+
+      const response = await request(app)
+        .post('/api/users')
+        .send({ name: 'Ana', role: 'Sales Rep' })
+        .expect(201);
+
+      expect(response.body).toEqual(user);
+      expect(usersService.createUser).toHaveBeenCalledWith({ name: 'Ana', role: 'Sales Rep' });
+    });
+
+    it('should return 400 with field details for invalid users', async () => {
+      const details = [{ field: 'role', message: 'Must be a non-empty string of at most 50 characters' }];
+      usersService.createUser.mockRejectedValue(new ValidationError('Invalid user', details));
+
+      const response = await request(app)
+        .post('/api/users')
+        .send({ name: 'Ana' })
+        .expect(400);
+
+      expect(response.body).toEqual({ error: { code: 'invalid_request', message: 'Invalid user', details } });
+    });
+  });
+
+  describe('GET /api/users/:id', () => {
+    it('should return the user', async () => {
+      usersService.getUser.mockResolvedValue(user);
+
+      await request(app)
+        .get('/api/users/1')
+        .expect(200);
+
+      expect(usersService.getUser).toHaveBeenCalledWith(1);
+    });
+
+    it('should return 404 for unknown users', async () => {
+      usersService.getUser.mockRejectedValue(new NotFoundError('User 9 not found'));
+
+      const response = await request(app)
+        .get('/api/users/9')
+        .expect(404);
+
+      expect(response.body).toEqual({ error: { code: 'not_found', message: 'User 9 not found', details: [] } });
+    });
+  });
+
+  describe('PATCH /api/users/:id', () => {
+    it('should update the user', async () => {
+      usersService.updateUser.mockResolvedValue({ ...user, role: 'Manager' });
+
+      const response = await request(app)
+        .patch('/api/users/1')
+        .send({ role: 'Manager' })
+        .expect(200);
+
+      expect(response.body.role).toBe('Manager');
+      expect(usersService.updateUser).toHaveBeenCalledWith(1, { role: 'Manager' });
+    });
+  });
+
+  describe('DELETE /api/users/:id', () => {
+    it('should deactivate the user', async () => {
+      usersService.deactivateUser.mockResolvedValue({ ...user, active: false });
+
+      const response = await request(app)
+        .delete('/api/users/1')
+        .expect(200);
+
+      expect(response.body.active).toBe(false);
+      expect(usersService.deactivateUser).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('GET /api/users/:id/groups', () => {
+    it('should list the memberships of the user', async () => {
+      const memberships = [{ groupId: 2, groupName: 'West', effectiveFrom: '2021-06-01', effectiveTo: null }];
+      usersService.getUserMemberships.mockResolvedValue(memberships);
+
+      const response = await request(app)
+        .get('/api/users/1/groups')
+        .expect(200);
+
+      expect(response.body).toEqual({ count: 1, data: memberships });
+      expect(usersService.getUserMemberships).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('access control', () => {
+    it('should let any signed-in user list users but only admins change them', async () => {
+      const scope = { userId: 7, groupIds: [] };
+      principal = { type: 'user', userId: 7, role: 'Call Center Agent', admin: false, scope };
+      usersService.listUsers.mockResolvedValue([]);
+
+      await request(app).get('/api/users').expect(200);
+      await request(app).post('/api/users').send({ name: 'Eve', role: 'Admin' }).expect(403);
+      await request(app).patch('/api/users/7').send({ role: 'Admin' }).expect(403);
+      await request(app).delete('/api/users/1').expect(403);
+
+      expect(usersService.createUser).not.toHaveBeenCalled();
+      expect(usersService.updateUser).not.toHaveBeenCalled();
+      expect(usersService.deactivateUser).not.toHaveBeenCalled();
+    });
+  });
+});
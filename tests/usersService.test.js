@@ -0,0 +1,178 @@
+'use strict';
+
+const usersService = require('../services/usersService');
+const db = require('../services/db');
+const queryCache = require('../services/queryCache');
+const { ValidationError, NotFoundError } = require('../services/errors');
+
+jest.mock('../services/db');
+
+describe('UsersService', () => {
+  let mockClient;
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn()
+    };
+    db.getClient.mockReturnValue(mockClient);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('validateUserInput', () => {
+    it('should accept a complete user', () => {
+      expect(usersService.validateUserInput({ name: 'Ana', role: 'Sales Rep' })).toEqual([]);
+    });
+
+    it('should report every invalid field', () => {
+      const details = usersService.validateUserInput({ name: ' ', role: 'x'.repeat(51), active: 'yes', email: 'a' });
+
+      expect(details.map(detail => detail.field)).toEqual(['email', 'name', 'role', 'active']);
+    });
+
+    it('should allow missing fields for partial updates but require one', () => {
+      expect(usersService.validateUserInput({ active: false }, { partial: true })).toEqual([]);
+      expect(usersService.validateUserInput({}, { partial: true })[0].message).toContain('At least one of');
+    });
+  });
+
+  describe('listUsers', () => {
+    it('should list active users by default', async () => {
+      mockClient.query.mockResolvedValue({ rows: [{ id: 1, name: 'Ana', role: 'Sales Rep', active: true }] });
+
+      const result = await usersService.listUsers();
+
+      expect(result).toEqual([{ id: 1, name: 'Ana', role: 'Sales Rep', active: true }]);
+      expect(mockClient.query.mock.calls[0][0]).toContain('AND active');
+    });
+
+    it('should filter by role and include inactive users when asked', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await usersService.listUsers({ role: 'Manager', includeInactive: true });
+
+      const [query, params] = mockClient.query.mock.calls[0];
+      expect(query).not.toContain('AND active');
+      expect(query).toContain('role = $1');
+      expect(params).toEqual(['Manager']);
+    });
+  });
+
+  describe('getUser', () => {
+    it('should throw NotFoundError for unknown users', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await expect(usersService.getUser(9)).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('createUser', () => {
+    it('should insert the trimmed user', async () => {
+      mockClient.query.mockResolvedValue({ rows: [{ id: 12, name: 'Ana', role: 'Manager', active: true }] });
+
+      const result = await usersService.createUser({ name: ' Ana ', role: 'Manager' });
+
+      expect(result.id).toBe(12);
+      expect(mockClient.query.mock.calls[0][1]).toEqual(['Ana', 'Manager', true]);
+    });
+
+    it('should reject invalid users without querying', async () => {
+      await expect(usersService.createUser({ name: 'Ana' })).rejects.toThrow(ValidationError);
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateUser', () => {
+    it('should only set the given fields', async () => {
+      mockClient.query.mockResolvedValue({ rows: [{ id: 3, name: 'Ana', role: 'Manager', active: true }] });
+
+      await usersService.updateUser(3, { role: 'Manager' });
+
+      const [query, params] = mockClient.query.mock.calls[0];
+      expect(query).toContain('SET role = $1 WHERE id = $2');
+      expect(params).toEqual(['Manager', 3]);
+    });
+
+    it('should drop cached results when the name or role changes', async () => {
+      const clear = jest.spyOn(queryCache, 'clear');
+      mockClient.query.mockResolvedValue({ rows: [{ id: 3, name: 'Ana', role: 'Manager', active: true }] });
+
+      await usersService.updateUser(3, { role: 'Manager' });
+      expect(clear).toHaveBeenCalledTimes(1);
+
+      await usersService.updateUser(3, { active: true });
+      expect(clear).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw NotFoundError for unknown users', async () => {
+      const clear = jest.spyOn(queryCache, 'clear');
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await expect(usersService.updateUser(9, { name: 'Ana' })).rejects.toThrow('User 9 not found');
+      expect(clear).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deactivateUser', () => {
+    it('should set active to false', async () => {
+      mockClient.query.mockResolvedValue({ rows: [{ id: 3, name: 'Ana', role: 'Manager', active: false }] });
+
+      const result = await usersService.deactivateUser(3);
+
+      expect(result.active).toBe(false);
+      expect(mockClient.query.mock.calls[0][1]).toEqual([false, 3]);
+    });
+  });
+
+  describe('getUserMemberships', () => {
+    it('should return memberships with their effective dates', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, name: 'Ana', role: 'Manager', active: true }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { group_id: 2, group_name: 'West', effective_from: '2021-06-01', effective_to: null, is_primary: true },
+            { group_id: 1, group_name: 'East', effective_from: null, effective_to: '2021-06-01', is_primary: false }
+          ]
+        });
+
+      const result = await usersService.getUserMemberships(1);
+
+      expect(result).toEqual([
+        { groupId: 2, groupName: 'West', effectiveFrom: '2021-06-01', effectiveTo: null, primary: true },
+        { groupId: 1, groupName: 'East', effectiveFrom: null, effectiveTo: '2021-06-01', primary: false }
+      ]);
+    });
+
+    it('should throw NotFoundError for unknown users', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await expect(usersService.getUserMemberships(9)).rejects.toThrow(NotFoundError);
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('listCurrentGroups', () => {
+    it('should list the groups of every user today with one query', async () => {
+      mockClient.query.mockResolvedValue({
+        rows: [
+          { user_id: 1, id: 2, name: 'West', active: true },
+          { user_id: 3, id: 1, name: 'East', active: false }
+        ]
+      });
+
+      const result = await usersService.listCurrentGroups([1, 3]);
+
+      expect(result).toEqual([
+        { userId: 1, group: { id: 2, name: 'West', active: true } },
+        { userId: 3, group: { id: 1, name: 'East', active: false } }
+      ]);
+      const [query, params] = mockClient.query.mock.calls[0];
+      expect(query).toContain('ug.user_id = ANY($1::int[])');
+      expect(query).toContain('ug.effective_from <= $2');
+      expect(params).toEqual([[1, 3], new Date().toISOString().slice(0, 10)]);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+'use strict';
+
+const validation = require('../routes/validation');
+const { ValidationError } = require('../services/errors');
+
+describe('validation', () => {
+  const errorOf = (query, schema) => {
+    try {
+      validation.validateQuery(query, schema);
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected the query to be invalid');
+  };
+
+  describe('validateQuery', () => {
+    const schema = {
+      granularity: validation.oneOf(['day', 'month'], { default: 'month' }),
+      limit: validation.integer({ min: 1, max: 100 }),
+      startDate: validation.date(),
+      endDate: validation.date({ check: validation.notBefore('startDate') })
+    };
+
+    it('should parse present parameters and default absent ones', () => {
+      expect(validation.validateQuery({ limit: '20', startDate: '2021-01-01', other: 'x' }, schema)).toEqual({
+        granularity: 'month',
+        limit: 20,
+        startDate: '2021-01-01',
+        endDate: undefined
+      });
+    });
+
+    it('should name the parameter when one is invalid', () => {
+      const error = errorOf({ limit: '0' }, schema);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe('Invalid limit. Must be an integer between 1 and 100');
+      expect(error.details).toEqual([{ field: 'limit', message: 'Must be an integer between 1 and 100' }]);
+    });
+
+    it('should report every invalid parameter', () => {
+      const error = errorOf({ granularity: 'week', limit: '1.5', startDate: '2021-02-29' }, schema);
+
+      expect(error.message).toBe('Invalid query parameters: granularity, limit, startDate');
+      expect(error.details.map(({ field }) => field)).toEqual(['granularity', 'limit', 'startDate']);
+    });
+
+    it('should check parameters against the ones before them', () => {
+      expect(errorOf({ startDate: '2021-03-01', endDate: '2021-02-28' }, schema).details)
+        .toEqual([{ field: 'endDate', message: 'Must not be before startDate' }]);
+      expect(validation.validateQuery({ startDate: '2021-03-01', endDate: '2021-03-01' }, schema).endDate)
+        .toBe('2021-03-01');
+    });
+
+    it('should reject repeated and nested parameters', () => {
+      expect(errorOf({ granularity: ['day', 'month'] }, schema).details[0].field).toBe('granularity');
+      expect(errorOf({ limit: { gt: '1' } }, schema).details[0].field).toBe('limit');
+    });
+
+    it('should skip parameters whose dependencies are invalid', () => {
+      const dependent = {
+        groupBy: validation.oneOf(['user', 'group']),
+        sort: validation.param(raw => raw, ({ groupBy }) => `Unknown for ${groupBy}`, { requires: ['groupBy'] })
+      };
+
+      expect(errorOf({ groupBy: 'role', sort: 'x' }, dependent).details).toEqual([
+        { field: 'groupBy', message: 'Must be one of: user, group' }
+      ]);
+    });
+
+    it('should compute defaults from the parameters before them', () => {
+      const thresholds = {
+        method: validation.oneOf(['zscore', 'mad'], { default: 'zscore' }),
+        threshold: validation.positiveNumber({ default: ({ method }) => ({ zscore: 3, mad: 3.5 })[method] })
+      };
+
+      expect(validation.validateQuery({ method: 'mad' }, thresholds).threshold).toBe(3.5);
+    });
+  });
+
+  describe('parameter types', () => {
+    const parse = (definition, raw) => validation.validateQuery({ value: raw }, { value: definition }).value;
+    const isInvalid = (definition, raw) => errorOf({ value: raw }, { value: definition }) instanceof ValidationError;
+
+    it('should parse numeric choices', () => {
+      expect(parse(validation.oneOf([80, 90, 95]), '90')).toBe(90);
+      expect(isInvalid(validation.oneOf([80, 90, 95]), '85')).toBe(true);
+    });
+
+    it('should parse lists of choices', () => {
+      expect(parse(validation.listOf(['saleCount', 'medianSale']), 'saleCount, medianSale'))
+        .toEqual(['saleCount', 'medianSale']);
+      expect(isInvalid(validation.listOf(['saleCount']), 'saleCount,p99Sale')).toBe(true);
+    });
+
+    it('should only accept whole numbers in range as integers', () => {
+      expect(parse(validation.integer(), '42')).toBe(42);
+      for (const raw of ['', 'abc', '1.5', '1e2', '0', '2147483648']) {
+        expect(isInvalid(validation.integer(), raw)).toBe(true);
+      }
+    });
+
+    it('should parse positive numbers', () => {
+      expect(parse(validation.positiveNumber(), '2.5')).toBe(2.5);
+      for (const raw of ['', ' ', '0', '-1', 'Infinity']) {
+        expect(isInvalid(validation.positiveNumber(), raw)).toBe(true);
+      }
+    });
+
+    it('should parse true and false only', () => {
+      expect(parse(validation.boolean(), 'true')).toBe(true);
+      expect(parse(validation.boolean(), 'false')).toBe(false);
+      expect(validation.validateQuery({}, { value: validation.boolean() }).value).toBe(false);
+      expect(isInvalid(validation.boolean(), 'yes')).toBe(true);
+      expect(isInvalid(validation.boolean(), 'toString')).toBe(true);
+    });
+
+    it('should keep ID lists as the string the services take', () => {
+      expect(parse(validation.idList(), '5, 10,15')).toBe('5, 10,15');
+      for (const raw of ['abc', '1,,2', '0', '-1', '1.5', '2147483648']) {
+        expect(isInvalid(validation.idList(), raw)).toBe(true);
+      }
+    });
+
+    it('should check time zones and text', () => {
+      expect(parse(validation.timeZone(), 'America/New_York')).toBe('America/New_York');
+      expect(isInvalid(validation.timeZone(), 'Mars/Olympus')).toBe(true);
+      expect(parse(validation.text(), 'Manager')).toBe('Manager');
+      expect(isInvalid(validation.text(), '')).toBe(true);
+    });
+  });
+});